@@ -12,6 +12,11 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Confirmation tokens only unlock requireConfirmation, never the API as a whole
+      if (decoded.purpose === 'confirm') {
+        return res.status(401).json({ message: 'Not authorized, token failed' });
+      }
+
       // Get user from token
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -31,4 +36,42 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
+// Restrict a route to the given roles (use after protect)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+// Short-lived token proving the user re-entered the confirmation PIN
+const CONFIRMATION_EXPIRY = '5m';
+
+const signConfirmationToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: 'confirm' }, process.env.JWT_SECRET, {
+    expiresIn: CONFIRMATION_EXPIRY
+  });
+};
+
+// Require a valid X-Confirmation-Token for sensitive actions (use after protect)
+const requireConfirmation = (req, res, next) => {
+  const token = req.headers['x-confirmation-token'];
+
+  if (!token) {
+    return res.status(403).json({ message: 'Confirmation required' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.purpose !== 'confirm' || decoded.id !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Invalid confirmation' });
+    }
+
+    next();
+  } catch (error) {
+    return res.status(403).json({ message: 'Confirmation expired, please enter the PIN again' });
+  }
+};
+
+module.exports = { protect, authorize, signConfirmationToken, requireConfirmation };
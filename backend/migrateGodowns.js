@@ -0,0 +1,39 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const Godown = require('./models/Godown');
+const Product = require('./models/Product');
+const StockMovement = require('./models/StockMovement');
+
+// Put stock recorded before godowns existed into the default godown: every product without a
+// per-godown breakdown gets its whole qty there, and older ledger entries are tagged with it.
+// Safe to re-run: products that already have a breakdown are skipped.
+const migrateGodowns = async () => {
+  try {
+    await connectDB();
+
+    const godown = await Godown.getDefault();
+    console.log(`Default godown: ${godown.name}`);
+
+    // Pipeline update so each product's own qty is copied into its breakdown
+    const products = await Product.updateMany(
+      { $or: [{ stock: { $exists: false } }, { stock: { $size: 0 } }] },
+      [{ $set: { stock: [{ godownId: godown._id, qty: { $ifNull: ['$qty', 0] } }] } }]
+    ).setOptions({ withDeleted: true });
+
+    const movements = await StockMovement.updateMany(
+      { godownId: { $exists: false } },
+      { $set: { godownId: godown._id } }
+    );
+
+    console.log(`\n=== Migrated ${products.modifiedCount} products and ${movements.modifiedCount} stock movements ===`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrateGodowns();
@@ -0,0 +1,56 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const Product = require('./models/Product');
+const { storeProductImage, imageFields } = require('./utils/images');
+
+// Move base64 data URLs stored in Product.image into the configured storage backend,
+// and turn single-image products into a one-item images list.
+// Safe to re-run: products that already have an images list are skipped.
+const migrateImages = async () => {
+  try {
+    await connectDB();
+
+    const cursor = Product.find({
+      $or: [
+        { image: /^data:/ },
+        { image: { $nin: ['', null] }, 'images.0': { $exists: false } }
+      ]
+    })
+      .select('name image thumbnail')
+      .setOptions({ withDeleted: true })
+      .cursor();
+
+    let migrated = 0;
+    let failed = 0;
+
+    for await (const product of cursor) {
+      try {
+        let { image, thumbnail } = product;
+        if (image.startsWith('data:')) {
+          const base64 = image.slice(image.indexOf(',') + 1);
+          ({ image, thumbnail } = await storeProductImage(Buffer.from(base64, 'base64')));
+        }
+
+        // updateOne skips the updatedAt hook, so the product keeps its last edited time
+        await Product.updateOne({ _id: product._id }, imageFields([{ url: image, thumbnail: thumbnail || '' }]))
+          .setOptions({ withDeleted: true });
+        migrated++;
+        console.log(`Migrated "${product.name}"`);
+      } catch (error) {
+        failed++;
+        console.error(`Failed "${product.name}" (${product._id}): ${error.message}`);
+      }
+    }
+
+    console.log(`\n=== Migrated ${migrated} images, ${failed} failed ===`);
+
+    await mongoose.disconnect();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrateImages();
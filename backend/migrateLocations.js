@@ -0,0 +1,62 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const Location = require('./models/Location');
+const Product = require('./models/Product');
+
+// Turn the free-text sampleLocation and ghodaLocation strings products used to hold into
+// Location records. Spellings of the same code ("g-1", "Ghoda 1", "G1") become one location,
+// products get its ID and the old string fields are removed.
+// Safe to re-run: products without the old fields are skipped.
+const migrateLocations = async () => {
+  try {
+    await connectDB();
+
+    // The strings are no longer in the Product schema, so read them from the raw collection
+    const products = await Product.collection.find(
+      { $or: Location.TYPES.map(type => ({ [`${type}Location`]: { $exists: true } })) },
+      { projection: Object.fromEntries(Location.TYPES.map(type => [`${type}Location`, 1])) }
+    ).toArray();
+
+    const locations = new Map((await Location.find({})).map(location => [`${location.type}:${location.code}`, location]));
+    let created = 0;
+    let migrated = 0;
+
+    for (const product of products) {
+      const set = {};
+      const unset = {};
+
+      for (const type of Location.TYPES) {
+        const value = String(product[`${type}Location`] ?? '').trim();
+        unset[`${type}Location`] = '';
+        if (!value) continue;
+
+        const key = `${type}:${Location.normalizeCode(type, value)}`;
+        let location = locations.get(key);
+        if (!location) {
+          location = await Location.create({ type, code: value });
+          locations.set(key, location);
+          created++;
+        }
+        set[Location.productField(type)] = location._id;
+      }
+
+      // Straight to the collection, which also covers products in the recycle bin
+      await Product.collection.updateOne({ _id: product._id }, {
+        ...(Object.keys(set).length > 0 && { $set: set }),
+        $unset: unset
+      });
+      migrated++;
+    }
+
+    console.log(`\n=== Created ${created} locations and migrated ${migrated} products ===`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrateLocations();
@@ -0,0 +1,47 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const User = require('./models/User');
+
+// Give accounts created before roles existed a role. They read as staff, so the owner's
+// account loses deleting, user management and the PIN until it is made an admin.
+// `npm run migrate:roles -- <username>` makes that user an admin; without a username the
+// oldest account is made one, unless there already is an admin. Every other account
+// without a stored role is saved as staff. Safe to re-run.
+const migrateRoles = async () => {
+  try {
+    await connectDB();
+
+    const username = process.argv[2];
+
+    // The field is written directly: saving a user document would re-run the password hook
+    let admin = null;
+    if (username) {
+      admin = await User.findOne({ username });
+      if (!admin) {
+        throw new Error(`No user named ${username}`);
+      }
+    } else if (!(await User.exists({ role: 'admin' }))) {
+      admin = await User.findOne({}).sort({ createdAt: 1, _id: 1 });
+    }
+
+    if (admin) {
+      await User.updateOne({ _id: admin._id }, { $set: { role: 'admin' } });
+      console.log(`${admin.username} is now an admin`);
+    } else {
+      console.log('An admin already exists; pass a username to promote another account');
+    }
+
+    const staff = await User.updateMany({ role: { $exists: false } }, { $set: { role: 'staff' } });
+
+    console.log(`\n=== Migrated roles: ${admin ? 1 : 0} admin, ${staff.modifiedCount} staff ===`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrateRoles();
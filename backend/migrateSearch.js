@@ -0,0 +1,33 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const Product = require('./models/Product');
+const { refreshSearchText } = require('./utils/search');
+
+// Build the search index for existing products. Drops the old name-only text index (a
+// collection can only have one) in favour of the one in the Product schema, then fills in
+// every product's searchText, including products in the recycle bin.
+// Safe to re-run.
+const migrateSearch = async () => {
+  try {
+    await connectDB();
+
+    const dropped = await Product.syncIndexes();
+    if (dropped.length > 0) {
+      console.log(`Dropped old indexes: ${dropped.join(', ')}`);
+    }
+
+    await refreshSearchText({});
+    const indexed = await Product.countDocuments({ 'searchText.name': { $exists: true } }).setOptions({ withDeleted: true });
+
+    console.log(`\n=== Indexed ${indexed} products for search ===`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrateSearch();
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'purge'],
+    required: [true, 'Action is required']
+  },
+  entityType: {
+    type: String,
+    enum: ['Category', 'SubCategory', 'Product', 'Godown', 'Location', 'Customer', 'SalesChallan', 'Reservation', 'Supplier', 'PurchaseInward', 'PriceList', 'Bundle'],
+    required: [true, 'Entity type is required']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  },
+  // Kept so entries stay readable after the entity is deleted
+  entityName: {
+    type: String,
+    default: ''
+  },
+  // Only the fields that changed; full snapshots for create and delete
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Product = require('./Product');
+
+// A bundle (lot) of a product's veneer: sequenced leaves cut from one flitch, kept
+// together so they can be sold as a matched set. The product's stock in a godown is its
+// bundles there plus any loose stock that hasn't been put into a bundle.
+const bundleSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  bundleNumber: {
+    type: String,
+    required: [true, 'Bundle number is required'],
+    trim: true,
+    maxlength: [50, 'Bundle number cannot exceed 50 characters']
+  },
+  // Log the leaves were sliced from; bundles sharing one match each other
+  flitchNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Flitch number cannot exceed 50 characters'],
+    default: ''
+  },
+  // Godown the bundle is kept in; moving it moves its stock with it
+  godownId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Godown',
+    required: [true, 'Godown is required']
+  },
+  // Stock left in the bundle, in the same unit as Product.qty. Changed only through
+  // stock movements, which keep the product's qty in step.
+  qty: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative'],
+    default: 0
+  },
+  // Leaf size and thickness in millimetres; null when not recorded
+  length: {
+    type: Number,
+    min: [0, 'Length cannot be negative'],
+    default: null
+  },
+  width: {
+    type: Number,
+    min: [0, 'Width cannot be negative'],
+    default: null
+  },
+  thickness: {
+    type: Number,
+    min: [0, 'Thickness cannot be negative'],
+    default: null
+  },
+  leafCount: {
+    type: Number,
+    min: [1, 'Leaf count must be at least 1'],
+    default: null
+  },
+  // Quality grade as marked on the bundle (A, AA, B...)
+  grade: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Grade cannot exceed 20 characters'],
+    default: ''
+  },
+  // Photo of the bundle's top leaf, from the storage backend like product images
+  image: {
+    type: String,
+    default: ''
+  },
+  thumbnail: {
+    type: String,
+    default: ''
+  },
+  ghodaLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Area in square feet and square metres, worked out like a product's
+bundleSchema.virtual('area').get(function() {
+  return Product.area(this);
+});
+
+// Audit entries are labelled with the bundle number
+bundleSchema.virtual('name').get(function() {
+  return `Bundle ${this.bundleNumber}`;
+});
+
+bundleSchema.set('toJSON', { virtuals: true });
+bundleSchema.set('toObject', { virtuals: true });
+
+// Bundle numbers are unique within a product
+bundleSchema.index({ productId: 1, bundleNumber: 1 }, { unique: true });
+bundleSchema.index({ bundleNumber: 1 });
+bundleSchema.index({ ghodaLocationId: 1 });
+
+module.exports = mongoose.model('Bundle', bundleSchema);
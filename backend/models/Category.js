@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+const RAKAM_BASES = ['billing', 'area'];
+const AREA_UNITS = ['sqft', 'sqm'];
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -8,6 +12,24 @@ const categorySchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Category name cannot exceed 100 characters']
   },
+  // How its products' rakam is worked out: billing × price, or area × rate for veneer sold by area
+  rakamBasis: {
+    type: String,
+    enum: {
+      values: RAKAM_BASES,
+      message: 'Rakam basis must be billing or area'
+    },
+    default: 'billing'
+  },
+  // Unit an area-based rate is quoted per
+  areaUnit: {
+    type: String,
+    enum: {
+      values: AREA_UNITS,
+      message: 'Area unit must be sqft or sqm'
+    },
+    default: 'sqft'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -22,6 +44,11 @@ categorySchema.virtual('subCategoriesCount', {
   count: true
 });
 
+categorySchema.plugin(softDelete);
+
+categorySchema.statics.RAKAM_BASES = RAKAM_BASES;
+categorySchema.statics.AREA_UNITS = AREA_UNITS;
+
 categorySchema.set('toJSON', { virtuals: true });
 categorySchema.set('toObject', { virtuals: true });
 
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A buyer that sales challans are made out to
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [200, 'Customer name cannot exceed 200 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Phone cannot exceed 20 characters'],
+    default: ''
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Address cannot exceed 500 characters'],
+    default: ''
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [15, 'GSTIN cannot exceed 15 characters'],
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+customerSchema.index({ name: 1 });
+
+module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_GODOWN_NAME = 'Main Godown';
+
+const godownSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Godown name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Godown name cannot exceed 100 characters']
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Address cannot exceed 300 characters'],
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The oldest godown receives stock when a request doesn't name one (older clients,
+// spreadsheet rows without a godown). Created on first use so a fresh database works.
+godownSchema.statics.getDefault = async function() {
+  const godown = await this.findOne().sort({ createdAt: 1, _id: 1 });
+  if (godown) return godown;
+
+  return this.findOneAndUpdate(
+    { name: DEFAULT_GODOWN_NAME },
+    { $setOnInsert: { name: DEFAULT_GODOWN_NAME } },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.model('Godown', godownSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const LOCATION_TYPES = ['sample', 'ghoda'];
+
+// Words people type in front of a code ("Ghoda 1", "Rack A1") and the
+// separators between its parts ("G-1", "a 1") are dropped, and a bare ghoda
+// number gets its G prefix, so "G1", "g-1" and "Ghoda 1" all become "G1".
+const TYPE_WORDS = /^(GHODA|RACK|SAMPLE)/;
+
+const normalizeCode = (type, value) => {
+  let code = String(value || '').toUpperCase().replace(/[\s\-_./]+/g, '');
+  const withoutWord = code.replace(TYPE_WORDS, '');
+  if (withoutWord) code = withoutWord;
+  if (type === 'ghoda' && /^\d+$/.test(code)) code = `G${code}`;
+  return code;
+};
+
+// A physical spot products are kept at: a sample rack or a ghoda (stand of veneer sheets)
+const locationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: LOCATION_TYPES,
+      message: 'Location type must be sample or ghoda'
+    },
+    required: [true, 'Location type is required']
+  },
+  code: {
+    type: String,
+    required: [true, 'Location code is required'],
+    maxlength: [50, 'Location code cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: ''
+  },
+  // How many products fit here; null means no limit
+  capacity: {
+    type: Number,
+    min: [0, 'Capacity cannot be negative'],
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+locationSchema.pre('validate', function(next) {
+  this.code = normalizeCode(this.type, this.code);
+  next();
+});
+
+// The code doubles as the name audit entries are labelled with
+locationSchema.virtual('name').get(function() {
+  return this.code;
+});
+
+// Codes are unique within a type; a sample rack and a ghoda may share one
+locationSchema.index({ type: 1, code: 1 }, { unique: true });
+
+locationSchema.statics.TYPES = LOCATION_TYPES;
+locationSchema.statics.normalizeCode = normalizeCode;
+
+// Product field that references a location of this type: sampleLocationId or ghodaLocationId
+locationSchema.statics.productField = (type) => `${type}LocationId`;
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One change to a product's price or billing. Base price and billing changes have no
+// priceListId; a change to a product's price in a price list names the list.
+const priceChangeSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  priceListId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    default: null
+  },
+  // Null when a product was taken out of a price list and went back to its base price
+  price: {
+    type: Number,
+    default: null
+  },
+  billing: {
+    type: Number,
+    default: null
+  },
+  // Null on a product's first entry
+  previousPrice: {
+    type: Number,
+    default: null
+  },
+  previousBilling: {
+    type: Number,
+    default: null
+  },
+  // When the new price applies from; defaults to when it was entered
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceChangeSchema.index({ productId: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('PriceChange', priceChangeSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A named set of selling prices (wholesale, retail, architect...). Products carry their
+// price in each list in Product.prices; products not priced in a list sell at their base price.
+const priceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Price list name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Price list name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('PriceList', priceListSchema);
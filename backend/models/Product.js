@@ -1,4 +1,67 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+const MAX_IMAGES = 12;
+const SQFT_PER_SQM = 10.7639;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Area of a product's leaves from its dimensions in millimetres, or null when the size isn't known
+const productArea = ({ length, width, leafCount }) => {
+  if (!length || !width) return null;
+  const sqm = (length * width * (leafCount || 1)) / 1000000;
+  return { sqm: round2(sqm), sqft: round2(sqm * SQFT_PER_SQM) };
+};
+
+// Rakam at a price: area × rate for categories sold by area, billing × price otherwise.
+// Needs subCategoryId.categoryId populated with rakamBasis and areaUnit to see the category's basis.
+const productRakam = (product, price = product.price) => {
+  const category = product.subCategoryId?.categoryId;
+  if (category?.rakamBasis === 'area') {
+    const area = productArea(product);
+    return area ? area[category.areaUnit || 'sqft'] * price : 0;
+  }
+  return product.billing * price;
+};
+
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required']
+  },
+  thumbnail: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// Quantity held in one godown
+const godownStockSchema = new mongoose.Schema({
+  godownId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Godown',
+    required: [true, 'Godown is required']
+  },
+  qty: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative'],
+    default: 0
+  }
+}, { _id: false });
+
+// Selling price in one price list
+const listPriceSchema = new mongoose.Schema({
+  priceListId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    required: [true, 'Price list is required']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  }
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -12,12 +75,18 @@ const productSchema = new mongoose.Schema({
     ref: 'SubCategory',
     required: [true, 'SubCategory ID is required']
   },
+  // Total across all godowns, kept equal to the sum of stock[].qty by applyStockMovement
   qty: {
     type: Number,
     required: [true, 'Quantity is required'],
     min: [0, 'Quantity cannot be negative'],
     default: 0
   },
+  // Per-godown breakdown; a godown appears here once the product has been stocked in it
+  stock: {
+    type: [godownStockSchema],
+    default: []
+  },
   price: {
     type: Number,
     required: [true, 'Price is required'],
@@ -30,22 +99,78 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Billing cannot be negative'],
     default: 0
   },
+  // Leaf size and thickness in millimetres; null when not recorded
+  length: {
+    type: Number,
+    min: [0, 'Length cannot be negative'],
+    default: null
+  },
+  width: {
+    type: Number,
+    min: [0, 'Width cannot be negative'],
+    default: null
+  },
+  thickness: {
+    type: Number,
+    min: [0, 'Thickness cannot be negative'],
+    default: null
+  },
+  // Leaves the dimensions cover; area counts one leaf when not recorded
+  leafCount: {
+    type: Number,
+    min: [1, 'Leaf count must be at least 1'],
+    default: null
+  },
+  // Prices in named price lists; lists not named here use the base price above
+  prices: {
+    type: [listPriceSchema],
+    default: []
+  },
+  // Low-stock threshold; null inherits the subcategory's reorderLevel
+  reorderLevel: {
+    type: Number,
+    min: [0, 'Reorder level cannot be negative'],
+    default: null
+  },
+  // Ordered photos (face, back, grain close-up, bundle...); the first one is the cover.
+  // URLs come from the storage backend (see utils/storage), never inline data.
+  images: {
+    type: [imageSchema],
+    validate: [val => val.length <= MAX_IMAGES, `A product cannot have more than ${MAX_IMAGES} images`]
+  },
+  // Cover image, kept in sync with images[0] for lists and older clients
   image: {
     type: String,
     default: ''
   },
-  sampleLocation: {
+  thumbnail: {
     type: String,
-    trim: true,
-    maxlength: [200, 'Sample location cannot exceed 200 characters'],
     default: ''
   },
-  ghodaLocation: {
+  // Where the sample is displayed and where the sheets are kept
+  sampleLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  ghodaLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  notes: {
     type: String,
     trim: true,
-    maxlength: [200, 'Ghoda location cannot exceed 200 characters'],
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
     default: ''
   },
+  // Word prefixes the product is found by, built by utils/search.js from its name, location
+  // and bundle codes, and its notes, category, subcategory and location descriptions
+  searchText: {
+    name: { type: String, select: false },
+    codes: { type: String, select: false },
+    other: { type: String, select: false }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -56,9 +181,14 @@ const productSchema = new mongoose.Schema({
   }
 });
 
-// Virtual field for rakam (billing × price)
+// Area in square feet and square metres (length × width × leaves)
+productSchema.virtual('area').get(function() {
+  return productArea(this);
+});
+
+// Virtual field for rakam (billing × price, or area × rate when the category sells by area)
 productSchema.virtual('rakam').get(function() {
-  return this.billing * this.price;
+  return productRakam(this);
 });
 
 // Update the updatedAt field before saving
@@ -72,13 +202,33 @@ productSchema.pre('findOneAndUpdate', function(next) {
   next();
 });
 
+productSchema.plugin(softDelete);
+
+productSchema.statics.MAX_IMAGES = MAX_IMAGES;
+productSchema.statics.SQFT_PER_SQM = SQFT_PER_SQM;
+productSchema.statics.area = productArea;
+productSchema.statics.rakam = productRakam;
+
 // Ensure virtuals are included in JSON
 productSchema.set('toJSON', { virtuals: true });
 productSchema.set('toObject', { virtuals: true });
 
 // Indexes for faster queries
 productSchema.index({ subCategoryId: 1 });
-productSchema.index({ name: 'text' });
+productSchema.index(
+  { 'searchText.name': 'text', 'searchText.codes': 'text', 'searchText.other': 'text' },
+  {
+    name: 'product_search',
+    weights: { 'searchText.name': 10, 'searchText.codes': 5, 'searchText.other': 2 },
+    // Prefixes aren't words, so no stemming or stop words
+    default_language: 'none'
+  }
+);
 productSchema.index({ qty: 1 });
+productSchema.index({ 'stock.godownId': 1 });
+productSchema.index({ 'prices.priceListId': 1 });
+productSchema.index({ thickness: 1 });
+productSchema.index({ sampleLocationId: 1 });
+productSchema.index({ ghodaLocationId: 1 });
 
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// One product received on the invoice, its quantity and purchase cost per unit. The product
+// name is copied so the entry still reads the same after the product is renamed or deleted.
+const purchaseItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  qty: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  cost: {
+    type: Number,
+    min: [0, 'Cost cannot be negative'],
+    default: 0
+  }
+}, { _id: false });
+
+// Stock received from a supplier against an invoice. Saving one adds its items to the
+// godown's stock.
+const purchaseInwardSchema = new mongoose.Schema({
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  invoiceNumber: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    trim: true,
+    maxlength: [50, 'Invoice number cannot exceed 50 characters']
+  },
+  invoiceDate: {
+    type: Date,
+    required: [true, 'Invoice date is required']
+  },
+  godownId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Godown',
+    required: [true, 'Godown is required']
+  },
+  items: {
+    type: [purchaseItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'An inward needs at least one item'
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A supplier's invoice can only be entered once
+purchaseInwardSchema.index({ supplierId: 1, invoiceNumber: 1 }, { unique: true });
+purchaseInwardSchema.index({ invoiceDate: -1 });
+purchaseInwardSchema.index({ 'items.productId': 1 });
+
+// Audit entries are labelled with the invoice number
+purchaseInwardSchema.virtual('name').get(function() {
+  return `Invoice ${this.invoiceNumber}`;
+});
+
+// Invoice value: quantity × cost over all items
+purchaseInwardSchema.virtual('total').get(function() {
+  return (this.items || []).reduce((sum, item) => sum + item.qty * item.cost, 0);
+});
+
+purchaseInwardSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('PurchaseInward', purchaseInwardSchema);
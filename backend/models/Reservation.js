@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// active: counts against available stock until expiresAt
+// released: let go by hand before it expired
+// fulfilled: the customer was sent the goods on a sales challan
+// expired: lapsed at expiresAt (marked by the expiry sweep)
+const RESERVATION_STATUSES = ['active', 'released', 'fulfilled', 'expired'];
+
+// A quantity of a product held in a godown for a customer until an expiry date.
+// Holds don't move stock; they only lower the product's availableQty while active.
+const reservationSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required']
+  },
+  godownId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Godown',
+    required: [true, 'Godown is required']
+  },
+  qty: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: RESERVATION_STATUSES,
+    default: 'active'
+  },
+  // When and by whom the hold stopped counting, for every status but active and expired
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reservationSchema.index({ productId: 1, status: 1, expiresAt: 1 });
+reservationSchema.index({ customerId: 1, createdAt: -1 });
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Audit entries are labelled with the product and customer when they are populated
+reservationSchema.virtual('name').get(function() {
+  const product = this.populated('productId') ? this.productId?.name : null;
+  const customer = this.populated('customerId') ? this.customerId?.name : null;
+  return product && customer ? `${product} held for ${customer}` : 'Hold';
+});
+
+// Holds that count right now. Lapsed holds stop counting at expiresAt, even before the
+// expiry sweep gets to them.
+reservationSchema.statics.activeFilter = function(now = new Date()) {
+  return { status: 'active', expiresAt: { $gt: now } };
+};
+
+reservationSchema.statics.STATUSES = RESERVATION_STATUSES;
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const CHALLAN_STATUSES = ['active', 'cancelled'];
+
+// One product, or one bundle of it, and the quantity that left with the challan. The
+// product name and bundle number are copied so the challan still prints the same after
+// either is renamed or deleted.
+const challanItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  bundleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bundle',
+    default: null
+  },
+  bundleNumber: {
+    type: String,
+    default: ''
+  },
+  qty: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  }
+}, { _id: false });
+
+// Delivery challan for goods sold to a customer. Creating one takes its items out of
+// the godown's stock; cancelling it puts them back.
+const salesChallanSchema = new mongoose.Schema({
+  // Running number printed on the challan, from Setting.nextSequence('challanNumber')
+  number: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'Challan date is required']
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required']
+  },
+  godownId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Godown',
+    required: [true, 'Godown is required']
+  },
+  items: {
+    type: [challanItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'A challan needs at least one item'
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: CHALLAN_STATUSES,
+    default: 'active'
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+salesChallanSchema.index({ date: -1 });
+salesChallanSchema.index({ customerId: 1, date: -1 });
+salesChallanSchema.index({ 'items.productId': 1 });
+
+// Audit entries are labelled with the challan number
+salesChallanSchema.virtual('name').get(function() {
+  return `Challan #${this.number}`;
+});
+
+salesChallanSchema.statics.STATUSES = CHALLAN_STATUSES;
+
+module.exports = mongoose.model('SalesChallan', salesChallanSchema);
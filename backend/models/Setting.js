@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Key-value store for app-wide settings such as the challan number sequence
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = function(key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId, updatedAt: Date.now() },
+    { new: true, upsert: true }
+  );
+};
+
+// Atomically take the next number of a sequence (1, 2, 3...) kept under `key`,
+// such as the running number of sales challans
+settingSchema.statics.nextSequence = async function(key) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { $inc: { value: 1 }, $set: { updatedAt: Date.now() } },
+    { new: true, upsert: true }
+  );
+  return setting.value;
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
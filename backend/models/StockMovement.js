@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['inward', 'outward', 'adjustment'];
+
+const stockMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  // Godown the stock moved in or out of
+  godownId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Godown'
+  },
+  type: {
+    type: String,
+    enum: {
+      values: MOVEMENT_TYPES,
+      message: 'Movement type must be inward, outward or adjustment'
+    },
+    required: [true, 'Movement type is required']
+  },
+  // Signed change applied to Product.qty (negative for outward)
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required']
+  },
+  // Product total across godowns after the movement
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: [0, 'Balance cannot be negative']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [100, 'Reason cannot exceed 100 characters']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Bundle the stock moved in or out of, for products kept in bundles
+  bundleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bundle'
+  },
+  // Sales challan the movement was made for, when it came from one
+  challanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SalesChallan'
+  },
+  // Purchase inward the stock arrived on, when it came from one
+  purchaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseInward'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+stockMovementSchema.index({ bundleId: 1, createdAt: -1 });
+
+stockMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const subCategorySchema = new mongoose.Schema({
   name: {
@@ -12,6 +13,12 @@ const subCategorySchema = new mongoose.Schema({
     ref: 'Category',
     required: [true, 'Category ID is required']
   },
+  // Default low-stock threshold for products in this subcategory
+  reorderLevel: {
+    type: Number,
+    min: [0, 'Reorder level cannot be negative'],
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -29,6 +36,8 @@ subCategorySchema.virtual('productsCount', {
   count: true
 });
 
+subCategorySchema.plugin(softDelete);
+
 subCategorySchema.set('toJSON', { virtuals: true });
 subCategorySchema.set('toObject', { virtuals: true });
 
@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// admin: full access, manager: manage stock and catalogue,
+// staff: godown staff recording stock movements, salesperson: read-only
+const ROLES = ['admin', 'manager', 'staff', 'salesperson'];
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -15,6 +19,29 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Role must be admin, manager, staff or salesperson'
+    },
+    default: 'staff'
+  },
+  // Hash of the user's own confirmation PIN, asked for before destructive actions; null
+  // until they set one, when their password confirms instead
+  pinHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Settings the app remembers for the user across devices
+  preferences: {
+    // Product list order, a sort parameter such as "name" or "-qty"; '' for the default
+    productSort: {
+      type: String,
+      default: ''
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -35,4 +62,6 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+userSchema.statics.ROLES = ROLES;
+
 module.exports = mongoose.model('User', userSchema);
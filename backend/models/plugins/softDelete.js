@@ -0,0 +1,41 @@
+// Soft deletion: adds deletedAt and hides deleted documents from queries.
+// A query sees deleted documents when its filter mentions deletedAt
+// or it is run with .setOptions({ withDeleted: true }).
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'updateOne',
+  'updateMany'
+];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function(next) {
+    const filter = this.getFilter();
+    if (!this.getOptions().withDeleted && !Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    const pipeline = this.pipeline();
+    const firstMatch = pipeline[0] && pipeline[0].$match;
+    if (!this.options.withDeleted && !(firstMatch && 'deletedAt' in firstMatch)) {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+};
+
+module.exports = softDelete;
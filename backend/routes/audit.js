@@ -0,0 +1,93 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ID_FILTERS = ['user', 'entityId'];
+const DATE_FILTERS = ['from', 'to'];
+
+// @route   GET /api/audit
+// @desc    Get audit log entries with filters and pagination
+// @access  Private (admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const {
+      user,
+      entityType,
+      entityId,
+      action,
+      from,
+      to,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    if (ID_FILTERS.some(field => req.query[field] && !mongoose.isValidObjectId(req.query[field]))) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const invalidDate = DATE_FILTERS.find(field => req.query[field] && Number.isNaN(new Date(req.query[field]).getTime()));
+    if (invalidDate) {
+      return res.status(400).json({ message: `Invalid ${invalidDate} date` });
+    }
+
+    let query = {};
+
+    if (user) {
+      query.user = user;
+    }
+
+    if (entityType) {
+      query.entityType = entityType;
+    }
+
+    if (entityId) {
+      query.entityId = entityId;
+    }
+
+    if (action) {
+      query.action = action;
+    }
+
+    // Date range (to is inclusive of the whole day)
+    if (from || to) {
+      query.createdAt = {};
+      if (from) {
+        query.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        const end = new Date(to);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('user', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
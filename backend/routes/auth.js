@@ -1,8 +1,11 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const { protect, authorize, signConfirmationToken } = require('../middleware/auth');
+const { SORT_FIELDS, isValidSort } = require('../utils/sorting');
 
 const router = express.Router();
 
@@ -13,6 +16,21 @@ const generateToken = (id) => {
   });
 };
 
+// The very first account can be registered openly so a fresh install can be
+// set up; after that only admins can create users
+const firstUserOrAdmin = async (req, res, next) => {
+  try {
+    const userCount = await User.countDocuments();
+    if (userCount === 0) {
+      return next();
+    }
+    protect(req, res, () => authorize('admin')(req, res, next));
+  } catch (error) {
+    console.error('Register guard error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
@@ -45,6 +63,8 @@ router.post('/login', [
     res.json({
       _id: user._id,
       username: user.username,
+      role: user.role,
+      preferences: user.preferences,
       token: generateToken(user._id)
     });
   } catch (error) {
@@ -61,6 +81,8 @@ router.get('/verify', protect, async (req, res) => {
     res.json({
       _id: req.user._id,
       username: req.user.username,
+      role: req.user.role,
+      preferences: req.user.preferences,
       valid: true
     });
   } catch (error) {
@@ -70,11 +92,12 @@ router.get('/verify', protect, async (req, res) => {
 });
 
 // @route   POST /api/auth/register
-// @desc    Register a new user (admin only for initial setup)
-// @access  Public (should be protected in production)
-router.post('/register', [
+// @desc    Register a new user (open for the first user, then admin only)
+// @access  Private (admin)
+router.post('/register', firstUserOrAdmin, [
   body('username').trim().isLength({ min: 3, max: 50 }).withMessage('Username must be 3-50 characters'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('role').optional().isIn(User.ROLES).withMessage('Role must be admin, manager, staff or salesperson')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -82,7 +105,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { username, password } = req.body;
+    const { username, password, role } = req.body;
 
     // Check if user exists
     const userExists = await User.findOne({ username });
@@ -91,15 +114,17 @@ router.post('/register', [
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Create user
+    // Create user (the first user is always an admin)
     const user = await User.create({
       username,
-      password
+      password,
+      role: req.user ? role : 'admin'
     });
 
     res.status(201).json({
       _id: user._id,
       username: user.username,
+      role: user.role,
       token: generateToken(user._id)
     });
   } catch (error) {
@@ -108,4 +133,146 @@ router.post('/register', [
   }
 });
 
+// A PIN is short, so failed confirmations get a much tighter limit than the API as a whole
+const confirmLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // failed attempts per IP per windowMs
+  skipSuccessfulRequests: true,
+  message: { message: 'Too many wrong PINs, please try again in 15 minutes' }
+});
+
+// @route   POST /api/auth/confirm
+// @desc    Exchange the user's own PIN, or their password until they set one, for a short-lived confirmation token
+// @access  Private
+router.post('/confirm', confirmLimiter, protect, [
+  body('pin').notEmpty().withMessage('PIN is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select('+pinHash');
+    const pin = String(req.body.pin);
+    // The password only stands in until the user has set a PIN
+    const isMatch = user.pinHash ? await bcrypt.compare(pin, user.pinHash) : await user.matchPassword(pin);
+
+    // 400 rather than 401 so a wrong PIN does not log the user out
+    if (!isMatch) {
+      return res.status(400).json({ message: user.pinHash ? 'Incorrect PIN' : 'Incorrect password' });
+    }
+
+    res.json({ confirmationToken: signConfirmationToken(req.user._id) });
+  } catch (error) {
+    console.error('Confirm error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/auth/pin
+// @desc    Set or change the current user's confirmation PIN (requires their password)
+// @access  Private
+router.put('/pin', protect, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('pin').trim().isLength({ min: 4, max: 20 }).withMessage('PIN must be 4-20 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.matchPassword(req.body.password);
+
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+
+    // Written directly: saving the user document would re-run the password hook
+    const salt = await bcrypt.genSalt(10);
+    const pinHash = await bcrypt.hash(req.body.pin, salt);
+    await User.updateOne({ _id: user._id }, { $set: { pinHash } });
+
+    res.json({ message: 'PIN updated' });
+  } catch (error) {
+    console.error('Update PIN error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/auth/preferences
+// @desc    Save the current user's preferences
+// @access  Private
+router.put('/preferences', protect, [
+  body('productSort').optional({ nullable: true }).custom(isValidSort)
+    .withMessage(`Sort must be one of ${SORT_FIELDS.join(', ')}, optionally prefixed with -`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const update = {};
+    if (req.body.productSort !== undefined) {
+      update['preferences.productSort'] = req.body.productSort || '';
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, update, { new: true });
+
+    res.json(user.preferences);
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/users
+// @desc    List users with their roles
+// @access  Private (admin)
+router.get('/users', protect, authorize('admin'), async (req, res) => {
+  try {
+    const users = await User.find().select('-password').sort({ username: 1 });
+    res.json(users);
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/auth/users/:id/role
+// @desc    Change a user's role
+// @access  Private (admin)
+router.put('/users/:id/role', protect, authorize('admin'), [
+  body('role').isIn(User.ROLES).withMessage('Role must be admin, manager, staff or salesperson')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.id === req.user._id.toString() && req.body.role !== 'admin') {
+      return res.status(400).json({ message: 'You cannot remove your own admin role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
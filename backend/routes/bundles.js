@@ -0,0 +1,379 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Bundle = require('../models/Bundle');
+const Product = require('../models/Product');
+const Godown = require('../models/Godown');
+const Location = require('../models/Location');
+const { protect, authorize } = require('../middleware/auth');
+const { applyStockMovement, transferBundle, looseQty } = require('../utils/stock');
+const { removeProductImages, isStoredImageUrl } = require('../utils/images');
+const { recordAudit } = require('../utils/audit');
+const { refreshSearchText } = require('../utils/search');
+const { heldStockError } = require('../utils/reservations');
+
+const router = express.Router();
+
+const ID_FILTERS = ['productId', 'godownId', 'ghodaLocationId'];
+const DIMENSION_FIELDS = ['length', 'width', 'thickness', 'leafCount'];
+const DETAIL_FIELDS = ['bundleNumber', 'flitchNumber', 'grade', ...DIMENSION_FIELDS, 'image', 'thumbnail', 'ghodaLocationId'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const populateBundle = (query) => query
+  .populate('productId', 'name')
+  .populate('godownId', 'name')
+  .populate('ghodaLocationId', 'type code description');
+
+// Photos are uploaded through /api/uploads/images first; bundles only store the returned URLs
+const uploadedImage = (field) => body(field).optional({ values: 'falsy' }).isString().custom(isStoredImageUrl)
+  .withMessage('Upload images through /api/uploads/images and send the URLs it returns');
+
+// Rules for the details that can be edited after a bundle is created
+const detailRules = (optionalNumber) => [
+  (optionalNumber ? body('bundleNumber').optional() : body('bundleNumber'))
+    .trim().notEmpty().withMessage('Bundle number is required')
+    .isLength({ max: 50 }).withMessage('Bundle number cannot exceed 50 characters'),
+  body('flitchNumber').optional().trim()
+    .isLength({ max: 50 }).withMessage('Flitch number cannot exceed 50 characters'),
+  body('grade').optional().trim()
+    .isLength({ max: 20 }).withMessage('Grade cannot exceed 20 characters'),
+  ...['length', 'width', 'thickness'].map(field => body(field).optional({ values: 'falsy' })
+    .isFloat({ min: 0 }).withMessage(`${field[0].toUpperCase()}${field.slice(1)} must be a number that is not negative`)),
+  body('leafCount').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Leaf count must be a whole number of at least 1'),
+  uploadedImage('image'),
+  uploadedImage('thumbnail'),
+  body('ghodaLocationId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid location ID')
+];
+
+// Editable fields from a request body, leaving out the ones it doesn't send.
+// Empty sizes and locations clear them.
+const detailsFromBody = (data) => {
+  const details = {};
+  for (const field of DETAIL_FIELDS) {
+    if (data[field] === undefined) continue;
+    if (DIMENSION_FIELDS.includes(field)) {
+      details[field] = data[field] === null || data[field] === '' ? null : Number(data[field]);
+    } else if (field === 'ghodaLocationId') {
+      details[field] = data[field] || null;
+    } else {
+      details[field] = data[field] || '';
+    }
+  }
+  return details;
+};
+
+// Check that a named ghoda location exists. Returns an error message, or null when it does.
+const checkGhodaLocation = async (locationId) => {
+  if (!locationId) return null;
+  const location = await Location.findById(locationId);
+  return location && location.type === 'ghoda' ? null : 'Ghoda location not found';
+};
+
+// Case-insensitive bundle number clash within a product
+const findNumberClash = (productId, bundleNumber, excludeId) => Bundle.findOne({
+  productId,
+  bundleNumber: { $regex: `^${escapeRegex(bundleNumber.trim())}$`, $options: 'i' },
+  ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// @route   GET /api/bundles
+// @desc    Get bundles of a product, in a godown or at a ghoda location; empty bundles only with includeEmpty=true
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { productId, godownId, ghodaLocationId, search, includeEmpty, page = 1, limit = 50 } = req.query;
+
+    if (ID_FILTERS.some(field => req.query[field] && !mongoose.isValidObjectId(req.query[field]))) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    // Bundles of products in the recycle bin are left out. The recycle bin is small next to
+    // the catalogue, so its product IDs are the ones listed.
+    const deletedProductIds = await Product.distinct('_id', { deletedAt: { $ne: null } })
+      .setOptions({ withDeleted: true });
+    const query = {
+      productId: productId ? { $eq: productId, $nin: deletedProductIds } : { $nin: deletedProductIds }
+    };
+
+    if (godownId) {
+      query.godownId = godownId;
+    }
+
+    if (ghodaLocationId) {
+      query.ghodaLocationId = ghodaLocationId;
+    }
+
+    // Bundles that have been sold or moved out are kept for their history
+    if (includeEmpty !== 'true') {
+      query.qty = { $gt: 0 };
+    }
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [{ bundleNumber: pattern }, { flitchNumber: pattern }];
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [bundles, total] = await Promise.all([
+      populateBundle(Bundle.find(query))
+        // Numbers sort in sequence, so B-2 comes before B-10
+        .collation({ locale: 'en', numericOrdering: true })
+        .sort({ flitchNumber: 1, bundleNumber: 1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      Bundle.countDocuments(query)
+    ]);
+
+    res.json({
+      bundles,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get bundles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/bundles/:id
+// @desc    Get single bundle
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const bundle = await populateBundle(Bundle.findById(req.params.id));
+
+    if (!bundle) {
+      return res.status(404).json({ message: 'Bundle not found' });
+    }
+
+    res.json(bundle);
+  } catch (error) {
+    console.error('Get bundle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/bundles
+// @desc    Add a bundle to a product. Its qty arrives as new stock, or with fromLooseStock
+//          is taken from the product's loose stock already in the godown.
+// @access  Private (admin, manager)
+router.post('/', protect, authorize('admin', 'manager'), [
+  body('productId').isMongoId().withMessage('Product is required'),
+  body('godownId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid godown ID'),
+  body('qty').isFloat({ min: 0 }).withMessage('Quantity must be a number that is not negative'),
+  body('fromLooseStock').optional().isBoolean().withMessage('fromLooseStock must be true or false'),
+  ...detailRules(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, godownId, fromLooseStock } = req.body;
+    const qty = Number(req.body.qty);
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(400).json({ message: 'Product not found' });
+    }
+
+    const godown = godownId ? await Godown.findById(godownId) : await Godown.getDefault();
+    if (!godown) {
+      return res.status(400).json({ message: 'Godown not found' });
+    }
+
+    const locationError = await checkGhodaLocation(req.body.ghodaLocationId);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+
+    if (await findNumberClash(product._id, req.body.bundleNumber)) {
+      return res.status(400).json({ message: 'Bundle number already exists for this product' });
+    }
+
+    const fromLoose = fromLooseStock === true || fromLooseStock === 'true';
+    if (fromLoose) {
+      const loose = await looseQty(product, godown._id);
+      if (loose < qty) {
+        return res.status(400).json({ message: `Only ${loose} loose in ${godown.name} to put into bundles` });
+      }
+    }
+
+    const bundle = await Bundle.create({
+      ...detailsFromBody(req.body),
+      productId: product._id,
+      godownId: godown._id,
+      qty: fromLoose ? qty : 0
+    });
+
+    // New stock comes in through the ledger like any other inward
+    if (!fromLoose && qty > 0) {
+      const result = await applyStockMovement({
+        productId: product._id,
+        godownId: godown._id,
+        bundleId: bundle._id,
+        type: 'inward',
+        quantity: qty,
+        reason: 'Bundle received',
+        note: `Bundle ${bundle.bundleNumber}`,
+        user: req.user._id
+      });
+
+      if (!result) {
+        await Bundle.deleteOne({ _id: bundle._id });
+        return res.status(400).json({ message: 'Product not found' });
+      }
+    }
+
+    const created = await populateBundle(Bundle.findById(bundle._id));
+    await refreshSearchText({ _id: product._id });
+
+    await recordAudit({
+      user: req.user._id,
+      action: 'create',
+      entityType: 'Bundle',
+      after: created,
+      note: `${product.name}${fromLoose ? ', from loose stock' : ''}`
+    });
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Create bundle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/bundles/:id
+// @desc    Update a bundle's number, flitch, size, grade, photo or ghoda location.
+//          Its qty changes through stock movements and its godown through /move.
+// @access  Private (admin, manager)
+router.put('/:id', protect, authorize('admin', 'manager'), detailRules(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const previous = await Bundle.findById(req.params.id);
+
+    if (!previous) {
+      return res.status(404).json({ message: 'Bundle not found' });
+    }
+
+    const locationError = await checkGhodaLocation(req.body.ghodaLocationId);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+
+    if (req.body.bundleNumber && await findNumberClash(previous.productId, req.body.bundleNumber, previous._id)) {
+      return res.status(400).json({ message: 'Bundle number already exists for this product' });
+    }
+
+    const bundle = await populateBundle(Bundle.findByIdAndUpdate(
+      req.params.id,
+      detailsFromBody(req.body),
+      { new: true, runValidators: true }
+    ));
+
+    // A replaced photo's files are no longer referenced
+    if (previous.image && previous.image !== bundle.image) {
+      await removeProductImages(previous.image, previous.thumbnail);
+    }
+
+    // Products are found by their bundle and flitch numbers
+    if (previous.bundleNumber !== bundle.bundleNumber || previous.flitchNumber !== bundle.flitchNumber) {
+      await refreshSearchText({ _id: previous.productId });
+    }
+
+    await recordAudit({ user: req.user._id, action: 'update', entityType: 'Bundle', before: previous, after: bundle });
+
+    res.json(bundle);
+  } catch (error) {
+    console.error('Update bundle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/bundles/:id/move
+// @desc    Move a whole bundle to another godown and/or ghoda location
+// @access  Private (admin, manager, staff)
+router.post('/:id/move', protect, authorize('admin', 'manager', 'staff'), [
+  body('godownId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid godown ID'),
+  body('ghodaLocationId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid location ID'),
+  body('note').optional().trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const { godownId, ghodaLocationId, note } = req.body;
+
+    const bundle = await Bundle.findById(req.params.id);
+
+    if (!bundle) {
+      return res.status(404).json({ message: 'Bundle not found' });
+    }
+
+    const locationError = await checkGhodaLocation(ghodaLocationId);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+
+    if (godownId && String(godownId) !== String(bundle.godownId)) {
+      const godown = await Godown.findById(godownId);
+      if (!godown) {
+        return res.status(400).json({ message: 'Godown not found' });
+      }
+
+      // Moving the bundle takes its stock out of its godown, which can't take held stock
+      const [product, from] = await Promise.all([Product.findById(bundle.productId), Godown.findById(bundle.godownId)]);
+      const heldError = product && from ? await heldStockError(product, from, bundle.qty) : null;
+      if (heldError) {
+        return res.status(400).json({ message: heldError });
+      }
+
+      const result = await transferBundle(bundle, godown._id, { user: req.user._id, note: note || '' });
+
+      if (!result) {
+        return res.status(409).json({ message: 'Bundle changed while it was being moved, try again' });
+      }
+    }
+
+    if (ghodaLocationId !== undefined) {
+      await Bundle.updateOne({ _id: bundle._id }, { ghodaLocationId: ghodaLocationId || null });
+    }
+
+    const moved = await populateBundle(Bundle.findById(bundle._id));
+
+    await recordAudit({ user: req.user._id, action: 'update', entityType: 'Bundle', before: bundle, after: moved, note: 'Moved' });
+
+    res.json(moved);
+  } catch (error) {
+    console.error('Move bundle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -3,10 +3,18 @@ const { body, validationResult } = require('express-validator');
 const Category = require('../models/Category');
 const SubCategory = require('../models/SubCategory');
 const Product = require('../models/Product');
-const { protect } = require('../middleware/auth');
+const { protect, authorize, requireConfirmation } = require('../middleware/auth');
+const { recordAudit, recordAuditMany } = require('../utils/audit');
+const { refreshSearchText } = require('../utils/search');
 
 const router = express.Router();
 
+// How products in the category are valued
+const rakamRules = [
+  body('rakamBasis').optional().isIn(Category.RAKAM_BASES).withMessage('Rakam basis must be billing or area'),
+  body('areaUnit').optional().isIn(Category.AREA_UNITS).withMessage('Area unit must be sqft or sqm')
+];
+
 // @route   GET /api/categories
 // @desc    Get all categories
 // @access  Private
@@ -51,10 +59,11 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   POST /api/categories
 // @desc    Create category
-// @access  Private
-router.post('/', protect, [
+// @access  Private (admin, manager)
+router.post('/', protect, authorize('admin', 'manager'), [
   body('name').trim().notEmpty().withMessage('Category name is required')
-    .isLength({ max: 100 }).withMessage('Category name cannot exceed 100 characters')
+    .isLength({ max: 100 }).withMessage('Category name cannot exceed 100 characters'),
+  ...rakamRules
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -62,18 +71,25 @@ router.post('/', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name } = req.body;
+    const { name, rakamBasis, areaUnit } = req.body;
 
-    // Check if category exists
+    // Check if category exists (including the recycle bin, names stay unique)
     const existingCategory = await Category.findOne({ 
       name: { $regex: new RegExp(`^${name}$`, 'i') }
-    });
+    }).setOptions({ withDeleted: true });
 
     if (existingCategory) {
-      return res.status(400).json({ message: 'Category already exists' });
+      return res.status(400).json({
+        message: existingCategory.deletedAt
+          ? 'A category with this name is in the Recycle Bin'
+          : 'Category already exists'
+      });
     }
 
-    const category = await Category.create({ name });
+    const category = await Category.create({ name, rakamBasis, areaUnit });
+
+    await recordAudit({ user: req.user._id, action: 'create', entityType: 'Category', after: category });
+
     res.status(201).json(category);
   } catch (error) {
     console.error('Create category error:', error);
@@ -83,10 +99,11 @@ router.post('/', protect, [
 
 // @route   PUT /api/categories/:id
 // @desc    Update category
-// @access  Private
-router.put('/:id', protect, [
+// @access  Private (admin, manager)
+router.put('/:id', protect, authorize('admin', 'manager'), [
   body('name').trim().notEmpty().withMessage('Category name is required')
-    .isLength({ max: 100 }).withMessage('Category name cannot exceed 100 characters')
+    .isLength({ max: 100 }).withMessage('Category name cannot exceed 100 characters'),
+  ...rakamRules
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -94,21 +111,31 @@ router.put('/:id', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name } = req.body;
+    const { name, rakamBasis, areaUnit } = req.body;
 
     // Check if another category has this name
     const existingCategory = await Category.findOne({ 
       name: { $regex: new RegExp(`^${name}$`, 'i') },
       _id: { $ne: req.params.id }
-    });
+    }).setOptions({ withDeleted: true });
 
     if (existingCategory) {
-      return res.status(400).json({ message: 'Category name already exists' });
+      return res.status(400).json({
+        message: existingCategory.deletedAt
+          ? 'A category with this name is in the Recycle Bin'
+          : 'Category name already exists'
+      });
     }
 
+    const previous = await Category.findById(req.params.id);
+
+    const update = { name };
+    if (rakamBasis !== undefined) update.rakamBasis = rakamBasis;
+    if (areaUnit !== undefined) update.areaUnit = areaUnit;
+
     const category = await Category.findByIdAndUpdate(
       req.params.id,
-      { name },
+      update,
       { new: true, runValidators: true }
     );
 
@@ -116,6 +143,14 @@ router.put('/:id', protect, [
       return res.status(404).json({ message: 'Category not found' });
     }
 
+    await recordAudit({ user: req.user._id, action: 'update', entityType: 'Category', before: previous, after: category });
+
+    // Products are found by their category's name
+    if (previous.name !== category.name) {
+      const subCategoryIds = await SubCategory.distinct('_id', { categoryId: category._id });
+      await refreshSearchText({ subCategoryId: { $in: subCategoryIds } });
+    }
+
     res.json(category);
   } catch (error) {
     console.error('Update category error:', error);
@@ -124,9 +159,9 @@ router.put('/:id', protect, [
 });
 
 // @route   DELETE /api/categories/:id
-// @desc    Delete category and all related subcategories and products
-// @access  Private
-router.delete('/:id', protect, async (req, res) => {
+// @desc    Move category and all related subcategories and products to the recycle bin
+// @access  Private (admin, requires X-Confirmation-Token)
+router.delete('/:id', protect, authorize('admin'), requireConfirmation, async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
 
@@ -138,16 +173,25 @@ router.delete('/:id', protect, async (req, res) => {
     const subCategories = await SubCategory.find({ categoryId: req.params.id });
     const subCategoryIds = subCategories.map(sc => sc._id);
 
-    // Delete all products in these subcategories
-    await Product.deleteMany({ subCategoryId: { $in: subCategoryIds } });
+    const products = await Product.find({ subCategoryId: { $in: subCategoryIds } });
+
+    // Soft delete the whole subtree with one shared timestamp so a restore
+    // brings back exactly what this delete removed
+    const deletedAt = new Date();
 
-    // Delete all subcategories
-    await SubCategory.deleteMany({ categoryId: req.params.id });
+    await Product.updateMany({ subCategoryId: { $in: subCategoryIds } }, { deletedAt });
+    await SubCategory.updateMany({ categoryId: req.params.id }, { deletedAt });
+    await Category.updateOne({ _id: req.params.id }, { deletedAt });
 
-    // Delete category
-    await Category.findByIdAndDelete(req.params.id);
+    // Log every record removed by the cascade
+    const note = `Deleted with category "${category.name}"`;
+    await recordAuditMany([
+      ...products.map(product => ({ user: req.user._id, action: 'delete', entityType: 'Product', before: product, note })),
+      ...subCategories.map(sc => ({ user: req.user._id, action: 'delete', entityType: 'SubCategory', before: sc, note })),
+      { user: req.user._id, action: 'delete', entityType: 'Category', before: category }
+    ]);
 
-    res.json({ message: 'Category and all related data deleted' });
+    res.json({ message: 'Category and all related data moved to the Recycle Bin' });
   } catch (error) {
     console.error('Delete category error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -0,0 +1,366 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const SalesChallan = require('../models/SalesChallan');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const Bundle = require('../models/Bundle');
+const Godown = require('../models/Godown');
+const Setting = require('../models/Setting');
+const { protect, authorize, requireConfirmation } = require('../middleware/auth');
+const { applyStockMovements, godownQty, looseQty } = require('../utils/stock');
+const { heldQuantities, fulfilHolds } = require('../utils/reservations');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const MAX_CHALLAN_ITEMS = 200;
+const ID_FILTERS = ['customerId', 'godownId', 'productId'];
+const DATE_FILTERS = ['from', 'to'];
+const PAGING_FILTERS = ['page', 'limit'];
+
+// An ISO date (YYYY-MM-DD), optionally with a time
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}(T|$)/.test(value) && !Number.isNaN(new Date(value).getTime());
+
+const populateChallan = (query) => query
+  .populate('customerId', 'name phone address gstin')
+  .populate('godownId', 'name address')
+  .populate('createdBy', 'username')
+  .populate('cancelledBy', 'username');
+
+// @route   GET /api/challans
+// @desc    Get sales challans with filters and pagination
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { customerId, godownId, productId, status, number, from, to, page = 1, limit = 20 } = req.query;
+
+    if (ID_FILTERS.some(field => req.query[field] && !mongoose.isValidObjectId(req.query[field]))) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    if (number && !Number.isInteger(Number(number))) {
+      return res.status(400).json({ message: 'Invalid number filter' });
+    }
+
+    const invalidDate = DATE_FILTERS.find(field => req.query[field] && !isIsoDate(req.query[field]));
+    if (invalidDate) {
+      return res.status(400).json({ message: `Invalid ${invalidDate} date` });
+    }
+
+    const invalidPaging = PAGING_FILTERS.find(field => req.query[field] !== undefined
+      && !(Number.isInteger(Number(req.query[field])) && Number(req.query[field]) >= 1));
+    if (invalidPaging) {
+      return res.status(400).json({ message: `${invalidPaging[0].toUpperCase()}${invalidPaging.slice(1)} must be a whole number of at least 1` });
+    }
+
+    const query = {};
+
+    if (customerId) {
+      query.customerId = customerId;
+    }
+
+    if (godownId) {
+      query.godownId = godownId;
+    }
+
+    // Challans that include this product
+    if (productId) {
+      query['items.productId'] = productId;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (number) {
+      query.number = Number(number);
+    }
+
+    // Date range (to is inclusive of the whole day)
+    if (from || to) {
+      query.date = {};
+      if (from) {
+        query.date.$gte = new Date(from);
+      }
+      if (to) {
+        const end = new Date(to);
+        end.setUTCHours(23, 59, 59, 999);
+        query.date.$lte = end;
+      }
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [challans, total] = await Promise.all([
+      populateChallan(SalesChallan.find(query))
+        .sort({ date: -1, number: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      SalesChallan.countDocuments(query)
+    ]);
+
+    res.json({
+      challans,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get challans error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/challans/:id
+// @desc    Get single challan
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const challan = await populateChallan(SalesChallan.findById(req.params.id));
+
+    if (!challan) {
+      return res.status(404).json({ message: 'Challan not found' });
+    }
+
+    res.json(challan);
+  } catch (error) {
+    console.error('Get challan error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/challans
+// @desc    Create a challan and take its items out of stock
+// @access  Private (admin, manager, staff)
+router.post('/', protect, authorize('admin', 'manager', 'staff'), [
+  body('customerId').isMongoId().withMessage('Customer is required'),
+  body('godownId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid godown ID'),
+  body('date').optional({ values: 'falsy' }).isISO8601().withMessage('Date must be a valid date'),
+  body('items').isArray({ min: 1, max: MAX_CHALLAN_ITEMS })
+    .withMessage(`A challan needs between 1 and ${MAX_CHALLAN_ITEMS} items`),
+  body('items.*.productId').isMongoId().withMessage('Invalid product ID'),
+  body('items.*.bundleId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid bundle ID'),
+  body('items.*.qty').isFloat({ gt: 0 }).withMessage('Quantity must be more than zero'),
+  body('note').optional().trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { customerId, godownId, date, items, note } = req.body;
+
+    // A product can be listed once loose and once per bundle
+    const lineKeys = items.map(item => `${item.productId}:${item.bundleId || ''}`);
+    if (new Set(lineKeys).size !== lineKeys.length) {
+      return res.status(400).json({ message: 'Each product or bundle can only be listed once' });
+    }
+    const productIds = [...new Set(items.map(item => String(item.productId)))];
+
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      return res.status(400).json({ message: 'Customer not found' });
+    }
+
+    // Goods leave from the chosen godown, or the default one
+    const godown = godownId ? await Godown.findById(godownId) : await Godown.getDefault();
+    if (!godown) {
+      return res.status(400).json({ message: 'Godown not found' });
+    }
+
+    const products = await Product.find({ _id: { $in: productIds } }).select('name stock');
+    const productsById = new Map(products.map(product => [String(product._id), product]));
+    const missing = items.find(item => !productsById.has(String(item.productId)));
+    if (missing) {
+      return res.status(400).json({ message: 'Product not found' });
+    }
+
+    // Bundles must belong to their line's product and be in the challan's godown
+    const bundleIds = items.filter(item => item.bundleId).map(item => item.bundleId);
+    const bundles = await Bundle.find({ _id: { $in: bundleIds } }).select('productId godownId bundleNumber');
+    const bundlesById = new Map(bundles.map(bundle => [String(bundle._id), bundle]));
+    for (const item of items.filter(line => line.bundleId)) {
+      const bundle = bundlesById.get(String(item.bundleId));
+      if (!bundle || String(bundle.productId) !== String(item.productId)) {
+        return res.status(400).json({ message: 'Bundle not found' });
+      }
+      if (String(bundle.godownId) !== String(godown._id)) {
+        return res.status(400).json({ message: `Bundle ${bundle.bundleNumber} is not in ${godown.name}` });
+      }
+    }
+
+    // Lines without a bundle can only take stock that isn't in one
+    for (const item of items.filter(line => !line.bundleId)) {
+      const product = productsById.get(String(item.productId));
+      const loose = await looseQty(product, godown._id);
+      if (loose < Number(item.qty) && loose < godownQty(product, godown._id)) {
+        return res.status(400).json({
+          message: `Only ${Math.max(loose, 0)} of ${product.name} is loose in ${godown.name}; pick its bundles for the rest`
+        });
+      }
+    }
+
+    // Stock held for other customers can't go on this customer's challan
+    const heldForOthers = await heldQuantities(productIds, godown._id, customer._id);
+    for (const product of products) {
+      const held = heldForOthers.get(String(product._id)) || 0;
+      const wanted = items
+        .filter(item => String(item.productId) === String(product._id))
+        .reduce((sum, item) => sum + Number(item.qty), 0);
+      const free = Math.max(godownQty(product, godown._id) - held, 0);
+      if (held > 0 && wanted > free) {
+        return res.status(400).json({
+          message: `Only ${free} of ${product.name} is free in ${godown.name}; ${held} is held for other customers`
+        });
+      }
+    }
+
+    // The ID is chosen up front so the ledger entries can point at the challan
+    const challanId = new mongoose.Types.ObjectId();
+
+    const { failedIndex } = await applyStockMovements(items.map(item => ({
+      productId: item.productId,
+      godownId: godown._id,
+      ...(item.bundleId && { bundleId: item.bundleId }),
+      type: 'outward',
+      quantity: Number(item.qty),
+      reason: 'Sales challan',
+      note: customer.name,
+      user: req.user._id,
+      challanId
+    })));
+
+    if (failedIndex !== undefined) {
+      const failed = items[failedIndex];
+      const product = productsById.get(String(failed.productId));
+
+      if (failed.bundleId) {
+        const bundle = await Bundle.findById(failed.bundleId);
+        return res.status(400).json({
+          message: `Insufficient stock in bundle ${bundle.bundleNumber} of ${product.name}, only ${bundle.qty} left`
+        });
+      }
+
+      const current = await Product.findById(product._id);
+      const available = current ? godownQty(current, godown._id) : 0;
+      return res.status(400).json({
+        message: `Insufficient stock of ${product.name} in ${godown.name}, only ${available} available`
+      });
+    }
+
+    // Numbered only once the stock has gone out, so refused challans leave no gaps
+    const challan = await SalesChallan.create({
+      _id: challanId,
+      number: await Setting.nextSequence('challanNumber'),
+      date: date ? new Date(date) : new Date(),
+      customerId: customer._id,
+      godownId: godown._id,
+      items: items.map(item => ({
+        productId: item.productId,
+        name: productsById.get(String(item.productId)).name,
+        bundleId: item.bundleId || null,
+        bundleNumber: item.bundleId ? bundlesById.get(String(item.bundleId)).bundleNumber : '',
+        qty: Number(item.qty)
+      })),
+      note: note || '',
+      createdBy: req.user._id
+    });
+
+    await recordAudit({ user: req.user._id, action: 'create', entityType: 'SalesChallan', after: challan });
+
+    // Goods the customer was holding have now been sent to them
+    const shipped = new Map();
+    items.forEach((item) => {
+      const key = String(item.productId);
+      shipped.set(key, (shipped.get(key) || 0) + Number(item.qty));
+    });
+    await fulfilHolds({ customerId: customer._id, godownId: godown._id, shipped, user: req.user._id });
+
+    res.status(201).json(await populateChallan(SalesChallan.findById(challan._id)));
+  } catch (error) {
+    console.error('Create challan error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/challans/:id/cancel
+// @desc    Cancel a challan and put its items back into stock
+// @access  Private (admin, manager, requires PIN confirmation)
+router.post('/:id/cancel', protect, authorize('admin', 'manager'), requireConfirmation, [
+  body('reason').optional().trim()
+    .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    // Claim the challan first so two cancellations can't both restore the stock
+    const challan = await SalesChallan.findOneAndUpdate(
+      { _id: req.params.id, status: 'active' },
+      {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: req.user._id,
+        cancelReason: req.body.reason || ''
+      }
+    );
+
+    if (!challan) {
+      const exists = await SalesChallan.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({ message: exists ? 'Challan is already cancelled' : 'Challan not found' });
+    }
+
+    const { failedIndex } = await applyStockMovements(challan.items.map(item => ({
+      productId: item.productId,
+      godownId: challan.godownId,
+      ...(item.bundleId && { bundleId: item.bundleId }),
+      type: 'inward',
+      quantity: item.qty,
+      reason: 'Challan cancelled',
+      note: `Challan #${challan.number}`,
+      user: req.user._id,
+      challanId: challan._id
+    })));
+
+    // Stock can only go back to products that still exist, and to bundles still in the godown
+    if (failedIndex !== undefined) {
+      await SalesChallan.updateOne(
+        { _id: challan._id },
+        { status: 'active', cancelledAt: null, cancelledBy: null, cancelReason: '' }
+      );
+      const failed = challan.items[failedIndex];
+      return res.status(400).json({
+        message: failed.bundleId
+          ? `${failed.name} is in the Recycle Bin, or bundle ${failed.bundleNumber} has moved out of the challan's godown; restore or move it back before cancelling`
+          : `${failed.name} is in the Recycle Bin or no longer exists; restore it before cancelling`
+      });
+    }
+
+    const cancelled = await populateChallan(SalesChallan.findById(challan._id));
+
+    await recordAudit({ user: req.user._id, action: 'update', entityType: 'SalesChallan', before: challan, after: cancelled });
+
+    res.json(cancelled);
+  } catch (error) {
+    console.error('Cancel challan error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
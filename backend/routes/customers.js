@@ -0,0 +1,185 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Customer = require('../models/Customer');
+const SalesChallan = require('../models/SalesChallan');
+const Reservation = require('../models/Reservation');
+const { protect, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const customerRules = [
+  body('name').trim().notEmpty().withMessage('Customer name is required')
+    .isLength({ max: 200 }).withMessage('Customer name cannot exceed 200 characters'),
+  body('phone').optional().trim()
+    .isLength({ max: 20 }).withMessage('Phone cannot exceed 20 characters'),
+  body('address').optional().trim()
+    .isLength({ max: 500 }).withMessage('Address cannot exceed 500 characters'),
+  body('gstin').optional().trim()
+    .isLength({ max: 15 }).withMessage('GSTIN cannot exceed 15 characters')
+];
+
+// @route   GET /api/customers
+// @desc    Get customers, optionally searched by name or phone
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { search, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [{ name: pattern }, { phone: pattern }];
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [customers, total] = await Promise.all([
+      Customer.find(query)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      Customer.countDocuments(query)
+    ]);
+
+    res.json({
+      customers,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/customers/:id
+// @desc    Get single customer
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    res.json(customer);
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/customers
+// @desc    Create customer
+// @access  Private (admin, manager, staff)
+router.post('/', protect, authorize('admin', 'manager', 'staff'), customerRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, phone, address, gstin } = req.body;
+
+    const customer = await Customer.create({
+      name,
+      phone: phone || '',
+      address: address || '',
+      gstin: gstin || ''
+    });
+
+    await recordAudit({ user: req.user._id, action: 'create', entityType: 'Customer', after: customer });
+
+    res.status(201).json(customer);
+  } catch (error) {
+    console.error('Create customer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/customers/:id
+// @desc    Update customer
+// @access  Private (admin, manager, staff)
+router.put('/:id', protect, authorize('admin', 'manager', 'staff'), customerRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const { name, phone, address, gstin } = req.body;
+
+    const updatedCustomer = await Customer.findByIdAndUpdate(
+      req.params.id,
+      {
+        name,
+        ...(phone !== undefined && { phone }),
+        ...(address !== undefined && { address }),
+        ...(gstin !== undefined && { gstin })
+      },
+      { new: true, runValidators: true }
+    );
+
+    await recordAudit({ user: req.user._id, action: 'update', entityType: 'Customer', before: customer, after: updatedCustomer });
+
+    res.json(updatedCustomer);
+  } catch (error) {
+    console.error('Update customer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/customers/:id
+// @desc    Delete a customer with no challans
+// @access  Private (admin, manager)
+router.delete('/:id', protect, authorize('admin', 'manager'), async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    // Challans keep pointing at their customer, cancelled ones included
+    const challans = await SalesChallan.countDocuments({ customerId: customer._id });
+    if (challans > 0) {
+      return res.status(400).json({ message: `${customer.name} has ${challans} challan${challans === 1 ? '' : 's'} and cannot be deleted` });
+    }
+
+    // So do holds, released and expired ones included
+    const holds = await Reservation.countDocuments({ customerId: customer._id });
+    if (holds > 0) {
+      return res.status(400).json({ message: `${customer.name} has ${holds} hold${holds === 1 ? '' : 's'} and cannot be deleted` });
+    }
+
+    await Customer.deleteOne({ _id: customer._id });
+
+    await recordAudit({ user: req.user._id, action: 'delete', entityType: 'Customer', before: customer });
+
+    res.json({ message: 'Customer deleted' });
+  } catch (error) {
+    console.error('Delete customer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Godown = require('../models/Godown');
+const Product = require('../models/Product');
+const { protect, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const godownRules = [
+  body('name').trim().notEmpty().withMessage('Godown name is required')
+    .isLength({ max: 100 }).withMessage('Godown name cannot exceed 100 characters'),
+  body('address').optional().trim()
+    .isLength({ max: 300 }).withMessage('Address cannot exceed 300 characters')
+];
+
+// Case-insensitive name clash with another godown
+const findNameClash = (name, excludeId) => Godown.findOne({
+  name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' },
+  ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// @route   GET /api/godowns
+// @desc    Get all godowns with the stock held in each
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    // Make sure there is always somewhere for stock to live
+    await Godown.getDefault();
+
+    const [godowns, totals] = await Promise.all([
+      Godown.find().sort({ createdAt: 1, _id: 1 }),
+      Product.aggregate([
+        { $unwind: '$stock' },
+        {
+          $group: {
+            _id: '$stock.godownId',
+            totalQty: { $sum: '$stock.qty' },
+            productCount: { $sum: { $cond: [{ $gt: ['$stock.qty', 0] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const totalsById = new Map(totals.map(total => [String(total._id), total]));
+
+    res.json(godowns.map((godown, index) => ({
+      ...godown.toJSON(),
+      isDefault: index === 0,
+      totalQty: totalsById.get(String(godown._id))?.totalQty || 0,
+      productCount: totalsById.get(String(godown._id))?.productCount || 0
+    })));
+  } catch (error) {
+    console.error('Get godowns error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/godowns
+// @desc    Create godown
+// @access  Private (admin, manager)
+router.post('/', protect, authorize('admin', 'manager'), godownRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, address } = req.body;
+
+    if (await findNameClash(name)) {
+      return res.status(400).json({ message: 'Godown already exists' });
+    }
+
+    const godown = await Godown.create({ name, address: address || '' });
+
+    await recordAudit({ user: req.user._id, action: 'create', entityType: 'Godown', after: godown });
+
+    res.status(201).json(godown);
+  } catch (error) {
+    console.error('Create godown error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/godowns/:id
+// @desc    Rename a godown or change its address
+// @access  Private (admin, manager)
+router.put('/:id', protect, authorize('admin', 'manager'), godownRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, address } = req.body;
+
+    if (await findNameClash(name, req.params.id)) {
+      return res.status(400).json({ message: 'Godown name already exists' });
+    }
+
+    const previous = await Godown.findById(req.params.id);
+
+    if (!previous) {
+      return res.status(404).json({ message: 'Godown not found' });
+    }
+
+    const update = { name };
+    if (address !== undefined) update.address = address;
+
+    const godown = await Godown.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+
+    await recordAudit({ user: req.user._id, action: 'update', entityType: 'Godown', before: previous, after: godown });
+
+    res.json(godown);
+  } catch (error) {
+    console.error('Update godown error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/godowns/:id
+// @desc    Delete an empty godown
+// @access  Private (admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const godown = await Godown.findById(req.params.id);
+
+    if (!godown) {
+      return res.status(404).json({ message: 'Godown not found' });
+    }
+
+    // Stock has to be moved out first so product totals stay correct
+    const stocked = await Product.countDocuments({ stock: { $elemMatch: { godownId: godown._id, qty: { $gt: 0 } } } })
+      .setOptions({ withDeleted: true });
+    if (stocked > 0) {
+      return res.status(400).json({ message: `Godown still holds stock of ${stocked} product${stocked === 1 ? '' : 's'}` });
+    }
+
+    if (await Godown.countDocuments() <= 1) {
+      return res.status(400).json({ message: 'Cannot delete the only godown' });
+    }
+
+    await Product.updateMany({ 'stock.godownId': godown._id }, { $pull: { stock: { godownId: godown._id } } })
+      .setOptions({ withDeleted: true });
+    await Godown.deleteOne({ _id: godown._id });
+
+    await recordAudit({ user: req.user._id, action: 'delete', entityType: 'Godown', before: godown });
+
+    res.json({ message: 'Godown deleted' });
+  } catch (error) {
+    console.error('Delete godown error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
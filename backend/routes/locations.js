@@ -0,0 +1,247 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Location = require('../models/Location');
+const Product = require('../models/Product');
+const Bundle = require('../models/Bundle');
+const { protect, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { refreshSearchText } = require('../utils/search');
+
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const locationRules = [
+  body('code').trim().notEmpty().withMessage('Location code is required')
+    .isLength({ max: 50 }).withMessage('Location code cannot exceed 50 characters'),
+  body('description').optional().trim()
+    .isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+  body('capacity').optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Capacity must be a whole number')
+];
+
+// Missing or empty capacity means no limit
+const parseCapacity = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// Number of products at each of the given locations
+const countProducts = async (locationIds) => {
+  const counts = await Product.aggregate([
+    { $match: { $or: Location.TYPES.map(type => ({ [Location.productField(type)]: { $in: locationIds } })) } },
+    { $project: { locationIds: Location.TYPES.map(type => `$${Location.productField(type)}`) } },
+    { $unwind: '$locationIds' },
+    { $group: { _id: '$locationIds', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(item => [String(item._id), item.count]));
+};
+
+const withProductCounts = async (locations) => {
+  const counts = await countProducts(locations.map(location => location._id));
+  return locations.map(location => ({
+    ...location.toJSON(),
+    productCount: counts.get(String(location._id)) || 0
+  }));
+};
+
+// @route   GET /api/locations
+// @desc    Get locations with the number of products at each
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { type, search, code, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    if (type) {
+      if (!Location.TYPES.includes(type)) {
+        return res.status(400).json({ message: 'Location type must be sample or ghoda' });
+      }
+      query.type = type;
+    }
+
+    // Exact lookup for scanned or typed codes, written any way ("g-1", "Ghoda 1")
+    if (code) {
+      const types = type ? [type] : Location.TYPES;
+      query.$or = types.map(t => ({ type: t, code: Location.normalizeCode(t, code) }));
+    }
+
+    if (search) {
+      query.$and = [{
+        $or: [
+          { code: { $regex: escapeRegex(search.replace(/[\s\-_./]+/g, '')), $options: 'i' } },
+          { description: { $regex: escapeRegex(search), $options: 'i' } }
+        ]
+      }];
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [locations, total] = await Promise.all([
+      Location.find(query)
+        .sort({ type: 1, code: 1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      Location.countDocuments(query)
+    ]);
+
+    res.json({
+      locations: await withProductCounts(locations),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get locations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/locations/:id
+// @desc    Get single location
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const [result] = await withProductCounts([location]);
+    res.json(result);
+  } catch (error) {
+    console.error('Get location error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/locations
+// @desc    Create location
+// @access  Private (admin, manager)
+router.post('/', protect, authorize('admin', 'manager'), [
+  body('type').isIn(Location.TYPES).withMessage('Location type must be sample or ghoda'),
+  ...locationRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, code, description, capacity } = req.body;
+
+    const normalized = Location.normalizeCode(type, code);
+    if (await Location.findOne({ type, code: normalized })) {
+      return res.status(400).json({ message: `Location ${normalized} already exists` });
+    }
+
+    const location = await Location.create({
+      type,
+      code,
+      description: description || '',
+      capacity: parseCapacity(capacity)
+    });
+
+    await recordAudit({ user: req.user._id, action: 'create', entityType: 'Location', after: location });
+
+    res.status(201).json({ ...location.toJSON(), productCount: 0 });
+  } catch (error) {
+    console.error('Create location error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/locations/:id
+// @desc    Update a location's code, description or capacity
+// @access  Private (admin, manager)
+router.put('/:id', protect, authorize('admin', 'manager'), locationRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const { code, description, capacity } = req.body;
+
+    const normalized = Location.normalizeCode(location.type, code);
+    if (await Location.findOne({ type: location.type, code: normalized, _id: { $ne: location._id } })) {
+      return res.status(400).json({ message: `Location ${normalized} already exists` });
+    }
+
+    const previous = location.toObject();
+
+    // save() so the code is normalised by the model
+    location.code = code;
+    if (description !== undefined) location.description = description;
+    if (capacity !== undefined) location.capacity = parseCapacity(capacity);
+    await location.save();
+
+    await recordAudit({ user: req.user._id, action: 'update', entityType: 'Location', before: previous, after: location });
+
+    // Products are found by the code and description of where they are kept
+    if (previous.code !== location.code || previous.description !== location.description) {
+      await refreshSearchText({ [Location.productField(location.type)]: location._id });
+    }
+
+    const [result] = await withProductCounts([location]);
+    res.json(result);
+  } catch (error) {
+    console.error('Update location error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/locations/:id
+// @desc    Delete a location no product or bundle is kept at
+// @access  Private (admin, manager)
+router.delete('/:id', protect, authorize('admin', 'manager'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    // Products in the recycle bin count too, so a restore never points at a missing location
+    const inUse = await Product.countDocuments({ [Location.productField(location.type)]: location._id })
+      .setOptions({ withDeleted: true });
+    if (inUse > 0) {
+      return res.status(400).json({ message: `${inUse} product${inUse === 1 ? ' is' : 's are'} still kept at ${location.code}` });
+    }
+
+    const bundlesHere = await Bundle.countDocuments({ ghodaLocationId: location._id });
+    if (bundlesHere > 0) {
+      return res.status(400).json({ message: `${bundlesHere} bundle${bundlesHere === 1 ? ' is' : 's are'} still kept at ${location.code}` });
+    }
+
+    await Location.deleteOne({ _id: location._id });
+
+    await recordAudit({ user: req.user._id, action: 'delete', entityType: 'Location', before: location });
+
+    res.json({ message: 'Location deleted' });
+  } catch (error) {
+    console.error('Delete location error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PriceList = require('../models/PriceList');
+const Product = require('../models/Product');
+const { protect, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const priceListRules = [
+  body('name').trim().notEmpty().withMessage('Price list name is required')
+    .isLength({ max: 100 }).withMessage('Price list name cannot exceed 100 characters'),
+  body('description').optional().trim()
+    .isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters')
+];
+
+// Case-insensitive name clash with another price list
+const findNameClash = (name, excludeId) => PriceList.findOne({
+  name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' },
+  ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// @route   GET /api/price-lists
+// @desc    Get all price lists with the number of products priced in each
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const [priceLists, counts] = await Promise.all([
+      PriceList.find().sort({ createdAt: 1, _id: 1 }),
+      Product.aggregate([
+        { $unwind: '$prices' },
+        { $group: { _id: '$prices.priceListId', productCount: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countsById = new Map(counts.map(count => [String(count._id), count.productCount]));
+
+    res.json(priceLists.map(priceList => ({
+      ...priceList.toJSON(),
+      productCount: countsById.get(String(priceList._id)) || 0
+    })));
+  } catch (error) {
+    console.error('Get price lists error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/price-lists
+// @desc    Create price list
+// @access  Private (admin, manager)
+router.post('/', protect, authorize('admin', 'manager'), priceListRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description } = req.body;
+
+    if (await findNameClash(name)) {
+      return res.status(400).json({ message: 'Price list already exists' });
+    }
+
+    const priceList = await PriceList.create({ name, description: description || '' });
+
+    await recordAudit({ user: req.user._id, action: 'create', entityType: 'PriceList', after: priceList });
+
+    res.status(201).json(priceList);
+  } catch (error) {
+    console.error('Create price list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/price-lists/:id
+// @desc    Rename a price list or change its description
+// @access  Private (admin, manager)
+router.put('/:id', protect, authorize('admin', 'manager'), priceListRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description } = req.body;
+
+    if (await findNameClash(name, req.params.id)) {
+      return res.status(400).json({ message: 'Price list name already exists' });
+    }
+
+    const previous = await PriceList.findById(req.params.id);
+
+    if (!previous) {
+      return res.status(404).json({ message: 'Price list not found' });
+    }
+
+    const update = { name };
+    if (description !== undefined) update.description = description;
+
+    const priceList = await PriceList.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+
+    await recordAudit({ user: req.user._id, action: 'update', entityType: 'PriceList', before: previous, after: priceList });
+
+    res.json(priceList);
+  } catch (error) {
+    console.error('Update price list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/price-lists/:id
+// @desc    Delete a price list and the product prices in it (their history is kept)
+// @access  Private (admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id);
+
+    if (!priceList) {
+      return res.status(404).json({ message: 'Price list not found' });
+    }
+
+    await Product.updateMany({ 'prices.priceListId': priceList._id }, { $pull: { prices: { priceListId: priceList._id } } })
+      .setOptions({ withDeleted: true });
+    await PriceList.deleteOne({ _id: priceList._id });
+
+    await recordAudit({ user: req.user._id, action: 'delete', entityType: 'PriceList', before: priceList });
+
+    res.json({ message: 'Price list deleted' });
+  } catch (error) {
+    console.error('Delete price list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,76 +1,489 @@
 const express = require('express');
+const path = require('path');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
 const SubCategory = require('../models/SubCategory');
-const { protect } = require('../middleware/auth');
+const StockMovement = require('../models/StockMovement');
+const Godown = require('../models/Godown');
+const Location = require('../models/Location');
+const PriceList = require('../models/PriceList');
+const PriceChange = require('../models/PriceChange');
+const Bundle = require('../models/Bundle');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  signedQuantity,
+  applyStockMovement,
+  godownQty,
+  looseQty,
+  godownQtyExpression,
+  effectiveReorderLevel,
+  parseReorderLevel
+} = require('../utils/stock');
+const { recordAudit, recordAuditMany } = require('../utils/audit');
+const { heldQuantities, heldStockError } = require('../utils/reservations');
+const { withPriceList, pricesFromBody, recordPriceChanges, listPriceExpression, rakamExpression, categoryLookupStages } = require('../utils/prices');
+const { searchFilter, productSort, withHighlights, refreshSearchText } = require('../utils/search');
+const { SORT_FIELDS, parseSort, isValidSort, sortedProductIds } = require('../utils/sorting');
+const { SPREADSHEET_EXTENSIONS, parseSpreadsheet } = require('../utils/spreadsheet');
+const { STATEMENT_FORMATS, writeStockStatement } = require('../utils/stockStatement');
+const { removeProductImages, isStoredImageUrl, imageFields, productImageUrls } = require('../utils/images');
+const { LOCATION_TYPES, LABELS_PER_SHEET, productLabel, locationLabel, writeLabelSheet } = require('../utils/labels');
 
 const router = express.Router();
 
-// @route   GET /api/products
-// @desc    Get products with filters and pagination
-// @access  Private
-router.get('/', protect, async (req, res) => {
-  try {
-    const { 
-      subCategoryId, 
-      categoryId,
-      search, 
-      qtyMin, 
-      qtyMax, 
-      page = 1, 
-      limit = 20 
-    } = req.query;
+// Products come back with their locations' codes so lists can show them without another lookup
+const locationPopulate = Location.TYPES.map(type => ({
+  path: Location.productField(type),
+  select: 'type code description capacity'
+}));
 
-    let query = {};
+// Leaf size fields, in millimetres apart from the leaf count
+const DIMENSION_FIELDS = ['length', 'width', 'thickness', 'leafCount'];
 
-    // Filter by subcategory
-    if (subCategoryId) {
-      query.subCategoryId = subCategoryId;
+const isSet = (value) => value !== undefined && value !== '';
+
+// { $gte, $lte } for the bounds a request sends, or null when it sends neither
+const rangeFilter = (min, max) => {
+  if (!isSet(min) && !isSet(max)) return null;
+  return {
+    ...(isSet(min) && { $gte: Number(min) }),
+    ...(isSet(max) && { $lte: Number(max) })
+  };
+};
+
+// The same range as an aggregation expression on a computed value
+const rangeExpression = (value, range) => ({
+  $and: Object.entries(range).map(([operator, bound]) => ({ [operator]: [value, bound] }))
+});
+
+// Build the Product filter shared by the list, search and export endpoints
+const buildProductQuery = async (filters) => {
+  const {
+    subCategoryId, categoryId, search, qtyMin, qtyMax, ghodaLocationId, sampleLocationId, locationId, godownId,
+    priceListId, priceMin, priceMax, rakamMin, rakamMax, updatedSince, updatedBefore, hasImage, zeroStock
+  } = filters;
+  const query = {};
+  const conditions = [];
+
+  // Filter by subcategory
+  if (subCategoryId) {
+    query.subCategoryId = subCategoryId;
+  }
+
+  // Filter by category (get all products in subcategories of this category)
+  if (categoryId && !subCategoryId) {
+    const subCategories = await SubCategory.find({ categoryId });
+    const subCategoryIds = subCategories.map(sc => sc._id);
+    query.subCategoryId = { $in: subCategoryIds };
+  }
+
+  // Full-text search over the name, notes, locations, bundles, category and subcategory
+  if (search) {
+    Object.assign(query, searchFilter(search));
+  }
+
+  // Location filters; `locationId` matches either kind, for screens that don't know which
+  if (ghodaLocationId) {
+    query.ghodaLocationId = ghodaLocationId;
+  }
+  if (sampleLocationId) {
+    query.sampleLocationId = sampleLocationId;
+  }
+  if (locationId) {
+    conditions.push({ $or: [{ ghodaLocationId: locationId }, { sampleLocationId: locationId }] });
+  }
+
+  // Size filters, e.g. lengthMin=2400&thicknessMin=0.5&thicknessMax=0.5
+  for (const field of DIMENSION_FIELDS) {
+    const range = rangeFilter(filters[`${field}Min`], filters[`${field}Max`]);
+    if (range) {
+      query[field] = range;
     }
+  }
+
+  // Price filter, on the price list's price when the list is priced at one
+  const priceRange = rangeFilter(priceMin, priceMax);
+  if (priceRange && priceListId) {
+    conditions.push({ $expr: rangeExpression(listPriceExpression(new mongoose.Types.ObjectId(priceListId)), priceRange) });
+  } else if (priceRange) {
+    query.price = priceRange;
+  }
+
+  // Last changed on or after updatedSince and before updatedBefore
+  if (updatedSince || updatedBefore) {
+    query.updatedAt = {
+      ...(updatedSince && { $gte: new Date(updatedSince) }),
+      ...(updatedBefore && { $lt: new Date(updatedBefore) })
+    };
+  }
+
+  // With or without a cover image
+  if (hasImage === 'true') {
+    query.image = { $nin: ['', null] };
+  } else if (hasImage === 'false') {
+    query.image = { $in: ['', null] };
+  }
+
+  // Quantity filter, on the godown's quantity when filtering by godown. zeroStock lists
+  // only what is out of stock.
+  const qtyRange = zeroStock === 'true' ? { $lte: 0 } : rangeFilter(qtyMin, qtyMax);
+
+  // Godown filter: products that have been stocked in that godown
+  if (godownId) {
+    query.stock = { $elemMatch: { godownId, ...(qtyRange && { qty: qtyRange }) } };
+  } else if (qtyRange) {
+    query.qty = qtyRange;
+  }
+
+  // Rakam filter. Rakam is worked out from the category's basis, so the products matching
+  // every other filter are narrowed down by an aggregation that looks their category up.
+  // The filter is cast to the schema as aggregations aren't, and deletedAt is matched here
+  // so that a $text search stays in the first stage as it must.
+  const rakamRange = rangeFilter(rakamMin, rakamMax);
+  if (rakamRange) {
+    const price = priceListId ? listPriceExpression(new mongoose.Types.ObjectId(priceListId)) : '$price';
+    const matching = await Product.aggregate([
+      { $match: { ...Product.find({ ...query, ...(conditions.length > 0 && { $and: conditions }) }).cast(), deletedAt: null } },
+      ...categoryLookupStages(),
+      { $match: { $expr: rangeExpression(rakamExpression('$category', price), rakamRange) } },
+      { $project: { _id: 1 } }
+    ]);
+    conditions.push({ _id: { $in: matching.map(product => product._id) } });
+  }
+
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+
+  return query;
+};
+
+const ID_FILTERS = ['godownId', 'ghodaLocationId', 'sampleLocationId', 'locationId', 'priceListId'];
+const NUMBER_FILTERS = [
+  ...['qty', 'price', 'rakam', ...DIMENSION_FIELDS].flatMap(field => [`${field}Min`, `${field}Max`])
+];
+const DATE_FILTERS = ['updatedSince', 'updatedBefore'];
+const BOOLEAN_FILTERS = ['hasImage', 'zeroStock'];
+
+// Reject malformed godown, location and price list filters before they reach a query
+const checkIdFilters = (req, res, next) => {
+  if (ID_FILTERS.some(field => req.query[field] && !mongoose.isValidObjectId(req.query[field]))) {
+    return res.status(400).json({ message: 'Invalid ID format' });
+  }
+  next();
+};
+
+// Reject range, date and yes/no filters that aren't numbers, dates or true/false
+const checkFilterValues = (req, res, next) => {
+  const invalid = NUMBER_FILTERS.find(field => isSet(req.query[field]) && !Number.isFinite(Number(req.query[field])))
+    || DATE_FILTERS.find(field => isSet(req.query[field]) && Number.isNaN(new Date(req.query[field]).getTime()))
+    || BOOLEAN_FILTERS.find(field => isSet(req.query[field]) && !['true', 'false'].includes(req.query[field]));
+
+  if (invalid) {
+    return res.status(400).json({ message: `Invalid ${invalid} filter` });
+  }
+  if (!isValidSort(req.query.sort)) {
+    return res.status(400).json({ message: `Sort must be one of ${SORT_FIELDS.join(', ')}, optionally prefixed with -` });
+  }
+  next();
+};
+
+// One page of the products matching a query, populated for a product list. With a sort
+// parameter the page is picked by sortedProductIds; otherwise searches come most relevant
+// first and other lists most recently updated first.
+const findProductPage = async (query, { sort, search, godownId, priceListId, skip, limit }) => {
+  const populate = find => find
+    .populate({
+      path: 'subCategoryId',
+      select: 'name categoryId',
+      populate: {
+        path: 'categoryId',
+        select: 'name rakamBasis areaUnit'
+      }
+    })
+    .populate(locationPopulate);
+
+  const parsed = parseSort(sort);
+  if (!parsed) {
+    return populate(Product.find(query).sort(productSort(search)).skip(skip).limit(limit));
+  }
 
-    // Filter by category (get all products in subcategories of this category)
-    if (categoryId && !subCategoryId) {
-      const subCategories = await SubCategory.find({ categoryId });
-      const subCategoryIds = subCategories.map(sc => sc._id);
-      query.subCategoryId = { $in: subCategoryIds };
+  const ids = await sortedProductIds(query, parsed, { godownId, priceListId, skip, limit });
+  const products = await populate(Product.find({ _id: { $in: ids } }));
+  const order = new Map(ids.map((id, i) => [String(id), i]));
+  return products.sort((a, b) => order.get(String(a._id)) - order.get(String(b._id)));
+};
+
+// Add each product's heldQty (under active holds) and availableQty (stock less holds).
+// When a list is filtered by godown both are for that godown, and the godown's quantity
+// is added as godownQty.
+const withAvailability = async (products, godownId) => {
+  const held = await heldQuantities(products.map(product => product._id), godownId);
+
+  return products.map((product) => {
+    const heldQty = held.get(String(product._id)) || 0;
+    const stockQty = godownId ? godownQty(product, godownId) : product.qty;
+    return {
+      ...product.toJSON(),
+      ...(godownId && { godownQty: stockQty }),
+      heldQty,
+      availableQty: Math.max(stockQty - heldQty, 0)
+    };
+  });
+};
+
+// The godown a request names, or the default godown when it names none.
+// Resolves to null when the named godown doesn't exist.
+const resolveGodown = (godownId) => (godownId ? Godown.findById(godownId) : Godown.getDefault());
+
+// Leaf size is optional; an empty value clears it
+const dimensionRules = [
+  ...['length', 'width', 'thickness'].map(field => body(field).optional({ values: 'falsy' })
+    .isFloat({ min: 0 }).withMessage(`${field[0].toUpperCase()}${field.slice(1)} must be a number that is not negative`)),
+  body('leafCount').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Leaf count must be a whole number of at least 1')
+];
+
+const parseDimension = (value) => (value === null || value === '' ? null : Number(value));
+
+// Size fields from a request body, leaving out the ones it doesn't send
+const dimensionsFromBody = (data) => Object.fromEntries(DIMENSION_FIELDS
+  .filter(field => data[field] !== undefined)
+  .map(field => [field, parseDimension(data[field])]));
+
+const notesRule = body('notes').optional().isString().withMessage('Notes must be text')
+  .trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters');
+
+// Field rules shared by product creation and spreadsheet import
+const productRules = [
+  body('name').trim().notEmpty().withMessage('Product name is required')
+    .isLength({ max: 200 }).withMessage('Product name cannot exceed 200 characters'),
+  body('qty').isNumeric().withMessage('Quantity must be a number')
+    .custom(val => val >= 0).withMessage('Quantity cannot be negative'),
+  body('price').isNumeric().withMessage('Price must be a number')
+    .custom(val => val >= 0).withMessage('Price cannot be negative'),
+  body('billing').isNumeric().withMessage('Billing must be a number')
+    .custom(val => val >= 0).withMessage('Billing cannot be negative'),
+  body('reorderLevel').optional({ values: 'falsy' }).isNumeric().withMessage('Reorder level must be a number')
+    .custom(val => val >= 0).withMessage('Reorder level cannot be negative'),
+  notesRule,
+  ...dimensionRules
+];
+
+// Products reference locations by ID; an empty value clears the location
+const locationIdRules = Location.TYPES.map(type => body(Location.productField(type))
+  .optional({ values: 'falsy' }).isMongoId().withMessage('Invalid location ID'));
+
+// Check that the location IDs in a request body exist and are of the right type.
+// Returns an error message, or null when they are fine.
+const checkLocationIds = async (data) => {
+  for (const type of Location.TYPES) {
+    const locationId = data[Location.productField(type)];
+    if (!locationId) continue;
+
+    const location = await Location.findById(locationId);
+    if (!location || location.type !== type) {
+      return `${type === 'ghoda' ? 'Ghoda' : 'Sample'} location not found`;
     }
+  }
+  return null;
+};
+
+const godownIdRule = body('godownId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid godown ID');
 
-    // Search by name
-    if (search) {
-      query.name = { $regex: search, $options: 'i' };
+// Prices in named price lists, and the date a price or billing change applies from
+const priceRules = [
+  body('prices').optional().isArray().withMessage('Prices must be a list'),
+  body('prices.*.priceListId').isMongoId().withMessage('Invalid price list ID'),
+  body('prices.*.price').optional({ values: 'null' }).custom(val => val === '' || (!isNaN(val) && Number(val) >= 0))
+    .withMessage('List prices must be numbers that are not negative'),
+  body('effectiveFrom').optional({ values: 'falsy' }).isISO8601().withMessage('Effective date must be a valid date')
+    .custom(val => new Date(val) <= new Date()).withMessage('Effective date cannot be in the future')
+];
+
+// Check that the price lists named in a request body exist. Returns an error message, or null when they do.
+const checkPriceListIds = async ({ prices }) => {
+  if (!prices || prices.length === 0) return null;
+
+  const ids = [...new Set(prices.map(item => String(item.priceListId)))];
+  const found = await PriceList.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? null : 'Price list not found';
+};
+
+// Images are uploaded through /api/uploads/images first; products only store the returned URLs
+const uploadedImage = (field) => body(field).optional({ values: 'falsy' }).isString().custom(isStoredImageUrl)
+  .withMessage('Upload images through /api/uploads/images and send the URLs it returns');
+
+const imageRules = [
+  body('images').optional().isArray({ max: Product.MAX_IMAGES })
+    .withMessage(`Images must be a list of at most ${Product.MAX_IMAGES}`),
+  body('images.*.url').isString().trim().notEmpty().withMessage('Image URL is required'),
+  uploadedImage('images.*.url'),
+  uploadedImage('images.*.thumbnail'),
+  uploadedImage('image'),
+  uploadedImage('thumbnail')
+];
+
+// Image fields from a request body. `images` is the ordered list; a lone `image` (older clients)
+// replaces the list with that single image. Returns null when the body doesn't touch images.
+const imagesFromBody = ({ images, image, thumbnail }) => {
+  if (images !== undefined) {
+    return imageFields(images.map(img => ({ url: img.url, thumbnail: img.thumbnail || '' })));
+  }
+  if (image !== undefined) {
+    return imageFields(image ? [{ url: image, thumbnail: thumbnail || '' }] : []);
+  }
+  return null;
+};
+
+const IMPORT_COLUMNS = [
+  'category', 'subCategory', 'name', 'qty', 'price', 'billing', 'reorderLevel',
+  'length', 'width', 'thickness', 'leafCount', 'sampleLocation', 'ghodaLocation', 'godown'
+];
+const MAX_IMPORT_ROWS = 2000;
+
+const importRowRules = [
+  body('category').trim().notEmpty().withMessage('Category is required')
+    .isLength({ max: 100 }).withMessage('Category name cannot exceed 100 characters'),
+  body('subCategory').trim().notEmpty().withMessage('SubCategory is required')
+    .isLength({ max: 100 }).withMessage('SubCategory name cannot exceed 100 characters'),
+  ...productRules,
+  // Spreadsheets give location codes, which are matched to locations or create them
+  body('sampleLocation').optional().trim()
+    .isLength({ max: 50 }).withMessage('Sample location cannot exceed 50 characters'),
+  body('ghodaLocation').optional().trim()
+    .isLength({ max: 50 }).withMessage('Ghoda location cannot exceed 50 characters')
+];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, SPREADSHEET_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()));
+  }
+});
+
+// Accept a single spreadsheet in the "file" field, turning multer errors into 400s
+const uploadSpreadsheet = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'File cannot exceed 5MB' : 'Could not read the uploaded file'
+      });
     }
+    next();
+  });
+};
 
-    // Quantity filter
-    if (qtyMin !== undefined || qtyMax !== undefined) {
-      query.qty = {};
-      if (qtyMin !== undefined) {
-        query.qty.$gte = Number(qtyMin);
-      }
-      if (qtyMax !== undefined) {
-        query.qty.$lte = Number(qtyMax);
+const nameKey = (name) => name.trim().toLowerCase();
+const locationKey = (type, code) => `${type}:${Location.normalizeCode(type, code)}`;
+
+// Validate parsed spreadsheet rows against the product rules and the current catalogue.
+// Returns one result per non-blank row with its errors and whether it needs a new category, subcategory or locations.
+const checkImportRows = async (rows) => {
+  const results = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    const data = rows[i];
+    if (Object.values(data).every(value => !value)) continue;
+
+    // Blank numbers mean zero, anything else must pass the same rules as POST /api/products
+    ['qty', 'price', 'billing'].forEach((field) => {
+      if (!data[field]) data[field] = '0';
+    });
+
+    const rowReq = { body: data };
+    await Promise.all(importRowRules.map(rule => rule.run(rowReq)));
+    const errors = validationResult(rowReq).array({ onlyFirstError: true }).map(error => error.msg);
+
+    results.push({ row: i + 2, data: rowReq.body, errors, newCategory: false, newSubCategory: false, newLocations: [], duplicate: false });
+  }
+
+  const categories = await Category.find({}).setOptions({ withDeleted: true });
+  const categoriesByName = new Map(categories.map(category => [nameKey(category.name), category]));
+
+  const subCategories = await SubCategory.find({ categoryId: { $in: categories.map(c => c._id) } })
+    .setOptions({ withDeleted: true });
+  const subCategoriesByName = new Map(subCategories.map(sc => [`${sc.categoryId}:${nameKey(sc.name)}`, sc]));
+
+  const products = await Product.find({ subCategoryId: { $in: subCategories.filter(sc => !sc.deletedAt).map(sc => sc._id) } })
+    .select('name subCategoryId');
+  const existingProducts = new Set(products.map(product => `${product.subCategoryId}:${nameKey(product.name)}`));
+
+  // A blank godown column means the default godown; named godowns must already exist
+  const godowns = await Godown.find({});
+  const godownsByName = new Map(godowns.map(godown => [nameKey(godown.name), godown]));
+
+  // Location codes match however they are written ("g-1" is G1); unknown codes become new locations
+  const locations = await Location.find({});
+  const locationsByCode = new Map(locations.map(location => [locationKey(location.type, location.code), location]));
+
+  const seenRows = new Map();
+
+  results.forEach((result) => {
+    const { category: categoryName, subCategory: subCategoryName, name, godown: godownName } = result.data;
+
+    if (godownName && !godownsByName.has(nameKey(godownName))) {
+      result.errors.push(`Godown "${godownName}" not found`);
+    }
+
+    Location.TYPES.forEach((type) => {
+      const code = result.data[`${type}Location`];
+      if (code && !locationsByCode.has(locationKey(type, code))) {
+        result.newLocations.push(locationKey(type, code));
       }
+    });
+
+    if (!categoryName || !subCategoryName || !name) return;
+
+    const category = categoriesByName.get(nameKey(categoryName));
+    const subCategory = category && subCategoriesByName.get(`${category._id}:${nameKey(subCategoryName)}`);
+
+    if (category?.deletedAt) {
+      result.errors.push(`Category "${category.name}" is in the Recycle Bin`);
+    } else if (subCategory?.deletedAt) {
+      result.errors.push(`SubCategory "${subCategory.name}" is in the Recycle Bin`);
+    }
+    result.newCategory = !category;
+    result.newSubCategory = !subCategory;
+
+    const key = [categoryName, subCategoryName, name].map(nameKey).join(':');
+    if (seenRows.has(key)) {
+      result.duplicate = true;
+      result.errors.push(`Duplicate of row ${seenRows.get(key)}`);
+    } else {
+      seenRows.set(key, result.row);
     }
 
+    if (subCategory && existingProducts.has(`${subCategory._id}:${nameKey(name)}`)) {
+      result.duplicate = true;
+      result.errors.push('Product already exists in this subcategory');
+    }
+  });
+
+  return { results, categoriesByName, subCategoriesByName, godownsByName, locationsByCode };
+};
+
+// @route   GET /api/products
+// @desc    Get products with filters and pagination
+// @access  Private
+router.get('/', protect, checkIdFilters, checkFilterValues, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, godownId, priceListId, search, sort } = req.query;
+
+    const query = await buildProductQuery(req.query);
+
     const skip = (Number(page) - 1) * Number(limit);
 
     const [products, total] = await Promise.all([
-      Product.find(query)
-        .populate({
-          path: 'subCategoryId',
-          select: 'name categoryId',
-          populate: {
-            path: 'categoryId',
-            select: 'name'
-          }
-        })
-        .sort({ updatedAt: -1 })
-        .skip(skip)
-        .limit(Number(limit)),
+      findProductPage(query, { sort, search, godownId, priceListId, skip, limit: Number(limit) }),
       Product.countDocuments(query)
     ]);
 
     res.json({
-      products,
+      products: await withHighlights(withPriceList(await withAvailability(products, godownId), priceListId), search),
       pagination: {
         page: Number(page),
         limit: Number(limit),
@@ -84,49 +497,272 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-// @route   GET /api/products/search
-// @desc    Search products across all categories (for global search)
+// "10-20", "10+" or "0-20" for a range filter on a statement
+const rangeText = (min, max) => `${isSet(min) ? min : 0}${isSet(max) ? `-${max}` : '+'}`;
+
+// @route   GET /api/products/export
+// @desc    Download a stock statement as CSV, XLSX or PDF, with the same filters as GET /api/products
 // @access  Private
-router.get('/search', protect, async (req, res) => {
+router.get('/export', protect, checkIdFilters, checkFilterValues, async (req, res) => {
   try {
-    const { search, qtyMin, qtyMax, page = 1, limit = 20 } = req.query;
+    const {
+      format = 'csv', categoryId, subCategoryId, search, qtyMin, qtyMax, godownId, priceListId,
+      priceMin, priceMax, rakamMin, rakamMax, updatedSince, updatedBefore, hasImage, zeroStock
+    } = req.query;
+
+    if (!STATEMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: 'Format must be csv, xlsx or pdf' });
+    }
+
+    const query = await buildProductQuery(req.query);
+
+    const products = await Product.find(query)
+      .populate({
+        path: 'subCategoryId',
+        select: 'name categoryId',
+        populate: {
+          path: 'categoryId',
+          select: 'name rakamBasis areaUnit'
+        }
+      })
+      .populate(locationPopulate);
+
+    // Describe the filters on the statement so a printout makes sense on its own
+    const scope = [];
+    if (subCategoryId) {
+      const subCategory = await SubCategory.findById(subCategoryId).populate('categoryId', 'name');
+      if (subCategory) scope.push(`${subCategory.categoryId?.name} / ${subCategory.name}`);
+    } else if (categoryId) {
+      const category = await Category.findById(categoryId);
+      if (category) scope.push(category.name);
+    }
+    if (search) scope.push(`Matching "${search}"`);
+    for (const [field, label] of [['ghodaLocationId', 'Ghoda location'], ['sampleLocationId', 'Sample location'], ['locationId', 'Location']]) {
+      if (req.query[field]) {
+        const location = await Location.findById(req.query[field]);
+        scope.push(`${label} ${location?.code || 'not found'}`);
+      }
+    }
+    if (godownId) {
+      const godown = await Godown.findById(godownId);
+      scope.push(`Godown ${godown?.name || 'not found'}`);
+    }
+    if (zeroStock === 'true') {
+      scope.push('Out of stock');
+    } else if (isSet(qtyMin) || isSet(qtyMax)) {
+      scope.push(`Qty ${rangeText(qtyMin, qtyMax)}`);
+    }
+    if (isSet(priceMin) || isSet(priceMax)) scope.push(`Price ${rangeText(priceMin, priceMax)}`);
+    if (isSet(rakamMin) || isSet(rakamMax)) scope.push(`Rakam ${rangeText(rakamMin, rakamMax)}`);
+    if (updatedSince) scope.push(`Updated since ${updatedSince}`);
+    if (updatedBefore) scope.push(`Updated before ${updatedBefore}`);
+    if (hasImage === 'true') scope.push('With images');
+    if (hasImage === 'false') scope.push('Without images');
+    if (priceListId) {
+      const priceList = await PriceList.findById(priceListId);
+      scope.push(`${priceList?.name || 'Unknown'} prices`);
+    }
 
-    let query = {};
+    // A godown statement lists the quantities held in that godown, and a price list
+    // statement values stock at that list's prices
+    const rows = withPriceList(products.map(product => ({
+      ...product.toJSON(),
+      ...(godownId && { qty: godownQty(product, godownId) })
+    })), priceListId).map(product => (priceListId ? { ...product, price: product.listPrice, rakam: product.listRakam } : product));
 
-    if (search) {
-      query.name = { $regex: search, $options: 'i' };
+    await writeStockStatement(res, format, rows, {
+      scope: scope.join(', ') || 'All products',
+      generatedAt: new Date()
+    });
+  } catch (error) {
+    console.error('Export products error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
     }
+  }
+});
+
+const MAX_LABEL_PRODUCTS = 500;
+const LABEL_KINDS = ['products', ...Object.keys(LOCATION_TYPES)];
 
-    if (qtyMin !== undefined || qtyMax !== undefined) {
-      query.qty = {};
-      if (qtyMin !== undefined) {
-        query.qty.$gte = Number(qtyMin);
+// @route   POST /api/products/labels
+// @desc    Download QR labels for products and their locations as an A4 sticker-sheet PDF
+// @access  Private
+router.post('/labels', protect, [
+  body('productIds').isArray({ min: 1, max: MAX_LABEL_PRODUCTS })
+    .withMessage(`Select between 1 and ${MAX_LABEL_PRODUCTS} products`),
+  body('productIds.*').isMongoId().withMessage('Invalid ID format'),
+  body('include').optional().isArray({ min: 1 }).withMessage('Choose at least one kind of label'),
+  body('include.*').isIn(LABEL_KINDS).withMessage(`Labels must be one of ${LABEL_KINDS.join(', ')}`),
+  body('skip').optional().isInt({ min: 0, max: LABELS_PER_SHEET - 1 })
+    .withMessage(`Skip must be between 0 and ${LABELS_PER_SHEET - 1}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productIds, include = ['products'], skip = 0 } = req.body;
+
+    const products = await Product.find({ _id: { $in: productIds } })
+      .populate({
+        path: 'subCategoryId',
+        select: 'name categoryId',
+        populate: {
+          path: 'categoryId',
+          select: 'name rakamBasis areaUnit'
+        }
+      })
+      .populate(locationPopulate);
+
+    if (products.length === 0) {
+      return res.status(404).json({ message: 'No products found' });
+    }
+
+    // Keep the order the products were selected in
+    const order = new Map(productIds.map((id, i) => [String(id), i]));
+    products.sort((a, b) => order.get(String(a._id)) - order.get(String(b._id)));
+
+    const labels = [];
+    if (include.includes('products')) {
+      labels.push(...products.map(productLabel));
+    }
+    Object.keys(LOCATION_TYPES).filter(type => include.includes(type)).forEach((type) => {
+      const locations = new Map(products
+        .map(product => product[Location.productField(type)])
+        .filter(Boolean)
+        .map(location => [String(location._id), location]));
+      labels.push(...[...locations.values()].map(locationLabel));
+    });
+
+    if (labels.length === 0) {
+      return res.status(400).json({ message: 'The selected products have no locations to label' });
+    }
+
+    await writeLabelSheet(res, labels, { skip: Number(skip) });
+  } catch (error) {
+    console.error('Product labels error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// @route   GET /api/products/low-stock
+// @desc    Get products at or under their reorder level
+// @access  Private
+router.get('/low-stock', protect, checkIdFilters, async (req, res) => {
+  try {
+    const { categoryId, subCategoryId, godownId, priceListId, page = 1, limit = 20 } = req.query;
+
+    if ((categoryId && !mongoose.isValidObjectId(categoryId)) ||
+        (subCategoryId && !mongoose.isValidObjectId(subCategoryId))) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const scope = {};
+    if (subCategoryId) {
+      scope.subCategoryId = new mongoose.Types.ObjectId(subCategoryId);
+    }
+    if (categoryId) {
+      scope['subCategory.categoryId'] = new mongoose.Types.ObjectId(categoryId);
+    }
+
+    // Per godown, a product is low when that godown's quantity is at or under the reorder level
+    const godownObjectId = godownId && new mongoose.Types.ObjectId(godownId);
+    if (godownObjectId) {
+      scope['stock.godownId'] = godownObjectId;
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [result] = await Product.aggregate([
+      {
+        $lookup: {
+          from: SubCategory.collection.name,
+          localField: 'subCategoryId',
+          foreignField: '_id',
+          as: 'subCategory'
+        }
+      },
+      { $unwind: '$subCategory' },
+      { $match: scope },
+      {
+        $addFields: {
+          effectiveReorderLevel: effectiveReorderLevel,
+          stockQty: godownObjectId ? godownQtyExpression(godownObjectId) : '$qty'
+        }
+      },
+      { $match: { $expr: { $lte: ['$stockQty', '$effectiveReorderLevel'] } } },
+      {
+        $facet: {
+          items: [
+            { $sort: { stockQty: 1, name: 1 } },
+            { $skip: skip },
+            { $limit: Number(limit) },
+            { $project: { effectiveReorderLevel: 1 } }
+          ],
+          total: [{ $count: 'count' }]
+        }
       }
-      if (qtyMax !== undefined) {
-        query.qty.$lte = Number(qtyMax);
+    ]);
+
+    const levels = new Map(result.items.map(item => [String(item._id), item.effectiveReorderLevel]));
+
+    const products = await Product.find({ _id: { $in: [...levels.keys()] } })
+      .populate({
+        path: 'subCategoryId',
+        select: 'name categoryId reorderLevel',
+        populate: {
+          path: 'categoryId',
+          select: 'name rakamBasis areaUnit'
+        }
+      })
+      .populate(locationPopulate);
+
+    const total = result.total[0]?.count || 0;
+
+    const ordered = result.items
+      .map(item => products.find(product => String(product._id) === String(item._id)))
+      .filter(Boolean);
+
+    res.json({
+      products: withPriceList(await withAvailability(ordered, godownId), priceListId).map(product => ({
+        ...product,
+        effectiveReorderLevel: levels.get(String(product._id))
+      })),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
       }
-    }
+    });
+  } catch (error) {
+    console.error('Get low stock error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/products/search
+// @desc    Search products across all categories (for global search)
+// @access  Private
+router.get('/search', protect, checkIdFilters, checkFilterValues, async (req, res) => {
+  try {
+    const { search, qtyMin, qtyMax, godownId, priceListId, sort, page = 1, limit = 20 } = req.query;
+
+    const query = await buildProductQuery({ search, qtyMin, qtyMax, godownId });
 
     const skip = (Number(page) - 1) * Number(limit);
 
     const [products, total] = await Promise.all([
-      Product.find(query)
-        .populate({
-          path: 'subCategoryId',
-          select: 'name categoryId',
-          populate: {
-            path: 'categoryId',
-            select: 'name'
-          }
-        })
-        .sort({ updatedAt: -1 })
-        .skip(skip)
-        .limit(Number(limit)),
+      findProductPage(query, { sort, search, godownId, priceListId, skip, limit: Number(limit) }),
       Product.countDocuments(query)
     ]);
 
     res.json({
-      products,
+      products: await withHighlights(withPriceList(await withAvailability(products, godownId), priceListId), search),
       pagination: {
         page: Number(page),
         limit: Number(limit),
@@ -143,7 +779,7 @@ router.get('/search', protect, async (req, res) => {
 // @route   GET /api/products/:id
 // @desc    Get single product
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, checkIdFilters, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id)
       .populate({
@@ -151,15 +787,17 @@ router.get('/:id', protect, async (req, res) => {
         select: 'name categoryId',
         populate: {
           path: 'categoryId',
-          select: 'name'
+          select: 'name rakamBasis areaUnit'
         }
-      });
+      })
+      .populate(locationPopulate);
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    res.json(product);
+    const [result] = withPriceList(await withAvailability([product]), req.query.priceListId);
+    res.json(result);
   } catch (error) {
     console.error('Get product error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -168,17 +806,14 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   POST /api/products
 // @desc    Create product
-// @access  Private
-router.post('/', protect, [
-  body('name').trim().notEmpty().withMessage('Product name is required')
-    .isLength({ max: 200 }).withMessage('Product name cannot exceed 200 characters'),
+// @access  Private (admin, manager)
+router.post('/', protect, authorize('admin', 'manager'), [
   body('subCategoryId').notEmpty().withMessage('SubCategory ID is required'),
-  body('qty').isNumeric().withMessage('Quantity must be a number')
-    .custom(val => val >= 0).withMessage('Quantity cannot be negative'),
-  body('price').isNumeric().withMessage('Price must be a number')
-    .custom(val => val >= 0).withMessage('Price cannot be negative'),
-  body('billing').isNumeric().withMessage('Billing must be a number')
-    .custom(val => val >= 0).withMessage('Billing cannot be negative')
+  ...productRules,
+  ...locationIdRules,
+  ...imageRules,
+  ...priceRules,
+  godownIdRule
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -186,7 +821,7 @@ router.post('/', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, subCategoryId, qty, price, billing, image, sampleLocation, ghodaLocation } = req.body;
+    const { name, subCategoryId, qty, price, billing, prices, effectiveFrom, reorderLevel, sampleLocationId, ghodaLocationId, notes, godownId } = req.body;
 
     // Verify subcategory exists
     const subCategory = await SubCategory.findById(subCategoryId);
@@ -194,17 +829,55 @@ router.post('/', protect, [
       return res.status(400).json({ message: 'SubCategory not found' });
     }
 
+    const locationError = await checkLocationIds(req.body);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+
+    const priceListError = await checkPriceListIds(req.body);
+    if (priceListError) {
+      return res.status(400).json({ message: priceListError });
+    }
+
+    // Opening stock goes into the chosen godown, or the default one
+    const godown = await resolveGodown(godownId);
+    if (!godown) {
+      return res.status(400).json({ message: 'Godown not found' });
+    }
+
     const product = await Product.create({
       name,
       subCategoryId,
       qty: Number(qty),
+      stock: [{ godownId: godown._id, qty: Number(qty) }],
       price: Number(price),
       billing: Number(billing),
-      image: image || '',
-      sampleLocation: sampleLocation || '',
-      ghodaLocation: ghodaLocation || ''
+      prices: pricesFromBody(prices || []),
+      ...dimensionsFromBody(req.body),
+      reorderLevel: parseReorderLevel(reorderLevel),
+      ...(imagesFromBody(req.body) || imageFields([])),
+      sampleLocationId: sampleLocationId || null,
+      ghodaLocationId: ghodaLocationId || null,
+      notes: notes || ''
     });
 
+    await refreshSearchText({ _id: product._id });
+    await recordAudit({ user: req.user._id, action: 'create', entityType: 'Product', after: product });
+    await recordPriceChanges([{ after: product, user: req.user._id, effectiveFrom }]);
+
+    // Opening stock is the first entry in the product's ledger
+    if (product.qty > 0) {
+      await StockMovement.create({
+        productId: product._id,
+        godownId: godown._id,
+        type: 'inward',
+        quantity: product.qty,
+        balanceAfter: product.qty,
+        reason: 'Opening stock',
+        user: req.user._id
+      });
+    }
+
     // Populate and return
     const populatedProduct = await Product.findById(product._id)
       .populate({
@@ -212,21 +885,168 @@ router.post('/', protect, [
         select: 'name categoryId',
         populate: {
           path: 'categoryId',
-          select: 'name'
+          select: 'name rakamBasis areaUnit'
         }
-      });
+      })
+      .populate(locationPopulate);
 
-    res.status(201).json(populatedProduct);
+    const [result] = await withAvailability([populatedProduct]);
+    res.status(201).json(result);
   } catch (error) {
     console.error('Create product error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   POST /api/products/import
+// @desc    Import products from a CSV or XLSX file, or preview the import with dryRun=true
+// @access  Private (admin, manager)
+router.post('/import', protect, authorize('admin', 'manager'), uploadSpreadsheet, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload a .csv or .xlsx file' });
+    }
+
+    const dryRun = req.body.dryRun === 'true' || req.query.dryRun === 'true';
+
+    let rows;
+    try {
+      rows = await parseSpreadsheet(req.file, IMPORT_COLUMNS);
+    } catch (error) {
+      return res.status(400).json({ message: 'Could not read the spreadsheet' });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Import is limited to ${MAX_IMPORT_ROWS} rows per file` });
+    }
+
+    const { results, categoriesByName, subCategoriesByName, godownsByName, locationsByCode } = await checkImportRows(rows);
+
+    if (results.length === 0) {
+      return res.status(400).json({ message: 'The spreadsheet has no product rows' });
+    }
+
+    const invalid = results.filter(result => result.errors.length > 0).length;
+    const report = {
+      dryRun,
+      rows: results,
+      summary: {
+        total: results.length,
+        valid: results.length - invalid,
+        invalid,
+        duplicates: results.filter(result => result.duplicate).length,
+        newCategories: new Set(results.filter(r => r.newCategory).map(r => nameKey(r.data.category))).size,
+        newSubCategories: new Set(results.filter(r => r.newSubCategory)
+          .map(r => `${nameKey(r.data.category)}:${nameKey(r.data.subCategory)}`)).size,
+        newLocations: new Set(results.flatMap(r => r.newLocations)).size
+      }
+    };
+
+    if (dryRun) {
+      return res.json(report);
+    }
+
+    // Imports are all or nothing so the preview is exactly what gets saved
+    if (invalid > 0) {
+      return res.status(400).json({ message: 'Fix the rows with errors before importing', ...report });
+    }
+
+    const createdCategories = [];
+    const createdSubCategories = [];
+    const createdLocations = [];
+    const productDocs = [];
+    const defaultGodown = await Godown.getDefault();
+
+    for (const { data } of results) {
+      let category = categoriesByName.get(nameKey(data.category));
+      if (!category) {
+        category = await Category.create({ name: data.category });
+        categoriesByName.set(nameKey(category.name), category);
+        createdCategories.push(category);
+      }
+
+      const subCategoryKey = `${category._id}:${nameKey(data.subCategory)}`;
+      let subCategory = subCategoriesByName.get(subCategoryKey);
+      if (!subCategory) {
+        subCategory = await SubCategory.create({ name: data.subCategory, categoryId: category._id });
+        subCategoriesByName.set(subCategoryKey, subCategory);
+        createdSubCategories.push(subCategory);
+      }
+
+      const godown = data.godown ? godownsByName.get(nameKey(data.godown)) : defaultGodown;
+
+      const locationIds = {};
+      for (const type of Location.TYPES) {
+        const code = data[`${type}Location`];
+        if (!code) continue;
+
+        let location = locationsByCode.get(locationKey(type, code));
+        if (!location) {
+          location = await Location.create({ type, code });
+          locationsByCode.set(locationKey(type, code), location);
+          createdLocations.push(location);
+        }
+        locationIds[Location.productField(type)] = location._id;
+      }
+
+      productDocs.push({
+        name: data.name,
+        subCategoryId: subCategory._id,
+        qty: Number(data.qty),
+        stock: [{ godownId: godown._id, qty: Number(data.qty) }],
+        price: Number(data.price),
+        billing: Number(data.billing),
+        ...dimensionsFromBody(data),
+        reorderLevel: parseReorderLevel(data.reorderLevel),
+        ...locationIds
+      });
+    }
+
+    const products = await Product.insertMany(productDocs);
+    await refreshSearchText({ _id: { $in: products.map(product => product._id) } });
+
+    // Opening stock is the first entry in each product's ledger
+    await StockMovement.insertMany(products.filter(product => product.qty > 0).map(product => ({
+      productId: product._id,
+      godownId: product.stock[0].godownId,
+      type: 'inward',
+      quantity: product.qty,
+      balanceAfter: product.qty,
+      reason: 'Opening stock',
+      note: 'Imported from spreadsheet',
+      user: req.user._id
+    })));
+
+    await recordPriceChanges(products.map(product => ({ after: product, user: req.user._id })));
+
+    const note = `Imported from ${req.file.originalname}`;
+    await recordAuditMany([
+      ...createdCategories.map(category => ({ user: req.user._id, action: 'create', entityType: 'Category', after: category, note })),
+      ...createdSubCategories.map(sc => ({ user: req.user._id, action: 'create', entityType: 'SubCategory', after: sc, note })),
+      ...createdLocations.map(location => ({ user: req.user._id, action: 'create', entityType: 'Location', after: location, note })),
+      ...products.map(product => ({ user: req.user._id, action: 'create', entityType: 'Product', after: product, note }))
+    ]);
+
+    res.status(201).json({
+      ...report,
+      message: `Imported ${products.length} products`,
+      imported: {
+        products: products.length,
+        categories: createdCategories.length,
+        subCategories: createdSubCategories.length,
+        locations: createdLocations.length
+      }
+    });
+  } catch (error) {
+    console.error('Import products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/products/:id
 // @desc    Update product
-// @access  Private
-router.put('/:id', protect, [
+// @access  Private (admin, manager)
+router.put('/:id', protect, authorize('admin', 'manager'), [
   body('name').optional().trim().notEmpty().withMessage('Product name cannot be empty')
     .isLength({ max: 200 }).withMessage('Product name cannot exceed 200 characters'),
   body('qty').optional().isNumeric().withMessage('Quantity must be a number')
@@ -234,7 +1054,15 @@ router.put('/:id', protect, [
   body('price').optional().isNumeric().withMessage('Price must be a number')
     .custom(val => val >= 0).withMessage('Price cannot be negative'),
   body('billing').optional().isNumeric().withMessage('Billing must be a number')
-    .custom(val => val >= 0).withMessage('Billing cannot be negative')
+    .custom(val => val >= 0).withMessage('Billing cannot be negative'),
+  body('reorderLevel').optional({ values: 'falsy' }).isNumeric().withMessage('Reorder level must be a number')
+    .custom(val => val >= 0).withMessage('Reorder level cannot be negative'),
+  notesRule,
+  ...dimensionRules,
+  ...locationIdRules,
+  ...imageRules,
+  ...priceRules,
+  godownIdRule
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -248,16 +1076,71 @@ router.put('/:id', protect, [
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    const { name, qty, price, billing, image, sampleLocation, ghodaLocation } = req.body;
+    const { name, qty, price, billing, prices, effectiveFrom, reorderLevel, sampleLocationId, ghodaLocationId, notes, godownId } = req.body;
+
+    const locationError = await checkLocationIds(req.body);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+
+    const priceListError = await checkPriceListIds(req.body);
+    if (priceListError) {
+      return res.status(400).json({ message: priceListError });
+    }
+
+    // Quantity edits go through the ledger as an adjustment. With a godownId, qty is that
+    // godown's quantity; without one it is the product total and the default godown takes the difference.
+    if (qty !== undefined) {
+      const godown = await resolveGodown(godownId);
+      if (!godown) {
+        return res.status(400).json({ message: 'Godown not found' });
+      }
+
+      const change = godownId ? Number(qty) - godownQty(product, godown._id) : Number(qty) - product.qty;
+
+      // Bundled stock can only be taken out through its bundle, so an edit can only lower
+      // what isn't in one
+      if (change < 0) {
+        const loose = await looseQty(product, godown._id);
+        if (loose < -change && loose < godownQty(product, godown._id)) {
+          return res.status(400).json({ message: `Only ${Math.max(loose, 0)} loose in ${godown.name}; pick a bundle to take the rest from` });
+        }
+
+        const heldError = await heldStockError(product, godown, -change);
+        if (heldError) {
+          return res.status(400).json({ message: heldError });
+        }
+      }
+
+      if (change !== 0) {
+        const result = await applyStockMovement({
+          productId: product._id,
+          godownId: godown._id,
+          type: 'adjustment',
+          quantity: change,
+          reason: 'Manual edit',
+          user: req.user._id
+        });
+
+        if (!result) {
+          return res.status(409).json({ message: `Not enough stock in ${godown.name} for this change, please reload and try again` });
+        }
+      }
+    }
 
     const updateData = {};
     if (name !== undefined) updateData.name = name;
-    if (qty !== undefined) updateData.qty = Number(qty);
     if (price !== undefined) updateData.price = Number(price);
     if (billing !== undefined) updateData.billing = Number(billing);
-    if (image !== undefined) updateData.image = image;
-    if (sampleLocation !== undefined) updateData.sampleLocation = sampleLocation;
-    if (ghodaLocation !== undefined) updateData.ghodaLocation = ghodaLocation;
+    // The list replaces all of the product's price list prices; lists left out use the base price
+    if (prices !== undefined) updateData.prices = pricesFromBody(prices);
+    Object.assign(updateData, dimensionsFromBody(req.body));
+    if (reorderLevel !== undefined) updateData.reorderLevel = parseReorderLevel(reorderLevel);
+    const images = imagesFromBody(req.body);
+    if (images) Object.assign(updateData, images);
+    if (sampleLocationId !== undefined) updateData.sampleLocationId = sampleLocationId || null;
+    if (ghodaLocationId !== undefined) updateData.ghodaLocationId = ghodaLocationId || null;
+    if (notes !== undefined) updateData.notes = notes;
 
     const updatedProduct = await Product.findByIdAndUpdate(
       req.params.id,
@@ -268,31 +1151,252 @@ router.put('/:id', protect, [
       select: 'name categoryId',
       populate: {
         path: 'categoryId',
-        select: 'name'
+        select: 'name rakamBasis areaUnit'
       }
-    });
+    }).populate(locationPopulate);
+
+    await refreshSearchText({ _id: product._id });
+    await recordAudit({ user: req.user._id, action: 'update', entityType: 'Product', before: product, after: updatedProduct });
+    await recordPriceChanges([{ before: product, after: updatedProduct, user: req.user._id, effectiveFrom }]);
 
-    res.json(updatedProduct);
+    // Images removed from the product are no longer referenced anywhere
+    if (images) {
+      const keptUrls = new Set(productImageUrls(updatedProduct));
+      await removeProductImages(...productImageUrls(product).filter(url => !keptUrls.has(url)));
+    }
+
+    const [result] = await withAvailability([updatedProduct]);
+    res.json(result);
   } catch (error) {
     console.error('Update product error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   DELETE /api/products/:id
-// @desc    Delete product
+// @route   GET /api/products/:id/movements
+// @desc    Get stock movement history for a product
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.get('/:id/movements', protect, checkIdFilters, async (req, res) => {
   try {
+    const { godownId, bundleId, page = 1, limit = 20 } = req.query;
+
+    if (bundleId && !mongoose.isValidObjectId(bundleId)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const query = { productId: req.params.id };
+    if (godownId) {
+      query.godownId = godownId;
+    }
+    if (bundleId) {
+      query.bundleId = bundleId;
+    }
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(query)
+        .populate('user', 'username')
+        .populate('godownId', 'name')
+        .populate('challanId', 'number')
+        .populate('purchaseId', 'invoiceNumber')
+        .populate('bundleId', 'bundleNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      StockMovement.countDocuments(query)
+    ]);
+
+    res.json({
+      movements,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/products/:id/price-history
+// @desc    Get price and billing changes for a product, newest first
+// @access  Private
+router.get('/:id/price-history', protect, checkIdFilters, async (req, res) => {
+  try {
+    const { priceListId, page = 1, limit = 20 } = req.query;
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const query = { productId: req.params.id };
+    if (priceListId) {
+      query.priceListId = priceListId;
+    }
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [history, total, priceLists] = await Promise.all([
+      PriceChange.find(query)
+        .populate('user', 'username')
+        .sort({ effectiveFrom: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      PriceChange.countDocuments(query),
+      PriceList.find().select('name')
+    ]);
+
+    // Entries outlive their price list, so names are looked up rather than populated
+    const listNames = new Map(priceLists.map(priceList => [String(priceList._id), priceList.name]));
+
+    res.json({
+      history: history.map(change => ({
+        ...change.toJSON(),
+        priceListName: change.priceListId ? listNames.get(String(change.priceListId)) || 'Deleted price list' : null
+      })),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/products/:id/movements
+// @desc    Record an inward, outward or adjustment movement in a godown, or in one of the
+//          product's bundles, and update qty
+// @access  Private (admin, manager, staff)
+router.post('/:id/movements', protect, authorize('admin', 'manager', 'staff'), [
+  body('type').isIn(StockMovement.TYPES).withMessage('Type must be inward, outward or adjustment'),
+  body('quantity').isNumeric().withMessage('Quantity must be a number')
+    .custom(val => Number(val) !== 0).withMessage('Quantity cannot be zero')
+    .custom((val, { req }) => req.body.type === 'adjustment' || Number(val) > 0)
+    .withMessage('Quantity must be positive for inward and outward movements'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 100 }).withMessage('Reason cannot exceed 100 characters'),
+  body('note').optional().trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  godownIdRule,
+  body('bundleId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid bundle ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    await Product.findByIdAndDelete(req.params.id);
+    const { type, quantity, reason, note, godownId, bundleId } = req.body;
+
+    // A bundle's stock moves in the godown the bundle is kept in
+    const bundle = bundleId ? await Bundle.findOne({ _id: bundleId, productId: product._id }) : null;
+    if (bundleId && !bundle) {
+      return res.status(400).json({ message: 'Bundle not found' });
+    }
+    if (bundle && godownId && String(godownId) !== String(bundle.godownId)) {
+      return res.status(400).json({ message: `Bundle ${bundle.bundleNumber} is in another godown` });
+    }
+
+    const godown = await resolveGodown(bundle ? bundle.godownId : godownId);
+    if (!godown) {
+      return res.status(400).json({ message: 'Godown not found' });
+    }
+
+    // Without a bundle, stock can only leave from what isn't in one
+    const delta = signedQuantity(type, quantity);
+    if (!bundle && delta < 0) {
+      const loose = await looseQty(product, godown._id);
+      if (loose < -delta && loose < godownQty(product, godown._id)) {
+        return res.status(400).json({ message: `Only ${Math.max(loose, 0)} loose in ${godown.name}; pick a bundle to take the rest from` });
+      }
+    }
+
+    // Stock held for a customer can't be taken out or adjusted away; it goes out on a challan
+    if (delta < 0) {
+      const heldError = await heldStockError(product, godown, -delta);
+      if (heldError) {
+        return res.status(400).json({ message: heldError });
+      }
+    }
+
+    const result = await applyStockMovement({
+      productId: product._id,
+      godownId: godown._id,
+      ...(bundle && { bundleId: bundle._id }),
+      type,
+      quantity,
+      reason,
+      note: note || '',
+      user: req.user._id
+    });
+
+    if (!result) {
+      if (bundle) {
+        const current = await Bundle.findById(bundle._id);
+        return res.status(400).json({ message: `Insufficient stock in bundle ${bundle.bundleNumber}, only ${current ? current.qty : 0} left` });
+      }
+      return res.status(400).json({ message: `Insufficient stock in ${godown.name}, only ${godownQty(product, godown._id)} available` });
+    }
+
+    await recordAudit({
+      user: req.user._id,
+      action: 'update',
+      entityType: 'Product',
+      before: product,
+      after: result.product,
+      note: `Stock ${type}: ${reason}${bundle ? ` (bundle ${bundle.bundleNumber})` : ''}`
+    });
+
+    const movement = await StockMovement.findById(result.movement._id)
+      .populate('user', 'username')
+      .populate('godownId', 'name')
+      .populate('bundleId', 'bundleNumber');
+
+    const [{ availableQty, heldQty }] = await withAvailability([result.product]);
+
+    res.status(201).json({ movement, qty: result.product.qty, stock: result.product.stock, availableQty, heldQty });
+  } catch (error) {
+    console.error('Create stock movement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/products/:id
+// @desc    Move product to the recycle bin
+// @access  Private (admin, manager)
+router.delete('/:id', protect, authorize('admin', 'manager'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    await Product.updateOne({ _id: req.params.id }, { deletedAt: new Date() });
+
+    await recordAudit({ user: req.user._id, action: 'delete', entityType: 'Product', before: product });
 
-    res.json({ message: 'Product deleted' });
+    res.json({ message: 'Product moved to the Recycle Bin' });
   } catch (error) {
     console.error('Delete product error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -0,0 +1,277 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const PurchaseInward = require('../models/PurchaseInward');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const SubCategory = require('../models/SubCategory');
+const Godown = require('../models/Godown');
+const { protect, authorize } = require('../middleware/auth');
+const { applyStockMovements } = require('../utils/stock');
+const { recordAudit, recordAuditMany } = require('../utils/audit');
+const { recordPriceChanges } = require('../utils/prices');
+const { refreshSearchText } = require('../utils/search');
+
+const router = express.Router();
+
+const MAX_PURCHASE_ITEMS = 200;
+const ID_FILTERS = ['supplierId', 'godownId', 'productId'];
+
+// Roles that may add products, which inline new products on an inward also need
+const PRODUCT_ROLES = ['admin', 'manager'];
+
+const populatePurchase = (query) => query
+  .populate('supplierId', 'name phone address gstin')
+  .populate('godownId', 'name')
+  .populate('createdBy', 'username');
+
+// @route   GET /api/purchases
+// @desc    Get purchase inwards with filters and pagination
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { supplierId, godownId, productId, invoiceNumber, from, to, page = 1, limit = 20 } = req.query;
+
+    if (ID_FILTERS.some(field => req.query[field] && !mongoose.isValidObjectId(req.query[field]))) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const query = {};
+
+    if (supplierId) {
+      query.supplierId = supplierId;
+    }
+
+    if (godownId) {
+      query.godownId = godownId;
+    }
+
+    // Inwards that include this product
+    if (productId) {
+      query['items.productId'] = productId;
+    }
+
+    if (invoiceNumber) {
+      query.invoiceNumber = invoiceNumber.trim();
+    }
+
+    // Invoice date range (to is inclusive of the whole day)
+    if (from || to) {
+      query.invoiceDate = {};
+      if (from) {
+        query.invoiceDate.$gte = new Date(from);
+      }
+      if (to) {
+        const end = new Date(to);
+        end.setHours(23, 59, 59, 999);
+        query.invoiceDate.$lte = end;
+      }
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [purchases, total] = await Promise.all([
+      populatePurchase(PurchaseInward.find(query))
+        .sort({ invoiceDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      PurchaseInward.countDocuments(query)
+    ]);
+
+    res.json({
+      purchases,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get purchases error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/purchases/:id
+// @desc    Get single purchase inward
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const purchase = await populatePurchase(PurchaseInward.findById(req.params.id));
+
+    if (!purchase) {
+      return res.status(404).json({ message: 'Inward not found' });
+    }
+
+    res.json(purchase);
+  } catch (error) {
+    console.error('Get purchase error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/purchases
+// @desc    Record stock received from a supplier, creating new products inline if needed
+// @access  Private (admin, manager, staff; new products need admin or manager)
+router.post('/', protect, authorize('admin', 'manager', 'staff'), [
+  body('supplierId').isMongoId().withMessage('Supplier is required'),
+  body('invoiceNumber').trim().notEmpty().withMessage('Invoice number is required')
+    .isLength({ max: 50 }).withMessage('Invoice number cannot exceed 50 characters'),
+  body('invoiceDate').isISO8601().withMessage('Invoice date must be a valid date'),
+  body('godownId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid godown ID'),
+  body('items').isArray({ min: 1, max: MAX_PURCHASE_ITEMS })
+    .withMessage(`An inward needs between 1 and ${MAX_PURCHASE_ITEMS} items`),
+  body('items.*').custom(item => Boolean(item?.productId) !== Boolean(item?.newProduct))
+    .withMessage('Each item needs either a product or a new product'),
+  body('items.*.productId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid product ID'),
+  body('items.*.newProduct.name').optional().trim().notEmpty().withMessage('New product name is required')
+    .isLength({ max: 200 }).withMessage('Product name cannot exceed 200 characters'),
+  body('items.*.newProduct.subCategoryId').optional().isMongoId().withMessage('New product needs a subcategory'),
+  body('items.*.newProduct.price').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Price cannot be negative'),
+  body('items.*.newProduct.billing').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Billing cannot be negative'),
+  body('items.*.qty').isFloat({ gt: 0 }).withMessage('Quantity must be more than zero'),
+  body('items.*.cost').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Cost cannot be negative'),
+  body('note').optional().trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { supplierId, invoiceNumber, invoiceDate, godownId, items, note } = req.body;
+
+    const newItems = items.filter(item => item.newProduct);
+    if (newItems.length > 0 && !PRODUCT_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Only admins and managers can add new products' });
+    }
+    if (newItems.some(item => !item.newProduct.name || !item.newProduct.subCategoryId)) {
+      return res.status(400).json({ message: 'New products need a name and a subcategory' });
+    }
+
+    const productIds = items.filter(item => item.productId).map(item => String(item.productId));
+    if (new Set(productIds).size !== productIds.length) {
+      return res.status(400).json({ message: 'Each product can only be listed once' });
+    }
+
+    const supplier = await Supplier.findById(supplierId);
+    if (!supplier) {
+      return res.status(400).json({ message: 'Supplier not found' });
+    }
+
+    if (await PurchaseInward.exists({ supplierId: supplier._id, invoiceNumber: invoiceNumber.trim() })) {
+      return res.status(400).json({ message: `Invoice ${invoiceNumber.trim()} from ${supplier.name} has already been entered` });
+    }
+
+    // Stock arrives in the chosen godown, or the default one
+    const godown = godownId ? await Godown.findById(godownId) : await Godown.getDefault();
+    if (!godown) {
+      return res.status(400).json({ message: 'Godown not found' });
+    }
+
+    const products = await Product.find({ _id: { $in: productIds } }).select('name');
+    const productsById = new Map(products.map(product => [String(product._id), product]));
+    if (productIds.some(id => !productsById.has(id))) {
+      return res.status(400).json({ message: 'Product not found' });
+    }
+
+    // New products must go into an existing subcategory and not repeat a product already there
+    const subCategoryIds = [...new Set(newItems.map(item => String(item.newProduct.subCategoryId)))];
+    const subCategories = await SubCategory.find({ _id: { $in: subCategoryIds } }).select('name');
+    if (subCategories.length !== subCategoryIds.length) {
+      return res.status(400).json({ message: 'SubCategory not found' });
+    }
+
+    const newNames = newItems.map(item => `${item.newProduct.subCategoryId}:${item.newProduct.name.trim().toLowerCase()}`);
+    if (new Set(newNames).size !== newNames.length) {
+      return res.status(400).json({ message: 'Each new product can only be listed once' });
+    }
+
+    for (const { newProduct } of newItems) {
+      const existing = await Product.findOne({ subCategoryId: newProduct.subCategoryId, name: newProduct.name.trim() })
+        .collation({ locale: 'en', strength: 2 });
+      if (existing) {
+        const subCategory = subCategories.find(sc => String(sc._id) === String(newProduct.subCategoryId));
+        return res.status(400).json({ message: `${existing.name} already exists in ${subCategory.name}; pick it instead` });
+      }
+    }
+
+    // New products start empty; the inward below is their first stock
+    const createdProducts = await Product.insertMany(newItems.map(({ newProduct }) => ({
+      name: newProduct.name.trim(),
+      subCategoryId: newProduct.subCategoryId,
+      qty: 0,
+      stock: [],
+      price: Number(newProduct.price) || 0,
+      billing: Number(newProduct.billing) || 0
+    })));
+    createdProducts.forEach(product => productsById.set(String(product._id), product));
+    await refreshSearchText({ _id: { $in: createdProducts.map(product => product._id) } });
+
+    let created = 0;
+    const lines = items.map((item) => {
+      const product = item.newProduct ? createdProducts[created++] : productsById.get(String(item.productId));
+      return { product, qty: Number(item.qty), cost: Number(item.cost) || 0 };
+    });
+
+    // Saved first so the unique invoice index settles concurrent entries of the same invoice
+    let purchase;
+    try {
+      purchase = await PurchaseInward.create({
+        supplierId: supplier._id,
+        invoiceNumber: invoiceNumber.trim(),
+        invoiceDate: new Date(invoiceDate),
+        godownId: godown._id,
+        items: lines.map(({ product, qty, cost }) => ({ productId: product._id, name: product.name, qty, cost })),
+        note: note || '',
+        createdBy: req.user._id
+      });
+    } catch (error) {
+      await Product.deleteMany({ _id: { $in: createdProducts.map(product => product._id) } });
+      if (error.code === 11000) {
+        return res.status(400).json({ message: `Invoice ${invoiceNumber.trim()} from ${supplier.name} has already been entered` });
+      }
+      throw error;
+    }
+
+    const { failedIndex } = await applyStockMovements(lines.map(({ product, qty }) => ({
+      productId: product._id,
+      godownId: godown._id,
+      type: 'inward',
+      quantity: qty,
+      reason: 'Purchase',
+      note: `${supplier.name}, invoice ${purchase.invoiceNumber}`,
+      user: req.user._id,
+      purchaseId: purchase._id
+    })));
+
+    // Stock can only be added to products that still exist
+    if (failedIndex !== undefined) {
+      await PurchaseInward.deleteOne({ _id: purchase._id });
+      await Product.deleteMany({ _id: { $in: createdProducts.map(product => product._id) } });
+      return res.status(400).json({
+        message: `${lines[failedIndex].product.name} is in the Recycle Bin or no longer exists`
+      });
+    }
+
+    const auditNote = `Purchase from ${supplier.name}, invoice ${purchase.invoiceNumber}`;
+    await recordAuditMany(createdProducts.map(product => ({
+      user: req.user._id, action: 'create', entityType: 'Product', after: product, note: auditNote
+    })));
+    await recordPriceChanges(createdProducts.map(product => ({ after: product, user: req.user._id })));
+    await recordAudit({ user: req.user._id, action: 'create', entityType: 'PurchaseInward', after: purchase });
+
+    res.status(201).json(await populatePurchase(PurchaseInward.findById(purchase._id)));
+  } catch (error) {
+    console.error('Create purchase error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const Product = require('../models/Product');
+const { protect, authorize, requireConfirmation } = require('../middleware/auth');
+const { recordAuditMany } = require('../utils/audit');
+const { removeProductImages, productImageUrls } = require('../utils/images');
+const { RETENTION_DAYS, purgeBundles } = require('../utils/recycleBin');
+
+const router = express.Router();
+
+const sameTime = (a, b) => Boolean(a && b) && a.getTime() === b.getTime();
+
+// Find a deleted item and everything that was deleted together with it
+const loadSubtree = async (type, id) => {
+  const deleted = { deletedAt: { $ne: null } };
+
+  if (type === 'categories') {
+    const category = await Category.findOne({ _id: id, ...deleted });
+    if (!category) return null;
+    const subCategories = await SubCategory.find({ categoryId: id, deletedAt: category.deletedAt });
+    const products = await Product.find({
+      subCategoryId: { $in: subCategories.map(sc => sc._id) },
+      deletedAt: category.deletedAt
+    });
+    return { root: category, entityType: 'Category', subCategories, products };
+  }
+
+  if (type === 'subcategories') {
+    const subCategory = await SubCategory.findOne({ _id: id, ...deleted });
+    if (!subCategory) return null;
+    const products = await Product.find({ subCategoryId: id, deletedAt: subCategory.deletedAt });
+    return { root: subCategory, entityType: 'SubCategory', subCategories: [], products };
+  }
+
+  if (type === 'products') {
+    const product = await Product.findOne({ _id: id, ...deleted });
+    if (!product) return null;
+    return { root: product, entityType: 'Product', subCategories: [], products: [] };
+  }
+
+  return null;
+};
+
+const auditEntries = (subtree, action, userId) => {
+  const note = subtree.subCategories.length || subtree.products.length
+    ? `With ${subtree.subCategories.length} subcategories and ${subtree.products.length} products`
+    : '';
+  return [
+    { user: userId, action, entityType: subtree.entityType, before: subtree.root, note },
+    ...subtree.subCategories.map(sc => ({
+      user: userId, action, entityType: 'SubCategory', before: sc, note: `With "${subtree.root.name}"`
+    })),
+    ...subtree.products.map(product => ({
+      user: userId, action, entityType: 'Product', before: product, note: `With "${subtree.root.name}"`
+    }))
+  ];
+};
+
+// @route   GET /api/recycle-bin
+// @desc    List deleted items (cascaded children are counted under their parent)
+// @access  Private (admin, manager)
+router.get('/', protect, authorize('admin', 'manager'), async (req, res) => {
+  try {
+    const deleted = { deletedAt: { $ne: null } };
+
+    const [categories, subCategories, products] = await Promise.all([
+      Category.find(deleted).sort({ deletedAt: -1 }),
+      SubCategory.find(deleted)
+        .populate({ path: 'categoryId', select: 'name deletedAt', options: { withDeleted: true } })
+        .sort({ deletedAt: -1 }),
+      Product.find(deleted)
+        .select('-image')
+        .populate({
+          path: 'subCategoryId',
+          select: 'name categoryId deletedAt',
+          options: { withDeleted: true },
+          populate: { path: 'categoryId', select: 'name', options: { withDeleted: true } }
+        })
+        .sort({ deletedAt: -1 })
+    ]);
+
+    // Items deleted on their own, not as part of a parent's cascade
+    const rootSubCategories = subCategories.filter(sc => !sameTime(sc.categoryId?.deletedAt, sc.deletedAt));
+    const rootProducts = products.filter(p => !sameTime(p.subCategoryId?.deletedAt, p.deletedAt));
+
+    const cascadedProducts = (subCategoryIds, deletedAt) => products.filter(p =>
+      subCategoryIds.some(id => id.equals(p.subCategoryId?._id)) && sameTime(p.deletedAt, deletedAt)
+    ).length;
+
+    const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    res.json({
+      retentionDays: RETENTION_DAYS,
+      categories: categories.map(category => {
+        const children = subCategories.filter(sc =>
+          category._id.equals(sc.categoryId?._id) && sameTime(sc.deletedAt, category.deletedAt)
+        );
+        return {
+          ...category.toJSON(),
+          purgeAt: purgeDate(category.deletedAt),
+          cascade: {
+            subCategories: children.length,
+            products: cascadedProducts(children.map(sc => sc._id), category.deletedAt)
+          }
+        };
+      }),
+      subCategories: rootSubCategories.map(sc => ({
+        ...sc.toJSON(),
+        purgeAt: purgeDate(sc.deletedAt),
+        cascade: { subCategories: 0, products: cascadedProducts([sc._id], sc.deletedAt) }
+      })),
+      products: rootProducts.map(product => ({
+        ...product.toJSON(),
+        purgeAt: purgeDate(product.deletedAt)
+      }))
+    });
+  } catch (error) {
+    console.error('Get recycle bin error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/recycle-bin/:type/:id/restore
+// @desc    Restore a deleted category, subcategory or product with its subtree
+// @access  Private (admin, manager)
+router.post('/:type/:id/restore', protect, authorize('admin', 'manager'), async (req, res) => {
+  try {
+    const subtree = await loadSubtree(req.params.type, req.params.id);
+
+    if (!subtree) {
+      return res.status(404).json({ message: 'Item not found in the Recycle Bin' });
+    }
+
+    const { root, subCategories, products } = subtree;
+
+    // A child cannot come back while its parent is still deleted
+    if (req.params.type === 'subcategories' && !(await Category.findById(root.categoryId))) {
+      return res.status(400).json({ message: 'Restore its category first' });
+    }
+    if (req.params.type === 'products' && !(await SubCategory.findById(root.subCategoryId))) {
+      return res.status(400).json({ message: 'Restore its subcategory first' });
+    }
+
+    const restore = { deletedAt: null };
+    await Product.updateMany({ _id: { $in: products.map(p => p._id) }, deletedAt: root.deletedAt }, restore);
+    await SubCategory.updateMany({ _id: { $in: subCategories.map(sc => sc._id) }, deletedAt: root.deletedAt }, restore);
+    await root.constructor.updateOne({ _id: root._id, deletedAt: root.deletedAt }, restore);
+
+    await recordAuditMany(auditEntries(subtree, 'restore', req.user._id));
+
+    res.json({
+      message: `"${root.name}" restored`,
+      restored: { subCategories: subCategories.length, products: products.length }
+    });
+  } catch (error) {
+    console.error('Restore error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/recycle-bin/:type/:id
+// @desc    Permanently delete an item and its subtree from the recycle bin
+// @access  Private (admin, requires X-Confirmation-Token)
+router.delete('/:type/:id', protect, authorize('admin'), requireConfirmation, async (req, res) => {
+  try {
+    const subtree = await loadSubtree(req.params.type, req.params.id);
+
+    if (!subtree) {
+      return res.status(404).json({ message: 'Item not found in the Recycle Bin' });
+    }
+
+    const { root, subCategories, products } = subtree;
+
+    const purgedIds = subtree.entityType === 'Product' ? [root._id] : products.map(p => p._id);
+    const bundlePhotos = await purgeBundles(purgedIds);
+
+    await Product.deleteMany({ _id: { $in: products.map(p => p._id) } });
+    await SubCategory.deleteMany({ _id: { $in: subCategories.map(sc => sc._id) } });
+    await root.constructor.deleteOne({ _id: root._id });
+
+    await recordAuditMany(auditEntries(subtree, 'purge', req.user._id));
+
+    const purgedProducts = subtree.entityType === 'Product' ? [root] : products;
+    await removeProductImages(...purgedProducts.flatMap(productImageUrls), ...bundlePhotos);
+
+    res.json({ message: `"${root.name}" permanently deleted` });
+  } catch (error) {
+    console.error('Purge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { protect } = require('../middleware/auth');
+const { effectiveReorderLevel, godownQtyExpression } = require('../utils/stock');
+const { listPriceExpression, rakamExpression, categoryLookupStages } = require('../utils/prices');
+
+const router = express.Router();
+
+// Totals accumulated for every group in the summary
+const totalsGroup = {
+  totalQty: { $sum: '$qty' },
+  totalRakam: { $sum: rakamExpression() },
+  productCount: { $sum: 1 },
+  zeroStockCount: { $sum: { $cond: [{ $lte: ['$qty', 0] }, 1, 0] } },
+  lowStockCount: { $sum: { $cond: [{ $lte: ['$qty', effectiveReorderLevel] }, 1, 0] } }
+};
+
+const emptyTotals = { totalQty: 0, totalRakam: 0, productCount: 0, zeroStockCount: 0, lowStockCount: 0 };
+
+// @route   GET /api/reports/summary
+// @desc    Stock valuation totals overall, per category and per subcategory, optionally for one
+//          godown and at one price list's prices
+// @access  Private
+router.get('/summary', protect, async (req, res) => {
+  try {
+    const { categoryId, subCategoryId, godownId, priceListId } = req.query;
+
+    if ((categoryId && !mongoose.isValidObjectId(categoryId)) ||
+        (subCategoryId && !mongoose.isValidObjectId(subCategoryId)) ||
+        (godownId && !mongoose.isValidObjectId(godownId)) ||
+        (priceListId && !mongoose.isValidObjectId(priceListId))) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const scope = {};
+    if (subCategoryId) {
+      scope.subCategoryId = new mongoose.Types.ObjectId(subCategoryId);
+    }
+    if (categoryId) {
+      scope['subCategory.categoryId'] = new mongoose.Types.ObjectId(categoryId);
+    }
+
+    // For one godown, count the products stocked there and total their quantity in that godown
+    const godownStages = [];
+    if (godownId) {
+      const godownObjectId = new mongoose.Types.ObjectId(godownId);
+      scope['stock.godownId'] = godownObjectId;
+      godownStages.push({ $addFields: { qty: godownQtyExpression(godownObjectId) } });
+    }
+
+    // Rakam at the price list's prices, or the base price for products it doesn't price
+    const priceStages = priceListId
+      ? [{ $addFields: { price: listPriceExpression(new mongoose.Types.ObjectId(priceListId)) } }]
+      : [];
+
+    const [result] = await Product.aggregate([
+      ...categoryLookupStages(),
+      { $match: scope },
+      ...godownStages,
+      ...priceStages,
+      {
+        $facet: {
+          overall: [
+            { $group: { _id: null, ...totalsGroup } },
+            { $project: { _id: 0 } }
+          ],
+          categories: [
+            { $group: { _id: '$subCategory.categoryId', ...totalsGroup } },
+            {
+              $lookup: {
+                from: Category.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                as: 'category'
+              }
+            },
+            { $unwind: '$category' },
+            { $addFields: { name: '$category.name' } },
+            { $project: { category: 0 } },
+            { $sort: { name: 1 } }
+          ],
+          subCategories: [
+            {
+              $group: {
+                _id: '$subCategoryId',
+                name: { $first: '$subCategory.name' },
+                categoryId: { $first: '$subCategory.categoryId' },
+                ...totalsGroup
+              }
+            },
+            { $sort: { name: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    res.json({
+      overall: result.overall[0] || emptyTotals,
+      categories: result.categories,
+      subCategories: result.subCategories
+    });
+  } catch (error) {
+    console.error('Get summary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Reservation = require('../models/Reservation');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const Godown = require('../models/Godown');
+const { protect, authorize } = require('../middleware/auth');
+const { godownQty } = require('../utils/stock');
+const { heldQuantities } = require('../utils/reservations');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const ID_FILTERS = ['productId', 'customerId', 'godownId'];
+
+const populateReservation = (query) => query
+  .populate('productId', 'name qty stock')
+  .populate('customerId', 'name phone')
+  .populate('godownId', 'name')
+  .populate('createdBy', 'username')
+  .populate('closedBy', 'username');
+
+// Query for a status. Active holds that have lapsed but not been swept yet count as expired.
+const statusFilter = (status) => {
+  const now = new Date();
+  if (status === 'active') {
+    return Reservation.activeFilter(now);
+  }
+  if (status === 'expired') {
+    return { $or: [{ status: 'expired' }, { status: 'active', expiresAt: { $lte: now } }] };
+  }
+  return { status };
+};
+
+// @route   GET /api/reservations
+// @desc    Get holds with filters and pagination
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { productId, customerId, godownId, status, page = 1, limit = 50 } = req.query;
+
+    if (ID_FILTERS.some(field => req.query[field] && !mongoose.isValidObjectId(req.query[field]))) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    if (status && !Reservation.STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of ${Reservation.STATUSES.join(', ')}` });
+    }
+
+    const query = status ? statusFilter(status) : {};
+
+    if (productId) {
+      query.productId = productId;
+    }
+
+    if (customerId) {
+      query.customerId = customerId;
+    }
+
+    if (godownId) {
+      query.godownId = godownId;
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [reservations, total] = await Promise.all([
+      populateReservation(Reservation.find(query))
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      Reservation.countDocuments(query)
+    ]);
+
+    res.json({
+      reservations,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get reservations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reservations
+// @desc    Hold a quantity of a product for a customer until an expiry date
+// @access  Private (admin, manager, staff)
+router.post('/', protect, authorize('admin', 'manager', 'staff'), [
+  body('productId').isMongoId().withMessage('Product is required'),
+  body('customerId').isMongoId().withMessage('Customer is required'),
+  body('godownId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid godown ID'),
+  body('qty').isFloat({ gt: 0 }).withMessage('Quantity must be more than zero'),
+  body('expiresAt').isISO8601().withMessage('Expiry date must be a valid date')
+    .custom(val => new Date(val) > new Date()).withMessage('Expiry date must be in the future'),
+  body('note').optional().trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, customerId, godownId, qty, expiresAt, note } = req.body;
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(400).json({ message: 'Product not found' });
+    }
+
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      return res.status(400).json({ message: 'Customer not found' });
+    }
+
+    // Held in the chosen godown, or the default one
+    const godown = godownId ? await Godown.findById(godownId) : await Godown.getDefault();
+    if (!godown) {
+      return res.status(400).json({ message: 'Godown not found' });
+    }
+
+    // Only stock no one else is holding can be held
+    const held = (await heldQuantities([product._id], godown._id)).get(String(product._id)) || 0;
+    const available = godownQty(product, godown._id) - held;
+    if (Number(qty) > available) {
+      return res.status(400).json({
+        message: `Only ${Math.max(available, 0)} of ${product.name} available to hold in ${godown.name}`
+      });
+    }
+
+    const reservation = await Reservation.create({
+      productId: product._id,
+      customerId: customer._id,
+      godownId: godown._id,
+      qty: Number(qty),
+      expiresAt: new Date(expiresAt),
+      note: note || '',
+      createdBy: req.user._id
+    });
+
+    const populated = await populateReservation(Reservation.findById(reservation._id));
+
+    await recordAudit({ user: req.user._id, action: 'create', entityType: 'Reservation', after: populated });
+
+    res.status(201).json(populated);
+  } catch (error) {
+    console.error('Create reservation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reservations/:id/release
+// @desc    Release an active hold before it expires
+// @access  Private (admin, manager, staff)
+router.post('/:id/release', protect, authorize('admin', 'manager', 'staff'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const before = await populateReservation(Reservation.findOneAndUpdate(
+      { _id: req.params.id, ...Reservation.activeFilter() },
+      { status: 'released', closedAt: new Date(), closedBy: req.user._id }
+    ));
+
+    if (!before) {
+      const exists = await Reservation.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({ message: exists ? 'Hold is no longer active' : 'Hold not found' });
+    }
+
+    const reservation = await populateReservation(Reservation.findById(before._id));
+
+    await recordAudit({ user: req.user._id, action: 'update', entityType: 'Reservation', before, after: reservation });
+
+    res.json(reservation);
+  } catch (error) {
+    console.error('Release reservation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const Product = require('../models/Product');
+const Location = require('../models/Location');
+const { protect } = require('../middleware/auth');
+const { searchTerms, searchFilter, productSort, rankByName, withHighlights } = require('../utils/search');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+const crumb = (type, doc) => ({ type, _id: doc._id, name: doc.name });
+
+const emptyGroup = () => ({ items: [], total: 0 });
+
+// @route   GET /api/search
+// @desc    Search categories, subcategories and products at once. Each group holds its best
+//          hits with the path to them, and the total number of hits.
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { q = '', categoryId, godownId } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    if ([categoryId, godownId].some(id => id && !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const result = {
+      query: q,
+      categories: emptyGroup(),
+      subCategories: emptyGroup(),
+      products: emptyGroup()
+    };
+
+    if (searchTerms(q).length === 0) {
+      return res.json(result);
+    }
+
+    // Within one category, only its subcategories and products are searched
+    const [categories, subCategories] = await Promise.all([
+      categoryId ? [] : Category.find({}).select('name').lean(),
+      SubCategory.find(categoryId ? { categoryId } : {})
+        .select('name categoryId')
+        .populate('categoryId', 'name')
+        .lean()
+    ]);
+
+    const rankedCategories = rankByName(categories, q);
+    result.categories = {
+      items: rankedCategories.slice(0, limit).map(({ doc, highlights }) => ({
+        ...doc,
+        type: 'category',
+        path: [crumb('category', doc)],
+        highlights
+      })),
+      total: rankedCategories.length
+    };
+
+    const rankedSubCategories = rankByName(subCategories, q);
+    result.subCategories = {
+      items: rankedSubCategories.slice(0, limit).map(({ doc, highlights }) => ({
+        ...doc,
+        type: 'subcategory',
+        path: [
+          ...(doc.categoryId ? [crumb('category', doc.categoryId)] : []),
+          crumb('subcategory', doc)
+        ],
+        highlights
+      })),
+      total: rankedSubCategories.length
+    };
+
+    const productQuery = searchFilter(q);
+    if (categoryId) {
+      productQuery.subCategoryId = { $in: subCategories.map(subCategory => subCategory._id) };
+    }
+    if (godownId) {
+      productQuery.stock = { $elemMatch: { godownId } };
+    }
+
+    const [products, productTotal] = await Promise.all([
+      Product.find(productQuery)
+        .populate({
+          path: 'subCategoryId',
+          select: 'name categoryId',
+          populate: {
+            path: 'categoryId',
+            select: 'name rakamBasis areaUnit'
+          }
+        })
+        .populate(Location.TYPES.map(type => ({
+          path: Location.productField(type),
+          select: 'type code description capacity'
+        })))
+        .sort(productSort(q))
+        .limit(limit),
+      Product.countDocuments(productQuery)
+    ]);
+
+    const highlighted = await withHighlights(products.map(product => product.toJSON()), q);
+    result.products = {
+      items: highlighted.map((product) => {
+        const subCategory = product.subCategoryId;
+        return {
+          ...product,
+          type: 'product',
+          path: [
+            ...(subCategory?.categoryId ? [crumb('category', subCategory.categoryId)] : []),
+            ...(subCategory ? [crumb('subcategory', subCategory)] : []),
+            crumb('product', product)
+          ]
+        };
+      }),
+      total: productTotal
+    };
+
+    res.json(result);
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
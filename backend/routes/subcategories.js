@@ -2,7 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const SubCategory = require('../models/SubCategory');
 const Product = require('../models/Product');
-const { protect } = require('../middleware/auth');
+const { protect, authorize, requireConfirmation } = require('../middleware/auth');
+const { recordAudit, recordAuditMany } = require('../utils/audit');
+const { refreshSearchText } = require('../utils/search');
 
 const router = express.Router();
 
@@ -56,11 +58,13 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   POST /api/subcategories
 // @desc    Create subcategory
-// @access  Private
-router.post('/', protect, [
+// @access  Private (admin, manager)
+router.post('/', protect, authorize('admin', 'manager'), [
   body('name').trim().notEmpty().withMessage('SubCategory name is required')
     .isLength({ max: 100 }).withMessage('SubCategory name cannot exceed 100 characters'),
-  body('categoryId').notEmpty().withMessage('Category ID is required')
+  body('categoryId').notEmpty().withMessage('Category ID is required'),
+  body('reorderLevel').optional().isNumeric().withMessage('Reorder level must be a number')
+    .custom(val => val >= 0).withMessage('Reorder level cannot be negative')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -68,20 +72,26 @@ router.post('/', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, categoryId } = req.body;
+    const { name, categoryId, reorderLevel } = req.body;
 
-    // Check if subcategory exists in this category
+    // Check if subcategory exists in this category (including the recycle bin)
     const existingSubCategory = await SubCategory.findOne({ 
       name: { $regex: new RegExp(`^${name}$`, 'i') },
       categoryId
-    });
+    }).setOptions({ withDeleted: true });
 
     if (existingSubCategory) {
-      return res.status(400).json({ message: 'SubCategory already exists in this category' });
+      return res.status(400).json({
+        message: existingSubCategory.deletedAt
+          ? 'A subcategory with this name is in the Recycle Bin'
+          : 'SubCategory already exists in this category'
+      });
     }
 
-    const subCategory = await SubCategory.create({ name, categoryId });
-    
+    const subCategory = await SubCategory.create({ name, categoryId, reorderLevel: Number(reorderLevel) || 0 });
+
+    await recordAudit({ user: req.user._id, action: 'create', entityType: 'SubCategory', after: subCategory });
+
     // Populate and return
     const populatedSubCategory = await SubCategory.findById(subCategory._id)
       .populate('categoryId', 'name');
@@ -95,10 +105,12 @@ router.post('/', protect, [
 
 // @route   PUT /api/subcategories/:id
 // @desc    Update subcategory
-// @access  Private
-router.put('/:id', protect, [
+// @access  Private (admin, manager)
+router.put('/:id', protect, authorize('admin', 'manager'), [
   body('name').trim().notEmpty().withMessage('SubCategory name is required')
-    .isLength({ max: 100 }).withMessage('SubCategory name cannot exceed 100 characters')
+    .isLength({ max: 100 }).withMessage('SubCategory name cannot exceed 100 characters'),
+  body('reorderLevel').optional().isNumeric().withMessage('Reorder level must be a number')
+    .custom(val => val >= 0).withMessage('Reorder level cannot be negative')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -106,7 +118,7 @@ router.put('/:id', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name } = req.body;
+    const { name, reorderLevel } = req.body;
     
     const subCategory = await SubCategory.findById(req.params.id);
     
@@ -119,18 +131,29 @@ router.put('/:id', protect, [
       name: { $regex: new RegExp(`^${name}$`, 'i') },
       categoryId: subCategory.categoryId,
       _id: { $ne: req.params.id }
-    });
+    }).setOptions({ withDeleted: true });
 
     if (existingSubCategory) {
-      return res.status(400).json({ message: 'SubCategory name already exists in this category' });
+      return res.status(400).json({
+        message: existingSubCategory.deletedAt
+          ? 'A subcategory with this name is in the Recycle Bin'
+          : 'SubCategory name already exists in this category'
+      });
     }
 
     const updatedSubCategory = await SubCategory.findByIdAndUpdate(
       req.params.id,
-      { name },
+      reorderLevel !== undefined ? { name, reorderLevel: Number(reorderLevel) } : { name },
       { new: true, runValidators: true }
     ).populate('categoryId', 'name');
 
+    await recordAudit({ user: req.user._id, action: 'update', entityType: 'SubCategory', before: subCategory, after: updatedSubCategory });
+
+    // Products are found by their subcategory's name
+    if (subCategory.name !== updatedSubCategory.name) {
+      await refreshSearchText({ subCategoryId: updatedSubCategory._id });
+    }
+
     res.json(updatedSubCategory);
   } catch (error) {
     console.error('Update subcategory error:', error);
@@ -139,9 +162,9 @@ router.put('/:id', protect, [
 });
 
 // @route   DELETE /api/subcategories/:id
-// @desc    Delete subcategory and all related products
-// @access  Private
-router.delete('/:id', protect, async (req, res) => {
+// @desc    Move subcategory and all related products to the recycle bin
+// @access  Private (admin, requires X-Confirmation-Token)
+router.delete('/:id', protect, authorize('admin'), requireConfirmation, async (req, res) => {
   try {
     const subCategory = await SubCategory.findById(req.params.id);
 
@@ -149,13 +172,22 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(404).json({ message: 'SubCategory not found' });
     }
 
-    // Delete all products in this subcategory
-    await Product.deleteMany({ subCategoryId: req.params.id });
+    const products = await Product.find({ subCategoryId: req.params.id });
+
+    // Soft delete the subcategory and its products with one shared timestamp
+    const deletedAt = new Date();
+
+    await Product.updateMany({ subCategoryId: req.params.id }, { deletedAt });
+    await SubCategory.updateOne({ _id: req.params.id }, { deletedAt });
 
-    // Delete subcategory
-    await SubCategory.findByIdAndDelete(req.params.id);
+    // Log every record removed by the cascade
+    const note = `Deleted with subcategory "${subCategory.name}"`;
+    await recordAuditMany([
+      ...products.map(product => ({ user: req.user._id, action: 'delete', entityType: 'Product', before: product, note })),
+      { user: req.user._id, action: 'delete', entityType: 'SubCategory', before: subCategory }
+    ]);
 
-    res.json({ message: 'SubCategory and all related products deleted' });
+    res.json({ message: 'SubCategory and all related products moved to the Recycle Bin' });
   } catch (error) {
     console.error('Delete subcategory error:', error);
     res.status(500).json({ message: 'Server error' });
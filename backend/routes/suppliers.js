@@ -0,0 +1,178 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Supplier = require('../models/Supplier');
+const PurchaseInward = require('../models/PurchaseInward');
+const { protect, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const supplierRules = [
+  body('name').trim().notEmpty().withMessage('Supplier name is required')
+    .isLength({ max: 200 }).withMessage('Supplier name cannot exceed 200 characters'),
+  body('phone').optional().trim()
+    .isLength({ max: 20 }).withMessage('Phone cannot exceed 20 characters'),
+  body('address').optional().trim()
+    .isLength({ max: 500 }).withMessage('Address cannot exceed 500 characters'),
+  body('gstin').optional().trim()
+    .isLength({ max: 15 }).withMessage('GSTIN cannot exceed 15 characters')
+];
+
+// @route   GET /api/suppliers
+// @desc    Get suppliers, optionally searched by name or phone
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { search, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [{ name: pattern }, { phone: pattern }];
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [suppliers, total] = await Promise.all([
+      Supplier.find(query)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      Supplier.countDocuments(query)
+    ]);
+
+    res.json({
+      suppliers,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/suppliers/:id
+// @desc    Get single supplier
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    res.json(supplier);
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/suppliers
+// @desc    Create supplier
+// @access  Private (admin, manager, staff)
+router.post('/', protect, authorize('admin', 'manager', 'staff'), supplierRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, phone, address, gstin } = req.body;
+
+    const supplier = await Supplier.create({
+      name,
+      phone: phone || '',
+      address: address || '',
+      gstin: gstin || ''
+    });
+
+    await recordAudit({ user: req.user._id, action: 'create', entityType: 'Supplier', after: supplier });
+
+    res.status(201).json(supplier);
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/suppliers/:id
+// @desc    Update supplier
+// @access  Private (admin, manager, staff)
+router.put('/:id', protect, authorize('admin', 'manager', 'staff'), supplierRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    const { name, phone, address, gstin } = req.body;
+
+    const updatedSupplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      {
+        name,
+        ...(phone !== undefined && { phone }),
+        ...(address !== undefined && { address }),
+        ...(gstin !== undefined && { gstin })
+      },
+      { new: true, runValidators: true }
+    );
+
+    await recordAudit({ user: req.user._id, action: 'update', entityType: 'Supplier', before: supplier, after: updatedSupplier });
+
+    res.json(updatedSupplier);
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/suppliers/:id
+// @desc    Delete a supplier with no inwards
+// @access  Private (admin, manager)
+router.delete('/:id', protect, authorize('admin', 'manager'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    // Inwards keep pointing at their supplier
+    const purchases = await PurchaseInward.countDocuments({ supplierId: supplier._id });
+    if (purchases > 0) {
+      return res.status(400).json({ message: `${supplier.name} has ${purchases} inward${purchases === 1 ? '' : 's'} and cannot be deleted` });
+    }
+
+    await Supplier.deleteOne({ _id: supplier._id });
+
+    await recordAudit({ user: req.user._id, action: 'delete', entityType: 'Supplier', before: supplier });
+
+    res.json({ message: 'Supplier deleted' });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
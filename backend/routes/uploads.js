@@ -0,0 +1,55 @@
+const express = require('express');
+const multer = require('multer');
+const sharp = require('sharp');
+const { protect, authorize } = require('../middleware/auth');
+const { storeProductImage } = require('../utils/images');
+
+const router = express.Router();
+
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE },
+  fileFilter: (req, file, cb) => {
+    cb(null, file.mimetype.startsWith('image/'));
+  }
+});
+
+// Accept a single image in the "image" field, turning multer errors into 400s
+const uploadImage = (req, res, next) => {
+  upload.single('image')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'Image cannot exceed 10MB' : 'Could not read the uploaded image'
+      });
+    }
+    next();
+  });
+};
+
+// @route   POST /api/uploads/images
+// @desc    Store a product image and its thumbnail, returning their URLs
+// @access  Private (admin, manager)
+router.post('/images', protect, authorize('admin', 'manager'), uploadImage, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload an image file' });
+    }
+
+    // The mimetype comes from the client, so make sure sharp can actually decode it
+    const metadata = await sharp(req.file.buffer).metadata().catch(() => null);
+    if (!metadata || !metadata.width) {
+      return res.status(400).json({ message: 'File is not a valid image' });
+    }
+
+    const urls = await storeProductImage(req.file.buffer);
+
+    res.status(201).json(urls);
+  } catch (error) {
+    console.error('Upload image error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,23 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const User = require('./models/User');
 const Category = require('./models/Category');
 const SubCategory = require('./models/SubCategory');
 const Product = require('./models/Product');
+const StockMovement = require('./models/StockMovement');
+const Godown = require('./models/Godown');
+const Location = require('./models/Location');
+const Customer = require('./models/Customer');
+const SalesChallan = require('./models/SalesChallan');
+const Reservation = require('./models/Reservation');
+const Supplier = require('./models/Supplier');
+const PurchaseInward = require('./models/PurchaseInward');
+const PriceList = require('./models/PriceList');
+const PriceChange = require('./models/PriceChange');
+const Bundle = require('./models/Bundle');
+const Setting = require('./models/Setting');
+const { refreshSearchText } = require('./utils/search');
 
 const connectDB = async () => {
   try {
@@ -27,19 +41,53 @@ const seedData = async () => {
     await Category.deleteMany({});
     await SubCategory.deleteMany({});
     await Product.deleteMany({});
+    await StockMovement.deleteMany({});
+    await Godown.deleteMany({});
+    await Location.deleteMany({});
+    await Customer.deleteMany({});
+    await SalesChallan.deleteMany({});
+    await Reservation.deleteMany({});
+    await Supplier.deleteMany({});
+    await PurchaseInward.deleteMany({});
+    await PriceList.deleteMany({});
+    await PriceChange.deleteMany({});
+    await Bundle.deleteMany({});
+    await Setting.deleteOne({ key: 'challanNumber' });
 
     console.log('Cleared existing data');
 
     // Create admin user
     const adminUser = await User.create({
       username: 'admin',
-      password: 'admin123'
+      password: 'admin123',
+      role: 'admin'
     });
     console.log('Created admin user: admin / admin123');
 
+    // The admin's confirmation PIN for deletes (change it from the app)
+    const pinHash = await bcrypt.hash('1234', await bcrypt.genSalt(10));
+    await User.updateOne({ _id: adminUser._id }, { $set: { pinHash } });
+    console.log('Set admin confirmation PIN: 1234');
+
+    // Create godowns; the first one is the default
+    const godowns = await Godown.insertMany([
+      { name: 'Main Godown' },
+      { name: 'Second Godown' }
+    ]);
+    console.log(`Created ${godowns.length} godowns`);
+
+    // Price lists; retail is left to the base price
+    const [wholesale, retail, architect] = await PriceList.insertMany([
+      { name: 'Wholesale', description: 'Dealers and bulk buyers' },
+      { name: 'Retail', description: 'Walk-in customers' },
+      { name: 'Architect', description: 'Architects and interior designers' }
+    ]);
+    console.log(`Created 3 price lists (${wholesale.name}, ${retail.name}, ${architect.name})`);
+
     // Create sample categories
+    // Teak is sold by area, so its rakam is area × rate per sq ft
     const categories = await Category.insertMany([
-      { name: 'Teak' },
+      { name: 'Teak', rakamBasis: 'area', areaUnit: 'sqft' },
       { name: 'Rosewood' },
       { name: 'Oak' },
       { name: 'Walnut' },
@@ -104,11 +152,97 @@ const seedData = async () => {
       { name: 'MB-002 Select', subCategoryId: subCategories[11]._id, qty: 10, price: 320, billing: 200, sampleLocation: 'L2', ghodaLocation: 'G10' }
     ];
 
-    const products = await Product.insertMany(sampleProducts);
+    // Create the sample racks and ghodas the products are kept at
+    const locations = await Location.create([
+      ...[...new Set(sampleProducts.map(product => product.sampleLocation))].map(code => ({ type: 'sample', code })),
+      ...[...new Set(sampleProducts.map(product => product.ghodaLocation))].map(code => ({ type: 'ghoda', code, capacity: 4 }))
+    ]);
+    const locationId = (type, code) => locations.find(location => location.type === type && location.code === code)._id;
+    console.log(`Created ${locations.length} locations`);
+
+    // Opening stock sits in the main godown; leaves are 8 × 4 ft, 0.6 mm thick, in packs of 10
+    const products = await Product.insertMany(sampleProducts.map(({ sampleLocation, ghodaLocation, ...product }) => ({
+      length: 2440,
+      width: 1220,
+      thickness: 0.6,
+      leafCount: 10,
+      ...product,
+      sampleLocationId: locationId('sample', sampleLocation),
+      ghodaLocationId: locationId('ghoda', ghodaLocation),
+      stock: [{ godownId: godowns[0]._id, qty: product.qty }],
+      prices: [
+        { priceListId: wholesale._id, price: Math.round(product.price * 0.9) },
+        { priceListId: architect._id, price: Math.round(product.price * 1.05) }
+      ]
+    })));
     console.log(`Created ${products.length} products`);
 
+    // Opening prices start each product's price history
+    await PriceChange.insertMany(products.flatMap(product => [
+      { productId: product._id, price: product.price, billing: product.billing, user: adminUser._id },
+      ...product.prices.map(({ priceListId, price }) => ({
+        productId: product._id, priceListId, price, billing: product.billing, user: adminUser._id
+      }))
+    ]));
+    console.log('Recorded opening prices');
+
+    // Record opening stock in the movement ledger
+    await StockMovement.insertMany(products.map(product => ({
+      productId: product._id,
+      godownId: godowns[0]._id,
+      type: 'inward',
+      quantity: product.qty,
+      balanceAfter: product.qty,
+      reason: 'Opening stock',
+      user: adminUser._id
+    })));
+    console.log('Recorded opening stock movements');
+
+    // The exotic veneers are kept as flitch bundles; their opening stock is all bundled
+    const flitches = [
+      { product: 'TB-001 Exotic', flitchNumber: 'F-101', bundles: [{ qty: 5, grade: 'A' }, { qty: 3, grade: 'AB' }] },
+      { product: 'OF-001 Exotic', flitchNumber: 'F-102', bundles: [{ qty: 3, grade: 'A' }, { qty: 2, grade: 'A' }] },
+      { product: 'MB-001 Exotic', flitchNumber: 'F-103', bundles: [{ qty: 3, grade: 'AA' }] }
+    ];
+    const bundles = await Bundle.insertMany(flitches.flatMap(({ product: name, flitchNumber, bundles: lots }) => {
+      const product = products.find(item => item.name === name);
+      return lots.map((lot, i) => ({
+        productId: product._id,
+        bundleNumber: `${flitchNumber}/${i + 1}`,
+        flitchNumber,
+        godownId: godowns[0]._id,
+        length: product.length,
+        width: product.width,
+        thickness: product.thickness,
+        leafCount: 24,
+        ghodaLocationId: product.ghodaLocationId,
+        ...lot
+      }));
+    }));
+    console.log(`Created ${bundles.length} bundles`);
+
+    // Replace any older text index, then index the products for search
+    await Product.syncIndexes();
+    await refreshSearchText({});
+    console.log('Indexed products for search');
+
+    // Customers to make sales challans out to
+    const customers = await Customer.insertMany([
+      { name: 'Sharma Furniture', phone: '9810000001', address: 'Kirti Nagar, New Delhi' },
+      { name: 'Patel Interiors', phone: '9820000002', address: 'Andheri East, Mumbai' }
+    ]);
+    console.log(`Created ${customers.length} customers`);
+
+    // Suppliers to record purchase inwards against
+    const suppliers = await Supplier.insertMany([
+      { name: 'Gujarat Veneers', phone: '9830000003', address: 'Gandhidham, Gujarat' },
+      { name: 'Kerala Timber Co.', phone: '9840000004', address: 'Perumbavoor, Kerala' }
+    ]);
+    console.log(`Created ${suppliers.length} suppliers`);
+
     console.log('\n=== Seed completed successfully! ===');
     console.log('Login credentials: admin / admin123');
+    console.log('Confirmation PIN: 1234');
     
     process.exit(0);
   } catch (error) {
@@ -11,6 +11,23 @@ const authRoutes = require('./routes/auth');
 const categoryRoutes = require('./routes/categories');
 const subCategoryRoutes = require('./routes/subcategories');
 const productRoutes = require('./routes/products');
+const auditRoutes = require('./routes/audit');
+const recycleBinRoutes = require('./routes/recycleBin');
+const reportRoutes = require('./routes/reports');
+const uploadRoutes = require('./routes/uploads');
+const godownRoutes = require('./routes/godowns');
+const locationRoutes = require('./routes/locations');
+const customerRoutes = require('./routes/customers');
+const challanRoutes = require('./routes/challans');
+const reservationRoutes = require('./routes/reservations');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseRoutes = require('./routes/purchases');
+const priceListRoutes = require('./routes/priceLists');
+const bundleRoutes = require('./routes/bundles');
+const searchRoutes = require('./routes/search');
+const { getStorage } = require('./utils/storage');
+const { scheduleRecycleBinPurge } = require('./utils/recycleBin');
+const { scheduleReservationExpiry } = require('./utils/reservations');
 
 // Connect to database
 connectDB();
@@ -39,15 +56,38 @@ app.use(cors({
   credentials: true
 }));
 
-// Body parser
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parser (images go through /api/uploads, so JSON bodies stay small)
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+// Uploaded files, when stored on local disk
+const storage = getStorage();
+if (storage.directory) {
+  app.use(storage.publicPath, express.static(storage.directory, {
+    maxAge: '1y',
+    immutable: true
+  }));
+}
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/subcategories', subCategoryRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/recycle-bin', recycleBinRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/godowns', godownRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/challans', challanRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchases', purchaseRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/search', searchRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -94,4 +134,10 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Empty the recycle bin of items older than RECYCLE_BIN_DAYS
+scheduleRecycleBinPurge();
+
+// Release holds once their expiry date passes
+scheduleReservationExpiry();
+
 module.exports = app;
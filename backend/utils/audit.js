@@ -0,0 +1,78 @@
+const AuditLog = require('../models/AuditLog');
+
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt'];
+
+// Plain snapshot of a document without bookkeeping fields or virtuals.
+// Base64 images are replaced with a placeholder so the log stays small.
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false, depopulate: true }) : { ...doc };
+  const result = {};
+  Object.keys(plain).forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    const value = plain[key];
+    result[key] = typeof value === 'string' && value.startsWith('data:') ? '[uploaded image]' : value;
+  });
+  return result;
+};
+
+// Before/after values of the fields that differ between two snapshots
+const diff = (before, after) => {
+  const changes = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((key) => {
+    const oldValue = before?.[key];
+    const newValue = after?.[key];
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.before[key] = oldValue === undefined ? null : oldValue;
+      changes.after[key] = newValue === undefined ? null : newValue;
+    }
+  });
+  return changes;
+};
+
+const buildEntry = ({ user, action, entityType, before, after, note = '' }) => {
+  const entity = after || before;
+  const beforeSnapshot = snapshot(before);
+  const afterSnapshot = snapshot(after);
+  const changes = action === 'update'
+    ? diff(beforeSnapshot, afterSnapshot)
+    : { before: beforeSnapshot, after: afterSnapshot };
+
+  return {
+    user,
+    action,
+    entityType,
+    entityId: entity._id,
+    entityName: entity.name || '',
+    before: changes.before,
+    after: changes.after,
+    note
+  };
+};
+
+// Record a create, update or delete. Pass the document before and/or after the change.
+// Failures are logged but never fail the request that triggered them.
+const recordAudit = async (entry) => {
+  try {
+    const data = buildEntry(entry);
+    if (entry.action === 'update' && Object.keys(data.after).length === 0) {
+      return;
+    }
+    await AuditLog.create(data);
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// Record many entries at once, e.g. every product removed by a cascade delete
+const recordAuditMany = async (entries) => {
+  if (entries.length === 0) return;
+  try {
+    await AuditLog.insertMany(entries.map(buildEntry));
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = { recordAudit, recordAuditMany };
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+const MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 320;
+
+// Resize an uploaded image, generate its thumbnail and store both.
+// Returns { image, thumbnail } URLs; throws if the buffer is not a readable image.
+const storeProductImage = async (buffer) => {
+  const storage = getStorage();
+  const source = sharp(buffer).rotate();
+
+  const [full, thumb] = await Promise.all([
+    source.clone()
+      .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toBuffer(),
+    source.clone()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+      .jpeg({ quality: 75 })
+      .toBuffer()
+  ]);
+
+  const id = crypto.randomUUID();
+  const [image, thumbnail] = await Promise.all([
+    storage.save(`products/${id}.jpg`, full, 'image/jpeg'),
+    storage.save(`products/${id}-thumb.jpg`, thumb, 'image/jpeg')
+  ]);
+
+  return { image, thumbnail };
+};
+
+// Delete stored image files. URLs not owned by the storage backend are ignored,
+// and failures are only logged so they never block the caller.
+const removeProductImages = async (...urls) => {
+  const storage = getStorage();
+  const keys = urls.map(url => storage.keyFromUrl(url)).filter(Boolean);
+
+  await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+    console.error(`Failed to remove image ${key}:`, error.message);
+  })));
+};
+
+// Keys storeProductImage saves under: a random UUID, with -thumb for the thumbnail
+const IMAGE_KEY_PATTERN = /^products\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(-thumb)?\.jpg$/;
+
+// Whether a URL is one storeProductImage returned, so that it is safe to store on a
+// product or bundle and to delete later
+const isStoredImageUrl = (url) => {
+  const key = getStorage().keyFromUrl(url);
+  return key !== null && !key.includes('..') && IMAGE_KEY_PATTERN.test(key);
+};
+
+// Product fields for an ordered image list; the first image doubles as the cover
+const imageFields = (images) => ({
+  images,
+  image: images[0]?.url || '',
+  thumbnail: images[0]?.thumbnail || ''
+});
+
+// Every stored URL a product references, cover included
+const productImageUrls = (product) => [...new Set([
+  product.image,
+  product.thumbnail,
+  ...(product.images || []).flatMap(img => [img.url, img.thumbnail])
+].filter(Boolean))];
+
+module.exports = { storeProductImage, removeProductImages, isStoredImageUrl, imageFields, productImageUrls };
@@ -0,0 +1,113 @@
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+
+const LOCATION_TYPES = {
+  ghoda: 'Ghoda Location',
+  sample: 'Sample Location'
+};
+
+// A4 sticker sheet with 3 × 8 labels of 70 × 37 mm and no page margins
+const SHEET = {
+  columns: 3,
+  rows: 8,
+  labelWidth: 595.28 / 3,
+  labelHeight: 841.89 / 8,
+  padding: 8
+};
+const LABELS_PER_SHEET = SHEET.columns * SHEET.rows;
+
+const appUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+// Deep links encoded in the QR codes, opened by the app or any phone camera
+const productLink = (productId) => `${appUrl()}/product/${productId}`;
+const locationLink = (type, code) => `${appUrl()}/location/${type}/${encodeURIComponent(code)}`;
+
+const productLabel = (product) => ({
+  qr: productLink(product._id),
+  title: product.name,
+  lines: [
+    [product.subCategoryId?.categoryId?.name, product.subCategoryId?.name].filter(Boolean).join(' / '),
+    product.ghodaLocationId?.code ? `Ghoda: ${product.ghodaLocationId.code}` : '',
+    product.sampleLocationId?.code ? `Sample: ${product.sampleLocationId.code}` : ''
+  ].filter(Boolean)
+});
+
+const locationLabel = (location) => ({
+  qr: locationLink(location.type, location.code),
+  caption: LOCATION_TYPES[location.type],
+  title: location.code,
+  barcode: location.code,
+  lines: location.description ? [location.description] : []
+});
+
+const renderQr = (text) => bwipjs.toBuffer({ bcid: 'qrcode', text, scale: 4, eclevel: 'M' });
+
+// Code 128 only covers printable ASCII, so locations with other characters get a QR code alone
+const renderBarcode = (text) => (/^[\x20-\x7e]+$/.test(text)
+  ? bwipjs.toBuffer({ bcid: 'code128', text, scale: 3, height: 8 })
+  : null);
+
+const drawLabel = (doc, label, images, x, y) => {
+  const { labelWidth, labelHeight, padding } = SHEET;
+  const qrSize = labelHeight - padding * 2;
+  const textX = x + padding + qrSize + padding;
+  const textWidth = labelWidth - qrSize - padding * 3;
+
+  doc.image(images.qr, x + padding, y + padding, { width: qrSize, height: qrSize });
+
+  let textY = y + padding;
+  if (label.caption) {
+    doc.font('Helvetica').fontSize(7).fillColor('#4b5563')
+      .text(label.caption.toUpperCase(), textX, textY, { width: textWidth, lineBreak: false, ellipsis: true });
+    textY += 10;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(label.caption ? 14 : 10).fillColor('black')
+    .text(label.title, textX, textY, { width: textWidth, height: label.caption ? 36 : 26, ellipsis: true });
+  textY = doc.y + 2;
+
+  label.lines.forEach((line) => {
+    doc.font('Helvetica').fontSize(7).fillColor('#374151')
+      .text(line, textX, textY, { width: textWidth, lineBreak: false, ellipsis: true });
+    textY += 9;
+  });
+
+  if (images.barcode) {
+    doc.image(images.barcode, textX, y + labelHeight - padding - 24, { fit: [textWidth, 24] });
+  }
+};
+
+// Send an A4 sticker-sheet PDF. `skip` leaves that many stickers blank at the start of
+// the first sheet so a partly used sheet can go back in the printer.
+const writeLabelSheet = async (res, labels, { skip = 0 } = {}) => {
+  const images = await Promise.all(labels.map(async label => ({
+    qr: await renderQr(label.qr),
+    barcode: label.barcode ? await renderBarcode(label.barcode) : null
+  })));
+
+  const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="labels-${new Date().toISOString().slice(0, 10)}.pdf"`);
+  doc.pipe(res);
+
+  labels.forEach((label, i) => {
+    const slot = i + skip;
+    const position = slot % LABELS_PER_SHEET;
+    if (i === 0 || position === 0) doc.addPage();
+
+    const x = (position % SHEET.columns) * SHEET.labelWidth;
+    const y = Math.floor(position / SHEET.columns) * SHEET.labelHeight;
+    drawLabel(doc, label, images[i], x, y);
+  });
+
+  doc.end();
+};
+
+module.exports = {
+  LOCATION_TYPES,
+  LABELS_PER_SHEET,
+  productLabel,
+  locationLabel,
+  writeLabelSheet
+};
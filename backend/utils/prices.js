@@ -0,0 +1,146 @@
+const Product = require('../models/Product');
+const SubCategory = require('../models/SubCategory');
+const Category = require('../models/Category');
+const PriceChange = require('../models/PriceChange');
+
+// A product's own price in a price list, or undefined when the list doesn't price it
+const priceInList = (product, priceListId) => (product.prices || [])
+  .find(item => String(item.priceListId) === String(priceListId))?.price;
+
+// Aggregation expression for a product's selling price in a price list, falling back to the base price
+const listPriceExpression = (priceListId) => ({
+  $ifNull: [
+    {
+      $arrayElemAt: [{
+        $map: {
+          input: { $filter: { input: { $ifNull: ['$prices', []] }, cond: { $eq: ['$$this.priceListId', priceListId] } } },
+          in: '$$this.price'
+        }
+      }, 0]
+    },
+    '$price'
+  ]
+});
+
+// Aggregation expression for a product's area in sqft or sqm, matching the Product area virtual
+const areaExpression = (unit) => {
+  const sqm = {
+    $divide: [{ $multiply: [{ $ifNull: ['$length', 0] }, { $ifNull: ['$width', 0] }, { $ifNull: ['$leafCount', 1] }] }, 1000000]
+  };
+  return { $round: [unit === 'sqm' ? sqm : { $multiply: [sqm, Product.SQFT_PER_SQM] }, 2] };
+};
+
+// Aggregation expression for rakam, matching the Product rakam virtual. `category` is the
+// path of the product's looked-up category and `price` the price to value at.
+const rakamExpression = (category = '$category', price = '$price') => ({
+  $cond: [
+    { $eq: [`${category}.rakamBasis`, 'area'] },
+    {
+      $multiply: [
+        { $cond: [{ $eq: [`${category}.areaUnit`, 'sqm'] }, areaExpression('sqm'), areaExpression('sqft')] },
+        price
+      ]
+    },
+    { $multiply: ['$billing', price] }
+  ]
+});
+
+// Aggregation stages that look up a product's subcategory and category as `subCategory`
+// and `category`; the category decides whether rakam is billing × price or area × rate
+const categoryLookupStages = () => [
+  {
+    $lookup: {
+      from: SubCategory.collection.name,
+      localField: 'subCategoryId',
+      foreignField: '_id',
+      as: 'subCategory'
+    }
+  },
+  { $unwind: '$subCategory' },
+  {
+    $lookup: {
+      from: Category.collection.name,
+      localField: 'subCategory.categoryId',
+      foreignField: '_id',
+      as: 'category'
+    }
+  },
+  { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } }
+];
+
+// Add each product's listPrice and listRakam for a price list. Products the list doesn't
+// price sell at their base price and are flagged with usesBasePrice.
+const withPriceList = (products, priceListId) => {
+  if (!priceListId) return products;
+
+  return products.map((product) => {
+    const own = priceInList(product, priceListId);
+    const listPrice = own ?? product.price;
+    return {
+      ...product,
+      listPrice,
+      listRakam: Product.rakam(product, listPrice),
+      usesBasePrice: own === undefined
+    };
+  });
+};
+
+// Normalise a request's prices list: one entry per list, blank prices dropped
+const pricesFromBody = (prices) => {
+  const byList = new Map();
+  for (const item of prices) {
+    if (item.price === '' || item.price === null || item.price === undefined) continue;
+    byList.set(String(item.priceListId), { priceListId: item.priceListId, price: Number(item.price) });
+  }
+  return [...byList.values()];
+};
+
+// History entries for the price and billing changes between two versions of a product.
+// `before` is null for a new product, whose opening prices become its first entries.
+const priceChanges = (before, after, { user, effectiveFrom }) => {
+  const entry = (fields) => ({
+    productId: after._id,
+    priceListId: null,
+    billing: after.billing,
+    previousBilling: before ? before.billing : null,
+    effectiveFrom: effectiveFrom || new Date(),
+    user,
+    ...fields
+  });
+
+  const entries = [];
+
+  if (!before || before.price !== after.price || before.billing !== after.billing) {
+    entries.push(entry({ price: after.price, previousPrice: before ? before.price : null }));
+  }
+
+  const listIds = new Set([...(before?.prices || []), ...(after.prices || [])].map(item => String(item.priceListId)));
+  for (const priceListId of listIds) {
+    const previousPrice = before ? priceInList(before, priceListId) ?? null : null;
+    const price = priceInList(after, priceListId) ?? null;
+    if (price !== previousPrice) {
+      entries.push(entry({ priceListId, price, previousPrice }));
+    }
+  }
+
+  return entries;
+};
+
+// Record the price history for products that were created or edited
+const recordPriceChanges = async (changes) => {
+  const entries = changes.flatMap(({ before = null, after, user, effectiveFrom }) => priceChanges(before, after, { user, effectiveFrom }));
+  if (entries.length > 0) {
+    await PriceChange.insertMany(entries);
+  }
+};
+
+module.exports = {
+  priceInList,
+  listPriceExpression,
+  areaExpression,
+  rakamExpression,
+  categoryLookupStages,
+  withPriceList,
+  pricesFromBody,
+  recordPriceChanges
+};
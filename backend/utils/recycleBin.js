@@ -0,0 +1,59 @@
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const Product = require('../models/Product');
+const Bundle = require('../models/Bundle');
+const { removeProductImages, productImageUrls } = require('./images');
+
+const RETENTION_DAYS = Number(process.env.RECYCLE_BIN_DAYS) || 30;
+const PURGE_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Delete the bundles of products that are being purged. Resolves to their photo URLs,
+// for the caller to remove once the products are gone.
+const purgeBundles = async (productIds) => {
+  const bundles = await Bundle.find({ productId: { $in: productIds } }).select('image thumbnail');
+  await Bundle.deleteMany({ productId: { $in: productIds } });
+  return bundles.flatMap(bundle => [bundle.image, bundle.thumbnail]).filter(Boolean);
+};
+
+// Permanently remove everything that has been in the recycle bin longer than RETENTION_DAYS
+const purgeExpired = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const filter = { deletedAt: { $lt: cutoff } };
+
+  const expiredImages = await Product.find(filter).select('image thumbnail images');
+  const bundlePhotos = await purgeBundles(expiredImages.map(product => product._id));
+
+  const [products, subCategories, categories] = await Promise.all([
+    Product.deleteMany(filter),
+    SubCategory.deleteMany(filter),
+    Category.deleteMany(filter)
+  ]);
+
+  await removeProductImages(...expiredImages.flatMap(productImageUrls), ...bundlePhotos);
+
+  return {
+    products: products.deletedCount,
+    subCategories: subCategories.deletedCount,
+    categories: categories.deletedCount
+  };
+};
+
+// Purge once on startup and then daily
+const scheduleRecycleBinPurge = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpired();
+      const total = purged.products + purged.subCategories + purged.categories;
+      if (total > 0) {
+        console.log(`Recycle bin purge: removed ${purged.categories} categories, ${purged.subCategories} subcategories, ${purged.products} products`);
+      }
+    } catch (error) {
+      console.error('Recycle bin purge error:', error);
+    }
+  };
+
+  run();
+  setInterval(run, PURGE_INTERVAL);
+};
+
+module.exports = { RETENTION_DAYS, purgeBundles, purgeExpired, scheduleRecycleBinPurge };
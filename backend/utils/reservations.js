@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const { godownQty } = require('./stock');
+
+const EXPIRY_INTERVAL = 60 * 60 * 1000;
+
+// Quantity under active holds for each product, in one godown or across all of them, leaving
+// out the holds of exceptCustomerId when given. Resolves to a Map of product ID string to
+// held quantity; products with no holds are absent.
+const heldQuantities = async (productIds, godownId, exceptCustomerId) => {
+  if (productIds.length === 0) {
+    return new Map();
+  }
+
+  const match = {
+    ...Reservation.activeFilter(),
+    productId: { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) }
+  };
+  if (godownId) {
+    match.godownId = new mongoose.Types.ObjectId(String(godownId));
+  }
+  if (exceptCustomerId) {
+    match.customerId = { $ne: new mongoose.Types.ObjectId(String(exceptCustomerId)) };
+  }
+
+  const totals = await Reservation.aggregate([
+    { $match: match },
+    { $group: { _id: '$productId', held: { $sum: '$qty' } } }
+  ]);
+
+  return new Map(totals.map(total => [String(total._id), total.held]));
+};
+
+// Why `quantity` of a product can't leave a godown other than on a challan for the customers
+// holding it, or null when enough of it isn't held. Every stock decrease but those challans
+// checks this.
+const heldStockError = async (product, godown, quantity) => {
+  const held = (await heldQuantities([product._id], godown._id)).get(String(product._id)) || 0;
+  const free = Math.max(godownQty(product, godown._id) - held, 0);
+  return held > 0 && quantity > free ? `Only ${free} is free in ${godown.name}; ${held} is held for customers` : null;
+};
+
+// Take goods sent to a customer on a challan off their holds in that godown, oldest hold
+// first. `shipped` maps product ID strings to the quantity sent. A hold that has been sent
+// in full is fulfilled; one sent in part keeps counting for the rest.
+const fulfilHolds = async ({ customerId, godownId, shipped, user }) => {
+  const holds = await Reservation.find({
+    ...Reservation.activeFilter(),
+    customerId,
+    godownId,
+    productId: { $in: [...shipped.keys()] }
+  }).sort({ createdAt: 1 });
+
+  const remaining = new Map(shipped);
+  for (const hold of holds) {
+    const left = remaining.get(String(hold.productId)) || 0;
+    if (left <= 0) continue;
+
+    const taken = Math.min(left, hold.qty);
+    remaining.set(String(hold.productId), left - taken);
+
+    const update = taken < hold.qty
+      ? { qty: hold.qty - taken }
+      : { status: 'fulfilled', closedAt: new Date(), closedBy: user };
+    await Reservation.updateOne({ _id: hold._id, status: 'active' }, update);
+  }
+};
+
+// Mark holds whose expiry date has passed as expired
+const expireReservations = async () => {
+  const result = await Reservation.updateMany(
+    { status: 'active', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+  return result.modifiedCount;
+};
+
+// Sweep once on startup and then hourly
+const scheduleReservationExpiry = () => {
+  const run = async () => {
+    try {
+      const expired = await expireReservations();
+      if (expired > 0) {
+        console.log(`Reservation expiry: released ${expired} expired hold${expired === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.error('Reservation expiry error:', error);
+    }
+  };
+
+  run();
+  setInterval(run, EXPIRY_INTERVAL);
+};
+
+module.exports = { heldQuantities, heldStockError, fulfilHolds, expireReservations, scheduleReservationExpiry };
@@ -0,0 +1,212 @@
+const Product = require('../models/Product');
+const Bundle = require('../models/Bundle');
+
+// Words are indexed by every prefix from MIN_PREFIX letters up to MAX_PREFIX, so a search
+// for part of a word ("tea", "TQ-00") finds the whole word through the text index
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 20;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const tokenize = (text) => String(text ?? '').toLowerCase().match(WORD_PATTERN) || [];
+
+// Words of a text, plus each pair of neighbouring words run together so that a code like
+// "TQ-001" is also found as "tq001" and "TQ-00" matches it
+const words = (text) => {
+  const tokens = tokenize(text);
+  return [...tokens, ...tokens.slice(1).map((token, i) => tokens[i] + token)];
+};
+
+const prefixes = (word) => {
+  const result = [word.slice(0, MAX_PREFIX)];
+  for (let length = MIN_PREFIX; length < Math.min(word.length, MAX_PREFIX); length++) {
+    result.push(word.slice(0, length));
+  }
+  return result;
+};
+
+// Space-separated prefixes of the words in some texts, as stored in Product.searchText
+const indexText = (...texts) => [...new Set(texts.flatMap(words).flatMap(prefixes))].join(' ');
+
+// The terms a search string is looked up by. Empty when it has no letters or digits.
+const searchTerms = (search) => [...new Set(words(search).map(word => word.slice(0, MAX_PREFIX)))];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The words of a search when they are all shorter than MIN_PREFIX ("T", "4"), otherwise null.
+// Such words have nothing in the text index to match, so they match the start of a word in
+// the name instead.
+const shortWords = (search) => {
+  const tokens = tokenize(search);
+  return tokens.length > 0 && tokens.every(token => token.length < MIN_PREFIX) ? tokens : null;
+};
+
+// Filter for a product search, ranked with productSort. Terms are ORed and products
+// matching more of them, or matching them in the name, rank higher.
+const searchFilter = (search) => {
+  const short = shortWords(search);
+  if (short) {
+    return { name: { $regex: short.map(word => `\\b${escapeRegex(word)}`).join('|'), $options: 'i' } };
+  }
+  const terms = searchTerms(search);
+  return terms.length > 0 ? { $text: { $search: terms.join(' ') } } : { _id: { $in: [] } };
+};
+
+// Most relevant first when searching the text index, otherwise most recently updated
+const productSort = (search) => (searchTerms(search).length > 0 && !shortWords(search)
+  ? { score: { $meta: 'textScore' }, updatedAt: -1 }
+  : { updatedAt: -1 });
+
+// [start, end) ranges of a text where a word, or neighbouring words run together, start
+// with one of the terms. Overlapping ranges are merged.
+const highlightRanges = (text, terms) => {
+  const chars = [];
+  for (const match of String(text ?? '').matchAll(WORD_PATTERN)) {
+    [...match[0]].forEach((ch, i) => {
+      chars.push({ ch: ch.toLowerCase(), index: match.index + i, wordStart: i === 0 });
+    });
+  }
+  const joined = chars.map(({ ch }) => ch).join('');
+
+  const ranges = [];
+  chars.forEach(({ index, wordStart }, position) => {
+    if (!wordStart) return;
+    const longest = Math.max(0, ...terms.filter(term => joined.startsWith(term, position)).map(term => term.length));
+    if (longest > 0) {
+      ranges.push([index, chars[position + longest - 1].index + 1]);
+    }
+  });
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+    return merged;
+  }, []);
+};
+
+// Rank documents by how well their name matches a search, best first, leaving out those
+// that don't match. Names where more of the name matched, and names that start with the
+// search, come first. For the short lists of categories and subcategories, where a text
+// index isn't worth keeping up to date.
+const rankByName = (docs, search) => {
+  const terms = searchTerms(search);
+
+  return docs
+    .map((doc) => {
+      const ranges = highlightRanges(doc.name, terms);
+      const matched = ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+      const score = matched / doc.name.length + (ranges[0]?.[0] === 0 ? 1 : 0);
+      return { doc, score, highlights: ranges.length > 0 ? [{ field: 'name', text: doc.name, ranges }] : [] };
+    })
+    .filter(({ highlights }) => highlights.length > 0)
+    .sort((a, b) => b.score - a.score || a.doc.name.localeCompare(b.doc.name));
+};
+
+const locationText = (location) => (location
+  ? [location.code, location.description].filter(Boolean).join(' · ')
+  : '');
+
+// Add highlights to searched products: a list of { field, text, ranges } for each field
+// that matched (name, notes, category, subCategory, ghodaLocation, sampleLocation, bundle),
+// and matchedBundles, the numbers of the product's bundles that matched. Products need
+// their subcategory, category and locations populated.
+const withHighlights = async (products, search) => {
+  if (!search) return products;
+
+  const terms = searchTerms(search);
+  const bundles = await Bundle.find({ productId: { $in: products.map(product => product._id) } })
+    .select('productId bundleNumber');
+
+  return products.map((product) => {
+    const matchedBundles = bundles
+      .filter(bundle => String(bundle.productId) === String(product._id))
+      .map(bundle => bundle.bundleNumber)
+      .filter(bundleNumber => highlightRanges(bundleNumber, terms).length > 0);
+
+    const fields = [
+      ['name', product.name],
+      ['notes', product.notes],
+      ['category', product.subCategoryId?.categoryId?.name],
+      ['subCategory', product.subCategoryId?.name],
+      ['ghodaLocation', locationText(product.ghodaLocationId)],
+      ['sampleLocation', locationText(product.sampleLocationId)],
+      ...matchedBundles.map(bundleNumber => ['bundle', bundleNumber])
+    ];
+
+    const highlights = fields
+      .map(([field, text]) => ({ field, text, ranges: highlightRanges(text, terms) }))
+      .filter(highlight => highlight.ranges.length > 0);
+
+    return { ...product, matchedBundles, highlights };
+  });
+};
+
+// Rebuild Product.searchText for the products matching a filter, including those in the
+// recycle bin. Call it after anything the search covers changes: a product's name, notes
+// or locations, its bundles, or the names of its category, subcategory or locations.
+// Failures are logged but never fail the request that triggered them.
+const refreshSearchText = async (filter) => {
+  try {
+    const products = await Product.find(filter)
+      .setOptions({ withDeleted: true })
+      .select('name notes subCategoryId sampleLocationId ghodaLocationId')
+      .populate({
+        path: 'subCategoryId',
+        select: 'name categoryId',
+        options: { withDeleted: true },
+        populate: { path: 'categoryId', select: 'name', options: { withDeleted: true } }
+      })
+      .populate('sampleLocationId ghodaLocationId', 'code description')
+      .lean();
+
+    if (products.length === 0) return;
+
+    const bundles = await Bundle.find({ productId: { $in: products.map(product => product._id) } })
+      .select('productId bundleNumber flitchNumber')
+      .lean();
+
+    await Product.bulkWrite(products.map((product) => {
+      const productBundles = bundles.filter(bundle => String(bundle.productId) === String(product._id));
+      const locations = [product.sampleLocationId, product.ghodaLocationId].filter(Boolean);
+
+      return {
+        updateOne: {
+          filter: { _id: product._id },
+          update: {
+            $set: {
+              searchText: {
+                name: indexText(product.name),
+                codes: indexText(
+                  ...locations.map(location => location.code),
+                  ...productBundles.flatMap(bundle => [bundle.bundleNumber, bundle.flitchNumber])
+                ),
+                other: indexText(
+                  product.notes,
+                  product.subCategoryId?.name,
+                  product.subCategoryId?.categoryId?.name,
+                  ...locations.map(location => location.description)
+                )
+              }
+            }
+          }
+        }
+      };
+    }));
+  } catch (error) {
+    console.error('Search index error:', error);
+  }
+};
+
+module.exports = {
+  searchTerms,
+  searchFilter,
+  productSort,
+  highlightRanges,
+  rankByName,
+  withHighlights,
+  refreshSearchText
+};
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Location = require('../models/Location');
+const { listPriceExpression, rakamExpression, categoryLookupStages } = require('./prices');
+const { godownQtyExpression } = require('./stock');
+
+// Fields a product list can be sorted by. `sort=qty` sorts ascending, `sort=-qty` descending.
+const SORT_FIELDS = ['name', 'qty', 'price', 'rakam', 'createdAt', 'location'];
+
+// Digit runs are padded to this width so names and codes sort in natural order
+const NUMBER_WIDTH = 12;
+
+// { field, direction } for a sort parameter, or null for the default order
+const parseSort = (sort) => {
+  if (!sort) return null;
+  const field = sort.replace(/^-/, '');
+  return SORT_FIELDS.includes(field) ? { field, direction: sort.startsWith('-') ? -1 : 1 } : null;
+};
+
+const isValidSort = (sort) => !sort || parseSort(sort) !== null;
+
+// Lower-cased text with its numbers zero-padded, so "TQ-2" sorts before "TQ-10"
+const naturalKey = (text) => ({
+  $reduce: {
+    input: { $regexFindAll: { input: { $toLower: text }, regex: /\d+|\D+/ } },
+    initialValue: '',
+    in: {
+      $concat: ['$$value', {
+        $cond: [
+          { $regexMatch: { input: '$$this.match', regex: /^\d/ } },
+          {
+            $concat: [
+              { $substrCP: ['0'.repeat(NUMBER_WIDTH), 0, { $max: [0, { $subtract: [NUMBER_WIDTH, { $strLenCP: '$$this.match' }] }] }] },
+              '$$this.match'
+            ]
+          },
+          '$$this.match'
+        ]
+      }]
+    }
+  }
+});
+
+// Location code lookups, as `ghodaLocation` and `sampleLocation`
+const locationLookupStages = () => Location.TYPES.flatMap(type => [
+  {
+    $lookup: {
+      from: Location.collection.name,
+      localField: Location.productField(type),
+      foreignField: '_id',
+      as: `${type}Location`
+    }
+  },
+  { $unwind: { path: `$${type}Location`, preserveNullAndEmptyArrays: true } }
+]);
+
+// Lookups a sort needs and the values it sorts by, in order. Prices and quantities are the
+// ones shown in the list: at the price list, and in the godown, when the list is filtered so.
+const sortSpec = (field, { godownId, priceListId }) => {
+  const price = priceListId ? listPriceExpression(new mongoose.Types.ObjectId(priceListId)) : '$price';
+
+  switch (field) {
+    case 'name':
+      return { stages: [], values: [naturalKey('$name')] };
+    case 'qty':
+      return { stages: [], values: [godownId ? godownQtyExpression(new mongoose.Types.ObjectId(godownId)) : '$qty'] };
+    case 'price':
+      return { stages: [], values: [price] };
+    case 'rakam':
+      return { stages: categoryLookupStages(), values: [rakamExpression('$category', price)] };
+    case 'createdAt':
+      return { stages: [], values: ['$createdAt'] };
+    case 'location':
+      // By ghoda, where the stock is kept, then by sample rack
+      return {
+        stages: locationLookupStages(),
+        values: ['ghoda', 'sample'].map(type => ({
+          $cond: [{ $ifNull: [`$${type}Location.code`, false] }, naturalKey(`$${type}Location.code`), null]
+        }))
+      };
+    default:
+      throw new Error(`Unknown sort field ${field}`);
+  }
+};
+
+// Ids of one page of the products matching a filter, in sort order. Products without a
+// value to sort by, such as those without a location, come last either way. Rakam and
+// natural order are worked out in the aggregation, so the filter is cast to the schema first.
+const sortedProductIds = async (filter, { field, direction }, { godownId, priceListId, skip, limit }) => {
+  const { stages, values } = sortSpec(field, { godownId, priceListId });
+
+  const keys = {};
+  const order = {};
+  values.forEach((value, i) => {
+    keys[`sortMissing${i}`] = { $cond: [{ $eq: [{ $ifNull: [value, null] }, null] }, 1, 0] };
+    keys[`sortValue${i}`] = value;
+    order[`sortMissing${i}`] = 1;
+    order[`sortValue${i}`] = direction;
+  });
+
+  // deletedAt is matched here rather than by the soft delete hook, so that a $text search
+  // stays in the first stage as it must
+  const products = await Product.aggregate([
+    { $match: { ...Product.find(filter).cast(), deletedAt: null } },
+    ...stages,
+    { $addFields: keys },
+    { $sort: { ...order, _id: 1 } },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _id: 1 } }
+  ]);
+
+  return products.map(product => product._id);
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseSort,
+  isValidSort,
+  sortedProductIds
+};
@@ -0,0 +1,68 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// "Sample Location", "sample_location" and "sampleLocation" all become "samplelocation"
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Map each row's headers onto the given column names, ignoring unknown columns.
+// Every value is returned as a trimmed string so validation sees what the user typed.
+const mapColumns = (rows, columns) => {
+  const lookup = {};
+  columns.forEach((column) => {
+    lookup[normalizeHeader(column)] = column;
+  });
+
+  return rows.map((row) => {
+    const mapped = {};
+    Object.entries(row).forEach(([header, value]) => {
+      const column = lookup[normalizeHeader(header)];
+      if (column) {
+        mapped[column] = value === null || value === undefined ? '' : String(value).trim();
+      }
+    });
+    return mapped;
+  });
+};
+
+const readCsv = (buffer) => parse(buffer, {
+  columns: true,
+  bom: true,
+  relax_column_count: true
+});
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    headers[colNumber] = cell.text;
+  });
+
+  const rows = [];
+  for (let rowNumber = 2; rowNumber <= worksheet.rowCount; rowNumber++) {
+    const row = worksheet.getRow(rowNumber);
+    const values = {};
+    headers.forEach((header, colNumber) => {
+      if (header) values[header] = row.getCell(colNumber).text;
+    });
+    rows.push(values);
+  }
+  return rows;
+};
+
+// Read the first sheet of an uploaded CSV or XLSX file into plain objects keyed by `columns`.
+// Blank lines are kept so rows[i] is always spreadsheet row i + 2. Throws when the file can't be parsed.
+const parseSpreadsheet = async (file, columns) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const rows = extension === '.xlsx' ? await readXlsx(file.buffer) : readCsv(file.buffer);
+  return mapColumns(rows, columns);
+};
+
+module.exports = { SPREADSHEET_EXTENSIONS, parseSpreadsheet };
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Bundle = require('../models/Bundle');
+const StockMovement = require('../models/StockMovement');
+
+// Convert a movement type and entered quantity into the signed change for Product.qty.
+// Inward and outward quantities are always positive; adjustments carry their own sign.
+const signedQuantity = (type, quantity) => {
+  const value = Number(quantity);
+  if (type === 'inward') return Math.abs(value);
+  if (type === 'outward') return -Math.abs(value);
+  return value;
+};
+
+// Change one godown's quantity and the product total in a single atomic update.
+// Resolves to the updated product, or null when the godown does not have enough stock.
+const changeGodownStock = async (productId, godownId, delta) => {
+  const inGodown = { godownId };
+  if (delta < 0) {
+    inGodown.qty = { $gte: -delta };
+  }
+
+  const incrementGodown = () => Product.findOneAndUpdate(
+    { _id: productId, stock: { $elemMatch: inGodown } },
+    { $inc: { qty: delta, 'stock.$.qty': delta } },
+    { new: true }
+  );
+
+  const product = await incrementGodown();
+
+  // First stock in this godown. If a concurrent request adds the entry first, the push
+  // matches nothing and the increment is retried against that entry.
+  if (!product && delta > 0) {
+    return await Product.findOneAndUpdate(
+      { _id: productId, 'stock.godownId': { $ne: godownId } },
+      { $inc: { qty: delta }, $push: { stock: { godownId, qty: delta } } },
+      { new: true }
+    ) || incrementGodown();
+  }
+
+  return product;
+};
+
+// Change a bundle's quantity while it is still in the godown the movement is for.
+// Resolves to the updated bundle, or null when it has moved or does not hold enough.
+const changeBundleStock = (bundleId, godownId, delta) => Bundle.findOneAndUpdate(
+  { _id: bundleId, godownId, ...(delta < 0 && { qty: { $gte: -delta } }) },
+  { $inc: { qty: delta } },
+  { new: true }
+);
+
+// Apply a movement to its bundle, when it names one, and to the godown. `direction` -1
+// undoes a movement that was applied. Resolves to the updated product, or null when
+// either the bundle or the godown is short; nothing is left changed in that case.
+const changeStock = async (movement, direction = 1) => {
+  const { productId, godownId, bundleId, type, quantity } = movement;
+  const delta = direction * signedQuantity(type, quantity);
+
+  if (bundleId && !(await changeBundleStock(bundleId, godownId, delta))) {
+    return null;
+  }
+
+  const product = await changeGodownStock(productId, godownId, delta);
+
+  if (!product && bundleId) {
+    await changeBundleStock(bundleId, godownId, -delta);
+  }
+
+  return product;
+};
+
+const ledgerEntry = ({ productId, godownId, bundleId, type, quantity, reason, note = '', user, challanId, purchaseId }, product) => ({
+  productId,
+  godownId,
+  ...(bundleId && { bundleId }),
+  type,
+  quantity: signedQuantity(type, quantity),
+  balanceAfter: product.qty,
+  reason,
+  note,
+  user,
+  ...(challanId && { challanId }),
+  ...(purchaseId && { purchaseId })
+});
+
+// Apply a stock movement to one godown (and bundle, when it names one) atomically, keep the
+// product total in step and record it in the ledger. Returns null when the godown or bundle
+// does not have enough stock.
+const applyStockMovement = async (movement) => {
+  const product = await changeStock(movement);
+
+  if (!product) {
+    return null;
+  }
+
+  const ledger = await StockMovement.create(ledgerEntry(movement, product));
+
+  return { product, movement: ledger };
+};
+
+// Apply several movements as one, such as the lines of a challan or purchase: either all of them go
+// through or none do. When a godown runs short, the changes already made are reverted
+// before anything reaches the ledger.
+// Returns { results } with a { product, movement } per movement, or { failedIndex } of the
+// first movement that could not be applied.
+const applyStockMovements = async (movements) => {
+  const products = [];
+
+  for (let i = 0; i < movements.length; i++) {
+    const product = await changeStock(movements[i]);
+
+    if (!product) {
+      for (let j = products.length - 1; j >= 0; j--) {
+        await changeStock(movements[j], -1);
+      }
+      return { failedIndex: i };
+    }
+
+    products.push(product);
+  }
+
+  const ledger = await StockMovement.insertMany(movements.map((movement, i) => ledgerEntry(movement, products[i])));
+
+  return { results: products.map((product, i) => ({ product, movement: ledger[i] })) };
+};
+
+// Move a whole bundle and its stock to another godown, recording a transfer out of the old
+// godown and into the new one. Resolves to { bundle, product, movements }, or null when the
+// bundle was moved or its stock changed since it was read.
+const transferBundle = async (bundle, toGodownId, { user, note = '' }) => {
+  const fromGodownId = bundle.godownId;
+
+  // Claim the bundle first so a concurrent movement or transfer can't use the old godown
+  const moved = await Bundle.findOneAndUpdate(
+    { _id: bundle._id, godownId: fromGodownId, qty: bundle.qty },
+    { godownId: toGodownId },
+    { new: true }
+  );
+
+  if (!moved) {
+    return null;
+  }
+
+  if (bundle.qty === 0) {
+    return { bundle: moved, product: null, movements: [] };
+  }
+
+  const afterOut = await changeGodownStock(bundle.productId, fromGodownId, -bundle.qty);
+
+  if (!afterOut) {
+    await Bundle.updateOne({ _id: bundle._id }, { godownId: fromGodownId });
+    return null;
+  }
+
+  const product = await changeGodownStock(bundle.productId, toGodownId, bundle.qty);
+  const transfer = { productId: bundle.productId, bundleId: bundle._id, quantity: bundle.qty, note, user };
+
+  const movements = await StockMovement.insertMany([
+    ledgerEntry({ ...transfer, godownId: fromGodownId, type: 'outward', reason: 'Transfer out' }, afterOut),
+    ledgerEntry({ ...transfer, godownId: toGodownId, type: 'inward', reason: 'Transfer in' }, product)
+  ]);
+
+  return { bundle: moved, product, movements };
+};
+
+// Quantity of a product held in one godown
+const godownQty = (product, godownId) => {
+  const entry = (product.stock || []).find(item => String(item.godownId) === String(godownId));
+  return entry ? entry.qty : 0;
+};
+
+// Quantity of a product in one godown that isn't in any of its bundles
+const looseQty = async (product, godownId) => {
+  const [bundled] = await Bundle.aggregate([
+    { $match: { productId: product._id, godownId: new mongoose.Types.ObjectId(String(godownId)) } },
+    { $group: { _id: null, qty: { $sum: '$qty' } } }
+  ]);
+  return godownQty(product, godownId) - (bundled ? bundled.qty : 0);
+};
+
+// Aggregation expression for a product's quantity in one godown (an ObjectId)
+const godownQtyExpression = (godownId) => ({
+  $sum: {
+    $map: {
+      input: { $filter: { input: '$stock', cond: { $eq: ['$$this.godownId', godownId] } } },
+      in: '$$this.qty'
+    }
+  }
+});
+
+// Aggregation expression for a product's low-stock threshold: its own reorderLevel,
+// falling back to the subcategory's. Expects the subcategory looked up as "subCategory".
+const effectiveReorderLevel = { $ifNull: ['$reorderLevel', { $ifNull: ['$subCategory.reorderLevel', 0] }] };
+
+// A missing or empty reorderLevel means "inherit from subcategory"
+const parseReorderLevel = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+module.exports = {
+  signedQuantity,
+  applyStockMovement,
+  applyStockMovements,
+  transferBundle,
+  godownQty,
+  looseQty,
+  godownQtyExpression,
+  effectiveReorderLevel,
+  parseReorderLevel
+};
@@ -0,0 +1,244 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+const STATEMENT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const COLUMNS = [
+  { key: 'category', header: 'Category', width: 20 },
+  { key: 'subCategory', header: 'Subcategory', width: 20 },
+  { key: 'name', header: 'Product', width: 32 },
+  { key: 'qty', header: 'Qty', width: 10, numeric: true },
+  { key: 'price', header: 'Price', width: 12, numeric: true },
+  { key: 'billing', header: 'Billing', width: 12, numeric: true },
+  { key: 'rakam', header: 'Rakam', width: 14, numeric: true },
+  { key: 'sampleLocation', header: 'Sample Location', width: 18 },
+  { key: 'ghodaLocation', header: 'Ghoda Location', width: 18 }
+];
+
+const byName = (a, b) => a.name.localeCompare(b.name, 'en', { numeric: true, sensitivity: 'base' });
+
+// Group populated products by category and subcategory, sorted by name,
+// with qty and rakam subtotals at each level and a grand total.
+const groupProducts = (products) => {
+  const categories = new Map();
+
+  products.forEach((product) => {
+    const subCategory = product.subCategoryId;
+    const categoryName = subCategory?.categoryId?.name || 'Uncategorised';
+    const subCategoryName = subCategory?.name || 'Uncategorised';
+
+    if (!categories.has(categoryName)) {
+      categories.set(categoryName, { name: categoryName, qty: 0, rakam: 0, subCategories: new Map() });
+    }
+    const category = categories.get(categoryName);
+
+    if (!category.subCategories.has(subCategoryName)) {
+      category.subCategories.set(subCategoryName, { name: subCategoryName, qty: 0, rakam: 0, products: [] });
+    }
+    const group = category.subCategories.get(subCategoryName);
+
+    // Products carry their rakam, which may be area-based; plain rows fall back to billing × price
+    const rakam = product.rakam ?? product.billing * product.price;
+    group.products.push({
+      category: categoryName,
+      subCategory: subCategoryName,
+      name: product.name,
+      qty: product.qty,
+      price: product.price,
+      billing: product.billing,
+      rakam,
+      sampleLocation: product.sampleLocationId?.code || '',
+      ghodaLocation: product.ghodaLocationId?.code || ''
+    });
+    group.qty += product.qty;
+    group.rakam += rakam;
+    category.qty += product.qty;
+    category.rakam += rakam;
+  });
+
+  const groups = [...categories.values()].sort(byName).map(category => ({
+    ...category,
+    subCategories: [...category.subCategories.values()].sort(byName).map(group => ({
+      ...group,
+      products: group.products.sort(byName)
+    }))
+  }));
+
+  const totals = groups.reduce((sum, category) => ({
+    qty: sum.qty + category.qty,
+    rakam: sum.rakam + category.rakam
+  }), { qty: 0, rakam: 0 });
+
+  return { groups, totals };
+};
+
+// Flatten the groups into rows, with a subtotal row after every subcategory and category
+const statementRows = ({ groups, totals }) => {
+  const rows = [];
+  groups.forEach((category) => {
+    category.subCategories.forEach((group) => {
+      group.products.forEach(product => rows.push({ type: 'product', ...product }));
+      rows.push({ type: 'subtotal', name: `Subtotal ${group.name}`, qty: group.qty, rakam: group.rakam });
+    });
+    rows.push({ type: 'total', name: `Total ${category.name}`, qty: category.qty, rakam: category.rakam });
+  });
+  rows.push({ type: 'grandTotal', name: 'Grand Total', qty: totals.qty, rakam: totals.rakam });
+  return rows;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const formatNumber = (value) => (value === undefined ? '' : round(value).toLocaleString('en-IN'));
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeCsv = (res, rows) => {
+  const lines = [COLUMNS.map(column => column.header).join(',')];
+  rows.forEach((row) => {
+    lines.push(COLUMNS.map(column => escapeCsv(
+      column.numeric && row[column.key] !== undefined ? round(row[column.key]) : row[column.key]
+    )).join(','));
+  });
+  // BOM so Excel opens the file as UTF-8
+  res.send(`\uFEFF${lines.join('\r\n')}\r\n`);
+};
+
+const writeXlsx = async (res, rows, { scope, generatedAt }) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Stock Statement');
+
+  worksheet.addRow([`Stock Statement - ${scope}`]).font = { bold: true, size: 14 };
+  worksheet.addRow([`Generated ${generatedAt.toLocaleString('en-IN')}`]);
+  worksheet.addRow([]);
+
+  const header = worksheet.addRow(COLUMNS.map(column => column.header));
+  header.font = { bold: true };
+  COLUMNS.forEach((column, index) => {
+    worksheet.getColumn(index + 1).width = column.width;
+    if (column.numeric) worksheet.getColumn(index + 1).numFmt = '#,##0.##';
+  });
+
+  rows.forEach((row) => {
+    const added = worksheet.addRow(COLUMNS.map(column => row[column.key]));
+    if (row.type !== 'product') {
+      added.font = { bold: true };
+    }
+  });
+
+  worksheet.views = [{ state: 'frozen', ySplit: 4 }];
+
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+const PDF_COLUMNS = [
+  { key: 'name', header: 'Product', width: 250 },
+  { key: 'qty', header: 'Qty', width: 60, numeric: true },
+  { key: 'price', header: 'Price', width: 70, numeric: true },
+  { key: 'billing', header: 'Billing', width: 70, numeric: true },
+  { key: 'rakam', header: 'Rakam', width: 90, numeric: true },
+  { key: 'sampleLocation', header: 'Sample Loc.', width: 110 },
+  { key: 'ghodaLocation', header: 'Ghoda Loc.', width: 110 }
+];
+
+const writePdf = (res, { groups, totals }, { scope, generatedAt }) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36, bufferPages: true });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const bottom = () => doc.page.height - doc.page.margins.bottom - 20;
+  const rowHeight = 16;
+
+  const drawRow = (values, { bold = false, fill, header = false } = {}) => {
+    if (!header && doc.y + rowHeight > bottom()) {
+      doc.addPage();
+      drawHeader();
+    }
+    const y = doc.y;
+    if (fill) {
+      doc.rect(left, y - 3, PDF_COLUMNS.reduce((sum, c) => sum + c.width, 0), rowHeight).fill(fill);
+      doc.fillColor('black');
+    }
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let x = left;
+    PDF_COLUMNS.forEach((column) => {
+      const value = values[column.key];
+      const text = column.numeric && !header ? formatNumber(value) : (value || '');
+      doc.text(text, x + 2, y, { width: column.width - 4, align: column.numeric ? 'right' : 'left', lineBreak: false, ellipsis: true });
+      x += column.width;
+    });
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  const drawHeader = () => {
+    const headers = {};
+    PDF_COLUMNS.forEach((column) => {
+      headers[column.key] = column.header;
+    });
+    drawRow(headers, { bold: true, fill: '#e5e7eb', header: true });
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Stock Statement');
+  doc.font('Helvetica').fontSize(10).fillColor('#4b5563')
+    .text(scope)
+    .text(`Generated ${generatedAt.toLocaleString('en-IN')}`);
+  doc.fillColor('black').moveDown();
+
+  drawHeader();
+
+  groups.forEach((category) => {
+    drawRow({ name: category.name }, { bold: true, fill: '#f3f4f6' });
+    category.subCategories.forEach((group) => {
+      drawRow({ name: `  ${group.name}` }, { bold: true });
+      group.products.forEach(product => drawRow({ ...product, name: `    ${product.name}` }));
+      drawRow({ name: `  Subtotal ${group.name}`, qty: group.qty, rakam: group.rakam }, { bold: true });
+    });
+    drawRow({ name: `Total ${category.name}`, qty: category.qty, rakam: category.rakam }, { bold: true, fill: '#f3f4f6' });
+    doc.moveDown(0.5);
+  });
+
+  drawRow({ name: 'Grand Total', qty: totals.qty, rakam: totals.rakam }, { bold: true, fill: '#e5e7eb' });
+
+  // Page numbers
+  const range = doc.bufferedPageRange();
+  for (let i = 0; i < range.count; i++) {
+    doc.switchToPage(range.start + i);
+    doc.font('Helvetica').fontSize(8).fillColor('#6b7280')
+      .text(`Page ${i + 1} of ${range.count}`, left, doc.page.height - doc.page.margins.bottom - 10, {
+        width: doc.page.width - left - doc.page.margins.right,
+        align: 'right',
+        lineBreak: false
+      });
+  }
+
+  doc.end();
+};
+
+// Send a stock statement for the given populated products as a file download
+const writeStockStatement = async (res, format, products, options) => {
+  const grouped = groupProducts(products);
+  const date = options.generatedAt.toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="stock-statement-${date}.${format}"`);
+
+  if (format === 'pdf') {
+    writePdf(res, grouped, options);
+  } else if (format === 'xlsx') {
+    await writeXlsx(res, statementRows(grouped), options);
+  } else {
+    writeCsv(res, statementRows(grouped));
+  }
+};
+
+module.exports = { STATEMENT_FORMATS, writeStockStatement };
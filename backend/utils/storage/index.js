@@ -0,0 +1,24 @@
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+const DRIVERS = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+let storage;
+
+// The configured storage backend, chosen with STORAGE_DRIVER (local by default).
+// Every driver exposes save(key, buffer, contentType) -> url, remove(key) and keyFromUrl(url).
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+    storage = DRIVERS[driver]();
+  }
+  return storage;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,45 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores files on local disk and serves them from /uploads (see server.js)
+const createLocalStorage = ({
+  directory = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'),
+  publicPath = '/uploads'
+} = {}) => {
+  const root = path.resolve(directory);
+
+  // Path of a key on disk, or null if the key points outside the upload directory
+  const filePathOf = (key) => {
+    const filePath = path.resolve(root, key);
+    return filePath.startsWith(`${root}${path.sep}`) ? filePath : null;
+  };
+
+  return {
+    directory,
+    publicPath,
+
+    async save(key, buffer) {
+      const filePath = path.join(directory, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${publicPath}/${key}`;
+    },
+
+    async remove(key) {
+      const filePath = filePathOf(key);
+      if (!filePath) {
+        throw new Error(`Refusing to remove ${key}: outside the upload directory`);
+      }
+      await fs.rm(filePath, { force: true });
+    },
+
+    // Key of a URL returned by save(), or null if the URL is not ours
+    keyFromUrl(url) {
+      if (typeof url !== 'string' || !url.startsWith(`${publicPath}/`)) return null;
+      const key = url.slice(publicPath.length + 1);
+      return filePathOf(key) ? key : null;
+    }
+  };
+};
+
+module.exports = createLocalStorage;
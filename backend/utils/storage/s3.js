@@ -0,0 +1,53 @@
+// Stores files in an S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, DigitalOcean Spaces)
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'auto',
+  endpoint = process.env.S3_ENDPOINT,
+  publicUrl = process.env.S3_PUBLIC_URL
+} = {}) => {
+  let sdk;
+  try {
+    sdk = require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=s3 needs the @aws-sdk/client-s3 package installed');
+  }
+
+  if (!bucket || !publicUrl) {
+    throw new Error('STORAGE_DRIVER=s3 needs S3_BUCKET and S3_PUBLIC_URL');
+  }
+
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = sdk;
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint),
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+  const baseUrl = publicUrl.replace(/\/$/, '');
+
+  return {
+    async save(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    keyFromUrl(url) {
+      return typeof url === 'string' && url.startsWith(`${baseUrl}/`) ? url.slice(baseUrl.length + 1) : null;
+    }
+  };
+};
+
+module.exports = createS3Storage;
@@ -1,14 +1,28 @@
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { useState, useEffect } from 'react';
 import Login from './components/Login';
 import Dashboard from './components/Dashboard';
 import CategoryView from './components/CategoryView';
 import SubCategoryView from './components/SubCategoryView';
+import ActivityView from './components/ActivityView';
+import RecycleBinView from './components/RecycleBinView';
+import ImportView from './components/ImportView';
+import LowStockView from './components/LowStockView';
+import ProductLink from './components/ProductLink';
+import LocationView from './components/LocationView';
+import LocationsView from './components/LocationsView';
+import ChallansView from './components/ChallansView';
+import ChallanCreateView from './components/ChallanCreateView';
+import ChallanView from './components/ChallanView';
+import PurchasesView from './components/PurchasesView';
+import PurchaseCreateView from './components/PurchaseCreateView';
+import PurchaseView from './components/PurchaseView';
 import { authAPI } from './utils/api';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
+  const location = useLocation();
   const [isAuthenticated, setIsAuthenticated] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
 
@@ -22,7 +36,10 @@ const ProtectedRoute = ({ children }) => {
       }
 
       try {
-        await authAPI.verify();
+        const response = await authAPI.verify();
+        const { _id, username, role, preferences } = response.data;
+        // Keep the stored role and preferences in sync in case they changed elsewhere
+        localStorage.setItem('user', JSON.stringify({ _id, username, role, preferences }));
         setIsAuthenticated(true);
       } catch (error) {
         localStorage.removeItem('token');
@@ -43,7 +60,8 @@ const ProtectedRoute = ({ children }) => {
     );
   }
 
-  return isAuthenticated ? children : <Navigate to="/login" replace />;
+  // Remember where we were headed (e.g. a scanned QR link) so login can return there
+  return isAuthenticated ? children : <Navigate to="/login" replace state={{ from: location }} />;
 };
 
 // Offline Indicator Component
@@ -126,6 +144,110 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/activity"
+          element={
+            <ProtectedRoute>
+              <ActivityView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/recycle-bin"
+          element={
+            <ProtectedRoute>
+              <RecycleBinView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/import"
+          element={
+            <ProtectedRoute>
+              <ImportView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/low-stock"
+          element={
+            <ProtectedRoute>
+              <LowStockView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/product/:productId"
+          element={
+            <ProtectedRoute>
+              <ProductLink />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/locations"
+          element={
+            <ProtectedRoute>
+              <LocationsView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/location/:type/:value"
+          element={
+            <ProtectedRoute>
+              <LocationView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/challans"
+          element={
+            <ProtectedRoute>
+              <ChallansView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/challans/new"
+          element={
+            <ProtectedRoute>
+              <ChallanCreateView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/challans/:challanId"
+          element={
+            <ProtectedRoute>
+              <ChallanView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/purchases"
+          element={
+            <ProtectedRoute>
+              <PurchasesView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/purchases/new"
+          element={
+            <ProtectedRoute>
+              <PurchaseCreateView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/purchases/:purchaseId"
+          element={
+            <ProtectedRoute>
+              <PurchaseView />
+            </ProtectedRoute>
+          }
+        />
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
     </Router>
@@ -0,0 +1,259 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { auditAPI, authAPI } from '../utils/api';
+
+const actionStyles = {
+  create: 'bg-green-100 text-green-700',
+  update: 'bg-blue-100 text-blue-700',
+  delete: 'bg-red-100 text-red-700',
+  restore: 'bg-yellow-100 text-yellow-700',
+  purge: 'bg-gray-200 text-gray-700',
+};
+
+const entityLabels = {
+  Category: 'Category',
+  SubCategory: 'Subcategory',
+  Product: 'Product',
+  Godown: 'Godown',
+  Location: 'Location',
+  Customer: 'Customer',
+  SalesChallan: 'Challan',
+  Reservation: 'Hold',
+  Supplier: 'Supplier',
+  PurchaseInward: 'Inward',
+  PriceList: 'Price List',
+};
+
+const emptyFilters = { entityType: '', action: '', user: '', from: '', to: '' };
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Skeleton loader
+const EntrySkeleton = () => (
+  <div className="card p-4 animate-pulse">
+    <div className="h-4 bg-gray-200 rounded w-1/2 mb-2"></div>
+    <div className="h-3 bg-gray-200 rounded w-1/3"></div>
+  </div>
+);
+
+const AuditEntry = ({ entry }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const fields = Object.keys({ ...(entry.before || {}), ...(entry.after || {}) });
+
+  return (
+    <div className="card p-4">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2 flex-wrap">
+            <span className={`px-2 py-0.5 text-xs rounded-full capitalize ${actionStyles[entry.action]}`}>
+              {entry.action}
+            </span>
+            <span className="text-xs text-gray-500">{entityLabels[entry.entityType]}</span>
+          </div>
+          <h3 className="mt-1 font-medium text-gray-800 truncate">{entry.entityName || entry.entityId}</h3>
+          {entry.note && <p className="text-sm text-gray-500">{entry.note}</p>}
+          <p className="mt-1 text-xs text-gray-400">
+            {entry.user?.username || 'Unknown'} · {new Date(entry.createdAt).toLocaleString('en-IN')}
+          </p>
+        </div>
+        {fields.length > 0 && (
+          <button
+            onClick={() => setIsExpanded(!isExpanded)}
+            className="text-sm text-primary-600 hover:text-primary-700 flex-shrink-0"
+          >
+            {isExpanded ? 'Hide' : 'Details'}
+          </button>
+        )}
+      </div>
+
+      {isExpanded && (
+        <table className="mt-3 w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-1 pr-2 font-medium">Field</th>
+              <th className="py-1 pr-2 font-medium">Before</th>
+              <th className="py-1 font-medium">After</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {fields.map((field) => (
+              <tr key={field}>
+                <td className="py-1 pr-2 text-gray-500">{field}</td>
+                <td className="py-1 pr-2 text-red-600 break-all">{formatValue(entry.before?.[field])}</td>
+                <td className="py-1 text-green-600 break-all">{formatValue(entry.after?.[field])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const ActivityView = () => {
+  const navigate = useNavigate();
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+  // Users for the filter dropdown
+  useEffect(() => {
+    authAPI.getUsers()
+      .then(response => setUsers(response.data))
+      .catch(() => setUsers([]));
+  }, []);
+
+  const fetchEntries = useCallback(async (page = 1, append = false) => {
+    if (append) {
+      setIsLoadingMore(true);
+    } else {
+      setIsLoading(true);
+    }
+
+    try {
+      const params = { page, limit: 50 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const response = await auditAPI.getAll(params);
+
+      if (append) {
+        setEntries(prev => [...prev, ...response.data.entries]);
+      } else {
+        setEntries(response.data.entries);
+      }
+      setPagination(response.data.pagination);
+    } catch (error) {
+      if (error.response?.status === 403) {
+        toast.error('Only admins can view activity');
+        navigate('/');
+        return;
+      }
+      toast.error('Failed to load activity');
+    } finally {
+      setIsLoading(false);
+      setIsLoadingMore(false);
+    }
+  }, [filters, navigate]);
+
+  useEffect(() => {
+    fetchEntries(1, false);
+  }, [fetchEntries]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="px-4 py-3">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm mb-3 overflow-x-auto hide-scrollbar">
+            <Link to="/" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Home
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <span className="text-gray-800 font-medium truncate">Activity</span>
+          </nav>
+
+          {/* Filters */}
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+            <select name="entityType" value={filters.entityType} onChange={handleFilterChange} className="input-field py-2 text-sm">
+              <option value="">All types</option>
+              {Object.entries(entityLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select name="action" value={filters.action} onChange={handleFilterChange} className="input-field py-2 text-sm">
+              <option value="">All actions</option>
+              <option value="create">Create</option>
+              <option value="update">Update</option>
+              <option value="delete">Delete</option>
+              <option value="restore">Restore</option>
+              <option value="purge">Purge</option>
+            </select>
+            <select name="user" value={filters.user} onChange={handleFilterChange} className="input-field py-2 text-sm col-span-2 sm:col-span-1">
+              <option value="">All users</option>
+              {users.map((user) => (
+                <option key={user._id} value={user._id}>{user.username}</option>
+              ))}
+            </select>
+            <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className="input-field py-2 text-sm" title="From" />
+            <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className="input-field py-2 text-sm" title="To" />
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="p-4">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-800">
+            Activity ({pagination.total})
+          </h2>
+          {hasFilters && (
+            <button
+              onClick={() => setFilters(emptyFilters)}
+              className="text-sm text-primary-600 hover:text-primary-700"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+
+        {isLoading ? (
+          <div className="space-y-3">
+            {[...Array(6)].map((_, i) => (
+              <EntrySkeleton key={i} />
+            ))}
+          </div>
+        ) : entries.length > 0 ? (
+          <>
+            <div className="space-y-3">
+              {entries.map((entry) => (
+                <AuditEntry key={entry._id} entry={entry} />
+              ))}
+            </div>
+
+            {/* Load More */}
+            {pagination.page < pagination.pages && (
+              <div className="mt-6 text-center">
+                <button
+                  onClick={() => fetchEntries(pagination.page + 1, true)}
+                  disabled={isLoadingMore}
+                  className="btn-secondary"
+                >
+                  {isLoadingMore ? 'Loading...' : `Load More (${pagination.page}/${pagination.pages})`}
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-center py-12">
+            <svg className="w-16 h-16 mx-auto text-gray-300 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+            </svg>
+            <p className="text-gray-500">{hasFilters ? 'No activity matches your filters' : 'No activity yet'}</p>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ActivityView;
@@ -1,9 +1,12 @@
 import { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
 import PasscodeModal from './PasscodeModal';
+import { areaUnits } from '../utils/dimensions';
 
 const CategoryModal = ({ isOpen, onClose, onSave, onDelete, category = null }) => {
   const [name, setName] = useState('');
+  const [rakamBasis, setRakamBasis] = useState('billing');
+  const [areaUnit, setAreaUnit] = useState('sqft');
   const [isLoading, setIsLoading] = useState(false);
   const [showPasscodeModal, setShowPasscodeModal] = useState(false);
 
@@ -11,8 +14,12 @@ const CategoryModal = ({ isOpen, onClose, onSave, onDelete, category = null }) =
   useEffect(() => {
     if (category) {
       setName(category.name || '');
+      setRakamBasis(category.rakamBasis || 'billing');
+      setAreaUnit(category.areaUnit || 'sqft');
     } else {
       setName('');
+      setRakamBasis('billing');
+      setAreaUnit('sqft');
     }
   }, [category, isOpen]);
 
@@ -39,7 +46,7 @@ const CategoryModal = ({ isOpen, onClose, onSave, onDelete, category = null }) =
     setIsLoading(true);
 
     try {
-      await onSave({ name: name.trim() }, category?._id);
+      await onSave({ name: name.trim(), rakamBasis, areaUnit }, category?._id);
       toast.success(category ? 'Category updated!' : 'Category added!');
       onClose();
     } catch (error) {
@@ -49,9 +56,9 @@ const CategoryModal = ({ isOpen, onClose, onSave, onDelete, category = null }) =
     }
   };
 
-  const handleDelete = async () => {
+  const handleDelete = async (confirmationToken) => {
     if (onDelete && category?._id) {
-      await onDelete(category._id);
+      await onDelete(category._id, confirmationToken);
       toast.success('Category deleted!');
       onClose();
     }
@@ -104,11 +111,44 @@ const CategoryModal = ({ isOpen, onClose, onSave, onDelete, category = null }) =
             />
           </div>
 
+          {/* How rakam is worked out for the category's products */}
+          <div className="mb-4 grid grid-cols-2 gap-3">
+            <div className={rakamBasis === 'area' ? '' : 'col-span-2'}>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Rakam basis
+              </label>
+              <select
+                value={rakamBasis}
+                onChange={(e) => setRakamBasis(e.target.value)}
+                className="input-field"
+              >
+                <option value="billing">Billing × price</option>
+                <option value="area">Area × rate</option>
+              </select>
+            </div>
+            {rakamBasis === 'area' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Rate per
+                </label>
+                <select
+                  value={areaUnit}
+                  onChange={(e) => setAreaUnit(e.target.value)}
+                  className="input-field"
+                >
+                  {Object.entries(areaUnits).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
           {/* Delete Button (only for editing existing category) */}
           {category && onDelete && (
             <div className="mb-4 p-3 bg-red-50 rounded-lg border border-red-100">
               <p className="text-sm text-red-600 mb-2">
-                Deleting this category will also delete all its subcategories and products.
+                Deleting this category will also delete all its subcategories and products. You can restore them from the Recycle Bin.
               </p>
               <button
                 type="button"
@@ -160,7 +200,7 @@ const CategoryModal = ({ isOpen, onClose, onSave, onDelete, category = null }) =
         onClose={() => setShowPasscodeModal(false)}
         onConfirm={handleDelete}
         title="Delete Category"
-        message={`Enter passcode to delete "${category?.name}". This will also delete all subcategories and products.`}
+        message={`Enter your PIN or password to delete "${category?.name}". This will also delete all subcategories and products.`}
       />
     </div>
   );
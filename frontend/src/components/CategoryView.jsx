@@ -3,8 +3,13 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import SearchFilter from './SearchFilter';
 import QuantityFilter from './QuantityFilter';
+import ExportMenu from './ExportMenu';
 import SubCategoryModal from './SubCategoryModal';
-import { categoryAPI, subCategoryAPI, productAPI } from '../utils/api';
+import SummaryCards from './SummaryCards';
+import { categoryAPI, subCategoryAPI, productAPI, reportAPI, searchAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+import { godownParams, displayQty } from '../utils/godown';
+import { searchGroups, searchResultPath } from '../utils/search';
 
 // Skeleton loader
 const CardSkeleton = () => (
@@ -28,7 +33,7 @@ const ProductCard = ({ product, onClick }) => (
     <div className="flex items-center gap-3">
       {product.image ? (
         <img
-          src={product.image}
+          src={product.thumbnail || product.image}
           alt={product.name}
           className="w-12 h-12 object-cover rounded-lg"
           loading="lazy"
@@ -43,7 +48,7 @@ const ProductCard = ({ product, onClick }) => (
       <div className="flex-1 min-w-0">
         <h3 className="font-medium text-gray-800 truncate">{product.name}</h3>
         <p className="text-sm text-gray-500">
-          Qty: {product.qty} | Rakam: ₹{product.rakam?.toLocaleString('en-IN') || 0}
+          Qty: {displayQty(product)} | Rakam: ₹{product.rakam?.toLocaleString('en-IN') || 0}
         </p>
         <p className="text-xs text-gray-400 truncate">
           {product.subCategoryId?.name}
@@ -69,6 +74,7 @@ const CategoryView = () => {
   const [isSearching, setIsSearching] = useState(false);
   const [isSubCategoryModalOpen, setIsSubCategoryModalOpen] = useState(false);
   const [editingSubCategory, setEditingSubCategory] = useState(null);
+  const [summary, setSummary] = useState(null);
 
   // Fetch category and subcategories
   const fetchData = useCallback(async () => {
@@ -88,25 +94,32 @@ const CategoryView = () => {
     }
   }, [categoryId, navigate]);
 
+  // Fetch stock valuation totals for this category
+  const fetchSummary = useCallback(async () => {
+    try {
+      const response = await reportAPI.getSummary({ categoryId, ...godownParams() });
+      setSummary(response.data);
+    } catch (error) {
+      toast.error('Failed to load stock summary');
+    }
+  }, [categoryId]);
+
   useEffect(() => {
     fetchData();
-  }, [fetchData]);
+    fetchSummary();
+  }, [fetchData, fetchSummary]);
 
-  // Debounced search for subcategories
+  const subCategoryTotals = new Map((summary?.subCategories || []).map(totals => [totals._id, totals]));
+
+  // Debounced search for this category's subcategories and products
   useEffect(() => {
     const timer = setTimeout(async () => {
       if (searchText.trim()) {
         setIsSearching(true);
         try {
-          const response = await subCategoryAPI.getAll({ 
-            categoryId, 
-            search: searchText 
-          });
-          setSearchResults(response.data.map(sc => ({ 
-            ...sc, 
-            type: 'subcategory', 
-            id: sc._id 
-          })));
+          const params = godownParams();
+          const response = await searchAPI.query({ q: searchText, categoryId, ...params });
+          setSearchResults(searchGroups(response.data, params.godownId));
         } catch (error) {
           console.error('Search error:', error);
         } finally {
@@ -127,7 +140,7 @@ const CategoryView = () => {
         setShowFilteredProducts(true);
         setIsSearching(true);
         try {
-          const params = { categoryId };
+          const params = { categoryId, ...godownParams() };
           if (qtyMin !== null) params.qtyMin = qtyMin;
           if (qtyMax !== null) params.qtyMax = qtyMax;
           if (searchText) params.search = searchText;
@@ -149,7 +162,7 @@ const CategoryView = () => {
   }, [qtyMin, qtyMax, searchText, categoryId]);
 
   const handleSearchResultClick = (result) => {
-    navigate(`/category/${categoryId}/subcategory/${result._id}`);
+    navigate(searchResultPath(result));
     setSearchText('');
   };
 
@@ -171,11 +184,13 @@ const CategoryView = () => {
       await subCategoryAPI.create(subCategoryData);
     }
     fetchData();
+    fetchSummary();
   };
 
-  const handleDeleteSubCategory = async (subCategoryId) => {
-    await subCategoryAPI.delete(subCategoryId);
+  const handleDeleteSubCategory = async (subCategoryId, confirmationToken) => {
+    await subCategoryAPI.delete(subCategoryId, confirmationToken);
     fetchData();
+    fetchSummary();
   };
 
   return (
@@ -201,14 +216,19 @@ const CategoryView = () => {
             <SearchFilter
               value={searchText}
               onChange={setSearchText}
-              placeholder="Search subcategories..."
-              results={searchResults}
+              placeholder="Search subcategories or products..."
+              groups={searchResults}
               onResultClick={handleSearchResultClick}
             />
             <QuantityFilter
               value={qtyFilter}
               onChange={handleQuantityFilterChange}
             />
+            <ExportMenu
+              params={showFilteredProducts
+                ? { categoryId, ...godownParams(), qtyMin: qtyMin ?? undefined, qtyMax: qtyMax ?? undefined, search: searchText || undefined }
+                : { categoryId, ...godownParams() }}
+            />
           </div>
         </div>
       </header>
@@ -262,6 +282,8 @@ const CategoryView = () => {
           </div>
         ) : (
           <div>
+            <SummaryCards totals={summary?.overall} isLoading={!summary} />
+
             <h2 className="text-lg font-semibold text-gray-800 mb-4">Subcategories</h2>
 
             {isLoading ? (
@@ -291,22 +313,32 @@ const CategoryView = () => {
                           <h3 className="font-medium text-gray-800 truncate">{subCategory.name}</h3>
                           <p className="text-sm text-gray-500">
                             {subCategory.productsCount || 0} products
+                            {subCategoryTotals.has(subCategory._id) && (
+                              <> · ₹{subCategoryTotals.get(subCategory._id).totalRakam.toLocaleString('en-IN', { maximumFractionDigits: 2 })}</>
+                            )}
                           </p>
+                          {subCategoryTotals.get(subCategory._id)?.lowStockCount > 0 && (
+                            <span className="inline-block mt-1 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">
+                              {subCategoryTotals.get(subCategory._id).lowStockCount} low stock
+                            </span>
+                          )}
                         </div>
                       </div>
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          setEditingSubCategory(subCategory);
-                          setIsSubCategoryModalOpen(true);
-                        }}
-                        className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
-                        title="Edit Subcategory"
-                      >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                        </svg>
-                      </button>
+                      {can('manageCategories') && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setEditingSubCategory(subCategory);
+                            setIsSubCategoryModalOpen(true);
+                          }}
+                          className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                          title="Edit Subcategory"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                          </svg>
+                        </button>
+                      )}
                       <svg 
                         onClick={() => navigate(`/category/${categoryId}/subcategory/${subCategory._id}`)}
                         className="w-5 h-5 text-gray-400 cursor-pointer" 
@@ -333,18 +365,20 @@ const CategoryView = () => {
       </main>
 
       {/* Floating Action Button */}
-      <button
-        onClick={() => {
-          setEditingSubCategory(null);
-          setIsSubCategoryModalOpen(true);
-        }}
-        className="fab fixed bottom-6 right-6 w-14 h-14 bg-primary-500 hover:bg-primary-600 text-white rounded-full shadow-lg flex items-center justify-center transition-colors z-30"
-        title="Add Subcategory"
-      >
-        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
-        </svg>
-      </button>
+      {can('manageCategories') && (
+        <button
+          onClick={() => {
+            setEditingSubCategory(null);
+            setIsSubCategoryModalOpen(true);
+          }}
+          className="fab fixed bottom-6 right-6 w-14 h-14 bg-primary-500 hover:bg-primary-600 text-white rounded-full shadow-lg flex items-center justify-center transition-colors z-30"
+          title="Add Subcategory"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
+          </svg>
+        </button>
+      )}
 
       {/* SubCategory Modal */}
       <SubCategoryModal
@@ -354,7 +388,7 @@ const CategoryView = () => {
           setEditingSubCategory(null);
         }}
         onSave={handleSaveSubCategory}
-        onDelete={handleDeleteSubCategory}
+        onDelete={can('deleteCategories') ? handleDeleteSubCategory : undefined}
         subCategory={editingSubCategory}
         categoryId={categoryId}
       />
@@ -0,0 +1,380 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import SearchFilter from './SearchFilter';
+import CustomerPicker from './CustomerPicker';
+import { productAPI, godownAPI, challanAPI, bundleAPI, reservationAPI } from '../utils/api';
+import { getSelectedGodown, qtyInGodown } from '../utils/godown';
+
+// Today as yyyy-mm-dd for the date input
+const today = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+// A challan line is one product, taken either from loose stock or from one of its bundles
+const lineKey = (item) => `${item.product._id}:${item.bundleId}`;
+
+// New sales challan: pick a customer, add products through the product search, and save
+// to take the quantities out of the godown's stock
+const ChallanCreateView = () => {
+  const navigate = useNavigate();
+  const [customer, setCustomer] = useState(null);
+  const [date, setDate] = useState(today());
+  const [godowns, setGodowns] = useState([]);
+  const [godownId, setGodownId] = useState(getSelectedGodown());
+  const [items, setItems] = useState([]);
+  const [note, setNote] = useState('');
+  const [searchText, setSearchText] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchGodowns = async () => {
+      try {
+        const response = await godownAPI.getAll();
+        setGodowns(response.data);
+      } catch (error) {
+        toast.error('Failed to load godowns');
+      }
+    };
+
+    fetchGodowns();
+  }, []);
+
+  // Stock leaves the chosen godown, or the default one
+  const stockGodownId = godownId || godowns.find(godown => godown.isDefault)?._id;
+  const available = useCallback((product) => qtyInGodown(product, stockGodownId), [stockGodownId]);
+
+  // Bundles of a product in the stock godown, for the line's bundle choice, and the
+  // product's active holds there
+  const fetchLineStock = useCallback(async (productId) => {
+    try {
+      const [bundleResponse, holdResponse] = await Promise.all([
+        bundleAPI.getAll({ productId, godownId: stockGodownId, limit: 100 }),
+        reservationAPI.getAll({ productId, godownId: stockGodownId, status: 'active', limit: 100 }),
+      ]);
+      return { bundles: bundleResponse.data.bundles, holds: holdResponse.data.reservations };
+    } catch (error) {
+      toast.error('Failed to load bundles and holds');
+      return { bundles: [], holds: [] };
+    }
+  }, [stockGodownId]);
+
+  // Quantity of the line's product held for customers other than this challan's
+  const heldForOthers = (item) => item.holds
+    .filter(hold => hold.customerId?._id !== customer?._id)
+    .reduce((sum, hold) => sum + hold.qty, 0);
+
+  // Stock the line can draw on: its bundle's qty, or what's loose outside the bundles,
+  // less what is held for other customers
+  const lineAvailable = (item) => {
+    const free = available(item.product) - heldForOthers(item);
+    if (item.bundleId) {
+      const inBundle = item.bundles.find(bundle => bundle._id === item.bundleId)?.qty || 0;
+      return Math.max(Math.min(inBundle, free), 0);
+    }
+    const inBundles = item.bundles.reduce((sum, bundle) => sum + bundle.qty, 0);
+    return Math.max(Math.min(available(item.product) - inBundles, free), 0);
+  };
+
+  // Bundles and holds belong to a godown, so lines loaded for another godown are reloaded
+  // and their bundle choices cleared; lines of one product then merge into a single line
+  useEffect(() => {
+    if (!stockGodownId || !items.some(item => item.loadedFor !== stockGodownId)) return undefined;
+
+    let isCancelled = false;
+    const reloadLineStock = async () => {
+      try {
+        const stock = await Promise.all(items.map(item => fetchLineStock(item.product._id)));
+        if (isCancelled) return;
+
+        const reloaded = new Map();
+        items.forEach((item, i) => {
+          const key = lineKey({ product: item.product, bundleId: '' });
+          const merged = reloaded.get(key);
+          if (merged) {
+            merged.qty = String((Number(merged.qty) || 0) + (Number(item.qty) || 0));
+          } else {
+            reloaded.set(key, { ...item, ...stock[i], key, bundleId: '', loadedFor: stockGodownId });
+          }
+        });
+        setItems([...reloaded.values()]);
+      } catch (error) {
+        toast.error('Failed to reload bundles and holds');
+      }
+    };
+
+    reloadLineStock();
+    return () => {
+      isCancelled = true;
+    };
+  }, [items, stockGodownId, fetchLineStock]);
+
+  // Debounced product search
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      if (searchText.trim()) {
+        try {
+          const response = await productAPI.search({ search: searchText, limit: 10 });
+          setSearchResults(response.data.products.map(product => ({
+            ...product,
+            type: 'product',
+            id: product._id,
+            label: product.matchedBundles?.length
+              ? `Bundle ${product.matchedBundles.join(', ')}`
+              : `Qty ${available(product)}`,
+          })));
+        } catch (error) {
+          console.error('Search error:', error);
+        }
+      } else {
+        setSearchResults([]);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [searchText, available]);
+
+  // A product found by its bundle number comes in with that bundle picked
+  const handleAddProduct = async (product) => {
+    setSearchText('');
+    const { bundles, holds } = await fetchLineStock(product._id);
+    const matched = bundles.find(bundle => product.matchedBundles?.includes(bundle.bundleNumber));
+    const bundleId = matched?._id || '';
+    const key = lineKey({ product, bundleId });
+
+    if (items.some(item => item.key === key)) {
+      toast.error(`${product.name}${matched ? ` bundle ${matched.bundleNumber}` : ''} is already on the challan`);
+    } else {
+      setItems(prev => [...prev, { key, product, bundleId, bundles, holds, loadedFor: stockGodownId, qty: '' }]);
+    }
+  };
+
+  const updateQty = (key, qty) => {
+    setItems(prev => prev.map(item => (item.key === key ? { ...item, qty } : item)));
+  };
+
+  const updateBundle = (key, bundleId) => {
+    const current = items.find(item => item.key === key);
+    const nextKey = lineKey({ ...current, bundleId });
+    if (items.some(item => item.key === nextKey)) {
+      toast.error('That bundle is already on the challan');
+      return;
+    }
+    setItems(prev => prev.map(item => (item.key === key ? { ...item, bundleId, key: nextKey } : item)));
+  };
+
+  const removeItem = (key) => {
+    setItems(prev => prev.filter(item => item.key !== key));
+  };
+
+  const totalQty = items.reduce((sum, item) => sum + (Number(item.qty) || 0), 0);
+
+  const handleSave = async () => {
+    if (!customer) {
+      toast.error('Choose a customer');
+      return;
+    }
+    if (items.length === 0) {
+      toast.error('Add at least one product');
+      return;
+    }
+    if (items.some(item => !(Number(item.qty) > 0))) {
+      toast.error('Enter a quantity for every product');
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      const response = await challanAPI.create({
+        customerId: customer._id,
+        godownId: godownId || undefined,
+        date,
+        items: items.map(item => ({
+          productId: item.product._id,
+          bundleId: item.bundleId || undefined,
+          qty: Number(item.qty),
+        })),
+        note: note.trim(),
+      });
+      toast.success(`Challan #${response.data.number} saved!`);
+      navigate(`/challans/${response.data._id}`, { replace: true });
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save challan');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="px-4 py-3">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm overflow-x-auto hide-scrollbar">
+            <Link to="/" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Home
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <Link to="/challans" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Challans
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <span className="text-gray-800 font-medium truncate">New Challan</span>
+          </nav>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="p-4 space-y-4 max-w-3xl">
+        <div className="card p-4 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Customer *</label>
+            <CustomerPicker value={customer} onChange={setCustomer} disabled={isSaving} />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+              <input
+                type="date"
+                value={date}
+                onChange={(e) => setDate(e.target.value)}
+                className="input-field"
+                disabled={isSaving}
+              />
+            </div>
+            {godowns.length > 1 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">From godown</label>
+                <select
+                  value={godownId}
+                  onChange={(e) => setGodownId(e.target.value)}
+                  className="input-field"
+                  disabled={isSaving}
+                >
+                  <option value="">Default godown</option>
+                  {godowns.map((godown) => (
+                    <option key={godown._id} value={godown._id}>{godown.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Items */}
+        <div className="card p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <h2 className="font-semibold text-gray-800">Items ({items.length})</h2>
+            <span className="text-sm text-gray-500">Total qty: <span className="font-medium text-gray-800">{totalQty}</span></span>
+          </div>
+
+          <SearchFilter
+            value={searchText}
+            onChange={setSearchText}
+            placeholder="Search products to add..."
+            results={searchResults}
+            onResultClick={handleAddProduct}
+          />
+
+          {items.length > 0 ? (
+            <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+              {items.map((item) => {
+                const { key, product, bundleId, bundles, qty } = item;
+                const inStock = lineAvailable(item);
+                const isShort = Number(qty) > inStock;
+                const held = heldForOthers(item);
+                return (
+                  <li key={key} className="p-3 flex items-center gap-3">
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium text-gray-800 truncate">{product.name}</p>
+                      <p className="text-xs text-gray-400 truncate">
+                        {product.subCategoryId?.categoryId?.name} → {product.subCategoryId?.name}
+                      </p>
+                      {bundles.length > 0 && (
+                        <select
+                          value={bundleId}
+                          onChange={(e) => updateBundle(key, e.target.value)}
+                          className="mt-1 px-2 py-1 text-xs border border-gray-300 rounded-md bg-white"
+                          aria-label={`Bundle of ${product.name}`}
+                          disabled={isSaving}
+                        >
+                          <option value="">Loose stock</option>
+                          {bundles.map((bundle) => (
+                            <option key={bundle._id} value={bundle._id}>
+                              Bundle {bundle.bundleNumber}{bundle.grade && ` · ${bundle.grade}`} ({bundle.qty})
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      <p className={`text-xs ${isShort ? 'text-red-600' : 'text-gray-500'}`}>
+                        {inStock} {bundleId ? 'in bundle' : bundles.length > 0 ? 'loose' : 'in stock'}
+                        {held > 0 && ` · ${held} held for others`}{isShort && ' · not enough'}
+                      </p>
+                    </div>
+                    <input
+                      type="number"
+                      value={qty}
+                      onChange={(e) => updateQty(key, e.target.value)}
+                      className="input-field w-24 text-right"
+                      placeholder="Qty"
+                      min="0"
+                      step="any"
+                      aria-label={`Quantity of ${product.name}`}
+                      disabled={isSaving}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeItem(key)}
+                      className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      title="Remove"
+                      disabled={isSaving}
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500 text-center py-6">Search for products above to add them</p>
+          )}
+        </div>
+
+        <div className="card p-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            className="input-field"
+            rows={2}
+            maxLength={500}
+            placeholder="Vehicle number, delivery instructions..."
+            disabled={isSaving}
+          />
+        </div>
+
+        <div className="flex gap-3">
+          <button type="button" onClick={() => navigate('/challans')} className="flex-1 btn-secondary" disabled={isSaving}>
+            Cancel
+          </button>
+          <button type="button" onClick={handleSave} className="flex-1 btn-primary" disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save Challan'}
+          </button>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default ChallanCreateView;
@@ -0,0 +1,206 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import PasscodeModal from './PasscodeModal';
+import { challanAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+
+// One sales challan laid out for printing; the header and buttons are left off the printout
+const ChallanView = () => {
+  const { challanId } = useParams();
+  const navigate = useNavigate();
+  const [challan, setChallan] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isCancelOpen, setIsCancelOpen] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
+  const [isPasscodeOpen, setIsPasscodeOpen] = useState(false);
+
+  const fetchChallan = useCallback(async () => {
+    try {
+      const response = await challanAPI.getById(challanId);
+      setChallan(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load challan');
+      navigate('/challans');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [challanId, navigate]);
+
+  useEffect(() => {
+    fetchChallan();
+  }, [fetchChallan]);
+
+  const handleCancel = async (confirmationToken) => {
+    const response = await challanAPI.cancel(challanId, { reason: cancelReason.trim() }, confirmationToken);
+    setChallan(response.data);
+    setIsCancelOpen(false);
+    toast.success('Challan cancelled and stock restored');
+  };
+
+  if (isLoading || !challan) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+      </div>
+    );
+  }
+
+  const customer = challan.customerId;
+  const isCancelled = challan.status === 'cancelled';
+  const totalQty = challan.items.reduce((sum, item) => sum + item.qty, 0);
+
+  return (
+    <div className="min-h-screen bg-gray-50 print:bg-white">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-40 print:hidden">
+        <div className="px-4 py-3">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm overflow-x-auto hide-scrollbar">
+            <Link to="/" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Home
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <Link to="/challans" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Challans
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <span className="text-gray-800 font-medium truncate">#{challan.number}</span>
+          </nav>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="p-4 max-w-3xl print:p-0 print:max-w-none">
+        <div className="flex gap-3 mb-4 print:hidden">
+          <button onClick={() => window.print()} className="btn-primary">
+            Print
+          </button>
+          {!isCancelled && can('cancelChallans') && (
+            <button
+              onClick={() => setIsCancelOpen(open => !open)}
+              className="px-4 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+            >
+              Cancel Challan
+            </button>
+          )}
+        </div>
+
+        {isCancelOpen && !isCancelled && (
+          <div className="card p-4 mb-4 space-y-3 print:hidden">
+            <p className="text-sm text-gray-600">
+              Cancelling puts every item back into {challan.godownId?.name || 'its godown'}. The challan stays on record as cancelled.
+            </p>
+            <input
+              type="text"
+              value={cancelReason}
+              onChange={(e) => setCancelReason(e.target.value)}
+              className="input-field"
+              placeholder="Reason (optional)"
+              maxLength={200}
+            />
+            <div className="flex gap-3">
+              <button onClick={() => setIsCancelOpen(false)} className="flex-1 btn-secondary">
+                Keep
+              </button>
+              <button onClick={() => setIsPasscodeOpen(true)} className="flex-1 btn-danger">
+                Cancel Challan
+              </button>
+            </div>
+          </div>
+        )}
+
+        {isCancelled && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+            Cancelled {challan.cancelledAt && new Date(challan.cancelledAt).toLocaleString('en-IN')}
+            {challan.cancelledBy?.username && ` by ${challan.cancelledBy.username}`}
+            {challan.cancelReason && ` · ${challan.cancelReason}`}
+          </div>
+        )}
+
+        {/* Challan */}
+        <div className="card p-6 space-y-6 print:shadow-none print:border-0 print:p-0">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h1 className="text-xl font-bold text-gray-800">Delivery Challan</h1>
+              {challan.godownId && (
+                <p className="text-sm text-gray-500">
+                  From {challan.godownId.name}
+                  {challan.godownId.address && `, ${challan.godownId.address}`}
+                </p>
+              )}
+            </div>
+            <div className="text-right">
+              <p className="font-semibold text-gray-800">#{challan.number}</p>
+              <p className="text-sm text-gray-500">{new Date(challan.date).toLocaleDateString('en-IN')}</p>
+            </div>
+          </div>
+
+          <div>
+            <p className="text-xs uppercase tracking-wide text-gray-400 mb-1">To</p>
+            <p className="font-medium text-gray-800">{customer?.name || 'Unknown customer'}</p>
+            {customer?.address && <p className="text-sm text-gray-600 whitespace-pre-line">{customer.address}</p>}
+            {customer?.phone && <p className="text-sm text-gray-600">Phone: {customer.phone}</p>}
+            {customer?.gstin && <p className="text-sm text-gray-600">GSTIN: {customer.gstin}</p>}
+          </div>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-300 text-left text-gray-500">
+                <th className="py-2 pr-2 w-10">#</th>
+                <th className="py-2 pr-2">Item</th>
+                <th className="py-2 text-right">Qty</th>
+              </tr>
+            </thead>
+            <tbody>
+              {challan.items.map((item, index) => (
+                <tr key={`${item.productId}:${item.bundleId || ''}`} className="border-b border-gray-100">
+                  <td className="py-2 pr-2 text-gray-400">{index + 1}</td>
+                  <td className="py-2 pr-2 text-gray-800">
+                    {item.name}
+                    {item.bundleNumber && <span className="text-gray-500"> · Bundle {item.bundleNumber}</span>}
+                  </td>
+                  <td className="py-2 text-right text-gray-800">{item.qty}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="font-semibold text-gray-800">
+                <td className="py-2 pr-2"></td>
+                <td className="py-2 pr-2">Total</td>
+                <td className="py-2 text-right">{totalQty}</td>
+              </tr>
+            </tfoot>
+          </table>
+
+          {challan.note && (
+            <p className="text-sm text-gray-600 whitespace-pre-line">
+              <span className="text-gray-400">Note: </span>{challan.note}
+            </p>
+          )}
+
+          <div className="flex justify-between pt-10 text-sm text-gray-500">
+            <span>Receiver&apos;s signature</span>
+            <span>Authorised signatory{challan.createdBy?.username && ` (${challan.createdBy.username})`}</span>
+          </div>
+        </div>
+      </main>
+
+      {/* Passcode Modal for Cancelling */}
+      <PasscodeModal
+        isOpen={isPasscodeOpen}
+        onClose={() => setIsPasscodeOpen(false)}
+        onConfirm={handleCancel}
+        title="Cancel Challan"
+        confirmLabel="Cancel Challan"
+        message={`Enter your PIN or password to cancel challan #${challan.number} and return its items to stock.`}
+      />
+    </div>
+  );
+};
+
+export default ChallanView;
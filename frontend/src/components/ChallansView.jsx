@@ -0,0 +1,206 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import CustomerPicker from './CustomerPicker';
+import { challanAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+
+const statusTabs = [['', 'All'], ['active', 'Active'], ['cancelled', 'Cancelled']];
+
+// Skeleton loader
+const CardSkeleton = () => (
+  <div className="card p-4 animate-pulse">
+    <div className="h-4 bg-gray-200 rounded w-1/2 mb-2"></div>
+    <div className="h-3 bg-gray-200 rounded w-1/3"></div>
+  </div>
+);
+
+// Sales challans, newest first, filtered by status, customer and date
+const ChallansView = () => {
+  const navigate = useNavigate();
+  const [challans, setChallans] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [status, setStatus] = useState('');
+  const [customer, setCustomer] = useState(null);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+  const fetchChallans = useCallback(async (page = 1, append = false) => {
+    if (append) {
+      setIsLoadingMore(true);
+    } else {
+      setIsLoading(true);
+    }
+
+    try {
+      const response = await challanAPI.getAll({
+        status: status || undefined,
+        customerId: customer?._id,
+        from: from || undefined,
+        to: to || undefined,
+        page,
+        limit: 20,
+      });
+
+      if (append) {
+        setChallans(prev => [...prev, ...response.data.challans]);
+      } else {
+        setChallans(response.data.challans);
+      }
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to load challans');
+    } finally {
+      setIsLoading(false);
+      setIsLoadingMore(false);
+    }
+  }, [status, customer, from, to]);
+
+  useEffect(() => {
+    fetchChallans(1, false);
+  }, [fetchChallans]);
+
+  const hasFilters = status || customer || from || to;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="px-4 py-3">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm overflow-x-auto hide-scrollbar">
+            <Link to="/" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Home
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <span className="text-gray-800 font-medium truncate">Challans</span>
+          </nav>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="p-4">
+        <div className="flex items-start justify-between gap-3 mb-4">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold text-gray-800">
+              Sales Challans ({pagination.total})
+            </h2>
+            <p className="text-sm text-gray-500">Goods sent to customers, taken out of stock when saved</p>
+          </div>
+          {can('createChallans') && (
+            <button onClick={() => navigate('/challans/new')} className="btn-primary flex-shrink-0">
+              New Challan
+            </button>
+          )}
+        </div>
+
+        {/* Filters */}
+        <div className="card p-4 mb-4 space-y-3">
+          <div className="flex gap-2">
+            {statusTabs.map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setStatus(key)}
+                className={`px-3 py-2 text-sm rounded-lg whitespace-nowrap ${
+                  status === key ? 'bg-primary-600 text-white' : 'bg-white text-gray-600 border border-gray-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="grid gap-3 sm:grid-cols-3">
+            <div className="flex gap-2">
+              <div className="flex-1 min-w-0">
+                <CustomerPicker value={customer} onChange={setCustomer} />
+              </div>
+              {customer && (
+                <button
+                  type="button"
+                  onClick={() => setCustomer(null)}
+                  className="px-3 text-sm text-gray-500 hover:text-gray-700"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="input-field"
+              aria-label="From date"
+            />
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              className="input-field"
+              aria-label="To date"
+            />
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="space-y-3">
+            {[...Array(6)].map((_, i) => (
+              <CardSkeleton key={i} />
+            ))}
+          </div>
+        ) : challans.length > 0 ? (
+          <>
+            <div className="space-y-3">
+              {challans.map((challan) => (
+                <Link
+                  key={challan._id}
+                  to={`/challans/${challan._id}`}
+                  className="card p-4 flex items-start justify-between gap-3 hover:shadow-md transition-shadow"
+                >
+                  <div className="min-w-0">
+                    <h3 className="font-medium text-gray-800 truncate">
+                      #{challan.number} · {challan.customerId?.name || 'Unknown customer'}
+                    </h3>
+                    <p className="text-sm text-gray-500 truncate">
+                      {new Date(challan.date).toLocaleDateString('en-IN')} · {challan.godownId?.name}
+                    </p>
+                    <p className="text-xs text-gray-400">
+                      {challan.items.length} item{challan.items.length === 1 ? '' : 's'} · Qty {challan.items.reduce((sum, item) => sum + item.qty, 0)}
+                    </p>
+                  </div>
+                  <span className={`text-xs px-2 py-1 rounded-full flex-shrink-0 ${
+                    challan.status === 'cancelled' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'
+                  }`}>
+                    {challan.status === 'cancelled' ? 'Cancelled' : 'Active'}
+                  </span>
+                </Link>
+              ))}
+            </div>
+
+            {/* Load More */}
+            {pagination.page < pagination.pages && (
+              <div className="mt-6 text-center">
+                <button
+                  onClick={() => fetchChallans(pagination.page + 1, true)}
+                  disabled={isLoadingMore}
+                  className="btn-secondary"
+                >
+                  {isLoadingMore ? 'Loading...' : `Load More (${pagination.page}/${pagination.pages})`}
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-center py-12">
+            <p className="text-gray-500">{hasFilters ? 'No challans match these filters' : 'No challans yet'}</p>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ChallansView;
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../utils/api';
+
+const ChangePinModal = ({ isOpen, onClose }) => {
+  const [password, setPassword] = useState('');
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Reset form when modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setPassword('');
+      setPin('');
+      setConfirmPin('');
+    }
+  }, [isOpen]);
+
+  // Prevent body scroll when modal is open
+  useEffect(() => {
+    if (isOpen) {
+      document.body.style.overflow = 'hidden';
+    } else {
+      document.body.style.overflow = 'unset';
+    }
+    return () => {
+      document.body.style.overflow = 'unset';
+    };
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!password) {
+      toast.error('Enter your password');
+      return;
+    }
+    if (pin.trim().length < 4) {
+      toast.error('PIN must be at least 4 characters');
+      return;
+    }
+    if (pin !== confirmPin) {
+      toast.error('PINs do not match');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      await authAPI.updatePin({ password, pin: pin.trim() });
+      toast.success('PIN updated!');
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update PIN');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end sm:items-center justify-center modal-overlay"
+      onClick={onClose}
+    >
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/50"></div>
+
+      {/* Modal Content */}
+      <div
+        className="relative bg-white w-full sm:max-w-md sm:rounded-xl rounded-t-xl overflow-hidden modal-content"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-800">Your Confirmation PIN</h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="p-4 space-y-4">
+          <p className="text-sm text-gray-600">
+            Your own PIN, asked for before deletes and other actions that need confirming. Until you set one, your password is asked for instead.
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Your Password <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="input-field"
+              placeholder="Enter your password"
+              autoComplete="current-password"
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                New PIN <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="password"
+                value={pin}
+                onChange={(e) => setPin(e.target.value)}
+                className="input-field"
+                placeholder="4-20 characters"
+                autoComplete="off"
+                maxLength={20}
+                disabled={isLoading}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Confirm PIN <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="password"
+                value={confirmPin}
+                onChange={(e) => setConfirmPin(e.target.value)}
+                className="input-field"
+                placeholder="Repeat PIN"
+                autoComplete="off"
+                maxLength={20}
+                disabled={isLoading}
+              />
+            </div>
+          </div>
+
+          {/* Actions */}
+          <div className="flex gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 btn-secondary"
+              disabled={isLoading}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="flex-1 btn-primary"
+              disabled={isLoading}
+            >
+              {isLoading ? 'Saving...' : 'Update PIN'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePinModal;
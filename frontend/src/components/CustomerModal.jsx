@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { customerAPI } from '../utils/api';
+
+const emptyForm = { name: '', phone: '', address: '', gstin: '' };
+
+// Add or edit a customer
+const CustomerModal = ({ isOpen, onClose, onSave, customer = null, defaultName = '' }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Reset form when modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(customer ? {
+      name: customer.name,
+      phone: customer.phone || '',
+      address: customer.address || '',
+      gstin: customer.gstin || '',
+    } : { ...emptyForm, name: defaultName });
+  }, [isOpen, customer, defaultName]);
+
+  // Prevent body scroll when modal is open
+  useEffect(() => {
+    if (isOpen) {
+      document.body.style.overflow = 'hidden';
+    } else {
+      document.body.style.overflow = 'unset';
+    }
+    return () => {
+      document.body.style.overflow = 'unset';
+    };
+  }, [isOpen]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.name.trim()) {
+      toast.error('Customer name is required');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const data = {
+        name: form.name.trim(),
+        phone: form.phone.trim(),
+        address: form.address.trim(),
+        gstin: form.gstin.trim(),
+      };
+      const response = customer
+        ? await customerAPI.update(customer._id, data)
+        : await customerAPI.create(data);
+      toast.success(customer ? 'Customer updated!' : 'Customer added!');
+      onSave(response.data);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save customer');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end sm:items-center justify-center modal-overlay"
+      onClick={onClose}
+    >
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/50"></div>
+
+      {/* Modal Content */}
+      <div
+        className="relative bg-white w-full sm:max-w-md sm:rounded-xl rounded-t-xl max-h-[90vh] overflow-hidden modal-content"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-800">
+            {customer ? 'Edit Customer' : 'Add Customer'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-4 overflow-y-auto max-h-[calc(90vh-70px)] space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+            <input
+              type="text"
+              name="name"
+              value={form.name}
+              onChange={handleInputChange}
+              className="input-field"
+              placeholder="Customer or firm name"
+              maxLength={200}
+              disabled={isLoading}
+              autoFocus
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+            <input
+              type="tel"
+              name="phone"
+              value={form.phone}
+              onChange={handleInputChange}
+              className="input-field"
+              maxLength={20}
+              disabled={isLoading}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+            <textarea
+              name="address"
+              value={form.address}
+              onChange={handleInputChange}
+              className="input-field"
+              rows={2}
+              maxLength={500}
+              disabled={isLoading}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">GSTIN</label>
+            <input
+              type="text"
+              name="gstin"
+              value={form.gstin}
+              onChange={handleInputChange}
+              className="input-field uppercase"
+              maxLength={15}
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="flex gap-3 pt-2">
+            <button type="button" onClick={onClose} className="flex-1 btn-secondary" disabled={isLoading}>
+              Cancel
+            </button>
+            <button type="submit" className="flex-1 btn-primary" disabled={isLoading}>
+              {isLoading ? 'Saving...' : customer ? 'Update' : 'Add Customer'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CustomerModal;
@@ -0,0 +1,137 @@
+import { useState, useEffect, useRef } from 'react';
+import CustomerModal from './CustomerModal';
+import { customerAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+
+// Searchable customer picker. `value` is the selected customer or null; users who manage
+// customers can add a new one from the search text.
+const CustomerPicker = ({ value, onChange, disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [search, setSearch] = useState('');
+  const [customers, setCustomers] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isAddOpen, setIsAddOpen] = useState(false);
+  const wrapperRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  // Debounced search while the dropdown is open
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await customerAPI.getAll({ search: search.trim() || undefined, limit: 20 });
+        setCustomers(response.data.customers);
+      } catch (error) {
+        console.error('Customer search error:', error);
+      } finally {
+        setIsSearching(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [isOpen, search]);
+
+  const select = (customer) => {
+    onChange(customer);
+    setIsOpen(false);
+  };
+
+  return (
+    <div ref={wrapperRef} className="relative">
+      {isOpen ? (
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+          }}
+          className="input-field"
+          placeholder="Search name or phone"
+          aria-label="Customer"
+          autoFocus
+        />
+      ) : (
+        <button
+          type="button"
+          onClick={() => {
+            setSearch('');
+            setIsOpen(true);
+          }}
+          className="input-field text-left truncate"
+          aria-label="Customer"
+          disabled={disabled}
+        >
+          {value ? (
+            <span className="text-gray-800">
+              {value.name}
+              {value.phone && <span className="text-gray-400"> · {value.phone}</span>}
+            </span>
+          ) : (
+            <span className="text-gray-400">Choose a customer</span>
+          )}
+        </button>
+      )}
+
+      {/* Results Dropdown */}
+      {isOpen && (
+        <div className="absolute top-full left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg z-50 max-h-64 overflow-y-auto">
+          {customers.map((customer) => (
+            <button
+              key={customer._id}
+              type="button"
+              onClick={() => select(customer)}
+              className={`w-full px-3 py-2 text-left hover:bg-gray-50 border-b border-gray-100 last:border-b-0 ${
+                value?._id === customer._id ? 'bg-primary-50' : ''
+              }`}
+            >
+              <span className="block font-medium text-gray-800 truncate">{customer.name}</span>
+              {(customer.phone || customer.address) && (
+                <span className="block text-xs text-gray-500 truncate">
+                  {[customer.phone, customer.address].filter(Boolean).join(' · ')}
+                </span>
+              )}
+            </button>
+          ))}
+          {!isSearching && customers.length === 0 && (
+            <p className="px-3 py-2 text-sm text-gray-500">No customers found</p>
+          )}
+          {can('manageCustomers') && (
+            <button
+              type="button"
+              onClick={() => {
+                setIsOpen(false);
+                setIsAddOpen(true);
+              }}
+              className="w-full px-3 py-2 text-left text-sm text-primary-600 hover:bg-primary-50"
+            >
+              + Add {search.trim() ? `"${search.trim()}"` : 'customer'}
+            </button>
+          )}
+        </div>
+      )}
+
+      <CustomerModal
+        isOpen={isAddOpen}
+        onClose={() => setIsAddOpen(false)}
+        onSave={onChange}
+        defaultName={search.trim()}
+      />
+    </div>
+  );
+};
+
+export default CustomerPicker;
@@ -3,8 +3,18 @@ import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import SearchFilter from './SearchFilter';
 import QuantityFilter from './QuantityFilter';
+import ExportMenu from './ExportMenu';
 import CategoryModal from './CategoryModal';
-import { categoryAPI, subCategoryAPI, productAPI } from '../utils/api';
+import ChangePinModal from './ChangePinModal';
+import ScannerModal from './ScannerModal';
+import SummaryCards from './SummaryCards';
+import GodownSwitcher from './GodownSwitcher';
+import { categoryAPI, productAPI, reportAPI, searchAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+import { productImages, productImageFiles } from '../utils/images';
+import { parseScan } from '../utils/scan';
+import { getSelectedGodown, setSelectedGodown, displayQty } from '../utils/godown';
+import { searchGroups, searchResultPath } from '../utils/search';
 
 // Long press hook
 const useLongPress = (callback, ms = 500) => {
@@ -97,7 +107,7 @@ const SelectableProductCard = ({
         )}
         {product.image ? (
           <img
-            src={product.image}
+            src={product.thumbnail || product.image}
             alt={product.name}
             className="w-12 h-12 object-cover rounded-lg"
             loading="lazy"
@@ -111,8 +121,11 @@ const SelectableProductCard = ({
         )}
         <div className="flex-1 min-w-0">
           <h3 className="font-medium text-gray-800 truncate">{product.name}</h3>
+          {product.matchedBundles?.length > 0 && (
+            <p className="text-xs text-primary-700 truncate">Bundle {product.matchedBundles.join(', ')}</p>
+          )}
           <p className="text-sm text-gray-500">
-            Qty: {product.qty} | Rakam: ₹{product.rakam?.toLocaleString('en-IN') || 0}
+            Qty: {displayQty(product)} | Rakam: ₹{product.rakam?.toLocaleString('en-IN') || 0}
           </p>
           <p className="text-xs text-gray-400 truncate">
             {product.subCategoryId?.categoryId?.name} → {product.subCategoryId?.name}
@@ -137,6 +150,10 @@ const Dashboard = () => {
   const [isSearching, setIsSearching] = useState(false);
   const [isCategoryModalOpen, setIsCategoryModalOpen] = useState(false);
   const [editingCategory, setEditingCategory] = useState(null);
+  const [isPinModalOpen, setIsPinModalOpen] = useState(false);
+  const [isScannerOpen, setIsScannerOpen] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [godownId, setGodownId] = useState(getSelectedGodown);
 
   // Selection mode state
   const [isSelectionMode, setIsSelectionMode] = useState(false);
@@ -147,7 +164,7 @@ const Dashboard = () => {
   useEffect(() => {
     setSelectedProducts(new Set());
     setIsSelectionMode(false);
-  }, [searchText, qtyMin, qtyMax]);
+  }, [searchText, qtyMin, qtyMax, godownId]);
 
   // Handle long press to enter selection mode
   const handleLongPress = useCallback((product) => {
@@ -188,7 +205,7 @@ const Dashboard = () => {
 
   // Share selected product images
   const shareSelectedImages = async () => {
-    const selectedProductsList = filteredProducts.filter(p => selectedProducts.has(p._id) && p.image);
+    const selectedProductsList = filteredProducts.filter(p => selectedProducts.has(p._id) && productImages(p).length > 0);
     
     if (selectedProductsList.length === 0) {
       toast.error('No images to share. Selected products have no images.');
@@ -197,19 +214,7 @@ const Dashboard = () => {
 
     setIsSharing(true);
     try {
-      const imagePromises = selectedProductsList.map(async (product) => {
-        try {
-          const response = await fetch(product.image);
-          const blob = await response.blob();
-          const extension = blob.type.split('/')[1] || 'jpg';
-          return new File([blob], `${product.name}.${extension}`, { type: blob.type });
-        } catch (err) {
-          console.error(`Failed to fetch image for ${product.name}:`, err);
-          return null;
-        }
-      });
-
-      const files = (await Promise.all(imagePromises)).filter(f => f !== null);
+      const files = await productImageFiles(selectedProductsList);
 
       if (files.length === 0) {
         toast.error('Failed to load images for sharing');
@@ -247,27 +252,31 @@ const Dashboard = () => {
     }
   }, []);
 
+  // Fetch stock valuation totals
+  const fetchSummary = useCallback(async () => {
+    try {
+      const response = await reportAPI.getSummary(godownId ? { godownId } : {});
+      setSummary(response.data);
+    } catch (error) {
+      toast.error('Failed to load stock summary');
+    }
+  }, [godownId]);
+
   useEffect(() => {
     fetchCategories();
-  }, [fetchCategories]);
+    fetchSummary();
+  }, [fetchCategories, fetchSummary]);
+
+  const categoryTotals = new Map((summary?.categories || []).map(totals => [totals._id, totals]));
 
-  // Debounced search for categories and subcategories
+  // Debounced search for categories, subcategories and products in one request
   useEffect(() => {
     const timer = setTimeout(async () => {
       if (searchText.trim()) {
         setIsSearching(true);
         try {
-          const [catResponse, subCatResponse] = await Promise.all([
-            categoryAPI.getAll(searchText),
-            subCategoryAPI.getAll({ search: searchText })
-          ]);
-
-          const results = [
-            ...catResponse.data.map(c => ({ ...c, type: 'category', id: c._id })),
-            ...subCatResponse.data.map(sc => ({ ...sc, type: 'subcategory', id: sc._id }))
-          ];
-
-          setSearchResults(results);
+          const response = await searchAPI.query({ q: searchText, godownId: godownId || undefined });
+          setSearchResults(searchGroups(response.data, godownId));
         } catch (error) {
           console.error('Search error:', error);
         } finally {
@@ -279,7 +288,7 @@ const Dashboard = () => {
     }, 300);
 
     return () => clearTimeout(timer);
-  }, [searchText]);
+  }, [searchText, godownId]);
 
   // Fetch filtered products when quantity filter is applied
   useEffect(() => {
@@ -292,6 +301,7 @@ const Dashboard = () => {
           if (qtyMin !== null) params.qtyMin = qtyMin;
           if (qtyMax !== null) params.qtyMax = qtyMax;
           if (searchText) params.search = searchText;
+          if (godownId) params.godownId = godownId;
 
           const response = await productAPI.search(params);
           setFilteredProducts(response.data.products);
@@ -307,7 +317,7 @@ const Dashboard = () => {
     };
 
     fetchFilteredProducts();
-  }, [qtyMin, qtyMax, searchText]);
+  }, [qtyMin, qtyMax, searchText, godownId]);
 
   const handleLogout = () => {
     localStorage.removeItem('token');
@@ -317,14 +327,16 @@ const Dashboard = () => {
   };
 
   const handleSearchResultClick = (result) => {
-    if (result.type === 'category') {
-      navigate(`/category/${result._id}`);
-    } else {
-      navigate(`/category/${result.categoryId._id || result.categoryId}/subcategory/${result._id}`);
-    }
+    navigate(searchResultPath(result));
     setSearchText('');
   };
 
+  // The choice sticks for every list and total until it is changed again
+  const handleGodownChange = useCallback((id) => {
+    setSelectedGodown(id);
+    setGodownId(id);
+  }, []);
+
   const handleQuantityFilterChange = (value, min, max) => {
     setQtyFilter(value);
     setQtyMin(min);
@@ -346,11 +358,28 @@ const Dashboard = () => {
     fetchCategories();
   };
 
-  const handleDeleteCategory = async (categoryId) => {
-    await categoryAPI.delete(categoryId);
+  const handleDeleteCategory = async (categoryId, confirmationToken) => {
+    await categoryAPI.delete(categoryId, confirmationToken);
     fetchCategories();
+    fetchSummary();
   };
 
+  // Jump to whatever a scanned label points at
+  const handleScan = useCallback((text) => {
+    const target = parseScan(text);
+    if (!target) {
+      toast.error('Not a product or location code');
+      return;
+    }
+
+    setIsScannerOpen(false);
+    if (target.type === 'product') {
+      navigate(`/product/${target.id}`);
+    } else {
+      navigate(`/location/${target.kind}/${encodeURIComponent(target.value)}`);
+    }
+  }, [navigate]);
+
   const user = JSON.parse(localStorage.getItem('user') || '{}');
 
   return (
@@ -361,7 +390,103 @@ const Dashboard = () => {
           <div className="flex items-center justify-between mb-3">
             <h1 className="text-xl font-bold text-gray-800">Veneer Inventory</h1>
             <div className="flex items-center gap-2">
-              <span className="text-sm text-gray-500 hidden sm:inline">{user.username}</span>
+              <span className="text-sm text-gray-500 hidden sm:inline">
+                {user.username}
+                {user.role && <span className="ml-1 text-xs text-gray-400 capitalize">({user.role})</span>}
+              </span>
+              <button
+                onClick={() => setIsScannerOpen(true)}
+                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Scan"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v1m6 11h2m-6 0h-2v4m0-11v3m0 0h.01M12 12h4.01M16 20h4M4 12h4m12 0h.01M5 8h2a1 1 0 001-1V5a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1zm12 0h2a1 1 0 001-1V5a1 1 0 00-1-1h-2a1 1 0 00-1 1v2a1 1 0 001 1zM5 20h2a1 1 0 001-1v-2a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1z" />
+                </svg>
+              </button>
+              <button
+                onClick={() => navigate('/purchases')}
+                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Purchases"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M20 13V6a2 2 0 00-2-2H6a2 2 0 00-2 2v7m16 0v5a2 2 0 01-2 2H6a2 2 0 01-2-2v-5m16 0h-2.586a1 1 0 00-.707.293l-2.414 2.414a1 1 0 01-.707.293h-3.172a1 1 0 01-.707-.293l-2.414-2.414A1 1 0 006.586 13H4" />
+                </svg>
+              </button>
+              <button
+                onClick={() => navigate('/challans')}
+                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Challans"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                </svg>
+              </button>
+              <button
+                onClick={() => navigate('/locations')}
+                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Locations"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+                </svg>
+              </button>
+              <button
+                onClick={() => navigate('/low-stock')}
+                className="relative p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Low Stock"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                </svg>
+                {summary?.overall.lowStockCount > 0 && (
+                  <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-[10px] font-medium rounded-full flex items-center justify-center">
+                    {summary.overall.lowStockCount > 99 ? '99+' : summary.overall.lowStockCount}
+                  </span>
+                )}
+              </button>
+              {can('manageProducts') && (
+                <button
+                  onClick={() => navigate('/import')}
+                  className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                  title="Import Products"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                  </svg>
+                </button>
+              )}
+              {can('viewActivity') && (
+                <button
+                  onClick={() => navigate('/activity')}
+                  className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                  title="Activity"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+                  </svg>
+                </button>
+              )}
+              {can('viewRecycleBin') && (
+                <button
+                  onClick={() => navigate('/recycle-bin')}
+                  className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                  title="Recycle Bin"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                </button>
+              )}
+              <button
+                onClick={() => setIsPinModalOpen(true)}
+                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Change PIN"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+                </svg>
+              </button>
               <button
                 onClick={handleLogout}
                 className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
@@ -374,19 +499,30 @@ const Dashboard = () => {
             </div>
           </div>
 
+          {/* Godown */}
+          <div className="mb-3">
+            <GodownSwitcher value={godownId} onChange={handleGodownChange} />
+          </div>
+
           {/* Search and Filter */}
           <div className="flex gap-2">
             <SearchFilter
               value={searchText}
               onChange={setSearchText}
-              placeholder="Search categories or subcategories..."
-              results={searchResults}
+              placeholder="Search categories, subcategories or products..."
+              groups={searchResults}
               onResultClick={handleSearchResultClick}
             />
             <QuantityFilter
               value={qtyFilter}
               onChange={handleQuantityFilterChange}
             />
+            <ExportMenu
+              params={{
+                godownId: godownId || undefined,
+                ...(showFilteredProducts && { qtyMin: qtyMin ?? undefined, qtyMax: qtyMax ?? undefined, search: searchText || undefined }),
+              }}
+            />
           </div>
         </div>
       </header>
@@ -494,6 +630,8 @@ const Dashboard = () => {
           </div>
         ) : (
           <div>
+            <SummaryCards totals={summary?.overall} isLoading={!summary} />
+
             <h2 className="text-lg font-semibold text-gray-800 mb-4">Categories</h2>
 
             {isLoading ? (
@@ -523,22 +661,32 @@ const Dashboard = () => {
                           <h3 className="font-medium text-gray-800 truncate">{category.name}</h3>
                           <p className="text-sm text-gray-500">
                             {category.subCategoriesCount || 0} subcategories
+                            {categoryTotals.has(category._id) && (
+                              <> · ₹{categoryTotals.get(category._id).totalRakam.toLocaleString('en-IN', { maximumFractionDigits: 2 })}</>
+                            )}
                           </p>
+                          {categoryTotals.get(category._id)?.lowStockCount > 0 && (
+                            <span className="inline-block mt-1 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">
+                              {categoryTotals.get(category._id).lowStockCount} low stock
+                            </span>
+                          )}
                         </div>
                       </div>
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          setEditingCategory(category);
-                          setIsCategoryModalOpen(true);
-                        }}
-                        className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
-                        title="Edit Category"
-                      >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                        </svg>
-                      </button>
+                      {can('manageCategories') && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setEditingCategory(category);
+                            setIsCategoryModalOpen(true);
+                          }}
+                          className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                          title="Edit Category"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                          </svg>
+                        </button>
+                      )}
                       <svg 
                         onClick={() => navigate(`/category/${category._id}`)}
                         className="w-5 h-5 text-gray-400 cursor-pointer" 
@@ -565,18 +713,20 @@ const Dashboard = () => {
       </main>
 
       {/* Floating Action Button */}
-      <button
-        onClick={() => {
-          setEditingCategory(null);
-          setIsCategoryModalOpen(true);
-        }}
-        className="fab fixed bottom-6 right-6 w-14 h-14 bg-primary-500 hover:bg-primary-600 text-white rounded-full shadow-lg flex items-center justify-center transition-colors z-30"
-        title="Add Category"
-      >
-        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
-        </svg>
-      </button>
+      {can('manageCategories') && (
+        <button
+          onClick={() => {
+            setEditingCategory(null);
+            setIsCategoryModalOpen(true);
+          }}
+          className="fab fixed bottom-6 right-6 w-14 h-14 bg-primary-500 hover:bg-primary-600 text-white rounded-full shadow-lg flex items-center justify-center transition-colors z-30"
+          title="Add Category"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
+          </svg>
+        </button>
+      )}
 
       {/* Category Modal */}
       <CategoryModal
@@ -586,9 +736,22 @@ const Dashboard = () => {
           setEditingCategory(null);
         }}
         onSave={handleSaveCategory}
-        onDelete={handleDeleteCategory}
+        onDelete={can('deleteCategories') ? handleDeleteCategory : undefined}
         category={editingCategory}
       />
+
+      {/* Change PIN Modal */}
+      <ChangePinModal
+        isOpen={isPinModalOpen}
+        onClose={() => setIsPinModalOpen(false)}
+      />
+
+      {/* QR / Barcode Scanner */}
+      <ScannerModal
+        isOpen={isScannerOpen}
+        onClose={() => setIsScannerOpen(false)}
+        onScan={handleScan}
+      />
     </div>
   );
 };
@@ -0,0 +1,204 @@
+import { useState, useEffect } from 'react';
+import LocationPicker from './LocationPicker';
+import { emptyFilters } from '../utils/filters';
+import { locationTypes } from '../utils/locations';
+
+const ranges = [
+  { label: 'Quantity', min: 'qtyMin', max: 'qtyMax', step: '1' },
+  { label: 'Price (₹)', min: 'priceMin', max: 'priceMax', step: '0.01' },
+  { label: 'Rakam (₹)', min: 'rakamMin', max: 'rakamMax', step: '0.01' },
+];
+
+const sizeFields = [
+  { key: 'thickness', label: 'Thickness (mm)', step: '0.01' },
+  { key: 'lengthMin', label: 'Min length (mm)', step: '1' },
+  { key: 'widthMin', label: 'Min width (mm)', step: '1' },
+  { key: 'leafCountMin', label: 'Min leaves', step: '1' },
+];
+
+const emptyLocations = { ghoda: null, sample: null };
+
+// Slide-over with every product list filter. Changes are only applied with Apply;
+// onApply gets the filters and the selected locations, by type.
+const FilterDrawer = ({ isOpen, onClose, filters, locations, onApply }) => {
+  const [draft, setDraft] = useState(filters);
+  const [draftLocations, setDraftLocations] = useState(locations);
+
+  // Start from the applied filters each time the drawer opens
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(filters);
+      setDraftLocations(locations);
+    }
+  }, [isOpen, filters, locations]);
+
+  const setField = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+
+  const setLocation = (type, location) => {
+    setDraftLocations(prev => ({ ...prev, [type]: location }));
+    setField(`${type}LocationId`, location?._id || '');
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    onApply(draft, draftLocations);
+    onClose();
+  };
+
+  const handleClear = () => {
+    onApply(emptyFilters, emptyLocations);
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end modal-overlay" onClick={onClose}>
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/50"></div>
+
+      {/* Drawer Content */}
+      <div
+        className="relative bg-white w-full max-w-sm h-full flex flex-col drawer-content"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-800">Filters</h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleApply} className="flex-1 flex flex-col min-h-0">
+          <div className="flex-1 overflow-y-auto p-4 space-y-5">
+            {ranges.map(range => (
+              <div key={range.min}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{range.label}</label>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    value={draft[range.min]}
+                    onChange={(e) => setField(range.min, e.target.value)}
+                    className="input-field py-2"
+                    placeholder="Min"
+                    min="0"
+                    step={range.step}
+                    disabled={range.min === 'qtyMin' && draft.zeroStock === 'true'}
+                  />
+                  <span className="text-gray-400">–</span>
+                  <input
+                    type="number"
+                    value={draft[range.max]}
+                    onChange={(e) => setField(range.max, e.target.value)}
+                    className="input-field py-2"
+                    placeholder="Max"
+                    min="0"
+                    step={range.step}
+                    disabled={range.max === 'qtyMax' && draft.zeroStock === 'true'}
+                  />
+                </div>
+                {range.min === 'qtyMin' && (
+                  <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={draft.zeroStock === 'true'}
+                      onChange={(e) => setField('zeroStock', e.target.checked ? 'true' : '')}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    Out of stock only
+                  </label>
+                )}
+              </div>
+            ))}
+
+            {Object.entries(locationTypes).map(([type, { label }]) => (
+              <div key={type}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                <LocationPicker
+                  type={type}
+                  value={draftLocations[type]}
+                  onChange={(location) => setLocation(type, location)}
+                  allowCreate={false}
+                />
+              </div>
+            ))}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Last updated</label>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <span className="block text-xs text-gray-500 mb-1">Since</span>
+                  <input
+                    type="date"
+                    value={draft.updatedSince}
+                    onChange={(e) => setField('updatedSince', e.target.value)}
+                    className="input-field py-2"
+                  />
+                </div>
+                <div>
+                  <span className="block text-xs text-gray-500 mb-1">Before</span>
+                  <input
+                    type="date"
+                    value={draft.updatedBefore}
+                    onChange={(e) => setField('updatedBefore', e.target.value)}
+                    className="input-field py-2"
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Image</label>
+              <select
+                value={draft.hasImage}
+                onChange={(e) => setField('hasImage', e.target.value)}
+                className="input-field py-2"
+              >
+                <option value="">Any</option>
+                <option value="true">With image</option>
+                <option value="false">Without image</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Size</label>
+              <div className="grid grid-cols-2 gap-2">
+                {sizeFields.map(field => (
+                  <div key={field.key}>
+                    <span className="block text-xs text-gray-500 mb-1">{field.label}</span>
+                    <input
+                      type="number"
+                      value={draft[field.key]}
+                      onChange={(e) => setField(field.key, e.target.value)}
+                      className="input-field py-2"
+                      placeholder="Any"
+                      min="0"
+                      step={field.step}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="flex gap-3 p-4 border-t border-gray-200">
+            <button type="button" onClick={handleClear} className="flex-1 btn-secondary">
+              Clear all
+            </button>
+            <button type="submit" className="flex-1 btn-primary">
+              Apply
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default FilterDrawer;
@@ -0,0 +1,71 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import GodownsModal from './GodownsModal';
+import { godownAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+
+// Picks the godown that product lists and totals are scoped to ('' for all godowns)
+const GodownSwitcher = ({ value, onChange }) => {
+  const [godowns, setGodowns] = useState([]);
+  const [isManageOpen, setIsManageOpen] = useState(false);
+
+  const fetchGodowns = useCallback(async () => {
+    try {
+      const response = await godownAPI.getAll();
+      setGodowns(response.data);
+    } catch (error) {
+      toast.error('Failed to load godowns');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGodowns();
+  }, [fetchGodowns]);
+
+  // Forget a selection whose godown has been deleted
+  useEffect(() => {
+    if (value && godowns.length > 0 && !godowns.some(godown => godown._id === value)) {
+      onChange('');
+    }
+  }, [value, godowns, onChange]);
+
+  return (
+    <div className="flex items-center gap-2">
+      <svg className="w-5 h-5 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 21V9l9-6 9 6v12M7 21v-8h10v8M7 17h10" />
+      </svg>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="input-field py-2 text-sm"
+        aria-label="Godown"
+      >
+        <option value="">All godowns</option>
+        {godowns.map((godown) => (
+          <option key={godown._id} value={godown._id}>{godown.name}</option>
+        ))}
+      </select>
+      {can('manageGodowns') && (
+        <button
+          onClick={() => setIsManageOpen(true)}
+          className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+          title="Manage Godowns"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+          </svg>
+        </button>
+      )}
+
+      <GodownsModal
+        isOpen={isManageOpen}
+        onClose={() => setIsManageOpen(false)}
+        godowns={godowns}
+        onChange={fetchGodowns}
+      />
+    </div>
+  );
+};
+
+export default GodownSwitcher;
@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { godownAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+
+const emptyForm = { name: '', address: '' };
+
+// Add, rename and delete godowns
+const GodownsModal = ({ isOpen, onClose, godowns, onChange }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Reset form when modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setForm(emptyForm);
+      setEditingId(null);
+    }
+  }, [isOpen]);
+
+  // Prevent body scroll when modal is open
+  useEffect(() => {
+    if (isOpen) {
+      document.body.style.overflow = 'hidden';
+    } else {
+      document.body.style.overflow = 'unset';
+    }
+    return () => {
+      document.body.style.overflow = 'unset';
+    };
+  }, [isOpen]);
+
+  const startEditing = (godown) => {
+    setEditingId(godown._id);
+    setForm({ name: godown.name, address: godown.address || '' });
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.name.trim()) {
+      toast.error('Godown name is required');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const data = { name: form.name.trim(), address: form.address.trim() };
+      if (editingId) {
+        await godownAPI.update(editingId, data);
+        toast.success('Godown updated!');
+      } else {
+        await godownAPI.create(data);
+        toast.success('Godown added!');
+      }
+      cancelEditing();
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save godown');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDelete = async (godown) => {
+    if (!window.confirm(`Delete "${godown.name}"?`)) return;
+
+    setIsLoading(true);
+
+    try {
+      await godownAPI.delete(godown._id);
+      toast.success('Godown deleted!');
+      if (editingId === godown._id) cancelEditing();
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete godown');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end sm:items-center justify-center modal-overlay"
+      onClick={onClose}
+    >
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/50"></div>
+
+      {/* Modal Content */}
+      <div
+        className="relative bg-white w-full sm:max-w-md sm:rounded-xl rounded-t-xl max-h-[90vh] overflow-hidden modal-content"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-800">Godowns</h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto max-h-[calc(90vh-70px)] space-y-4">
+          {/* Godown list */}
+          <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+            {godowns.map((godown) => (
+              <li key={godown._id} className="p-3 flex items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-800 truncate">
+                    {godown.name}
+                    {godown.isDefault && (
+                      <span className="ml-2 px-1.5 py-0.5 text-[10px] rounded bg-primary-100 text-primary-700 align-middle">
+                        Default
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {godown.productCount} products · Qty {godown.totalQty}
+                    {godown.address && <> · {godown.address}</>}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => startEditing(godown)}
+                  className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                  title="Edit Godown"
+                  disabled={isLoading}
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                  </svg>
+                </button>
+                {can('deleteGodowns') && (
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(godown)}
+                    className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-40"
+                    title={godown.totalQty > 0 ? 'Move its stock out before deleting' : 'Delete Godown'}
+                    disabled={isLoading || godown.totalQty > 0 || godowns.length === 1}
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    </svg>
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {/* Add / edit form */}
+          <form onSubmit={handleSubmit} className="p-3 bg-gray-50 rounded-lg space-y-3">
+            <span className="block text-sm font-medium text-gray-700">
+              {editingId ? 'Edit godown' : 'Add godown'}
+            </span>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              className="input-field"
+              placeholder="Godown name"
+              maxLength={100}
+              disabled={isLoading}
+            />
+            <input
+              type="text"
+              value={form.address}
+              onChange={(e) => setForm(prev => ({ ...prev, address: e.target.value }))}
+              className="input-field"
+              placeholder="Address (optional)"
+              maxLength={300}
+              disabled={isLoading}
+            />
+            <div className="flex gap-3">
+              {editingId && (
+                <button
+                  type="button"
+                  onClick={cancelEditing}
+                  className="flex-1 btn-secondary"
+                  disabled={isLoading}
+                >
+                  Cancel
+                </button>
+              )}
+              <button type="submit" className="flex-1 btn-primary" disabled={isLoading}>
+                {isLoading ? 'Saving...' : editingId ? 'Update' : 'Add Godown'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GodownsModal;
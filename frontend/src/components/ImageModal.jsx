@@ -1,6 +1,44 @@
-import { useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+
+const MAX_ZOOM = 4;
+const SWIPE_THRESHOLD = 50;
+
+const distance = (touches) => Math.hypot(
+  touches[0].clientX - touches[1].clientX,
+  touches[0].clientY - touches[1].clientY
+);
+
+// Swipeable product gallery with pinch-zoom and double-tap zoom
+const ImageModal = ({ isOpen, onClose, images = [], initialIndex = 0, productName }) => {
+  const [index, setIndex] = useState(initialIndex);
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const [dragX, setDragX] = useState(0);
+  const gestureRef = useRef(null);
+  const lastTapRef = useRef(0);
+
+  const count = images.length;
+
+  const resetZoom = () => {
+    setZoom(1);
+    setOffset({ x: 0, y: 0 });
+  };
+
+  const goTo = (next) => {
+    if (next < 0 || next >= count) return;
+    setIndex(next);
+    resetZoom();
+  };
+
+  // Start from the requested image each time the gallery opens
+  useEffect(() => {
+    if (isOpen) {
+      setIndex(initialIndex);
+      resetZoom();
+      setDragX(0);
+    }
+  }, [isOpen, initialIndex]);
 
-const ImageModal = ({ isOpen, onClose, imageUrl, productName }) => {
   // Prevent body scroll when modal is open
   useEffect(() => {
     if (isOpen) {
@@ -13,14 +51,74 @@ const ImageModal = ({ isOpen, onClose, imageUrl, productName }) => {
     };
   }, [isOpen]);
 
-  // Close on escape key
+  // Close on escape key, browse with the arrow keys
   useEffect(() => {
-    const handleEscape = (e) => {
+    const handleKeyDown = (e) => {
       if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft') goTo(index - 1);
+      if (e.key === 'ArrowRight') goTo(index + 1);
     };
-    window.addEventListener('keydown', handleEscape);
-    return () => window.removeEventListener('keydown', handleEscape);
-  }, [onClose]);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const toggleZoom = () => {
+    if (zoom > 1) {
+      resetZoom();
+    } else {
+      setZoom(2.5);
+    }
+  };
+
+  const handleTouchStart = (e) => {
+    if (e.touches.length === 2) {
+      gestureRef.current = { type: 'pinch', startDistance: distance(e.touches), startZoom: zoom };
+      return;
+    }
+
+    const touch = e.touches[0];
+    gestureRef.current = { type: 'drag', startX: touch.clientX, startY: touch.clientY, startOffset: offset };
+
+    const now = Date.now();
+    if (now - lastTapRef.current < 300) {
+      toggleZoom();
+      gestureRef.current = null;
+    }
+    lastTapRef.current = now;
+  };
+
+  const handleTouchMove = (e) => {
+    const gesture = gestureRef.current;
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch' && e.touches.length === 2) {
+      const next = gesture.startZoom * (distance(e.touches) / gesture.startDistance);
+      setZoom(Math.min(MAX_ZOOM, Math.max(1, next)));
+      return;
+    }
+
+    if (gesture.type === 'drag') {
+      const touch = e.touches[0];
+      const dx = touch.clientX - gesture.startX;
+      const dy = touch.clientY - gesture.startY;
+      if (zoom > 1) {
+        setOffset({ x: gesture.startOffset.x + dx / zoom, y: gesture.startOffset.y + dy / zoom });
+      } else {
+        setDragX(dx);
+      }
+    }
+  };
+
+  const handleTouchEnd = () => {
+    const gesture = gestureRef.current;
+    if (gesture?.type === 'drag' && zoom === 1) {
+      if (dragX <= -SWIPE_THRESHOLD) goTo(index + 1);
+      if (dragX >= SWIPE_THRESHOLD) goTo(index - 1);
+    }
+    if (zoom < 1.05) resetZoom();
+    setDragX(0);
+    gestureRef.current = null;
+  };
 
   if (!isOpen) return null;
 
@@ -51,18 +149,62 @@ const ImageModal = ({ isOpen, onClose, imageUrl, productName }) => {
         {productName && (
           <p className="absolute -top-12 left-0 text-white font-medium truncate max-w-[calc(100%-60px)]">
             {productName}
+            {count > 1 && <span className="ml-2 text-sm text-gray-300">{index + 1} / {count}</span>}
           </p>
         )}
 
-        {/* Image */}
+        {/* Images */}
         <div className="bg-white rounded-lg overflow-hidden">
-          {imageUrl ? (
-            <img
-              src={imageUrl}
-              alt={productName || 'Product image'}
-              className="w-full h-auto max-h-[80vh] object-contain"
-              loading="eager"
-            />
+          {count > 0 ? (
+            <div
+              className="relative overflow-hidden touch-none select-none"
+              onTouchStart={handleTouchStart}
+              onTouchMove={handleTouchMove}
+              onTouchEnd={handleTouchEnd}
+              onDoubleClick={toggleZoom}
+            >
+              <div
+                className={`flex ${dragX === 0 ? 'transition-transform duration-300' : ''}`}
+                style={{ transform: `translateX(calc(${-index * 100}% + ${dragX}px))` }}
+              >
+                {images.map((image, i) => (
+                  <div key={i} className="w-full flex-shrink-0 flex items-center justify-center">
+                    <img
+                      src={image.url}
+                      alt={`${productName || 'Product image'} ${i + 1}`}
+                      className={`w-full h-auto max-h-[80vh] object-contain ${zoom === 1 ? 'transition-transform' : ''}`}
+                      style={i === index ? { transform: `scale(${zoom}) translate(${offset.x}px, ${offset.y}px)` } : undefined}
+                      loading={i === index ? 'eager' : 'lazy'}
+                      draggable={false}
+                    />
+                  </div>
+                ))}
+              </div>
+
+              {/* Previous / Next */}
+              {index > 0 && (
+                <button
+                  onClick={() => goTo(index - 1)}
+                  className="absolute left-2 top-1/2 -translate-y-1/2 w-10 h-10 rounded-full bg-black/40 text-white hidden sm:flex items-center justify-center hover:bg-black/60 transition-colors"
+                  title="Previous"
+                >
+                  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7" />
+                  </svg>
+                </button>
+              )}
+              {index < count - 1 && (
+                <button
+                  onClick={() => goTo(index + 1)}
+                  className="absolute right-2 top-1/2 -translate-y-1/2 w-10 h-10 rounded-full bg-black/40 text-white hidden sm:flex items-center justify-center hover:bg-black/60 transition-colors"
+                  title="Next"
+                >
+                  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+                  </svg>
+                </button>
+              )}
+            </div>
           ) : (
             <div className="w-full h-64 flex items-center justify-center bg-gray-100">
               <div className="text-gray-400 text-center">
@@ -74,6 +216,20 @@ const ImageModal = ({ isOpen, onClose, imageUrl, productName }) => {
             </div>
           )}
         </div>
+
+        {/* Dots */}
+        {count > 1 && (
+          <div className="flex justify-center gap-2 mt-3">
+            {images.map((_, i) => (
+              <button
+                key={i}
+                onClick={() => goTo(i)}
+                className={`w-2 h-2 rounded-full transition-colors ${i === index ? 'bg-white' : 'bg-white/40'}`}
+                title={`Image ${i + 1}`}
+              />
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,274 @@
+import { useState, useRef } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { productAPI } from '../utils/api';
+
+const templateColumns = [
+  'category', 'subCategory', 'name', 'qty', 'price', 'billing', 'length', 'width', 'thickness', 'leafCount',
+  'reorderLevel', 'sampleLocation', 'ghodaLocation', 'godown',
+];
+
+const downloadTemplate = () => {
+  const csv = `${templateColumns.join(',')}\nTeak,Burma Teak,BT-101 Natural,25,120,32,2440,1220,0.6,24,5,Rack A1,G-3,\n`;
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'product-import-template.csv';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const ImportView = () => {
+  const navigate = useNavigate();
+  const fileInputRef = useRef(null);
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+
+    if (!/\.(csv|xlsx)$/i.test(selected.name)) {
+      toast.error('Choose a .csv or .xlsx file');
+      return;
+    }
+    if (selected.size > 5 * 1024 * 1024) {
+      toast.error('File cannot exceed 5MB');
+      return;
+    }
+
+    setFile(selected);
+    setReport(null);
+    handlePreview(selected);
+  };
+
+  const handlePreview = async (selected) => {
+    setIsChecking(true);
+    try {
+      const response = await productAPI.import(selected, true);
+      setReport(response.data);
+      setShowErrorsOnly(response.data.summary.invalid > 0);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to check file');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      const response = await productAPI.import(file, false);
+      toast.success(response.data.message);
+      navigate('/');
+    } catch (error) {
+      if (error.response?.data?.rows) {
+        setReport(error.response.data);
+        setShowErrorsOnly(true);
+      }
+      toast.error(error.response?.data?.message || 'Failed to import');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleReset = () => {
+    setFile(null);
+    setReport(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const summary = report?.summary;
+  const visibleRows = report
+    ? report.rows.filter(row => !showErrorsOnly || row.errors.length > 0)
+    : [];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="px-4 py-3">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm overflow-x-auto hide-scrollbar">
+            <Link to="/" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Home
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <span className="text-gray-800 font-medium truncate">Import Products</span>
+          </nav>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="p-4 space-y-4">
+        {/* Upload */}
+        <div className="card p-4">
+          <p className="text-sm text-gray-600">
+            Upload a CSV or Excel file with the columns{' '}
+            <span className="font-medium text-gray-800">{templateColumns.join(', ')}</span>.
+            Missing categories and subcategories are created automatically. Blank qty, price and billing count as 0; length, width and thickness are in mm and may be left blank, as may leafCount; a blank reorderLevel uses the subcategory default and a blank godown puts the stock in the default godown.
+          </p>
+          <button
+            type="button"
+            onClick={downloadTemplate}
+            className="mt-2 text-sm text-primary-600 hover:text-primary-700"
+          >
+            Download template
+          </button>
+
+          <label className="mt-4 flex flex-col items-center justify-center gap-2 p-6 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-primary-400 transition-colors">
+            <svg className="w-8 h-8 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+            </svg>
+            <span className="text-sm text-gray-600">
+              {file ? file.name : 'Tap to choose a .csv or .xlsx file'}
+            </span>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.xlsx"
+              onChange={handleFileChange}
+              className="hidden"
+              disabled={isChecking || isImporting}
+            />
+          </label>
+        </div>
+
+        {isChecking && (
+          <div className="space-y-2">
+            {[...Array(4)].map((_, i) => (
+              <div key={i} className="h-14 skeleton"></div>
+            ))}
+          </div>
+        )}
+
+        {/* Preview */}
+        {summary && !isChecking && (
+          <>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+              <div className="card p-3">
+                <p className="text-xs text-gray-500">Rows</p>
+                <p className="text-lg font-semibold text-gray-800">{summary.total}</p>
+              </div>
+              <div className="card p-3">
+                <p className="text-xs text-gray-500">Ready</p>
+                <p className="text-lg font-semibold text-green-600">{summary.valid}</p>
+              </div>
+              <div className="card p-3">
+                <p className="text-xs text-gray-500">With errors</p>
+                <p className="text-lg font-semibold text-red-600">{summary.invalid}</p>
+              </div>
+              <div className="card p-3">
+                <p className="text-xs text-gray-500">New categories / subcategories</p>
+                <p className="text-lg font-semibold text-gray-800">
+                  {summary.newCategories} / {summary.newSubCategories}
+                </p>
+              </div>
+            </div>
+
+            {summary.newLocations > 0 && (
+              <p className="text-sm text-gray-600">
+                {summary.newLocations} new location{summary.newLocations === 1 ? '' : 's'} will be added for codes that don't exist yet.
+              </p>
+            )}
+
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-800">Preview</h2>
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={showErrorsOnly}
+                  onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                Errors only
+              </label>
+            </div>
+
+            <div className="card overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase border-b border-gray-200">
+                    <th className="p-2 font-medium">Row</th>
+                    <th className="p-2 font-medium">Category</th>
+                    <th className="p-2 font-medium">Subcategory</th>
+                    <th className="p-2 font-medium">Name</th>
+                    <th className="p-2 font-medium text-right">Qty</th>
+                    <th className="p-2 font-medium text-right">Price</th>
+                    <th className="p-2 font-medium text-right">Billing</th>
+                    <th className="p-2 font-medium">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {visibleRows.map(({ row, data, errors, newCategory, newSubCategory }) => (
+                    <tr key={row} className={errors.length > 0 ? 'bg-red-50' : ''}>
+                      <td className="p-2 text-gray-500">{row}</td>
+                      <td className="p-2 whitespace-nowrap">
+                        {data.category}
+                        {newCategory && <span className="ml-1 px-1.5 py-0.5 text-xs rounded-full bg-blue-100 text-blue-700">new</span>}
+                      </td>
+                      <td className="p-2 whitespace-nowrap">
+                        {data.subCategory}
+                        {newSubCategory && <span className="ml-1 px-1.5 py-0.5 text-xs rounded-full bg-blue-100 text-blue-700">new</span>}
+                      </td>
+                      <td className="p-2">{data.name}</td>
+                      <td className="p-2 text-right">{data.qty}</td>
+                      <td className="p-2 text-right">{data.price}</td>
+                      <td className="p-2 text-right">{data.billing}</td>
+                      <td className="p-2">
+                        {errors.length > 0 ? (
+                          <ul className="text-red-600 text-xs space-y-0.5">
+                            {errors.map((error) => (
+                              <li key={error}>{error}</li>
+                            ))}
+                          </ul>
+                        ) : (
+                          <span className="text-green-600 text-xs">OK</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {visibleRows.length === 0 && (
+                <p className="text-sm text-gray-500 text-center py-6">No rows with errors</p>
+              )}
+            </div>
+
+            {/* Actions */}
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={handleReset}
+                className="flex-1 btn-secondary"
+                disabled={isImporting}
+              >
+                Choose another file
+              </button>
+              <button
+                type="button"
+                onClick={handleImport}
+                className="flex-1 btn-primary"
+                disabled={isImporting || summary.invalid > 0}
+              >
+                {isImporting ? 'Importing...' : `Import ${summary.valid} products`}
+              </button>
+            </div>
+            {summary.invalid > 0 && (
+              <p className="text-sm text-red-600 text-center">
+                Fix the rows with errors in your spreadsheet and upload it again.
+              </p>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ImportView;
@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { productAPI } from '../utils/api';
+
+const LABELS_PER_SHEET = 24;
+
+const labelKinds = [
+  { value: 'products', label: 'Product labels', hint: 'Opens the product when scanned' },
+  { value: 'ghoda', label: 'Ghoda location labels', hint: 'One per distinct ghoda location' },
+  { value: 'sample', label: 'Sample location labels', hint: 'One per distinct sample location' },
+];
+
+// Download QR sticker sheets for the selected products and their locations
+const LabelsModal = ({ isOpen, onClose, productIds }) => {
+  const [include, setInclude] = useState(['products']);
+  const [skip, setSkip] = useState('0');
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Reset form when modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setInclude(['products']);
+      setSkip('0');
+    }
+  }, [isOpen]);
+
+  // Prevent body scroll when modal is open
+  useEffect(() => {
+    if (isOpen) {
+      document.body.style.overflow = 'hidden';
+    } else {
+      document.body.style.overflow = 'unset';
+    }
+    return () => {
+      document.body.style.overflow = 'unset';
+    };
+  }, [isOpen]);
+
+  const toggleKind = (value) => {
+    setInclude(prev => (prev.includes(value) ? prev.filter(v => v !== value) : [...prev, value]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (include.length === 0) {
+      toast.error('Choose at least one kind of label');
+      return;
+    }
+    const skipCount = Number(skip) || 0;
+    if (skipCount < 0 || skipCount >= LABELS_PER_SHEET) {
+      toast.error(`Skip must be between 0 and ${LABELS_PER_SHEET - 1}`);
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await productAPI.labels({ productIds, include, skip: skipCount });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `labels-${new Date().toISOString().slice(0, 10)}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+      onClose();
+    } catch (error) {
+      // Error bodies arrive as blobs because of responseType
+      let message = 'Failed to create labels';
+      try {
+        const body = JSON.parse(await error.response.data.text());
+        message = body.message || body.errors?.[0]?.msg || message;
+      } catch (parseError) {
+        // Not a JSON error body, keep the generic message
+      }
+      toast.error(message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end sm:items-center justify-center modal-overlay"
+      onClick={onClose}
+    >
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/50"></div>
+
+      {/* Modal Content */}
+      <div
+        className="relative bg-white w-full sm:max-w-md sm:rounded-xl rounded-t-xl overflow-hidden modal-content"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-800">Print QR Labels</h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="p-4 space-y-4">
+          <p className="text-sm text-gray-600">
+            A4 sticker sheet, {LABELS_PER_SHEET} labels of 70 × 37 mm, for {productIds.length} selected product{productIds.length === 1 ? '' : 's'}.
+          </p>
+
+          <div className="space-y-3">
+            {labelKinds.map((kind) => (
+              <label key={kind.value} className="flex items-start gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={include.includes(kind.value)}
+                  onChange={() => toggleKind(kind.value)}
+                  className="mt-0.5 w-4 h-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  disabled={isLoading}
+                />
+                <span>
+                  <span className="block text-sm font-medium text-gray-700">{kind.label}</span>
+                  <span className="block text-xs text-gray-500">{kind.hint}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Skip stickers already used on the sheet
+            </label>
+            <input
+              type="number"
+              value={skip}
+              onChange={(e) => setSkip(e.target.value)}
+              className="input-field"
+              min="0"
+              max={LABELS_PER_SHEET - 1}
+              disabled={isLoading}
+            />
+          </div>
+
+          {/* Actions */}
+          <div className="flex gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 btn-secondary"
+              disabled={isLoading}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="flex-1 btn-primary"
+              disabled={isLoading}
+            >
+              {isLoading ? 'Preparing...' : 'Download PDF'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LabelsModal;
@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { locationAPI } from '../utils/api';
+import { locationTypes } from '../utils/locations';
+
+const emptyForm = { type: 'ghoda', code: '', description: '', capacity: '' };
+
+// Add a location, or edit one's code, description and capacity. The type is fixed once created.
+const LocationModal = ({ isOpen, onClose, onSave, location = null, defaultType = 'ghoda' }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Reset form when modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(location ? {
+      type: location.type,
+      code: location.code,
+      description: location.description || '',
+      capacity: location.capacity?.toString() ?? '',
+    } : { ...emptyForm, type: defaultType });
+  }, [isOpen, location, defaultType]);
+
+  // Prevent body scroll when modal is open
+  useEffect(() => {
+    if (isOpen) {
+      document.body.style.overflow = 'hidden';
+    } else {
+      document.body.style.overflow = 'unset';
+    }
+    return () => {
+      document.body.style.overflow = 'unset';
+    };
+  }, [isOpen]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.code.trim()) {
+      toast.error('Location code is required');
+      return;
+    }
+    if (form.capacity !== '' && (!Number.isInteger(Number(form.capacity)) || Number(form.capacity) < 0)) {
+      toast.error('Capacity must be a whole number');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const data = {
+        code: form.code.trim(),
+        description: form.description.trim(),
+        // Blank means no limit
+        capacity: form.capacity === '' ? null : Number(form.capacity),
+      };
+      const response = location
+        ? await locationAPI.update(location._id, data)
+        : await locationAPI.create({ ...data, type: form.type });
+      toast.success(location ? 'Location updated!' : 'Location added!');
+      onSave(response.data);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save location');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end sm:items-center justify-center modal-overlay"
+      onClick={onClose}
+    >
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/50"></div>
+
+      {/* Modal Content */}
+      <div
+        className="relative bg-white w-full sm:max-w-md sm:rounded-xl rounded-t-xl max-h-[90vh] overflow-hidden modal-content"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-800">
+            {location ? 'Edit Location' : 'Add Location'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-4 overflow-y-auto max-h-[calc(90vh-70px)] space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+            <select
+              name="type"
+              value={form.type}
+              onChange={handleInputChange}
+              className="input-field"
+              disabled={isLoading || Boolean(location)}
+            >
+              {Object.entries(locationTypes).map(([type, { label }]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Code *</label>
+            <input
+              type="text"
+              name="code"
+              value={form.code}
+              onChange={handleInputChange}
+              className="input-field"
+              placeholder={locationTypes[form.type].placeholder}
+              maxLength={50}
+              disabled={isLoading}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Saved in capitals without spaces or dashes, so "g-1" becomes G1.
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              type="text"
+              name="description"
+              value={form.description}
+              onChange={handleInputChange}
+              className="input-field"
+              placeholder="e.g., Left wall, near the cutting table"
+              maxLength={300}
+              disabled={isLoading}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Capacity</label>
+            <input
+              type="number"
+              name="capacity"
+              value={form.capacity}
+              onChange={handleInputChange}
+              className="input-field"
+              placeholder="No limit"
+              min="0"
+              step="1"
+              disabled={isLoading}
+            />
+            <p className="mt-1 text-xs text-gray-500">How many products fit here. Leave blank for no limit.</p>
+          </div>
+
+          <div className="flex gap-3 pt-2">
+            <button type="button" onClick={onClose} className="flex-1 btn-secondary" disabled={isLoading}>
+              Cancel
+            </button>
+            <button type="submit" className="flex-1 btn-primary" disabled={isLoading}>
+              {isLoading ? 'Saving...' : location ? 'Update' : 'Add Location'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LocationModal;
@@ -0,0 +1,170 @@
+import { useState, useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { locationAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+import { locationTypes, usageText, isFull } from '../utils/locations';
+
+// Searchable picker for a product's sample rack or ghoda. `value` is the selected location or null.
+// Users who manage locations can create a new one from the search text, unless allowCreate is false.
+const LocationPicker = ({ type, value, onChange, disabled = false, allowCreate = true }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [search, setSearch] = useState('');
+  const [locations, setLocations] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const wrapperRef = useRef(null);
+  const { label, placeholder } = locationTypes[type];
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  // Debounced search while the dropdown is open
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await locationAPI.getAll({ type, search: search.trim() || undefined, limit: 20 });
+        setLocations(response.data.locations);
+      } catch (error) {
+        console.error('Location search error:', error);
+      } finally {
+        setIsSearching(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [isOpen, search, type]);
+
+  const open = () => {
+    if (disabled) return;
+    setSearch('');
+    setIsOpen(true);
+  };
+
+  const select = (location) => {
+    onChange(location);
+    setIsOpen(false);
+  };
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    try {
+      const response = await locationAPI.create({ type, code: search.trim() });
+      toast.success(`Location ${response.data.code} added!`);
+      select(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to add location');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  // Offer to create the typed code unless a location already has it; the server normalises
+  // codes, so a differently written duplicate is rejected there
+  const typedCode = search.trim().toUpperCase().replace(/[\s\-_./]+/g, '');
+  const canCreate = allowCreate && can('manageLocations') && typedCode && !locations.some(location => location.code === typedCode);
+
+  return (
+    <div ref={wrapperRef} className="relative">
+      {isOpen ? (
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+            // Keep Enter from submitting the product form
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              if (locations.length > 0) select(locations[0]);
+            }
+          }}
+          className="input-field"
+          placeholder="Search code or description"
+          aria-label={label}
+          autoFocus
+        />
+      ) : (
+        <div className="relative">
+          <button
+            type="button"
+            onClick={open}
+            className="input-field text-left truncate pr-8"
+            aria-label={label}
+            disabled={disabled}
+          >
+            {value ? (
+              <span className="text-gray-800">{value.code}</span>
+            ) : (
+              <span className="text-gray-400">{placeholder}</span>
+            )}
+          </button>
+          {value && !disabled && (
+            <button
+              type="button"
+              onClick={() => onChange(null)}
+              className="absolute right-2 top-1/2 -translate-y-1/2 w-6 h-6 flex items-center justify-center text-gray-400 hover:text-gray-600"
+              title={`Clear ${label.toLowerCase()}`}
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Results Dropdown */}
+      {isOpen && (
+        <div className="absolute top-full left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg z-50 max-h-64 overflow-y-auto">
+          {locations.map((location) => (
+            <button
+              key={location._id}
+              type="button"
+              onClick={() => select(location)}
+              className={`w-full px-3 py-2 text-left hover:bg-gray-50 border-b border-gray-100 last:border-b-0 ${
+                value?._id === location._id ? 'bg-primary-50' : ''
+              }`}
+            >
+              <span className="flex items-center justify-between gap-2">
+                <span className="font-medium text-gray-800 truncate">{location.code}</span>
+                <span className={`text-xs flex-shrink-0 ${isFull(location) ? 'text-red-600' : 'text-gray-400'}`}>
+                  {usageText(location)}{isFull(location) && ' · full'}
+                </span>
+              </span>
+              {location.description && (
+                <span className="block text-xs text-gray-500 truncate">{location.description}</span>
+              )}
+            </button>
+          ))}
+          {!isSearching && locations.length === 0 && !canCreate && (
+            <p className="px-3 py-2 text-sm text-gray-500">No locations found</p>
+          )}
+          {canCreate && (
+            <button
+              type="button"
+              onClick={handleCreate}
+              className="w-full px-3 py-2 text-left text-sm text-primary-600 hover:bg-primary-50"
+              disabled={isCreating}
+            >
+              {isCreating ? 'Adding...' : `+ Add "${search.trim()}"`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LocationPicker;
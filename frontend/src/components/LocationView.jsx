@@ -0,0 +1,276 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import ExportMenu from './ExportMenu';
+import LocationModal from './LocationModal';
+import { productAPI, locationAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+import { godownParams, displayQty } from '../utils/godown';
+import { locationTypes, usageText, isFull, locationPath } from '../utils/locations';
+
+// Skeleton loader
+const CardSkeleton = () => (
+  <div className="card p-4 animate-pulse">
+    <div className="h-4 bg-gray-200 rounded w-1/2 mb-2"></div>
+    <div className="h-3 bg-gray-200 rounded w-1/3"></div>
+  </div>
+);
+
+// Everything stored at a sample rack or ghoda, opened from a scanned location label or a product.
+// The route holds the code as printed, so it is looked up first; a bare scanned code ("any")
+// can match both a sample rack and a ghoda, in which case the user picks one.
+const LocationView = () => {
+  const { type, value } = useParams();
+  const navigate = useNavigate();
+  const [matches, setMatches] = useState([]);
+  const [location, setLocation] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [isEditOpen, setIsEditOpen] = useState(false);
+
+  const locationType = locationTypes[type];
+
+  // Find the location(s) with this code
+  useEffect(() => {
+    const fetchLocation = async () => {
+      setIsLoading(true);
+      setLocation(null);
+      try {
+        const response = await locationAPI.getAll({ code: value, ...(locationType && { type }) });
+        const found = response.data.locations;
+        setMatches(found);
+        setLocation(found.length === 1 ? found[0] : null);
+      } catch (error) {
+        toast.error('Failed to load location');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchLocation();
+  }, [type, value, locationType]);
+
+  const fetchProducts = useCallback(async (page = 1, append = false) => {
+    if (!location) return;
+
+    if (append) {
+      setIsLoadingMore(true);
+    } else {
+      setIsLoading(true);
+    }
+
+    try {
+      const response = await productAPI.getAll({ locationId: location._id, ...godownParams(), page, limit: 20 });
+
+      if (append) {
+        setProducts(prev => [...prev, ...response.data.products]);
+      } else {
+        setProducts(response.data.products);
+      }
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to load products');
+    } finally {
+      setIsLoading(false);
+      setIsLoadingMore(false);
+    }
+  }, [location]);
+
+  useEffect(() => {
+    fetchProducts(1, false);
+  }, [fetchProducts]);
+
+  const handleSaved = (updated) => {
+    setLocation(updated);
+    if (updated.code !== location.code) {
+      navigate(locationPath(updated), { replace: true });
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete location ${location.code}?`)) return;
+
+    try {
+      await locationAPI.delete(location._id);
+      toast.success('Location deleted!');
+      navigate('/locations', { replace: true });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete location');
+    }
+  };
+
+  const heading = location ? locationTypes[location.type].label : locationType?.label || 'Location';
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="px-4 py-3">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm overflow-x-auto hide-scrollbar">
+            <Link to="/" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Home
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <Link to="/locations" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Locations
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <span className="text-gray-800 font-medium truncate">{location?.code || value}</span>
+          </nav>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="p-4">
+        {location && (
+          <>
+            {/* Location details */}
+            <div className="card p-4 mb-4">
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-xs text-gray-500">{heading}</p>
+                  <h2 className="text-lg font-semibold text-gray-800 truncate">{location.code}</h2>
+                  {location.description && (
+                    <p className="text-sm text-gray-600">{location.description}</p>
+                  )}
+                  <p className={`text-sm mt-1 ${isFull(location) ? 'text-red-600' : 'text-gray-500'}`}>
+                    {usageText(location)}{isFull(location) && ' · full'}
+                  </p>
+                </div>
+                {can('manageLocations') && (
+                  <div className="flex gap-1 flex-shrink-0">
+                    <button
+                      onClick={() => setIsEditOpen(true)}
+                      className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                      title="Edit Location"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={handleDelete}
+                      className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-40"
+                      title={location.productCount > 0 ? 'Move its products elsewhere before deleting' : 'Delete Location'}
+                      disabled={location.productCount > 0}
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                      </svg>
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="flex items-start justify-between gap-3 mb-4">
+              <div className="min-w-0">
+                <h2 className="text-lg font-semibold text-gray-800 truncate">
+                  Products ({pagination.total})
+                </h2>
+                <p className="text-sm text-gray-500">Stored at this {heading.toLowerCase()}</p>
+              </div>
+              <ExportMenu params={{ locationId: location._id, ...godownParams() }} />
+            </div>
+          </>
+        )}
+
+        {isLoading ? (
+          <div className="space-y-3">
+            {[...Array(6)].map((_, i) => (
+              <CardSkeleton key={i} />
+            ))}
+          </div>
+        ) : !location && matches.length > 1 ? (
+          /* The scanned code belongs to more than one kind of location */
+          <div className="card p-4">
+            <p className="text-sm text-gray-600 mb-3">{value} is both a sample rack and a ghoda. Which one?</p>
+            <div className="space-y-2">
+              {matches.map((match) => (
+                <button
+                  key={match._id}
+                  onClick={() => navigate(locationPath(match), { replace: true })}
+                  className="w-full p-3 text-left rounded-lg border border-gray-200 hover:bg-gray-50 flex items-center justify-between"
+                >
+                  <span className="font-medium text-gray-800">{locationTypes[match.type].label} {match.code}</span>
+                  <span className="text-xs text-gray-400">{usageText(match)}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        ) : !location ? (
+          <div className="text-center py-12">
+            <svg className="w-16 h-16 mx-auto text-gray-300 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+            </svg>
+            <p className="text-gray-500">No location {value}</p>
+          </div>
+        ) : products.length > 0 ? (
+          <>
+            <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+              {products.map((product) => (
+                <div
+                  key={product._id}
+                  onClick={() => navigate(`/product/${product._id}`)}
+                  className="card p-4 cursor-pointer hover:shadow-md transition-shadow"
+                >
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <h3 className="font-medium text-gray-800 truncate">{product.name}</h3>
+                      <p className="text-xs text-gray-400 truncate">
+                        {product.subCategoryId?.categoryId?.name} → {product.subCategoryId?.name}
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Ghoda: {product.ghodaLocationId?.code || '-'} · Sample: {product.sampleLocationId?.code || '-'}
+                      </p>
+                    </div>
+                    <div className="text-right flex-shrink-0">
+                      <p className={`text-lg font-semibold ${displayQty(product) <= 0 ? 'text-red-600' : 'text-gray-800'}`}>
+                        {displayQty(product)}
+                      </p>
+                      <p className="text-xs text-gray-500">qty</p>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {/* Load More */}
+            {pagination.page < pagination.pages && (
+              <div className="mt-6 text-center">
+                <button
+                  onClick={() => fetchProducts(pagination.page + 1, true)}
+                  disabled={isLoadingMore}
+                  className="btn-secondary"
+                >
+                  {isLoadingMore ? 'Loading...' : `Load More (${pagination.page}/${pagination.pages})`}
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-center py-12">
+            <p className="text-gray-500">Nothing is stored at {location.code}</p>
+          </div>
+        )}
+      </main>
+
+      <LocationModal
+        isOpen={isEditOpen}
+        onClose={() => setIsEditOpen(false)}
+        onSave={handleSaved}
+        location={location}
+      />
+    </div>
+  );
+};
+
+export default LocationView;
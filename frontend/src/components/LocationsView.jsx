@@ -0,0 +1,189 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import LocationModal from './LocationModal';
+import { locationAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+import { locationTypes, usageText, isFull, locationPath } from '../utils/locations';
+
+// Skeleton loader
+const CardSkeleton = () => (
+  <div className="card p-4 animate-pulse">
+    <div className="h-4 bg-gray-200 rounded w-1/2 mb-2"></div>
+    <div className="h-3 bg-gray-200 rounded w-1/3"></div>
+  </div>
+);
+
+// The location master: every sample rack and ghoda, with how full each one is
+const LocationsView = () => {
+  const navigate = useNavigate();
+  const [locations, setLocations] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [type, setType] = useState('');
+  const [searchText, setSearchText] = useState('');
+  const [search, setSearch] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [isAddOpen, setIsAddOpen] = useState(false);
+
+  // Debounce the search box
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchText.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchText]);
+
+  const fetchLocations = useCallback(async (page = 1, append = false) => {
+    if (append) {
+      setIsLoadingMore(true);
+    } else {
+      setIsLoading(true);
+    }
+
+    try {
+      const response = await locationAPI.getAll({
+        type: type || undefined,
+        search: search || undefined,
+        page,
+        limit: 50,
+      });
+
+      if (append) {
+        setLocations(prev => [...prev, ...response.data.locations]);
+      } else {
+        setLocations(response.data.locations);
+      }
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to load locations');
+    } finally {
+      setIsLoading(false);
+      setIsLoadingMore(false);
+    }
+  }, [type, search]);
+
+  useEffect(() => {
+    fetchLocations(1, false);
+  }, [fetchLocations]);
+
+  const typeTabs = [['', 'All'], ...Object.entries(locationTypes).map(([key, { label }]) => [key, label])];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="px-4 py-3">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm overflow-x-auto hide-scrollbar">
+            <Link to="/" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Home
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <span className="text-gray-800 font-medium truncate">Locations</span>
+          </nav>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="p-4">
+        <div className="flex items-start justify-between gap-3 mb-4">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold text-gray-800">
+              Locations ({pagination.total})
+            </h2>
+            <p className="text-sm text-gray-500">Sample racks and ghodas, and how many products each holds</p>
+          </div>
+          {can('manageLocations') && (
+            <button onClick={() => setIsAddOpen(true)} className="btn-primary flex-shrink-0">
+              Add Location
+            </button>
+          )}
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-col sm:flex-row gap-3 mb-4">
+          <div className="flex gap-2">
+            {typeTabs.map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setType(key)}
+                className={`px-3 py-2 text-sm rounded-lg whitespace-nowrap ${
+                  type === key ? 'bg-primary-600 text-white' : 'bg-white text-gray-600 border border-gray-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <input
+            type="text"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            className="input-field"
+            placeholder="Search code or description"
+          />
+        </div>
+
+        {isLoading ? (
+          <div className="space-y-3">
+            {[...Array(6)].map((_, i) => (
+              <CardSkeleton key={i} />
+            ))}
+          </div>
+        ) : locations.length > 0 ? (
+          <>
+            <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+              {locations.map((location) => (
+                <div
+                  key={location._id}
+                  onClick={() => navigate(locationPath(location))}
+                  className="card p-4 cursor-pointer hover:shadow-md transition-shadow"
+                >
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <h3 className="font-medium text-gray-800 truncate">{location.code}</h3>
+                      <p className="text-xs text-gray-400">{locationTypes[location.type].label}</p>
+                      {location.description && (
+                        <p className="text-xs text-gray-500 mt-1 truncate">{location.description}</p>
+                      )}
+                    </div>
+                    <span className={`text-sm flex-shrink-0 ${isFull(location) ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                      {usageText(location)}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {/* Load More */}
+            {pagination.page < pagination.pages && (
+              <div className="mt-6 text-center">
+                <button
+                  onClick={() => fetchLocations(pagination.page + 1, true)}
+                  disabled={isLoadingMore}
+                  className="btn-secondary"
+                >
+                  {isLoadingMore ? 'Loading...' : `Load More (${pagination.page}/${pagination.pages})`}
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-center py-12">
+            <p className="text-gray-500">{search ? 'No locations match your search' : 'No locations yet'}</p>
+          </div>
+        )}
+      </main>
+
+      <LocationModal
+        isOpen={isAddOpen}
+        onClose={() => setIsAddOpen(false)}
+        onSave={() => fetchLocations(1, false)}
+        defaultType={type || 'ghoda'}
+      />
+    </div>
+  );
+};
+
+export default LocationsView;
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import { authAPI } from '../utils/api';
 
@@ -8,6 +8,7 @@ const Login = () => {
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -21,13 +22,14 @@ const Login = () => {
 
     try {
       const response = await authAPI.login({ username, password });
-      const { token, _id, username: user } = response.data;
+      const { token, _id, username: user, role, preferences } = response.data;
       
       localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify({ _id, username: user }));
+      localStorage.setItem('user', JSON.stringify({ _id, username: user, role, preferences }));
       
       toast.success('Login successful!');
-      navigate('/');
+      const from = location.state?.from;
+      navigate(from ? `${from.pathname}${from.search}` : '/', { replace: true });
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed. Please try again.';
       toast.error(message);
@@ -0,0 +1,142 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { productAPI } from '../utils/api';
+import { godownParams, displayQty } from '../utils/godown';
+
+// Skeleton loader
+const CardSkeleton = () => (
+  <div className="card p-4 animate-pulse">
+    <div className="h-4 bg-gray-200 rounded w-1/2 mb-2"></div>
+    <div className="h-3 bg-gray-200 rounded w-1/3"></div>
+  </div>
+);
+
+const LowStockView = () => {
+  const navigate = useNavigate();
+  const [products, setProducts] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+  const fetchProducts = useCallback(async (page = 1, append = false) => {
+    if (append) {
+      setIsLoadingMore(true);
+    } else {
+      setIsLoading(true);
+    }
+
+    try {
+      const response = await productAPI.getLowStock({ ...godownParams(), page, limit: 20 });
+
+      if (append) {
+        setProducts(prev => [...prev, ...response.data.products]);
+      } else {
+        setProducts(response.data.products);
+      }
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to load low stock products');
+    } finally {
+      setIsLoading(false);
+      setIsLoadingMore(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProducts(1, false);
+  }, [fetchProducts]);
+
+  const handleProductClick = (product) => {
+    const subCategory = product.subCategoryId;
+    if (!subCategory) return;
+    navigate(`/category/${subCategory.categoryId?._id || subCategory.categoryId}/subcategory/${subCategory._id}`);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="px-4 py-3">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm overflow-x-auto hide-scrollbar">
+            <Link to="/" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Home
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <span className="text-gray-800 font-medium truncate">Low Stock</span>
+          </nav>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="p-4">
+        <h2 className="text-lg font-semibold text-gray-800 mb-1">
+          Low Stock ({pagination.total})
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Products at or below their reorder level. Set levels on each subcategory, or per product to override.
+        </p>
+
+        {isLoading ? (
+          <div className="space-y-3">
+            {[...Array(6)].map((_, i) => (
+              <CardSkeleton key={i} />
+            ))}
+          </div>
+        ) : products.length > 0 ? (
+          <>
+            <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+              {products.map((product) => (
+                <div
+                  key={product._id}
+                  onClick={() => handleProductClick(product)}
+                  className="card p-4 cursor-pointer hover:shadow-md transition-shadow"
+                >
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <h3 className="font-medium text-gray-800 truncate">{product.name}</h3>
+                      <p className="text-xs text-gray-400 truncate">
+                        {product.subCategoryId?.categoryId?.name} → {product.subCategoryId?.name}
+                      </p>
+                    </div>
+                    <div className="text-right flex-shrink-0">
+                      <p className={`text-lg font-semibold ${displayQty(product) <= 0 ? 'text-red-600' : 'text-orange-600'}`}>
+                        {displayQty(product)}
+                      </p>
+                      <p className="text-xs text-gray-500">reorder at {product.effectiveReorderLevel}</p>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {/* Load More */}
+            {pagination.page < pagination.pages && (
+              <div className="mt-6 text-center">
+                <button
+                  onClick={() => fetchProducts(pagination.page + 1, true)}
+                  disabled={isLoadingMore}
+                  className="btn-secondary"
+                >
+                  {isLoadingMore ? 'Loading...' : `Load More (${pagination.page}/${pagination.pages})`}
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-center py-12">
+            <svg className="w-16 h-16 mx-auto text-gray-300 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            <p className="text-gray-500">Nothing is running low</p>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default LowStockView;
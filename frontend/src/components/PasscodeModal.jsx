@@ -1,9 +1,10 @@
 import { useState, useEffect, useRef } from 'react';
 import toast from 'react-hot-toast';
+import { authAPI } from '../utils/api';
 
-const CORRECT_PASSCODE = 'mahant';
-
-const PasscodeModal = ({ isOpen, onClose, onConfirm, title = 'Enter Passcode', message = 'Enter passcode to continue' }) => {
+// Verifies the user's PIN (or password) on the server and passes the returned
+// confirmation token to onConfirm
+const PasscodeModal = ({ isOpen, onClose, onConfirm, title = 'Enter PIN', message = 'Enter your PIN, or your password if you have not set a PIN, to continue', confirmLabel = 'Confirm Delete' }) => {
   const [passcode, setPasscode] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
@@ -35,20 +36,26 @@ const PasscodeModal = ({ isOpen, onClose, onConfirm, title = 'Enter Passcode', m
     setError('');
 
     if (!passcode.trim()) {
-      setError('Passcode is required');
+      setError('PIN or password is required');
       return;
     }
 
-    if (passcode !== CORRECT_PASSCODE) {
-      setError('Incorrect passcode');
+    setIsLoading(true);
+
+    let confirmationToken;
+    try {
+      const response = await authAPI.confirm(passcode);
+      confirmationToken = response.data.confirmationToken;
+    } catch (error) {
+      setError(error.response?.data?.message || 'Could not verify PIN');
       setPasscode('');
+      setIsLoading(false);
       inputRef.current?.focus();
       return;
     }
 
-    setIsLoading(true);
     try {
-      await onConfirm();
+      await onConfirm(confirmationToken);
       onClose();
     } catch (error) {
       toast.error(error.response?.data?.message || 'Operation failed');
@@ -98,7 +105,7 @@ const PasscodeModal = ({ isOpen, onClose, onConfirm, title = 'Enter Passcode', m
           
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Passcode <span className="text-red-500">*</span>
+              PIN or password <span className="text-red-500">*</span>
             </label>
             <input
               ref={inputRef}
@@ -109,7 +116,7 @@ const PasscodeModal = ({ isOpen, onClose, onConfirm, title = 'Enter Passcode', m
                 setError('');
               }}
               className={`input-field ${error ? 'border-red-500 focus:ring-red-500' : ''}`}
-              placeholder="Enter passcode"
+              placeholder="Enter your PIN or password"
               autoComplete="off"
             />
             {error && (
@@ -141,7 +148,7 @@ const PasscodeModal = ({ isOpen, onClose, onConfirm, title = 'Enter Passcode', m
                   Confirming...
                 </span>
               ) : (
-                'Confirm Delete'
+                confirmLabel
               )}
             </button>
           </div>
@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { productAPI } from '../utils/api';
+
+const formatPrice = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+// What one history entry changed, e.g. "₹120 → ₹135"
+const describeChange = (change) => {
+  if (change.price === null) return `${formatPrice(change.previousPrice)} → base price`;
+  if (change.previousPrice === null) return `Set at ${formatPrice(change.price)}`;
+  if (change.previousPrice === change.price) return formatPrice(change.price);
+  return `${formatPrice(change.previousPrice)} → ${formatPrice(change.price)}`;
+};
+
+// Base price, billing and price list changes for a product, newest first
+const PriceHistory = ({ productId }) => {
+  const [history, setHistory] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchHistory = useCallback(async (page = 1, append = false) => {
+    setIsLoading(true);
+    try {
+      const response = await productAPI.getPriceHistory(productId, { page, limit: 20 });
+      setHistory(prev => append ? [...prev, ...response.data.history] : response.data.history);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to load price history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [productId]);
+
+  useEffect(() => {
+    fetchHistory(1, false);
+  }, [fetchHistory]);
+
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-gray-700 mb-2">Price History ({pagination.total})</h3>
+
+      {isLoading && history.length === 0 ? (
+        <div className="space-y-2">
+          {[...Array(3)].map((_, i) => (
+            <div key={i} className="h-14 skeleton"></div>
+          ))}
+        </div>
+      ) : history.length > 0 ? (
+        <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+          {history.map((change) => {
+            const billingChanged = !change.priceListId && change.previousBilling !== null && change.previousBilling !== change.billing;
+            return (
+              <li key={change._id} className="p-3 text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <span className={`px-2 py-0.5 text-xs rounded-full ${
+                    change.priceListId ? 'bg-primary-100 text-primary-700' : 'bg-gray-100 text-gray-700'
+                  }`}>
+                    {change.priceListName || 'Base price'}
+                  </span>
+                  <span className="font-medium text-gray-800">{describeChange(change)}</span>
+                </div>
+                {billingChanged && (
+                  <p className="mt-1 text-gray-500">Billing {change.previousBilling} → {change.billing}</p>
+                )}
+                <p className="mt-1 text-xs text-gray-400">
+                  From {new Date(change.effectiveFrom).toLocaleDateString('en-IN')} · {change.user?.username || 'Unknown'}
+                  {' '}· entered {new Date(change.createdAt).toLocaleString('en-IN')}
+                </p>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 text-center py-6">No price changes yet</p>
+      )}
+
+      {pagination.page < pagination.pages && (
+        <button
+          type="button"
+          onClick={() => fetchHistory(pagination.page + 1, true)}
+          disabled={isLoading}
+          className="mt-3 w-full text-sm text-primary-600 hover:text-primary-700"
+        >
+          {isLoading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PriceHistory;
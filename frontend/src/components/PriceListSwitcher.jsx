@@ -0,0 +1,77 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import PriceListsModal from './PriceListsModal';
+import { priceListAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+
+// Picks the price list that product prices and rakam are shown at ('' for base prices)
+const PriceListSwitcher = ({ value, onChange }) => {
+  const [priceLists, setPriceLists] = useState([]);
+  const [isManageOpen, setIsManageOpen] = useState(false);
+
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  const fetchPriceLists = useCallback(async () => {
+    try {
+      const response = await priceListAPI.getAll();
+      setPriceLists(response.data);
+      setIsLoaded(true);
+    } catch (error) {
+      toast.error('Failed to load price lists');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPriceLists();
+  }, [fetchPriceLists]);
+
+  // Forget a selection whose price list has been deleted
+  useEffect(() => {
+    if (value && isLoaded && !priceLists.some(priceList => priceList._id === value)) {
+      onChange('');
+    }
+  }, [value, isLoaded, priceLists, onChange]);
+
+  // Nothing to pick from until a price list exists
+  if (isLoaded && priceLists.length === 0 && !can('managePriceLists')) return null;
+
+  return (
+    <div className="flex items-center gap-2">
+      <svg className="w-5 h-5 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+      </svg>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="input-field py-2 text-sm"
+        aria-label="Price list"
+      >
+        <option value="">Base price</option>
+        {priceLists.map((priceList) => (
+          <option key={priceList._id} value={priceList._id}>{priceList.name}</option>
+        ))}
+      </select>
+      {can('managePriceLists') && (
+        <button
+          onClick={() => setIsManageOpen(true)}
+          className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+          title="Manage Price Lists"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+          </svg>
+        </button>
+      )}
+
+      <PriceListsModal
+        isOpen={isManageOpen}
+        onClose={() => setIsManageOpen(false)}
+        priceLists={priceLists}
+        onChange={fetchPriceLists}
+      />
+    </div>
+  );
+};
+
+export default PriceListSwitcher;
@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { priceListAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+
+const emptyForm = { name: '', description: '' };
+
+// Add, rename and delete price lists
+const PriceListsModal = ({ isOpen, onClose, priceLists, onChange }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Reset form when modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setForm(emptyForm);
+      setEditingId(null);
+    }
+  }, [isOpen]);
+
+  // Prevent body scroll when modal is open
+  useEffect(() => {
+    if (isOpen) {
+      document.body.style.overflow = 'hidden';
+    } else {
+      document.body.style.overflow = 'unset';
+    }
+    return () => {
+      document.body.style.overflow = 'unset';
+    };
+  }, [isOpen]);
+
+  const startEditing = (priceList) => {
+    setEditingId(priceList._id);
+    setForm({ name: priceList.name, description: priceList.description || '' });
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.name.trim()) {
+      toast.error('Price list name is required');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const data = { name: form.name.trim(), description: form.description.trim() };
+      if (editingId) {
+        await priceListAPI.update(editingId, data);
+        toast.success('Price list updated!');
+      } else {
+        await priceListAPI.create(data);
+        toast.success('Price list added!');
+      }
+      cancelEditing();
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save price list');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDelete = async (priceList) => {
+    const priced = priceList.productCount > 0 ? ` Its prices for ${priceList.productCount} products will be removed.` : '';
+    if (!window.confirm(`Delete "${priceList.name}"?${priced}`)) return;
+
+    setIsLoading(true);
+
+    try {
+      await priceListAPI.delete(priceList._id);
+      toast.success('Price list deleted!');
+      if (editingId === priceList._id) cancelEditing();
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete price list');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end sm:items-center justify-center modal-overlay"
+      onClick={onClose}
+    >
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/50"></div>
+
+      {/* Modal Content */}
+      <div
+        className="relative bg-white w-full sm:max-w-md sm:rounded-xl rounded-t-xl max-h-[90vh] overflow-hidden modal-content"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-800">Price Lists</h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto max-h-[calc(90vh-70px)] space-y-4">
+          {/* Price list list */}
+          {priceLists.length > 0 ? (
+            <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+              {priceLists.map((priceList) => (
+                <li key={priceList._id} className="p-3 flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-800 truncate">{priceList.name}</p>
+                    <p className="text-xs text-gray-500 truncate">
+                      {priceList.productCount} products priced
+                      {priceList.description && <> · {priceList.description}</>}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => startEditing(priceList)}
+                    className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                    title="Edit Price List"
+                    disabled={isLoading}
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                    </svg>
+                  </button>
+                  {can('deletePriceLists') && (
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(priceList)}
+                      className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-40"
+                      title="Delete Price List"
+                      disabled={isLoading}
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                      </svg>
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">
+              No price lists yet. Products sell at their base price until you add one.
+            </p>
+          )}
+
+          {/* Add / edit form */}
+          <form onSubmit={handleSubmit} className="p-3 bg-gray-50 rounded-lg space-y-3">
+            <span className="block text-sm font-medium text-gray-700">
+              {editingId ? 'Edit price list' : 'Add price list'}
+            </span>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              className="input-field"
+              placeholder="Name, e.g. Wholesale"
+              maxLength={100}
+              disabled={isLoading}
+            />
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+              className="input-field"
+              placeholder="Who it is for (optional)"
+              maxLength={300}
+              disabled={isLoading}
+            />
+            <div className="flex gap-3">
+              {editingId && (
+                <button
+                  type="button"
+                  onClick={cancelEditing}
+                  className="flex-1 btn-secondary"
+                  disabled={isLoading}
+                >
+                  Cancel
+                </button>
+              )}
+              <button type="submit" className="flex-1 btn-primary" disabled={isLoading}>
+                {isLoading ? 'Saving...' : editingId ? 'Update' : 'Add Price List'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PriceListsModal;
@@ -0,0 +1,435 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import LocationPicker from './LocationPicker';
+import { bundleAPI, productAPI, uploadAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+import { getSelectedGodown } from '../utils/godown';
+import { formatSize, formatArea } from '../utils/dimensions';
+
+const sizeFields = [
+  { name: 'length', label: 'Length (mm)', step: '1' },
+  { name: 'width', label: 'Width (mm)', step: '1' },
+  { name: 'thickness', label: 'Thickness (mm)', step: '0.01' },
+  { name: 'leafCount', label: 'Leaves', step: '1' },
+];
+
+// A bundle's details as form values; new bundles start from the product's size and ghoda
+const bundleForm = (bundle, product, godownId) => ({
+  bundleNumber: bundle?.bundleNumber || '',
+  flitchNumber: bundle?.flitchNumber || '',
+  grade: bundle?.grade || '',
+  qty: '',
+  fromLooseStock: false,
+  godownId,
+  ...Object.fromEntries(sizeFields.map(({ name }) => [name, (bundle || product)?.[name]?.toString() ?? ''])),
+  image: bundle?.image || '',
+  thumbnail: bundle?.thumbnail || '',
+  ghodaLocationId: bundle ? bundle.ghodaLocationId : product?.ghodaLocationId || null,
+});
+
+// A product's bundles (lots of matched leaves from one flitch), with forms to add, edit and move them
+const ProductBundles = ({ product, totalQty, godowns = [], onStockChange }) => {
+  const [bundles, setBundles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showEmpty, setShowEmpty] = useState(false);
+  const [editing, setEditing] = useState(null); // null, 'new' or the bundle being edited
+  const [moving, setMoving] = useState(null);
+  const [moveTo, setMoveTo] = useState({ godownId: '', ghodaLocationId: null });
+  const [form, setForm] = useState(() => bundleForm(null, product, ''));
+  const [isSaving, setIsSaving] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+
+  // New bundles go to the godown picked on the Dashboard, or the default one
+  const selectedGodownId = godowns.some(godown => godown._id === getSelectedGodown())
+    ? getSelectedGodown()
+    : godowns.find(godown => godown.isDefault)?._id || '';
+
+  const fetchBundles = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await bundleAPI.getAll({ productId: product._id, includeEmpty: showEmpty || undefined, limit: 200 });
+      setBundles(response.data.bundles);
+    } catch (error) {
+      toast.error('Failed to load bundles');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [product._id, showEmpty]);
+
+  useEffect(() => {
+    fetchBundles();
+  }, [fetchBundles]);
+
+  // Stock moved, so the product's totals need refreshing as well as the list
+  const refreshStock = async () => {
+    const response = await productAPI.getById(product._id);
+    onStockChange?.(response.data.qty, response.data.stock);
+  };
+
+  const startEditing = (bundle) => {
+    setMoving(null);
+    setEditing(bundle || 'new');
+    setForm(bundleForm(bundle, product, selectedGodownId));
+  };
+
+  const startMoving = (bundle) => {
+    setEditing(null);
+    setMoving(bundle);
+    setMoveTo({ godownId: bundle.godownId?._id || '', ghodaLocationId: bundle.ghodaLocationId });
+  };
+
+  const handlePhotoChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (file.size > 10 * 1024 * 1024) {
+      toast.error(`${file.name} is larger than 10MB`);
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      const response = await uploadAPI.image(file);
+      setForm(prev => ({ ...prev, image: response.data.image, thumbnail: response.data.thumbnail }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload photo');
+    } finally {
+      setIsUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.bundleNumber.trim()) {
+      toast.error('Bundle number is required');
+      return;
+    }
+    if (editing === 'new' && (form.qty === '' || Number(form.qty) < 0)) {
+      toast.error('Enter the quantity in the bundle');
+      return;
+    }
+
+    const details = {
+      bundleNumber: form.bundleNumber.trim(),
+      flitchNumber: form.flitchNumber.trim(),
+      grade: form.grade.trim(),
+      ...Object.fromEntries(sizeFields.map(({ name }) => [name, form[name] === '' ? null : Number(form[name])])),
+      image: form.image,
+      thumbnail: form.thumbnail,
+      ghodaLocationId: form.ghodaLocationId?._id || '',
+    };
+
+    setIsSaving(true);
+    try {
+      if (editing === 'new') {
+        await bundleAPI.create({
+          ...details,
+          productId: product._id,
+          godownId: form.godownId || undefined,
+          qty: Number(form.qty),
+          fromLooseStock: form.fromLooseStock,
+        });
+        toast.success('Bundle added!');
+        if (!form.fromLooseStock) await refreshStock();
+      } else {
+        await bundleAPI.update(editing._id, details);
+        toast.success('Bundle updated!');
+      }
+      setEditing(null);
+      fetchBundles();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save bundle');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleMove = async (e) => {
+    e.preventDefault();
+
+    setIsSaving(true);
+    try {
+      await bundleAPI.move(moving._id, {
+        godownId: moveTo.godownId || undefined,
+        ghodaLocationId: moveTo.ghodaLocationId?._id || '',
+      });
+      toast.success(`Bundle ${moving.bundleNumber} moved`);
+      if (moveTo.godownId !== moving.godownId?._id) await refreshStock();
+      setMoving(null);
+      fetchBundles();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to move bundle');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const bundledQty = bundles.reduce((sum, bundle) => sum + bundle.qty, 0);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <span className="text-sm text-gray-500">
+          In bundles: <span className="font-medium text-gray-800">{bundledQty}</span>
+          {' '}· loose: <span className="font-medium text-gray-800">{Math.max(Number(totalQty) - bundledQty, 0)}</span>
+        </span>
+        {can('manageBundles') && !editing && (
+          <button
+            type="button"
+            onClick={() => startEditing(null)}
+            className="text-sm text-primary-600 hover:text-primary-700"
+          >
+            + Add bundle
+          </button>
+        )}
+      </div>
+
+      {/* Add / Edit Bundle */}
+      {editing && (
+        <form onSubmit={handleSubmit} className="p-3 bg-gray-50 rounded-lg space-y-3">
+          <span className="block text-sm font-medium text-gray-700">
+            {editing === 'new' ? 'New bundle' : `Edit bundle ${editing.bundleNumber}`}
+          </span>
+
+          <div className="grid grid-cols-3 gap-3">
+            <input
+              type="text"
+              value={form.bundleNumber}
+              onChange={(e) => setForm(prev => ({ ...prev, bundleNumber: e.target.value }))}
+              className="input-field"
+              placeholder="Bundle no. *"
+              maxLength={50}
+              disabled={isSaving}
+              autoFocus
+            />
+            <input
+              type="text"
+              value={form.flitchNumber}
+              onChange={(e) => setForm(prev => ({ ...prev, flitchNumber: e.target.value }))}
+              className="input-field"
+              placeholder="Flitch no."
+              maxLength={50}
+              disabled={isSaving}
+            />
+            <input
+              type="text"
+              value={form.grade}
+              onChange={(e) => setForm(prev => ({ ...prev, grade: e.target.value }))}
+              className="input-field"
+              placeholder="Grade"
+              maxLength={20}
+              disabled={isSaving}
+            />
+          </div>
+
+          {/* Opening stock of the bundle: new stock, or stock already here that isn't bundled */}
+          {editing === 'new' && (
+            <>
+              <div className="grid grid-cols-2 gap-3">
+                <input
+                  type="number"
+                  value={form.qty}
+                  onChange={(e) => setForm(prev => ({ ...prev, qty: e.target.value }))}
+                  className="input-field"
+                  placeholder="Qty *"
+                  min="0"
+                  step="any"
+                  disabled={isSaving}
+                />
+                {godowns.length > 1 && (
+                  <select
+                    value={form.godownId}
+                    onChange={(e) => setForm(prev => ({ ...prev, godownId: e.target.value }))}
+                    className="input-field"
+                    disabled={isSaving}
+                    aria-label="Godown"
+                  >
+                    {godowns.map((godown) => (
+                      <option key={godown._id} value={godown._id}>{godown.name}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={form.fromLooseStock}
+                  onChange={(e) => setForm(prev => ({ ...prev, fromLooseStock: e.target.checked }))}
+                  disabled={isSaving}
+                />
+                Bundle stock already in the godown instead of recording new stock
+              </label>
+            </>
+          )}
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            {sizeFields.map((field) => (
+              <div key={field.name}>
+                <label className="block text-xs text-gray-600 mb-1">{field.label}</label>
+                <input
+                  type="number"
+                  value={form[field.name]}
+                  onChange={(e) => setForm(prev => ({ ...prev, [field.name]: e.target.value }))}
+                  className="input-field"
+                  placeholder="—"
+                  min={field.name === 'leafCount' ? '1' : '0'}
+                  step={field.step}
+                  disabled={isSaving}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Ghoda</label>
+              <LocationPicker
+                type="ghoda"
+                value={form.ghodaLocationId}
+                onChange={(location) => setForm(prev => ({ ...prev, ghodaLocationId: location }))}
+                disabled={isSaving}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Photo</label>
+              <div className="flex items-center gap-2">
+                {form.thumbnail || form.image ? (
+                  <img src={form.thumbnail || form.image} alt="Bundle" className="w-10 h-10 rounded object-cover border border-gray-200" />
+                ) : null}
+                <label className="btn-secondary text-sm py-2 px-3 cursor-pointer">
+                  {isUploading ? 'Uploading...' : form.image ? 'Replace' : 'Upload'}
+                  <input
+                    type="file"
+                    accept="image/*"
+                    onChange={handlePhotoChange}
+                    className="hidden"
+                    disabled={isSaving || isUploading}
+                  />
+                </label>
+              </div>
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setEditing(null)} className="flex-1 btn-secondary" disabled={isSaving}>
+              Cancel
+            </button>
+            <button type="submit" className="flex-1 btn-primary" disabled={isSaving || isUploading}>
+              {isSaving ? 'Saving...' : editing === 'new' ? 'Add' : 'Update'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Bundle List */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-medium text-gray-700">Bundles ({bundles.length})</h3>
+          <label className="flex items-center gap-1 text-xs text-gray-500">
+            <input type="checkbox" checked={showEmpty} onChange={(e) => setShowEmpty(e.target.checked)} />
+            Show empty
+          </label>
+        </div>
+
+        {isLoading && bundles.length === 0 ? (
+          <div className="space-y-2">
+            {[...Array(2)].map((_, i) => (
+              <div key={i} className="h-14 skeleton"></div>
+            ))}
+          </div>
+        ) : bundles.length > 0 ? (
+          <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+            {bundles.map((bundle) => (
+              <li key={bundle._id} className="p-3 text-sm">
+                <div className="flex items-start gap-3">
+                  {bundle.thumbnail || bundle.image ? (
+                    <a href={bundle.image} target="_blank" rel="noopener noreferrer" className="flex-shrink-0">
+                      <img src={bundle.thumbnail || bundle.image} alt={bundle.bundleNumber} className="w-12 h-12 rounded object-cover" />
+                    </a>
+                  ) : null}
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex items-center gap-2 min-w-0">
+                        <span className="font-medium text-gray-800 truncate">{bundle.bundleNumber}</span>
+                        {bundle.grade && (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-primary-100 text-primary-700 flex-shrink-0">{bundle.grade}</span>
+                        )}
+                      </div>
+                      <span className={`font-medium flex-shrink-0 ${bundle.qty > 0 ? 'text-gray-800' : 'text-gray-400'}`}>{bundle.qty}</span>
+                    </div>
+                    <p className="mt-1 text-gray-500">
+                      {[
+                        bundle.flitchNumber && `Flitch ${bundle.flitchNumber}`,
+                        bundle.leafCount && `${bundle.leafCount} leaves`,
+                        formatSize(bundle),
+                        formatArea(bundle),
+                      ].filter(Boolean).join(' · ') || 'No size recorded'}
+                    </p>
+                    <div className="mt-1 flex items-center justify-between gap-2 text-xs text-gray-400">
+                      <span>
+                        {bundle.godownId?.name || 'Unknown godown'}
+                        {bundle.ghodaLocationId && <> · Ghoda {bundle.ghodaLocationId.code}</>}
+                      </span>
+                      <span className="flex gap-3">
+                        {can('recordMovements') && (
+                          <button type="button" onClick={() => startMoving(bundle)} className="text-primary-600 hover:text-primary-700">
+                            Move
+                          </button>
+                        )}
+                        {can('manageBundles') && (
+                          <button type="button" onClick={() => startEditing(bundle)} className="text-primary-600 hover:text-primary-700">
+                            Edit
+                          </button>
+                        )}
+                      </span>
+                    </div>
+                  </div>
+                </div>
+
+                {/* Move the whole bundle to another godown or ghoda */}
+                {moving?._id === bundle._id && (
+                  <form onSubmit={handleMove} className="mt-3 p-3 bg-gray-50 rounded-lg space-y-3">
+                    <div className="grid grid-cols-2 gap-3">
+                      <select
+                        value={moveTo.godownId}
+                        onChange={(e) => setMoveTo(prev => ({ ...prev, godownId: e.target.value }))}
+                        className="input-field"
+                        disabled={isSaving}
+                        aria-label="Godown"
+                      >
+                        {godowns.map((godown) => (
+                          <option key={godown._id} value={godown._id}>{godown.name}</option>
+                        ))}
+                      </select>
+                      <LocationPicker
+                        type="ghoda"
+                        value={moveTo.ghodaLocationId}
+                        onChange={(location) => setMoveTo(prev => ({ ...prev, ghodaLocationId: location }))}
+                        disabled={isSaving}
+                      />
+                    </div>
+                    <div className="flex gap-2">
+                      <button type="button" onClick={() => setMoving(null)} className="flex-1 btn-secondary" disabled={isSaving}>
+                        Cancel
+                      </button>
+                      <button type="submit" className="flex-1 btn-primary" disabled={isSaving}>
+                        {isSaving ? 'Moving...' : 'Move'}
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 text-center py-6">
+            {showEmpty ? 'No bundles yet' : 'No bundles in stock'}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProductBundles;
@@ -0,0 +1,221 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import CustomerPicker from './CustomerPicker';
+import { reservationAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+import { getSelectedGodown, qtyInGodown } from '../utils/godown';
+
+const DEFAULT_HOLD_DAYS = 3;
+
+// yyyy-mm-dd for a date input, a number of days from today
+const daysFromToday = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+const emptyForm = () => ({ customer: null, qty: '', expiresOn: daysFromToday(DEFAULT_HOLD_DAYS), note: '' });
+
+// Active holds on a product, with a form to hold stock for a customer
+const ProductHolds = ({ productId, stock = [], godowns = [], onHoldsChange }) => {
+  const [holds, setHolds] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [releasingId, setReleasingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [godownId, setGodownId] = useState(getSelectedGodown);
+
+  // Holds are made in the godown picked on the Dashboard, or the default one
+  const activeGodownId = godowns.some(godown => godown._id === godownId)
+    ? godownId
+    : godowns.find(godown => godown.isDefault)?._id || '';
+
+  const heldInGodown = holds
+    .filter(hold => hold.godownId?._id === activeGodownId)
+    .reduce((sum, hold) => sum + hold.qty, 0);
+  const available = Math.max(qtyInGodown({ stock }, activeGodownId) - heldInGodown, 0);
+
+  const fetchHolds = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await reservationAPI.getAll({ productId, status: 'active', limit: 100 });
+      setHolds(response.data.reservations);
+    } catch (error) {
+      toast.error('Failed to load holds');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [productId]);
+
+  useEffect(() => {
+    fetchHolds();
+  }, [fetchHolds]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.customer) {
+      toast.error('Choose a customer');
+      return;
+    }
+    if (!(Number(form.qty) > 0)) {
+      toast.error('Enter a quantity');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      // Held until the end of the chosen day
+      const expiresAt = new Date(`${form.expiresOn}T23:59:59`);
+      await reservationAPI.create({
+        productId,
+        customerId: form.customer._id,
+        godownId: activeGodownId || undefined,
+        qty: Number(form.qty),
+        expiresAt: expiresAt.toISOString(),
+        note: form.note.trim(),
+      });
+      toast.success(`Held ${form.qty} for ${form.customer.name}`);
+      setForm(emptyForm());
+      fetchHolds();
+      onHoldsChange?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to hold stock');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRelease = async (hold) => {
+    setReleasingId(hold._id);
+    try {
+      await reservationAPI.release(hold._id);
+      toast.success('Hold released');
+      fetchHolds();
+      onHoldsChange?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to release hold');
+    } finally {
+      setReleasingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* New Hold */}
+      {can('manageHolds') && (
+        <form onSubmit={handleSubmit} className="p-3 bg-gray-50 rounded-lg space-y-3">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium text-gray-700">Hold for a customer</span>
+            <span className="text-sm text-gray-500">
+              Available: <span className="font-medium text-gray-800">{available}</span>
+            </span>
+          </div>
+
+          {godowns.length > 1 && (
+            <select
+              value={activeGodownId}
+              onChange={(e) => setGodownId(e.target.value)}
+              className="input-field"
+              disabled={isSaving}
+              aria-label="Godown"
+            >
+              {godowns.map((godown) => (
+                <option key={godown._id} value={godown._id}>{godown.name}</option>
+              ))}
+            </select>
+          )}
+
+          <CustomerPicker
+            value={form.customer}
+            onChange={(customer) => setForm(prev => ({ ...prev, customer }))}
+            disabled={isSaving}
+          />
+
+          <div className="grid grid-cols-2 gap-3">
+            <input
+              type="number"
+              value={form.qty}
+              onChange={(e) => setForm(prev => ({ ...prev, qty: e.target.value }))}
+              className="input-field"
+              placeholder="Qty"
+              min="0"
+              step="any"
+              disabled={isSaving}
+            />
+            <input
+              type="date"
+              value={form.expiresOn}
+              onChange={(e) => setForm(prev => ({ ...prev, expiresOn: e.target.value }))}
+              className="input-field"
+              min={daysFromToday(0)}
+              aria-label="Hold until"
+              disabled={isSaving}
+            />
+          </div>
+
+          <input
+            type="text"
+            value={form.note}
+            onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+            className="input-field"
+            placeholder="Note (optional)"
+            maxLength={500}
+            disabled={isSaving}
+          />
+
+          <button type="submit" className="btn-primary w-full" disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Hold'}
+          </button>
+        </form>
+      )}
+
+      {/* Active Holds */}
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-2">Active holds ({holds.length})</h3>
+
+        {isLoading && holds.length === 0 ? (
+          <div className="space-y-2">
+            {[...Array(2)].map((_, i) => (
+              <div key={i} className="h-14 skeleton"></div>
+            ))}
+          </div>
+        ) : holds.length > 0 ? (
+          <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+            {holds.map((hold) => (
+              <li key={hold._id} className="p-3 text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-gray-700 truncate">{hold.customerId?.name || 'Unknown customer'}</span>
+                  <span className="font-medium text-amber-600 flex-shrink-0">{hold.qty}</span>
+                </div>
+                {hold.note && (
+                  <p className="mt-1 text-gray-500">{hold.note}</p>
+                )}
+                <div className="mt-1 flex items-center justify-between gap-2 text-xs text-gray-400">
+                  <span>
+                    {hold.godownId?.name && <>{hold.godownId.name} · </>}
+                    Until {new Date(hold.expiresAt).toLocaleDateString('en-IN')} · {hold.createdBy?.username || 'Unknown'}
+                  </span>
+                  {can('manageHolds') && (
+                    <button
+                      type="button"
+                      onClick={() => handleRelease(hold)}
+                      disabled={releasingId === hold._id}
+                      className="text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                    >
+                      {releasingId === hold._id ? 'Releasing...' : 'Release'}
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 text-center py-6">Nothing is held</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProductHolds;
@@ -0,0 +1,36 @@
+import { useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { productAPI } from '../utils/api';
+
+// Deep link from a QR label: /product/:productId opens the product in its subcategory
+const ProductLink = () => {
+  const { productId } = useParams();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const openProduct = async () => {
+      try {
+        const response = await productAPI.getById(productId);
+        const subCategory = response.data.subCategoryId;
+        navigate(
+          `/category/${subCategory.categoryId?._id || subCategory.categoryId}/subcategory/${subCategory._id}?product=${productId}`,
+          { replace: true }
+        );
+      } catch (error) {
+        toast.error('Product not found');
+        navigate('/', { replace: true });
+      }
+    };
+
+    openProduct();
+  }, [productId, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50">
+      <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+    </div>
+  );
+};
+
+export default ProductLink;
@@ -1,18 +1,108 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
+import StockHistory from './StockHistory';
+import ProductHolds from './ProductHolds';
+import ProductBundles from './ProductBundles';
+import PriceHistory from './PriceHistory';
+import LocationPicker from './LocationPicker';
+import { can } from '../utils/permissions';
+import { uploadAPI, godownAPI, priceListAPI } from '../utils/api';
+import { productImages } from '../utils/images';
+import { getSelectedGodown } from '../utils/godown';
+import { locationTypes } from '../utils/locations';
+import { areaUnits, rakamBasisLabel } from '../utils/dimensions';
 
-const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }) => {
+const MAX_IMAGES = 12;
+
+// Local yyyy-mm-dd for date inputs
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// A product's price list prices as form values, keyed by price list
+const priceInputs = (prices = []) => Object.fromEntries(prices.map(item => [item.priceListId, item.price.toString()]));
+
+const SQFT_PER_SQM = 10.7639;
+
+// Leaf size inputs, in millimetres apart from the leaf count
+const dimensionFields = [
+  { name: 'length', label: 'Length (mm)', step: '1' },
+  { name: 'width', label: 'Width (mm)', step: '1' },
+  { name: 'thickness', label: 'Thickness (mm)', step: '0.01' },
+  { name: 'leafCount', label: 'Leaves', step: '1' },
+];
+
+// Area of the entered leaves in sq ft and sq m, matching the server's calculation
+const areaFromInputs = ({ length, width, leafCount }) => {
+  if (!Number(length) || !Number(width)) return null;
+  const sqm = (Number(length) * Number(width) * (Number(leafCount) || 1)) / 1000000;
+  return { sqm: Math.round(sqm * 100) / 100, sqft: Math.round(sqm * SQFT_PER_SQM * 100) / 100 };
+};
+
+// Blank size inputs clear the value
+const dimensionValue = (value) => (value === '' ? null : Number(value));
+
+// Stock held in each godown the product has been stocked in, with the total across godowns
+const StockBreakdown = ({ stock, godowns, total }) => {
+  const godownNames = new Map(godowns.map(godown => [godown._id, godown.name]));
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-medium text-gray-700">Stock by godown</span>
+        <span className="text-sm text-gray-500">
+          Total: <span className="font-medium text-gray-800">{total}</span>
+        </span>
+      </div>
+      {stock.length > 0 ? (
+        <ul className="space-y-1 text-sm">
+          {stock.map((item) => (
+            <li key={item.godownId} className="flex items-center justify-between">
+              <span className="text-gray-600 truncate">{godownNames.get(item.godownId) || 'Unknown godown'}</span>
+              <span className={`font-medium ${item.qty <= 0 ? 'text-red-600' : 'text-gray-800'}`}>{item.qty}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">Not stocked in any godown yet</p>
+      )}
+    </div>
+  );
+};
+
+const ProductModal = ({ isOpen, onClose, onSave, onStockChange, product = null, subCategoryId, category = null, defaultReorderLevel = 0 }) => {
   const [formData, setFormData] = useState({
     name: '',
     qty: '',
     price: '',
     billing: '',
-    image: '',
-    sampleLocation: '',
-    ghodaLocation: '',
+    // Price per price list ID; blank sells at the base price
+    prices: {},
+    // When price and billing changes apply from; blank is today
+    effectiveFrom: '',
+    reorderLevel: '',
+    length: '',
+    width: '',
+    thickness: '',
+    leafCount: '',
+    images: [],
+    // Selected locations, as returned populated on the product
+    sampleLocationId: null,
+    ghodaLocationId: null,
+    notes: '',
+    godownId: '',
   });
+  const [stock, setStock] = useState([]);
+  const [godowns, setGodowns] = useState([]);
+  const [priceLists, setPriceLists] = useState([]);
   const [imageInputType, setImageInputType] = useState('url'); // 'url' or 'file'
+  const [imageUrl, setImageUrl] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [activeTab, setActiveTab] = useState('details'); // 'details', 'history', 'bundles', 'holds' or 'prices'
+  const canEdit = can('manageProducts');
 
   // Initialize form data when product changes
   useEffect(() => {
@@ -22,22 +112,78 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
         qty: product.qty?.toString() || '',
         price: product.price?.toString() || '',
         billing: product.billing?.toString() || '',
-        image: product.image || '',
-        sampleLocation: product.sampleLocation || '',
-        ghodaLocation: product.ghodaLocation || '',
+        prices: priceInputs(product.prices),
+        effectiveFrom: '',
+        reorderLevel: product.reorderLevel?.toString() ?? '',
+        length: product.length?.toString() ?? '',
+        width: product.width?.toString() ?? '',
+        thickness: product.thickness?.toString() ?? '',
+        leafCount: product.leafCount?.toString() ?? '',
+        images: productImages(product),
+        sampleLocationId: product.sampleLocationId || null,
+        ghodaLocationId: product.ghodaLocationId || null,
+        notes: product.notes || '',
+        godownId: '',
       });
+      setStock(product.stock || []);
     } else {
       setFormData({
         name: '',
         qty: '',
         price: '',
         billing: '',
-        image: '',
-        sampleLocation: '',
-        ghodaLocation: '',
+        prices: {},
+        effectiveFrom: '',
+        reorderLevel: '',
+        length: '',
+        width: '',
+        thickness: '',
+        leafCount: '',
+        images: [],
+        sampleLocationId: null,
+        ghodaLocationId: null,
+        notes: '',
+        // New stock goes into the godown picked on the Dashboard
+        godownId: getSelectedGodown(),
       });
+      setStock([]);
     }
-  }, [product, isOpen]);
+    setImageUrl('');
+    // Roles that cannot edit products only get the stock history
+    setActiveTab(canEdit ? 'details' : 'history');
+  }, [product, isOpen, canEdit]);
+
+  // Load godowns for the breakdown and the opening stock picker
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchGodowns = async () => {
+      try {
+        const response = await godownAPI.getAll();
+        setGodowns(response.data);
+      } catch (error) {
+        toast.error('Failed to load godowns');
+      }
+    };
+
+    fetchGodowns();
+  }, [isOpen]);
+
+  // Load price lists for the list price inputs
+  useEffect(() => {
+    if (!isOpen || !canEdit) return;
+
+    const fetchPriceLists = async () => {
+      try {
+        const response = await priceListAPI.getAll();
+        setPriceLists(response.data);
+      } catch (error) {
+        toast.error('Failed to load price lists');
+      }
+    };
+
+    fetchPriceLists();
+  }, [isOpen, canEdit]);
 
   // Prevent body scroll when modal is open
   useEffect(() => {
@@ -56,22 +202,67 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
-  const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      // Check file size (max 5MB)
-      if (file.size > 5 * 1024 * 1024) {
-        toast.error('Image size must be less than 5MB');
-        return;
-      }
+  const handleStockChange = (qty, godownStock) => {
+    setFormData(prev => ({ ...prev, qty: qty.toString() }));
+    setStock(godownStock);
+    onStockChange?.();
+  };
 
-      // Convert to base64
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        setFormData(prev => ({ ...prev, image: e.target.result }));
-      };
-      reader.readAsDataURL(file);
+  const addImages = (images) => {
+    setFormData(prev => ({ ...prev, images: [...prev.images, ...images].slice(0, MAX_IMAGES) }));
+  };
+
+  const handleAddImageUrl = () => {
+    const url = imageUrl.trim();
+    if (!url) return;
+    if (formData.images.length >= MAX_IMAGES) {
+      toast.error(`A product can have up to ${MAX_IMAGES} images`);
+      return;
     }
+    addImages([{ url, thumbnail: '' }]);
+    setImageUrl('');
+  };
+
+  const handleFileChange = async (e) => {
+    const files = Array.from(e.target.files).slice(0, MAX_IMAGES - formData.images.length);
+    if (files.length < e.target.files.length) {
+      toast.error(`A product can have up to ${MAX_IMAGES} images`);
+    }
+
+    setIsUploading(true);
+    try {
+      // Upload one at a time so the gallery keeps the order the files were picked in
+      for (const file of files) {
+        // Check file size (max 10MB)
+        if (file.size > 10 * 1024 * 1024) {
+          toast.error(`${file.name} is larger than 10MB`);
+          continue;
+        }
+
+        try {
+          const response = await uploadAPI.image(file);
+          addImages([{ url: response.data.image, thumbnail: response.data.thumbnail }]);
+        } catch (error) {
+          toast.error(error.response?.data?.message || `Failed to upload ${file.name}`);
+        }
+      }
+    } finally {
+      setIsUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const moveImage = (from, to) => {
+    setFormData(prev => {
+      const images = [...prev.images];
+      const [image] = images.splice(from, 1);
+      images.splice(to, 0, image);
+      return { ...prev, images };
+    });
+  };
+
+  const removeImage = (index) => {
+    setFormData(prev => ({ ...prev, images: prev.images.filter((_, i) => i !== index) }));
   };
 
   const handleSubmit = async (e) => {
@@ -94,6 +285,22 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
       toast.error('Valid billing is required');
       return;
     }
+    if (Object.values(formData.prices).some(price => price !== '' && Number(price) < 0)) {
+      toast.error('List prices cannot be negative');
+      return;
+    }
+    if (formData.reorderLevel !== '' && Number(formData.reorderLevel) < 0) {
+      toast.error('Reorder level cannot be negative');
+      return;
+    }
+    if (dimensionFields.some(({ name }) => formData[name] !== '' && Number(formData[name]) < 0)) {
+      toast.error('Sizes cannot be negative');
+      return;
+    }
+    if (formData.leafCount !== '' && !Number.isInteger(Number(formData.leafCount))) {
+      toast.error('Leaves must be a whole number of at least 1');
+      return;
+    }
 
     setIsLoading(true);
 
@@ -103,9 +310,31 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
         qty: Number(formData.qty),
         price: Number(formData.price),
         billing: Number(formData.billing),
+        // Lists left blank sell at the base price
+        prices: Object.entries(formData.prices)
+          .filter(([, price]) => price !== '')
+          .map(([priceListId, price]) => ({ priceListId, price: Number(price) })),
+        effectiveFrom: formData.effectiveFrom || undefined,
+        // Blank inherits the subcategory's reorder level
+        reorderLevel: formData.reorderLevel === '' ? null : Number(formData.reorderLevel),
+        length: dimensionValue(formData.length),
+        width: dimensionValue(formData.width),
+        thickness: dimensionValue(formData.thickness),
+        leafCount: dimensionValue(formData.leafCount),
         subCategoryId: product?.subCategoryId?._id || product?.subCategoryId || subCategoryId,
+        // Blank puts the opening stock in the default godown
+        godownId: formData.godownId || undefined,
+        // Blank clears the location
+        sampleLocationId: formData.sampleLocationId?._id || '',
+        ghodaLocationId: formData.ghodaLocationId?._id || '',
       };
 
+      // Stock on existing products only changes through recorded movements
+      if (product) {
+        delete payload.qty;
+        delete payload.godownId;
+      }
+
       await onSave(payload, product?._id);
       toast.success(product ? 'Product updated!' : 'Product added!');
       onClose();
@@ -116,8 +345,25 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
     }
   };
 
-  // Calculate rakam
-  const rakam = (Number(formData.billing) || 0) * (Number(formData.price) || 0);
+  // Calculate rakam: billing × price, or area × rate for categories valued by area
+  const productCategory = product?.subCategoryId?.categoryId || category;
+  const areaUnit = productCategory?.areaUnit || 'sqft';
+  const isAreaBased = productCategory?.rakamBasis === 'area';
+  const area = areaFromInputs(formData);
+  const rakamFor = (price) => (isAreaBased ? area?.[areaUnit] || 0 : Number(formData.billing) || 0) * price;
+  const rakam = rakamFor(Number(formData.price) || 0);
+
+  // An edit that changes a price or billing goes into the price history with an effective date
+  const savedPrices = priceInputs(product?.prices);
+  const pricesChanged = product && (
+    Number(formData.price) !== product.price ||
+    Number(formData.billing) !== product.billing ||
+    priceLists.some(({ _id }) => {
+      const saved = savedPrices[_id] ?? '';
+      const entered = formData.prices[_id] ?? '';
+      return saved === '' || entered === '' ? saved !== entered : Number(saved) !== Number(entered);
+    })
+  );
 
   if (!isOpen) return null;
 
@@ -137,7 +383,7 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
         {/* Header */}
         <div className="flex items-center justify-between p-4 border-b border-gray-200">
           <h2 className="text-lg font-semibold text-gray-800">
-            {product ? 'Edit Product' : 'Add Product'}
+            {product ? (canEdit ? 'Edit Product' : product.name) : 'Add Product'}
           </h2>
           <button
             onClick={onClose}
@@ -149,7 +395,71 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
           </button>
         </div>
 
-        {/* Form */}
+        {/* Tabs (only for existing products) */}
+        {product && (
+          <div className="flex border-b border-gray-200">
+            {[
+              { value: 'details', label: 'Details' },
+              { value: 'history', label: 'Stock History' },
+              { value: 'bundles', label: 'Bundles' },
+              { value: 'holds', label: 'Holds' },
+              { value: 'prices', label: 'Prices' },
+            ].filter(tab => canEdit || tab.value !== 'details').map((tab) => (
+              <button
+                key={tab.value}
+                type="button"
+                onClick={() => setActiveTab(tab.value)}
+                className={`flex-1 py-3 text-sm font-medium transition-colors ${
+                  activeTab === tab.value
+                    ? 'text-primary-600 border-b-2 border-primary-500'
+                    : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {product && activeTab === 'history' ? (
+          <div className="p-4 overflow-y-auto max-h-[calc(90vh-140px)] space-y-4">
+            <StockBreakdown stock={stock} godowns={godowns} total={formData.qty} />
+            <Link
+              to={`/purchases?productId=${product._id}`}
+              className="block text-sm text-primary-600 hover:text-primary-700"
+            >
+              Purchase history →
+            </Link>
+            <StockHistory
+              productId={product._id}
+              stock={stock}
+              godowns={godowns}
+              onStockChange={handleStockChange}
+            />
+          </div>
+        ) : product && activeTab === 'bundles' ? (
+          <div className="p-4 overflow-y-auto max-h-[calc(90vh-140px)]">
+            <ProductBundles
+              product={product}
+              totalQty={formData.qty}
+              godowns={godowns}
+              onStockChange={handleStockChange}
+            />
+          </div>
+        ) : product && activeTab === 'holds' ? (
+          <div className="p-4 overflow-y-auto max-h-[calc(90vh-140px)]">
+            <ProductHolds
+              productId={product._id}
+              stock={stock}
+              godowns={godowns}
+              onHoldsChange={() => onStockChange?.()}
+            />
+          </div>
+        ) : product && activeTab === 'prices' ? (
+          <div className="p-4 overflow-y-auto max-h-[calc(90vh-140px)]">
+            <PriceHistory productId={product._id} />
+          </div>
+        ) : (
         <form onSubmit={handleSubmit} className="p-4 overflow-y-auto max-h-[calc(90vh-140px)]">
           <div className="space-y-4">
             {/* Name */}
@@ -172,7 +482,7 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Quantity *
+                  {product ? 'Total Qty' : 'Quantity *'}
                 </label>
                 <input
                   type="number"
@@ -182,8 +492,17 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
                   className="input-field"
                   placeholder="0"
                   min="0"
-                  disabled={isLoading}
+                  disabled={isLoading || !!product}
                 />
+                {product && (
+                  <button
+                    type="button"
+                    onClick={() => setActiveTab('history')}
+                    className="mt-1 text-xs text-primary-600 hover:text-primary-700"
+                  >
+                    Record stock movement
+                  </button>
+                )}
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -203,6 +522,28 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
               </div>
             </div>
 
+            {/* Opening stock godown, or where existing stock is held */}
+            {product ? (
+              <StockBreakdown stock={stock} godowns={godowns} total={formData.qty} />
+            ) : godowns.length > 1 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Godown
+                </label>
+                <select
+                  name="godownId"
+                  value={formData.godownId || godowns.find(godown => godown.isDefault)?._id}
+                  onChange={handleInputChange}
+                  className="input-field"
+                  disabled={isLoading}
+                >
+                  {godowns.map((godown) => (
+                    <option key={godown._id} value={godown._id}>{godown.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Billing & Rakam Row */}
             <div className="grid grid-cols-2 gap-4">
               <div>
@@ -228,110 +569,300 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
                 <div className="input-field bg-gray-50 text-gray-600 font-medium">
                   {rakam.toLocaleString('en-IN', { maximumFractionDigits: 2 })}
                 </div>
+                <p className="mt-1 text-xs text-gray-400">{rakamBasisLabel(productCategory)}</p>
               </div>
             </div>
 
-            {/* Image */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Image
-              </label>
-              <div className="flex gap-2 mb-2">
-                <button
-                  type="button"
-                  onClick={() => setImageInputType('url')}
-                  className={`px-3 py-1 text-sm rounded-full transition-colors ${
-                    imageInputType === 'url'
-                      ? 'bg-primary-100 text-primary-600'
-                      : 'bg-gray-100 text-gray-600'
-                  }`}
-                >
-                  URL
-                </button>
-                <button
-                  type="button"
-                  onClick={() => setImageInputType('file')}
-                  className={`px-3 py-1 text-sm rounded-full transition-colors ${
-                    imageInputType === 'file'
-                      ? 'bg-primary-100 text-primary-600'
-                      : 'bg-gray-100 text-gray-600'
-                  }`}
-                >
-                  Upload
-                </button>
+            {/* Leaf size */}
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm font-medium text-gray-700">Size</span>
+                {area && (
+                  <span className="text-sm text-gray-500">
+                    Area: <span className="font-medium text-gray-800">
+                      {area.sqft.toLocaleString('en-IN')} {areaUnits.sqft} · {area.sqm.toLocaleString('en-IN')} {areaUnits.sqm}
+                    </span>
+                  </span>
+                )}
               </div>
-
-              {imageInputType === 'url' ? (
-                <input
-                  type="url"
-                  name="image"
-                  value={formData.image.startsWith('data:') ? '' : formData.image}
-                  onChange={handleInputChange}
-                  className="input-field"
-                  placeholder="https://example.com/image.jpg"
-                  disabled={isLoading}
-                />
-              ) : (
-                <input
-                  type="file"
-                  accept="image/*"
-                  onChange={handleFileChange}
-                  className="w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-primary-50 file:text-primary-600 hover:file:bg-primary-100"
-                  disabled={isLoading}
-                />
-              )}
-
-              {/* Image Preview */}
-              {formData.image && (
-                <div className="mt-2 relative inline-block">
-                  <img
-                    src={formData.image}
-                    alt="Preview"
-                    className="h-20 w-20 object-cover rounded-lg border border-gray-200"
-                  />
-                  <button
-                    type="button"
-                    onClick={() => setFormData(prev => ({ ...prev, image: '' }))}
-                    className="absolute -top-2 -right-2 w-6 h-6 bg-red-500 text-white rounded-full flex items-center justify-center"
-                  >
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecup="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
-                    </svg>
-                  </button>
-                </div>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                {dimensionFields.map((field) => (
+                  <div key={field.name}>
+                    <label className="block text-xs text-gray-600 mb-1">{field.label}</label>
+                    <input
+                      type="number"
+                      name={field.name}
+                      value={formData[field.name]}
+                      onChange={handleInputChange}
+                      className="input-field"
+                      placeholder="—"
+                      min={field.name === 'leafCount' ? '1' : '0'}
+                      step={field.step}
+                      disabled={isLoading}
+                    />
+                  </div>
+                ))}
+              </div>
+              {isAreaBased && !area && (
+                <p className="mt-2 text-xs text-amber-600">
+                  This category is valued by area. Enter the length and width to work out the rakam.
+                </p>
               )}
             </div>
 
-            {/* Locations */}
-            <div className="grid grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Sample Location
-                </label>
-                <input
-                  type="text"
-                  name="sampleLocation"
-                  value={formData.sampleLocation}
-                  onChange={handleInputChange}
-                  className="input-field"
-                  placeholder="e.g., A1"
-                  disabled={isLoading}
-                />
+            {/* Price list prices */}
+            {priceLists.length > 0 && (
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <span className="block text-sm font-medium text-gray-700 mb-2">
+                  Price lists
+                  <span className="ml-1 text-gray-400 font-normal">(blank sells at the base price)</span>
+                </span>
+                <div className="grid grid-cols-2 gap-3">
+                  {priceLists.map((priceList) => {
+                    const value = formData.prices[priceList._id] ?? '';
+                    const listRakam = rakamFor(value === '' ? Number(formData.price) || 0 : Number(value));
+                    return (
+                      <div key={priceList._id}>
+                        <label className="block text-xs text-gray-600 mb-1">{priceList.name}</label>
+                        <input
+                          type="number"
+                          value={value}
+                          onChange={(e) => setFormData(prev => ({
+                            ...prev,
+                            prices: { ...prev.prices, [priceList._id]: e.target.value }
+                          }))}
+                          className="input-field"
+                          placeholder={formData.price || '0'}
+                          min="0"
+                          step="0.01"
+                          disabled={isLoading}
+                        />
+                        <p className="mt-1 text-xs text-gray-400">
+                          Rakam {listRakam.toLocaleString('en-IN', { maximumFractionDigits: 2 })}
+                        </p>
+                      </div>
+                    );
+                  })}
+                </div>
               </div>
+            )}
+
+            {pricesChanged && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Ghoda Location
+                  Price change effective from
                 </label>
                 <input
-                  type="text"
-                  name="ghodaLocation"
-                  value={formData.ghodaLocation}
+                  type="date"
+                  name="effectiveFrom"
+                  value={formData.effectiveFrom || today()}
                   onChange={handleInputChange}
                   className="input-field"
-                  placeholder="e.g., G1"
+                  max={today()}
                   disabled={isLoading}
                 />
+                <p className="mt-1 text-xs text-gray-500">
+                  Recorded in the price history. The new prices are used straight away.
+                </p>
               </div>
+            )}
+
+            {/* Images */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Images
+                <span className="ml-1 text-gray-400 font-normal">(the first one is the cover)</span>
+              </label>
+
+              {formData.images.length > 0 && (
+                <div className="grid grid-cols-4 gap-2 mb-3">
+                  {formData.images.map((image, index) => (
+                    <div key={`${image.url}-${index}`} className="relative">
+                      <img
+                        src={image.thumbnail || image.url}
+                        alt={`Image ${index + 1}`}
+                        className="w-full aspect-square object-cover rounded-lg border border-gray-200"
+                      />
+                      {index === 0 && (
+                        <span className="absolute top-1 left-1 px-1.5 py-0.5 text-[10px] rounded bg-primary-600 text-white">
+                          Cover
+                        </span>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => removeImage(index)}
+                        className="absolute -top-2 -right-2 w-6 h-6 bg-red-500 text-white rounded-full flex items-center justify-center"
+                        title="Remove"
+                        disabled={isLoading}
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                      <div className="absolute bottom-1 inset-x-1 flex justify-between">
+                        <button
+                          type="button"
+                          onClick={() => moveImage(index, index - 1)}
+                          className="w-6 h-6 rounded bg-black/50 text-white flex items-center justify-center disabled:invisible"
+                          title="Move left"
+                          disabled={isLoading || index === 0}
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7" />
+                          </svg>
+                        </button>
+                        {index > 0 && (
+                          <button
+                            type="button"
+                            onClick={() => moveImage(index, 0)}
+                            className="w-6 h-6 rounded bg-black/50 text-white flex items-center justify-center"
+                            title="Make cover"
+                            disabled={isLoading}
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+                            </svg>
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => moveImage(index, index + 1)}
+                          className="w-6 h-6 rounded bg-black/50 text-white flex items-center justify-center disabled:invisible"
+                          title="Move right"
+                          disabled={isLoading || index === formData.images.length - 1}
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+                          </svg>
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {formData.images.length < MAX_IMAGES && (
+                <>
+                  <div className="flex gap-2 mb-2">
+                    <button
+                      type="button"
+                      onClick={() => setImageInputType('url')}
+                      className={`px-3 py-1 text-sm rounded-full transition-colors ${
+                        imageInputType === 'url'
+                          ? 'bg-primary-100 text-primary-600'
+                          : 'bg-gray-100 text-gray-600'
+                      }`}
+                    >
+                      URL
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setImageInputType('file')}
+                      className={`px-3 py-1 text-sm rounded-full transition-colors ${
+                        imageInputType === 'file'
+                          ? 'bg-primary-100 text-primary-600'
+                          : 'bg-gray-100 text-gray-600'
+                      }`}
+                    >
+                      Upload
+                    </button>
+                  </div>
+
+                  {imageInputType === 'url' ? (
+                    <div className="flex gap-2">
+                      <input
+                        type="url"
+                        value={imageUrl}
+                        onChange={(e) => setImageUrl(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') {
+                            e.preventDefault();
+                            handleAddImageUrl();
+                          }
+                        }}
+                        className="input-field"
+                        placeholder="https://example.com/image.jpg"
+                        disabled={isLoading}
+                      />
+                      <button
+                        type="button"
+                        onClick={handleAddImageUrl}
+                        className="btn-secondary"
+                        disabled={isLoading || !imageUrl.trim()}
+                      >
+                        Add
+                      </button>
+                    </div>
+                  ) : (
+                    <input
+                      type="file"
+                      accept="image/*"
+                      multiple
+                      onChange={handleFileChange}
+                      className="w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-primary-50 file:text-primary-600 hover:file:bg-primary-100"
+                      disabled={isLoading || isUploading}
+                    />
+                  )}
+                  {isUploading && (
+                    <p className="mt-1 text-xs text-gray-500">Uploading images...</p>
+                  )}
+                </>
+              )}
+            </div>
+
+            {/* Locations */}
+            <div className="grid grid-cols-2 gap-4">
+              {Object.entries(locationTypes).map(([type, { label }]) => (
+                <div key={type}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {label}
+                  </label>
+                  <LocationPicker
+                    type={type}
+                    value={formData[`${type}LocationId`]}
+                    onChange={(location) => setFormData(prev => ({ ...prev, [`${type}LocationId`]: location }))}
+                    disabled={isLoading}
+                  />
+                </div>
+              ))}
+            </div>
+
+            {/* Reorder Level */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Reorder Level
+              </label>
+              <input
+                type="number"
+                name="reorderLevel"
+                value={formData.reorderLevel}
+                onChange={handleInputChange}
+                className="input-field"
+                placeholder={`Subcategory default (${defaultReorderLevel})`}
+                min="0"
+                step="any"
+                disabled={isLoading}
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Flagged as low stock at or below this qty. Leave blank to use the subcategory default.
+              </p>
+            </div>
+
+            {/* Notes */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Notes
+              </label>
+              <textarea
+                name="notes"
+                value={formData.notes}
+                onChange={handleInputChange}
+                className="input-field"
+                rows={2}
+                maxLength={1000}
+                placeholder="Origin, finish, customer preferences..."
+                disabled={isLoading}
+              />
             </div>
           </div>
 
@@ -348,7 +879,7 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
             <button
               type="submit"
               className="btn-primary flex-1"
-              disabled={isLoading}
+              disabled={isLoading || isUploading}
             >
               {isLoading ? (
                 <span className="flex items-center justify-center">
@@ -364,6 +895,7 @@ const ProductModal = ({ isOpen, onClose, onSave, product = null, subCategoryId }
             </button>
           </div>
         </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,381 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import SearchFilter from './SearchFilter';
+import SupplierPicker from './SupplierPicker';
+import { productAPI, subCategoryAPI, godownAPI, purchaseAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+import { getSelectedGodown, qtyInGodown } from '../utils/godown';
+
+// Today as yyyy-mm-dd for the date input
+const today = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+// New purchase inward: pick a supplier, enter the invoice, and add the products received,
+// either existing ones through the product search or new ones typed in under a subcategory
+const PurchaseCreateView = () => {
+  const navigate = useNavigate();
+  const [supplier, setSupplier] = useState(null);
+  const [invoiceNumber, setInvoiceNumber] = useState('');
+  const [invoiceDate, setInvoiceDate] = useState(today());
+  const [godowns, setGodowns] = useState([]);
+  const [godownId, setGodownId] = useState(getSelectedGodown());
+  const [subCategories, setSubCategories] = useState([]);
+  const [items, setItems] = useState([]);
+  const [note, setNote] = useState('');
+  const [searchText, setSearchText] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const nextKey = useRef(1);
+  const canAddProducts = can('manageProducts');
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [godownResponse, subCategoryResponse] = await Promise.all([
+          godownAPI.getAll(),
+          canAddProducts ? subCategoryAPI.getAll() : Promise.resolve({ data: [] }),
+        ]);
+        setGodowns(godownResponse.data);
+        setSubCategories(subCategoryResponse.data);
+      } catch (error) {
+        toast.error('Failed to load godowns');
+      }
+    };
+
+    fetchOptions();
+  }, [canAddProducts]);
+
+  // Stock arrives in the chosen godown, or the default one
+  const stockGodownId = godownId || godowns.find(godown => godown.isDefault)?._id;
+
+  // Debounced product search
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      if (searchText.trim()) {
+        try {
+          const response = await productAPI.search({ search: searchText, limit: 10 });
+          setSearchResults(response.data.products.map(product => ({
+            ...product,
+            type: 'product',
+            id: product._id,
+            label: `Qty ${qtyInGodown(product, stockGodownId)}`,
+          })));
+        } catch (error) {
+          console.error('Search error:', error);
+        }
+      } else {
+        setSearchResults([]);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [searchText, stockGodownId]);
+
+  const addItem = (item) => {
+    setItems(prev => [...prev, { key: nextKey.current++, qty: '', cost: '', ...item }]);
+  };
+
+  const handleAddProduct = (product) => {
+    if (items.some(item => item.product?._id === product._id)) {
+      toast.error(`${product.name} is already on the inward`);
+    } else {
+      addItem({ product });
+    }
+    setSearchText('');
+  };
+
+  const handleAddNewProduct = () => {
+    addItem({ newProduct: { name: searchText.trim(), subCategoryId: '' } });
+    setSearchText('');
+  };
+
+  const updateItem = (key, changes) => {
+    setItems(prev => prev.map(item => (item.key === key ? { ...item, ...changes } : item)));
+  };
+
+  const updateNewProduct = (key, changes) => {
+    setItems(prev => prev.map(item => (
+      item.key === key ? { ...item, newProduct: { ...item.newProduct, ...changes } } : item
+    )));
+  };
+
+  const removeItem = (key) => {
+    setItems(prev => prev.filter(item => item.key !== key));
+  };
+
+  const totalQty = items.reduce((sum, item) => sum + (Number(item.qty) || 0), 0);
+  const totalCost = items.reduce((sum, item) => sum + (Number(item.qty) || 0) * (Number(item.cost) || 0), 0);
+
+  // Subcategories grouped under their category for the new product picker
+  const subCategoryGroups = subCategories.reduce((groups, subCategory) => {
+    const category = subCategory.categoryId?.name || 'Other';
+    (groups[category] = groups[category] || []).push(subCategory);
+    return groups;
+  }, {});
+
+  const handleSave = async () => {
+    if (!supplier) {
+      toast.error('Choose a supplier');
+      return;
+    }
+    if (!invoiceNumber.trim()) {
+      toast.error('Enter the invoice number');
+      return;
+    }
+    if (items.length === 0) {
+      toast.error('Add at least one product');
+      return;
+    }
+    if (items.some(item => item.newProduct && (!item.newProduct.name.trim() || !item.newProduct.subCategoryId))) {
+      toast.error('Give every new product a name and a subcategory');
+      return;
+    }
+    if (items.some(item => !(Number(item.qty) > 0))) {
+      toast.error('Enter a quantity for every product');
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      const response = await purchaseAPI.create({
+        supplierId: supplier._id,
+        invoiceNumber: invoiceNumber.trim(),
+        invoiceDate,
+        godownId: godownId || undefined,
+        items: items.map(item => ({
+          ...(item.product
+            ? { productId: item.product._id }
+            : { newProduct: { name: item.newProduct.name.trim(), subCategoryId: item.newProduct.subCategoryId } }),
+          qty: Number(item.qty),
+          cost: Number(item.cost) || 0,
+        })),
+        note: note.trim(),
+      });
+      toast.success(`Invoice ${response.data.invoiceNumber} received!`);
+      navigate(`/purchases/${response.data._id}`, { replace: true });
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save inward');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="px-4 py-3">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm overflow-x-auto hide-scrollbar">
+            <Link to="/" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Home
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <Link to="/purchases" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Purchases
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <span className="text-gray-800 font-medium truncate">New Inward</span>
+          </nav>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="p-4 space-y-4 max-w-3xl">
+        <div className="card p-4 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Supplier *</label>
+            <SupplierPicker value={supplier} onChange={setSupplier} disabled={isSaving} />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Invoice No. *</label>
+              <input
+                type="text"
+                value={invoiceNumber}
+                onChange={(e) => setInvoiceNumber(e.target.value)}
+                className="input-field"
+                maxLength={50}
+                disabled={isSaving}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Invoice Date</label>
+              <input
+                type="date"
+                value={invoiceDate}
+                onChange={(e) => setInvoiceDate(e.target.value)}
+                className="input-field"
+                disabled={isSaving}
+              />
+            </div>
+          </div>
+
+          {godowns.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Into godown</label>
+              <select
+                value={godownId}
+                onChange={(e) => setGodownId(e.target.value)}
+                className="input-field"
+                disabled={isSaving}
+              >
+                <option value="">Default godown</option>
+                {godowns.map((godown) => (
+                  <option key={godown._id} value={godown._id}>{godown.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        {/* Items */}
+        <div className="card p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <h2 className="font-semibold text-gray-800">Items ({items.length})</h2>
+            <span className="text-sm text-gray-500">
+              Qty <span className="font-medium text-gray-800">{totalQty}</span> · ₹<span className="font-medium text-gray-800">{totalCost.toLocaleString('en-IN')}</span>
+            </span>
+          </div>
+
+          <div className="flex gap-2">
+            <div className="flex-1 min-w-0">
+              <SearchFilter
+                value={searchText}
+                onChange={setSearchText}
+                placeholder="Search products to add..."
+                results={searchResults}
+                onResultClick={handleAddProduct}
+              />
+            </div>
+            {canAddProducts && (
+              <button type="button" onClick={handleAddNewProduct} className="btn-secondary flex-shrink-0" disabled={isSaving}>
+                New Product
+              </button>
+            )}
+          </div>
+
+          {items.length > 0 ? (
+            <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+              {items.map((item) => (
+                <li key={item.key} className="p-3 space-y-2">
+                  <div className="flex items-start gap-3">
+                    <div className="flex-1 min-w-0">
+                      {item.product ? (
+                        <>
+                          <p className="font-medium text-gray-800 truncate">{item.product.name}</p>
+                          <p className="text-xs text-gray-400 truncate">
+                            {item.product.subCategoryId?.categoryId?.name} → {item.product.subCategoryId?.name}
+                          </p>
+                        </>
+                      ) : (
+                        <div className="space-y-2">
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700">New product</span>
+                          <input
+                            type="text"
+                            value={item.newProduct.name}
+                            onChange={(e) => updateNewProduct(item.key, { name: e.target.value })}
+                            className="input-field"
+                            placeholder="Product name"
+                            maxLength={200}
+                            disabled={isSaving}
+                          />
+                          <select
+                            value={item.newProduct.subCategoryId}
+                            onChange={(e) => updateNewProduct(item.key, { subCategoryId: e.target.value })}
+                            className="input-field"
+                            aria-label="Subcategory"
+                            disabled={isSaving}
+                          >
+                            <option value="">Choose a subcategory</option>
+                            {Object.entries(subCategoryGroups).map(([category, options]) => (
+                              <optgroup key={category} label={category}>
+                                {options.map((subCategory) => (
+                                  <option key={subCategory._id} value={subCategory._id}>{subCategory.name}</option>
+                                ))}
+                              </optgroup>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeItem(item.key)}
+                      className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      title="Remove"
+                      disabled={isSaving}
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-2 gap-3">
+                    <input
+                      type="number"
+                      value={item.qty}
+                      onChange={(e) => updateItem(item.key, { qty: e.target.value })}
+                      className="input-field text-right"
+                      placeholder="Qty"
+                      min="0"
+                      step="any"
+                      aria-label="Quantity"
+                      disabled={isSaving}
+                    />
+                    <input
+                      type="number"
+                      value={item.cost}
+                      onChange={(e) => updateItem(item.key, { cost: e.target.value })}
+                      className="input-field text-right"
+                      placeholder="Cost per unit (₹)"
+                      min="0"
+                      step="any"
+                      aria-label="Cost per unit"
+                      disabled={isSaving}
+                    />
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500 text-center py-6">Search for products above to add them</p>
+          )}
+        </div>
+
+        <div className="card p-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            className="input-field"
+            rows={2}
+            maxLength={500}
+            placeholder="Transport, lorry receipt number..."
+            disabled={isSaving}
+          />
+        </div>
+
+        <div className="flex gap-3">
+          <button type="button" onClick={() => navigate('/purchases')} className="flex-1 btn-secondary" disabled={isSaving}>
+            Cancel
+          </button>
+          <button type="button" onClick={handleSave} className="flex-1 btn-primary" disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save Inward'}
+          </button>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default PurchaseCreateView;
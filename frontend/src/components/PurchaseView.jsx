@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { purchaseAPI } from '../utils/api';
+
+// One purchase inward: the supplier's invoice and the products it brought in
+const PurchaseView = () => {
+  const { purchaseId } = useParams();
+  const navigate = useNavigate();
+  const [purchase, setPurchase] = useState(null);
+
+  useEffect(() => {
+    const fetchPurchase = async () => {
+      try {
+        const response = await purchaseAPI.getById(purchaseId);
+        setPurchase(response.data);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load inward');
+        navigate('/purchases');
+      }
+    };
+
+    fetchPurchase();
+  }, [purchaseId, navigate]);
+
+  if (!purchase) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+      </div>
+    );
+  }
+
+  const supplier = purchase.supplierId;
+  const totalQty = purchase.items.reduce((sum, item) => sum + item.qty, 0);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="px-4 py-3">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm overflow-x-auto hide-scrollbar">
+            <Link to="/" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Home
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <Link to="/purchases" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Purchases
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <span className="text-gray-800 font-medium truncate">{purchase.invoiceNumber}</span>
+          </nav>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="p-4 max-w-3xl">
+        <div className="card p-6 space-y-6">
+          <div className="flex items-start justify-between gap-4">
+            <div className="min-w-0">
+              <p className="text-xs uppercase tracking-wide text-gray-400 mb-1">From</p>
+              {supplier ? (
+                <Link
+                  to={`/purchases?supplierId=${supplier._id}`}
+                  className="font-medium text-primary-600 hover:text-primary-700"
+                >
+                  {supplier.name}
+                </Link>
+              ) : (
+                <p className="font-medium text-gray-800">Unknown supplier</p>
+              )}
+              {supplier?.address && <p className="text-sm text-gray-600 whitespace-pre-line">{supplier.address}</p>}
+              {supplier?.phone && <p className="text-sm text-gray-600">Phone: {supplier.phone}</p>}
+              {supplier?.gstin && <p className="text-sm text-gray-600">GSTIN: {supplier.gstin}</p>}
+            </div>
+            <div className="text-right">
+              <p className="font-semibold text-gray-800">Invoice {purchase.invoiceNumber}</p>
+              <p className="text-sm text-gray-500">{new Date(purchase.invoiceDate).toLocaleDateString('en-IN')}</p>
+              {purchase.godownId && <p className="text-sm text-gray-500">Into {purchase.godownId.name}</p>}
+            </div>
+          </div>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-300 text-left text-gray-500">
+                <th className="py-2 pr-2">Item</th>
+                <th className="py-2 pr-2 text-right">Qty</th>
+                <th className="py-2 pr-2 text-right">Cost</th>
+                <th className="py-2 text-right">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {purchase.items.map((item) => (
+                <tr key={item.productId} className="border-b border-gray-100">
+                  <td className="py-2 pr-2">
+                    <Link
+                      to={`/purchases?productId=${item.productId}`}
+                      className="text-gray-800 hover:text-primary-600"
+                      title="Purchase history of this product"
+                    >
+                      {item.name}
+                    </Link>
+                  </td>
+                  <td className="py-2 pr-2 text-right text-gray-800">{item.qty}</td>
+                  <td className="py-2 pr-2 text-right text-gray-600">₹{item.cost.toLocaleString('en-IN')}</td>
+                  <td className="py-2 text-right text-gray-800">₹{(item.qty * item.cost).toLocaleString('en-IN')}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="font-semibold text-gray-800">
+                <td className="py-2 pr-2">Total</td>
+                <td className="py-2 pr-2 text-right">{totalQty}</td>
+                <td className="py-2 pr-2"></td>
+                <td className="py-2 text-right">₹{purchase.total.toLocaleString('en-IN')}</td>
+              </tr>
+            </tfoot>
+          </table>
+
+          {purchase.note && (
+            <p className="text-sm text-gray-600 whitespace-pre-line">
+              <span className="text-gray-400">Note: </span>{purchase.note}
+            </p>
+          )}
+
+          <p className="text-xs text-gray-400">
+            Entered by {purchase.createdBy?.username || 'Unknown'} · {new Date(purchase.createdAt).toLocaleString('en-IN')}
+          </p>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default PurchaseView;
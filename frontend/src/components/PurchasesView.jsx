@@ -0,0 +1,240 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import SupplierPicker from './SupplierPicker';
+import { purchaseAPI, supplierAPI, productAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+
+// Skeleton loader
+const CardSkeleton = () => (
+  <div className="card p-4 animate-pulse">
+    <div className="h-4 bg-gray-200 rounded w-1/2 mb-2"></div>
+    <div className="h-3 bg-gray-200 rounded w-1/3"></div>
+  </div>
+);
+
+// Purchase history, newest invoice first. ?supplierId= narrows it to one supplier and
+// ?productId= to the inwards a product arrived on, with that product's quantity and cost.
+const PurchasesView = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const supplierId = searchParams.get('supplierId') || '';
+  const productId = searchParams.get('productId') || '';
+  const [supplier, setSupplier] = useState(null);
+  const [product, setProduct] = useState(null);
+  const [purchases, setPurchases] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+  // The supplier and product named in the URL, for the picker and heading
+  useEffect(() => {
+    if (!supplierId) {
+      setSupplier(null);
+      return;
+    }
+    supplierAPI.getById(supplierId)
+      .then(response => setSupplier(response.data))
+      .catch(() => toast.error('Supplier not found'));
+  }, [supplierId]);
+
+  useEffect(() => {
+    if (!productId) {
+      setProduct(null);
+      return;
+    }
+    productAPI.getById(productId)
+      .then(response => setProduct(response.data))
+      .catch(() => toast.error('Product not found'));
+  }, [productId]);
+
+  const setFilter = (key, value) => {
+    const params = new URLSearchParams(searchParams);
+    if (value) {
+      params.set(key, value);
+    } else {
+      params.delete(key);
+    }
+    setSearchParams(params, { replace: true });
+  };
+
+  const fetchPurchases = useCallback(async (page = 1, append = false) => {
+    if (append) {
+      setIsLoadingMore(true);
+    } else {
+      setIsLoading(true);
+    }
+
+    try {
+      const response = await purchaseAPI.getAll({
+        supplierId: supplierId || undefined,
+        productId: productId || undefined,
+        from: from || undefined,
+        to: to || undefined,
+        page,
+        limit: 20,
+      });
+
+      if (append) {
+        setPurchases(prev => [...prev, ...response.data.purchases]);
+      } else {
+        setPurchases(response.data.purchases);
+      }
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to load purchases');
+    } finally {
+      setIsLoading(false);
+      setIsLoadingMore(false);
+    }
+  }, [supplierId, productId, from, to]);
+
+  useEffect(() => {
+    fetchPurchases(1, false);
+  }, [fetchPurchases]);
+
+  const hasFilters = supplierId || productId || from || to;
+  const title = product ? `Purchases of ${product.name}` : supplier ? `Purchases from ${supplier.name}` : 'Purchases';
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="px-4 py-3">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm overflow-x-auto hide-scrollbar">
+            <Link to="/" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Home
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <span className="text-gray-800 font-medium truncate">Purchases</span>
+          </nav>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="p-4">
+        <div className="flex items-start justify-between gap-3 mb-4">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold text-gray-800 truncate">
+              {title} ({pagination.total})
+            </h2>
+            <p className="text-sm text-gray-500">Stock received from suppliers, by invoice</p>
+          </div>
+          {can('createPurchases') && (
+            <button onClick={() => navigate('/purchases/new')} className="btn-primary flex-shrink-0">
+              New Inward
+            </button>
+          )}
+        </div>
+
+        {/* Filters */}
+        <div className="card p-4 mb-4 space-y-3">
+          {product && (
+            <div className="flex items-center justify-between gap-2 text-sm">
+              <span className="text-gray-600 truncate">
+                Product: <span className="font-medium text-gray-800">{product.name}</span>
+              </span>
+              <button type="button" onClick={() => setFilter('productId', '')} className="text-gray-500 hover:text-gray-700">
+                Clear
+              </button>
+            </div>
+          )}
+          <div className="grid gap-3 sm:grid-cols-3">
+            <div className="flex gap-2">
+              <div className="flex-1 min-w-0">
+                <SupplierPicker value={supplier} onChange={(picked) => setFilter('supplierId', picked?._id)} />
+              </div>
+              {supplierId && (
+                <button
+                  type="button"
+                  onClick={() => setFilter('supplierId', '')}
+                  className="px-3 text-sm text-gray-500 hover:text-gray-700"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="input-field"
+              aria-label="From date"
+            />
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              className="input-field"
+              aria-label="To date"
+            />
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="space-y-3">
+            {[...Array(6)].map((_, i) => (
+              <CardSkeleton key={i} />
+            ))}
+          </div>
+        ) : purchases.length > 0 ? (
+          <>
+            <div className="space-y-3">
+              {purchases.map((purchase) => {
+                const line = productId && purchase.items.find(item => item.productId === productId);
+                return (
+                  <Link
+                    key={purchase._id}
+                    to={`/purchases/${purchase._id}`}
+                    className="card p-4 flex items-start justify-between gap-3 hover:shadow-md transition-shadow"
+                  >
+                    <div className="min-w-0">
+                      <h3 className="font-medium text-gray-800 truncate">
+                        {purchase.supplierId?.name || 'Unknown supplier'} · {purchase.invoiceNumber}
+                      </h3>
+                      <p className="text-sm text-gray-500 truncate">
+                        {new Date(purchase.invoiceDate).toLocaleDateString('en-IN')} · {purchase.godownId?.name}
+                      </p>
+                      <p className="text-xs text-gray-400">
+                        {line
+                          ? `${line.qty} @ ₹${line.cost.toLocaleString('en-IN')}`
+                          : `${purchase.items.length} item${purchase.items.length === 1 ? '' : 's'} · Qty ${purchase.items.reduce((sum, item) => sum + item.qty, 0)}`}
+                      </p>
+                    </div>
+                    <span className="text-sm font-medium text-gray-800 flex-shrink-0">
+                      ₹{(line ? line.qty * line.cost : purchase.total).toLocaleString('en-IN')}
+                    </span>
+                  </Link>
+                );
+              })}
+            </div>
+
+            {/* Load More */}
+            {pagination.page < pagination.pages && (
+              <div className="mt-6 text-center">
+                <button
+                  onClick={() => fetchPurchases(pagination.page + 1, true)}
+                  disabled={isLoadingMore}
+                  className="btn-secondary"
+                >
+                  {isLoadingMore ? 'Loading...' : `Load More (${pagination.page}/${pagination.pages})`}
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-center py-12">
+            <p className="text-gray-500">{hasFilters ? 'No purchases match these filters' : 'No purchases yet'}</p>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default PurchasesView;
@@ -0,0 +1,171 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import PasscodeModal from './PasscodeModal';
+import { recycleBinAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+
+const sections = [
+  { type: 'categories', title: 'Categories' },
+  { type: 'subCategories', apiType: 'subcategories', title: 'Subcategories' },
+  { type: 'products', title: 'Products' },
+];
+
+// Skeleton loader
+const CardSkeleton = () => (
+  <div className="card p-4 animate-pulse">
+    <div className="h-4 bg-gray-200 rounded w-1/2 mb-2"></div>
+    <div className="h-3 bg-gray-200 rounded w-1/3"></div>
+  </div>
+);
+
+const describeItem = (type, item) => {
+  if (type === 'categories') {
+    return `${item.cascade.subCategories} subcategories, ${item.cascade.products} products`;
+  }
+  if (type === 'subCategories') {
+    return `${item.categoryId?.name || 'Unknown category'} · ${item.cascade.products} products`;
+  }
+  return `${item.subCategoryId?.categoryId?.name || '?'} → ${item.subCategoryId?.name || '?'} · Qty ${item.qty}`;
+};
+
+const RecycleBinView = () => {
+  const navigate = useNavigate();
+  const [data, setData] = useState({ categories: [], subCategories: [], products: [], retentionDays: 30 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [purgeTarget, setPurgeTarget] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await recycleBinAPI.getAll();
+      setData(response.data);
+    } catch (error) {
+      if (error.response?.status === 403) {
+        toast.error('You do not have access to the Recycle Bin');
+        navigate('/');
+        return;
+      }
+      toast.error('Failed to load Recycle Bin');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [navigate]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleRestore = async (apiType, item) => {
+    setBusyId(item._id);
+    try {
+      const response = await recycleBinAPI.restore(apiType, item._id);
+      toast.success(response.data.message);
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to restore');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (confirmationToken) => {
+    await recycleBinAPI.purge(purgeTarget.apiType, purgeTarget.item._id, confirmationToken);
+    toast.success('Permanently deleted');
+    fetchData();
+  };
+
+  const isEmpty = sections.every(({ type }) => data[type].length === 0);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="px-4 py-3">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm overflow-x-auto hide-scrollbar">
+            <Link to="/" className="text-primary-600 hover:text-primary-700 whitespace-nowrap">
+              Home
+            </Link>
+            <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            <span className="text-gray-800 font-medium truncate">Recycle Bin</span>
+          </nav>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="p-4">
+        <p className="text-sm text-gray-500 mb-4">
+          Deleted items are kept for {data.retentionDays} days. Restoring a category or subcategory also restores everything deleted with it.
+        </p>
+
+        {isLoading ? (
+          <div className="space-y-3">
+            {[...Array(4)].map((_, i) => (
+              <CardSkeleton key={i} />
+            ))}
+          </div>
+        ) : isEmpty ? (
+          <div className="text-center py-12">
+            <svg className="w-16 h-16 mx-auto text-gray-300 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+            </svg>
+            <p className="text-gray-500">The Recycle Bin is empty</p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {sections.filter(({ type }) => data[type].length > 0).map(({ type, apiType = type, title }) => (
+              <section key={type}>
+                <h2 className="text-lg font-semibold text-gray-800 mb-3">
+                  {title} ({data[type].length})
+                </h2>
+                <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+                  {data[type].map((item) => (
+                    <div key={item._id} className="card p-4">
+                      <h3 className="font-medium text-gray-800 truncate">{item.name}</h3>
+                      <p className="text-sm text-gray-500 truncate">{describeItem(type, item)}</p>
+                      <p className="text-xs text-gray-400 mt-1">
+                        Deleted {new Date(item.deletedAt).toLocaleString('en-IN')} · purged after {new Date(item.purgeAt).toLocaleDateString('en-IN')}
+                      </p>
+                      <div className="flex gap-2 mt-3">
+                        <button
+                          onClick={() => handleRestore(apiType, item)}
+                          disabled={busyId === item._id}
+                          className="flex-1 px-3 py-2 text-sm bg-primary-50 text-primary-600 hover:bg-primary-100 rounded-lg transition-colors disabled:opacity-50"
+                        >
+                          {busyId === item._id ? 'Restoring...' : 'Restore'}
+                        </button>
+                        {can('purgeRecycleBin') && (
+                          <button
+                            onClick={() => setPurgeTarget({ apiType, item })}
+                            className="px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          >
+                            Delete forever
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            ))}
+          </div>
+        )}
+      </main>
+
+      {/* Passcode Modal for Permanent Delete */}
+      <PasscodeModal
+        isOpen={!!purgeTarget}
+        onClose={() => setPurgeTarget(null)}
+        onConfirm={handlePurge}
+        title="Delete Forever"
+        message={`Enter your PIN or password to permanently delete "${purgeTarget?.item.name}". This cannot be undone.`}
+      />
+    </div>
+  );
+};
+
+export default RecycleBinView;
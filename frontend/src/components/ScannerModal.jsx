@@ -0,0 +1,149 @@
+import { useState, useEffect, useRef } from 'react';
+
+const cameraError = (error) => {
+  if (!window.isSecureContext) return 'The camera only works over HTTPS';
+  if (error?.name === 'NotAllowedError') return 'Camera permission was denied. Allow it in your browser settings.';
+  if (error?.name === 'NotFoundError' || error?.name === 'OverconstrainedError') return 'No camera found on this device';
+  return 'Could not start the camera';
+};
+
+// Full-screen camera view that decodes QR codes and barcodes in the browser
+const ScannerModal = ({ isOpen, onClose, onScan }) => {
+  const videoRef = useRef(null);
+  const [error, setError] = useState('');
+  const [isStarting, setIsStarting] = useState(false);
+  const [manualCode, setManualCode] = useState('');
+
+  // Start the camera while the modal is open
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    let controls = null;
+    let cancelled = false;
+
+    const start = async () => {
+      setError('');
+      setManualCode('');
+      setIsStarting(true);
+      try {
+        if (!navigator.mediaDevices?.getUserMedia) {
+          throw new Error('Camera not supported');
+        }
+
+        // Loaded on demand so the decoder isn't part of every page load
+        const [{ BrowserMultiFormatReader }, { BarcodeFormat, DecodeHintType }] = await Promise.all([
+          import('@zxing/browser'),
+          import('@zxing/library'),
+        ]);
+        const hints = new Map([[DecodeHintType.POSSIBLE_FORMATS, [
+          BarcodeFormat.QR_CODE,
+          BarcodeFormat.CODE_128,
+          BarcodeFormat.CODE_39,
+          BarcodeFormat.EAN_13,
+        ]]]);
+        const reader = new BrowserMultiFormatReader(hints);
+
+        const scannerControls = await reader.decodeFromConstraints(
+          { video: { facingMode: 'environment' } },
+          videoRef.current,
+          (result, err, activeControls) => {
+            if (result) {
+              activeControls.stop();
+              if (navigator.vibrate) navigator.vibrate(50);
+              onScan(result.getText());
+            }
+          }
+        );
+
+        if (cancelled) {
+          scannerControls.stop();
+        } else {
+          controls = scannerControls;
+        }
+      } catch (err) {
+        if (!cancelled) setError(cameraError(err));
+      } finally {
+        if (!cancelled) setIsStarting(false);
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      controls?.stop();
+    };
+  }, [isOpen, onScan]);
+
+  // Close on escape key
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    if (manualCode.trim()) onScan(manualCode);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black flex flex-col">
+      {/* Header */}
+      <div className="flex items-center justify-between px-4 py-3 text-white">
+        <h2 className="text-lg font-semibold">Scan a label</h2>
+        <button
+          onClick={onClose}
+          className="p-2 hover:bg-white/10 rounded-full transition-colors"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {/* Camera */}
+      <div className="relative flex-1 overflow-hidden">
+        <video ref={videoRef} className="absolute inset-0 w-full h-full object-cover" muted playsInline />
+
+        {!error && (
+          <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+            <div className="w-64 h-64 max-w-[70vw] max-h-[70vw] border-4 border-white/80 rounded-2xl shadow-[0_0_0_9999px_rgba(0,0,0,0.4)]"></div>
+          </div>
+        )}
+
+        {isStarting && (
+          <div className="absolute inset-0 flex items-center justify-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white"></div>
+          </div>
+        )}
+
+        {error && (
+          <div className="absolute inset-0 flex items-center justify-center p-6">
+            <p className="text-white text-center">{error}</p>
+          </div>
+        )}
+      </div>
+
+      {/* Manual entry */}
+      <form onSubmit={handleManualSubmit} className="p-4 flex gap-2 bg-black">
+        <input
+          type="text"
+          value={manualCode}
+          onChange={(e) => setManualCode(e.target.value)}
+          className="input-field"
+          placeholder="Or type a location, e.g. G-3"
+        />
+        <button type="submit" className="btn-primary" disabled={!manualCode.trim()}>
+          Go
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ScannerModal;
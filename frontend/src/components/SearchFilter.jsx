@@ -1,8 +1,61 @@
 import { useState, useEffect, useRef } from 'react';
 
-const SearchFilter = ({ value, onChange, placeholder = 'Search...', results = [], onResultClick }) => {
+// Where a product search matched, for results that matched outside the name
+const highlightLabels = {
+  notes: 'Notes',
+  category: 'Category',
+  subCategory: 'Sub-category',
+  ghodaLocation: 'Ghoda',
+  sampleLocation: 'Sample',
+  bundle: 'Bundle',
+};
+
+// Text with the [start, end) ranges the server matched marked
+const Highlighted = ({ text, ranges = [] }) => {
+  const parts = [];
+  let last = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(<mark key={start} className="bg-amber-100 text-inherit rounded-sm">{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  if (last < text.length) parts.push(text.slice(last));
+  return <>{parts}</>;
+};
+
+// A result's name, with the match marked when the search matched it, the path to it
+// (Teak › Teak Quarter) and the first other field that matched underneath
+const ResultName = ({ result }) => {
+  const highlights = result.highlights || [];
+  const nameMatch = highlights.find(highlight => highlight.field === 'name');
+  const otherMatch = highlights.find(highlight => highlight.field !== 'name');
+  const parents = (result.path || []).slice(0, -1);
+
+  return (
+    <span className="min-w-0">
+      <span className="block font-medium text-gray-800 truncate">
+        <Highlighted text={result.name} ranges={nameMatch?.ranges} />
+      </span>
+      {parents.length > 0 && (
+        <span className="block text-xs text-gray-400 truncate">
+          {parents.map(crumb => crumb.name).join(' › ')}
+        </span>
+      )}
+      {otherMatch && (
+        <span className="block text-xs text-gray-500 truncate">
+          {highlightLabels[otherMatch.field]}: <Highlighted text={otherMatch.text} ranges={otherMatch.ranges} />
+        </span>
+      )}
+    </span>
+  );
+};
+
+// Results come as a flat list, or as `groups` of { key, label, total, results } shown under
+// a heading with the group's total
+const SearchFilter = ({ value, onChange, placeholder = 'Search...', results = [], groups, onResultClick }) => {
   const [showResults, setShowResults] = useState(false);
   const wrapperRef = useRef(null);
+  const sections = (groups || [{ key: 'results', results }]).filter(section => section.results.length > 0);
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -18,8 +71,8 @@ const SearchFilter = ({ value, onChange, placeholder = 'Search...', results = []
 
   // Show results when there's search text and results
   useEffect(() => {
-    setShowResults(value && results.length > 0);
-  }, [value, results]);
+    setShowResults(value && (groups || [{ results }]).some(section => section.results.length > 0));
+  }, [value, results, groups]);
 
   return (
     <div ref={wrapperRef} className="relative flex-1">
@@ -46,6 +99,7 @@ const SearchFilter = ({ value, onChange, placeholder = 'Search...', results = []
         </svg>
         {value && (
           <button
+            type="button"
             onClick={() => onChange('')}
             className="absolute right-3 top-1/2 -translate-y-1/2 w-6 h-6 flex items-center justify-center text-gray-400 hover:text-gray-600"
           >
@@ -58,21 +112,36 @@ const SearchFilter = ({ value, onChange, placeholder = 'Search...', results = []
 
       {/* Search Results Dropdown */}
       {showResults && (
-        <div className="absolute top-full left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg z-50 max-h-64 overflow-y-auto">
-          {results.map((result, index) => (
-            <button
-              key={`${result.type}-${result.id}-${index}`}
-              onClick={() => {
-                onResultClick(result);
-                setShowResults(false);
-              }}
-              className="w-full px-4 py-3 text-left hover:bg-gray-50 flex items-center justify-between border-b border-gray-100 last:border-b-0"
-            >
-              <span className="font-medium text-gray-800 truncate">{result.name}</span>
-              <span className="text-xs text-gray-400 ml-2 flex-shrink-0">
-                {result.type === 'category' ? 'Category' : 'Sub-category'}
-              </span>
-            </button>
+        <div className="absolute top-full left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg z-50 max-h-96 overflow-y-auto">
+          {sections.map(section => (
+            <div key={section.key}>
+              {section.label && (
+                <div className="px-4 py-1.5 bg-gray-50 border-b border-gray-100 flex items-center justify-between text-xs">
+                  <span className="font-semibold text-gray-600">{section.label}</span>
+                  <span className="text-gray-400">
+                    {section.total > section.results.length
+                      ? `${section.results.length} of ${section.total}`
+                      : section.total}
+                  </span>
+                </div>
+              )}
+              {section.results.map((result, index) => (
+                <button
+                  type="button"
+                  key={`${result.type}-${result.id}-${index}`}
+                  onClick={() => {
+                    onResultClick(result);
+                    setShowResults(false);
+                  }}
+                  className="w-full px-4 py-3 text-left hover:bg-gray-50 flex items-center justify-between border-b border-gray-100 last:border-b-0"
+                >
+                  <ResultName result={result} />
+                  <span className="text-xs text-gray-400 ml-2 flex-shrink-0">
+                    {result.label || (result.type === 'category' ? 'Category' : 'Sub-category')}
+                  </span>
+                </button>
+              ))}
+            </div>
           ))}
         </div>
       )}
@@ -0,0 +1,288 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { productAPI, bundleAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+import { getSelectedGodown, qtyInGodown } from '../utils/godown';
+
+const movementReasons = {
+  inward: ['Purchase', 'Customer return', 'Transfer in', 'Other'],
+  outward: ['Sale', 'Sample', 'Damage', 'Transfer out', 'Other'],
+  adjustment: ['Stock count', 'Correction', 'Other'],
+};
+
+const typeStyles = {
+  inward: 'bg-green-100 text-green-700',
+  outward: 'bg-red-100 text-red-700',
+  adjustment: 'bg-yellow-100 text-yellow-700',
+};
+
+const emptyForm = { type: 'inward', quantity: '', reason: movementReasons.inward[0], note: '', bundleId: '' };
+
+const StockHistory = ({ productId, stock = [], godowns = [], onStockChange }) => {
+  const [movements, setMovements] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [godownId, setGodownId] = useState(getSelectedGodown);
+  const [bundles, setBundles] = useState([]);
+
+  // Movements go to the godown picked on the Dashboard, or the default one
+  const activeGodownId = godowns.some(godown => godown._id === godownId)
+    ? godownId
+    : godowns.find(godown => godown.isDefault)?._id || '';
+
+  const fetchMovements = useCallback(async (page = 1, append = false) => {
+    setIsLoading(true);
+    try {
+      const response = await productAPI.getMovements(productId, { page, limit: 20 });
+      setMovements(prev => append ? [...prev, ...response.data.movements] : response.data.movements);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to load stock history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [productId]);
+
+  useEffect(() => {
+    fetchMovements(1, false);
+  }, [fetchMovements]);
+
+  // Bundles in the godown, for movements of one bundle's stock
+  const fetchBundles = useCallback(async () => {
+    if (!activeGodownId) return;
+    try {
+      const response = await bundleAPI.getAll({ productId, godownId: activeGodownId, includeEmpty: true, limit: 200 });
+      setBundles(response.data.bundles);
+    } catch (error) {
+      toast.error('Failed to load bundles');
+    }
+  }, [productId, activeGodownId]);
+
+  useEffect(() => {
+    fetchBundles();
+    setForm(prev => ({ ...prev, bundleId: '' }));
+  }, [fetchBundles]);
+
+  const selectedBundle = bundles.find(bundle => bundle._id === form.bundleId);
+  const looseInGodown = qtyInGodown({ stock }, activeGodownId) - bundles.reduce((sum, bundle) => sum + bundle.qty, 0);
+
+  const handleTypeChange = (type) => {
+    setForm(prev => ({ ...prev, type, reason: movementReasons[type][0] }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const quantity = Number(form.quantity);
+    if (!form.quantity || quantity === 0) {
+      toast.error('Enter a quantity');
+      return;
+    }
+    if (form.type !== 'adjustment' && quantity < 0) {
+      toast.error('Quantity must be positive');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await productAPI.addMovement(productId, {
+        godownId: activeGodownId || undefined,
+        bundleId: form.bundleId || undefined,
+        type: form.type,
+        quantity,
+        reason: form.reason,
+        note: form.note.trim(),
+      });
+      toast.success('Stock updated');
+      setForm(emptyForm);
+      onStockChange?.(response.data.qty, response.data.stock);
+      fetchMovements(1, false);
+      fetchBundles();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to record movement');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Record Movement */}
+      {can('recordMovements') && (
+        <form onSubmit={handleSubmit} className="p-3 bg-gray-50 rounded-lg space-y-3">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium text-gray-700">Record movement</span>
+            <span className="text-sm text-gray-500">
+              {selectedBundle ? 'In bundle' : bundles.length > 0 ? 'Loose in godown' : 'In godown'}:{' '}
+              <span className="font-medium text-gray-800">
+                {selectedBundle ? selectedBundle.qty : bundles.length > 0 ? Math.max(looseInGodown, 0) : qtyInGodown({ stock }, activeGodownId)}
+              </span>
+            </span>
+          </div>
+
+          {godowns.length > 1 && (
+            <select
+              value={activeGodownId}
+              onChange={(e) => setGodownId(e.target.value)}
+              className="input-field"
+              disabled={isSaving}
+              aria-label="Godown"
+            >
+              {godowns.map((godown) => (
+                <option key={godown._id} value={godown._id}>{godown.name}</option>
+              ))}
+            </select>
+          )}
+
+          {bundles.length > 0 && (
+            <select
+              value={form.bundleId}
+              onChange={(e) => setForm(prev => ({ ...prev, bundleId: e.target.value }))}
+              className="input-field"
+              disabled={isSaving}
+              aria-label="Bundle"
+            >
+              <option value="">Loose stock</option>
+              {bundles.map((bundle) => (
+                <option key={bundle._id} value={bundle._id}>
+                  Bundle {bundle.bundleNumber} ({bundle.qty})
+                </option>
+              ))}
+            </select>
+          )}
+
+          <div className="flex gap-2">
+            {Object.keys(movementReasons).map((type) => (
+              <button
+                key={type}
+                type="button"
+                onClick={() => handleTypeChange(type)}
+                className={`flex-1 px-3 py-2 text-sm rounded-lg capitalize transition-colors ${
+                  form.type === type ? 'bg-primary-100 text-primary-600 font-medium' : 'bg-white text-gray-600 border border-gray-200'
+                }`}
+              >
+                {type}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <input
+              type="number"
+              value={form.quantity}
+              onChange={(e) => setForm(prev => ({ ...prev, quantity: e.target.value }))}
+              className="input-field"
+              placeholder={form.type === 'adjustment' ? '+/- qty' : 'Qty'}
+              min={form.type === 'adjustment' ? undefined : '1'}
+              disabled={isSaving}
+            />
+            <select
+              value={form.reason}
+              onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+              className="input-field"
+              disabled={isSaving}
+            >
+              {movementReasons[form.type].map((reason) => (
+                <option key={reason} value={reason}>{reason}</option>
+              ))}
+            </select>
+          </div>
+
+          <input
+            type="text"
+            value={form.note}
+            onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+            className="input-field"
+            placeholder="Note (optional)"
+            maxLength={500}
+            disabled={isSaving}
+          />
+
+          <button type="submit" className="btn-primary w-full" disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Record'}
+          </button>
+        </form>
+      )}
+
+      {/* History */}
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-2">History ({pagination.total})</h3>
+
+        {isLoading && movements.length === 0 ? (
+          <div className="space-y-2">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="h-14 skeleton"></div>
+            ))}
+          </div>
+        ) : movements.length > 0 ? (
+          <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+            {movements.map((movement) => (
+              <li key={movement._id} className="p-3 text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex items-center gap-2 min-w-0">
+                    <span className={`px-2 py-0.5 text-xs rounded-full capitalize ${typeStyles[movement.type]}`}>
+                      {movement.type}
+                    </span>
+                    <span className="text-gray-700 truncate">{movement.reason}</span>
+                    {movement.bundleId && (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600 flex-shrink-0">
+                        {movement.bundleId.bundleNumber}
+                      </span>
+                    )}
+                    {movement.challanId && (
+                      <Link
+                        to={`/challans/${movement.challanId._id}`}
+                        className="text-primary-600 hover:text-primary-700 flex-shrink-0"
+                      >
+                        #{movement.challanId.number}
+                      </Link>
+                    )}
+                    {movement.purchaseId && (
+                      <Link
+                        to={`/purchases/${movement.purchaseId._id}`}
+                        className="text-primary-600 hover:text-primary-700 truncate"
+                      >
+                        {movement.purchaseId.invoiceNumber}
+                      </Link>
+                    )}
+                  </div>
+                  <span className={`font-medium flex-shrink-0 ${movement.quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {movement.quantity > 0 ? '+' : ''}{movement.quantity}
+                  </span>
+                </div>
+                {movement.note && (
+                  <p className="mt-1 text-gray-500">{movement.note}</p>
+                )}
+                <div className="mt-1 flex items-center justify-between text-xs text-gray-400">
+                  <span>
+                    {movement.godownId?.name && <>{movement.godownId.name} · </>}
+                    {movement.user?.username || 'Unknown'} · {new Date(movement.createdAt).toLocaleString('en-IN')}
+                  </span>
+                  <span>Total: {movement.balanceAfter}</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 text-center py-6">No stock movements yet</p>
+        )}
+
+        {pagination.page < pagination.pages && (
+          <button
+            type="button"
+            onClick={() => fetchMovements(pagination.page + 1, true)}
+            disabled={isLoading}
+            className="mt-3 w-full text-sm text-primary-600 hover:text-primary-700"
+          >
+            {isLoading ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockHistory;
@@ -4,6 +4,7 @@ import PasscodeModal from './PasscodeModal';
 
 const SubCategoryModal = ({ isOpen, onClose, onSave, onDelete, subCategory = null, categoryId }) => {
   const [name, setName] = useState('');
+  const [reorderLevel, setReorderLevel] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [showPasscodeModal, setShowPasscodeModal] = useState(false);
 
@@ -11,8 +12,10 @@ const SubCategoryModal = ({ isOpen, onClose, onSave, onDelete, subCategory = nul
   useEffect(() => {
     if (subCategory) {
       setName(subCategory.name || '');
+      setReorderLevel(subCategory.reorderLevel?.toString() || '');
     } else {
       setName('');
+      setReorderLevel('');
     }
   }, [subCategory, isOpen]);
 
@@ -35,12 +38,17 @@ const SubCategoryModal = ({ isOpen, onClose, onSave, onDelete, subCategory = nul
       toast.error('Subcategory name is required');
       return;
     }
+    if (Number(reorderLevel) < 0) {
+      toast.error('Reorder level cannot be negative');
+      return;
+    }
 
     setIsLoading(true);
 
     try {
       const payload = {
         name: name.trim(),
+        reorderLevel: Number(reorderLevel) || 0,
         categoryId: subCategory?.categoryId?._id || subCategory?.categoryId || categoryId,
       };
       await onSave(payload, subCategory?._id);
@@ -53,9 +61,9 @@ const SubCategoryModal = ({ isOpen, onClose, onSave, onDelete, subCategory = nul
     }
   };
 
-  const handleDelete = async () => {
+  const handleDelete = async (confirmationToken) => {
     if (onDelete && subCategory?._id) {
-      await onDelete(subCategory._id);
+      await onDelete(subCategory._id, confirmationToken);
       toast.success('Subcategory deleted!');
       onClose();
     }
@@ -108,11 +116,29 @@ const SubCategoryModal = ({ isOpen, onClose, onSave, onDelete, subCategory = nul
             />
           </div>
 
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Default Reorder Level
+            </label>
+            <input
+              type="number"
+              value={reorderLevel}
+              onChange={(e) => setReorderLevel(e.target.value)}
+              className="input-field"
+              placeholder="0"
+              min="0"
+              step="any"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Products are flagged as low stock at or below this qty unless they set their own level.
+            </p>
+          </div>
+
           {/* Delete Button (only for editing existing subcategory) */}
           {subCategory && onDelete && (
             <div className="mb-4 p-3 bg-red-50 rounded-lg border border-red-100">
               <p className="text-sm text-red-600 mb-2">
-                Deleting this subcategory will also delete all its products.
+                Deleting this subcategory will also delete all its products. You can restore them from the Recycle Bin.
               </p>
               <button
                 type="button"
@@ -164,7 +190,7 @@ const SubCategoryModal = ({ isOpen, onClose, onSave, onDelete, subCategory = nul
         onClose={() => setShowPasscodeModal(false)}
         onConfirm={handleDelete}
         title="Delete Subcategory"
-        message={`Enter passcode to delete "${subCategory?.name}". This will also delete all products in this subcategory.`}
+        message={`Enter your PIN or password to delete "${subCategory?.name}". This will also delete all products in this subcategory.`}
       />
     </div>
   );
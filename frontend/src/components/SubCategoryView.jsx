@@ -1,11 +1,23 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import SearchFilter from './SearchFilter';
-import QuantityFilter from './QuantityFilter';
+import FilterDrawer from './FilterDrawer';
+import ExportMenu from './ExportMenu';
 import ProductModal from './ProductModal';
 import ImageModal from './ImageModal';
-import { categoryAPI, subCategoryAPI, productAPI } from '../utils/api';
+import LabelsModal from './LabelsModal';
+import SummaryCards from './SummaryCards';
+import PriceListSwitcher from './PriceListSwitcher';
+import { categoryAPI, subCategoryAPI, productAPI, reportAPI, locationAPI, authAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+import { godownParams, displayQty } from '../utils/godown';
+import { getSelectedPriceList, setSelectedPriceList, displayPrice, displayRakam } from '../utils/priceList';
+import { productImages, productImageFiles } from '../utils/images';
+import { locationPath, locationTypes } from '../utils/locations';
+import { formatSize, formatArea } from '../utils/dimensions';
+import { productSorts, getProductSort, storeProductSort, nextColumnSort, columnSortDirection } from '../utils/sorting';
+import { filterQuery, filtersFromQuery, withFilters, filterParams, filterChips, emptyFilters } from '../utils/filters';
 
 // Long press hook
 const useLongPress = (callback, ms = 500) => {
@@ -43,6 +55,29 @@ const useLongPress = (callback, ms = 500) => {
   };
 };
 
+// Desktop table header that sorts the list by its field when clicked
+const SortableHeader = ({ field, sort, onSort, children }) => {
+  const direction = columnSortDirection(sort, field);
+  return (
+    <th
+      className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase"
+      aria-sort={direction ? `${direction}ending` : undefined}
+    >
+      <button
+        onClick={() => onSort(nextColumnSort(sort, field))}
+        className={`flex items-center gap-1 uppercase hover:text-gray-700 ${direction ? 'text-primary-600' : ''}`}
+      >
+        {children}
+        {direction && (
+          <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d={direction === 'asc' ? 'M5 15l7-7 7 7' : 'M19 9l-7 7-7-7'} />
+          </svg>
+        )}
+      </button>
+    </th>
+  );
+};
+
 // Skeleton loader
 const ProductSkeleton = () => (
   <div className="card p-4 animate-pulse">
@@ -67,7 +102,10 @@ const MobileProductCard = ({
   onViewImage,
   onEdit,
   onDelete,
-  isDeleting
+  isDeleting,
+  canDelete,
+  isLowStock,
+  areaUnit
 }) => {
   const longPressHandlers = useLongPress(onLongPress, 500);
 
@@ -106,20 +144,27 @@ const MobileProductCard = ({
           onClick={(e) => {
             if (!isSelectionMode && product.image) {
               e.stopPropagation();
-              onViewImage(product.image, product.name);
+              onViewImage(product);
             }
           }}
-          className={`w-14 h-14 rounded-lg flex-shrink-0 overflow-hidden ${
+          className={`relative w-14 h-14 rounded-lg flex-shrink-0 overflow-hidden ${
             !isSelectionMode && product.image ? 'cursor-pointer' : ''
           }`}
         >
           {product.image ? (
-            <img
-              src={product.image}
-              alt={product.name}
-              className="w-full h-full object-cover"
-              loading="lazy"
-            />
+            <>
+              <img
+                src={product.thumbnail || product.image}
+                alt={product.name}
+                className="w-full h-full object-cover"
+                loading="lazy"
+              />
+              {product.images?.length > 1 && (
+                <span className="absolute bottom-0.5 right-0.5 px-1 text-[10px] leading-4 rounded bg-black/60 text-white">
+                  {product.images.length}
+                </span>
+              )}
+            </>
           ) : (
             <div className="w-full h-full bg-gray-100 flex items-center justify-center">
               <svg className="w-6 h-6 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -131,25 +176,56 @@ const MobileProductCard = ({
 
         {/* Details */}
         <div className="flex-1 min-w-0">
-          <h3 className="font-medium text-gray-800 truncate">{product.name}</h3>
+          <div className="flex items-center gap-2">
+            <h3 className="font-medium text-gray-800 truncate">{product.name}</h3>
+            {product.matchedBundles?.length > 0 && (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-primary-50 text-primary-700 flex-shrink-0">
+                Bundle {product.matchedBundles.join(', ')}
+              </span>
+            )}
+            {isLowStock && (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700 flex-shrink-0">Low</span>
+            )}
+            {product.heldQty > 0 && (
+              <span
+                className="px-2 py-0.5 text-xs rounded-full bg-amber-100 text-amber-700 flex-shrink-0"
+                title={`${product.availableQty} available`}
+              >
+                {product.heldQty} held
+              </span>
+            )}
+          </div>
           <div className="mt-1 grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
             <p className="text-gray-500">
-              Qty: <span className="font-medium text-gray-700">{product.qty}</span>
+              Qty: <span className="font-medium text-gray-700">{displayQty(product)}</span>
             </p>
             <p className="text-gray-500">
-              Price: <span className="font-medium text-gray-700">₹{product.price}</span>
+              Price:{' '}
+              <span
+                className={`font-medium ${product.usesBasePrice ? 'text-gray-400' : 'text-gray-700'}`}
+                title={product.usesBasePrice ? 'Not in this price list; base price' : undefined}
+              >
+                ₹{displayPrice(product)}
+              </span>
             </p>
             <p className="text-gray-500">
               Billing: <span className="font-medium text-gray-700">{product.billing}</span>
             </p>
             <p className="text-gray-500">
-              Rakam: <span className="font-medium text-green-600">₹{product.rakam?.toLocaleString('en-IN')}</span>
+              Rakam: <span className="font-medium text-green-600">₹{displayRakam(product)?.toLocaleString('en-IN')}</span>
             </p>
           </div>
+          {formatSize(product) && (
+            <p className="mt-1 text-xs text-gray-500">
+              {formatSize(product)}
+              {product.leafCount && <span> · {product.leafCount} leaves</span>}
+              {product.area && <span> · {formatArea(product, areaUnit)}</span>}
+            </p>
+          )}
           <div className="mt-1 text-xs text-gray-400">
-            {product.sampleLocation && <span>Sample: {product.sampleLocation}</span>}
-            {product.sampleLocation && product.ghodaLocation && <span> | </span>}
-            {product.ghodaLocation && <span>Ghoda: {product.ghodaLocation}</span>}
+            {product.sampleLocationId && <span>Sample: {product.sampleLocationId.code}</span>}
+            {product.sampleLocationId && product.ghodaLocationId && <span> | </span>}
+            {product.ghodaLocationId && <span>Ghoda: {product.ghodaLocationId.code}</span>}
           </div>
         </div>
 
@@ -162,32 +238,34 @@ const MobileProductCard = ({
                 onEdit(product);
               }}
               className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
-              title="Edit"
+              title={can('manageProducts') ? 'Edit' : 'View'}
             >
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
               </svg>
             </button>
-            <button
-              onClick={(e) => {
-                e.stopPropagation();
-                onDelete(product._id);
-              }}
-              disabled={isDeleting}
-              className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
-              title="Delete"
-            >
-              {isDeleting ? (
-                <svg className="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-              ) : (
-                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                </svg>
-              )}
-            </button>
+            {canDelete && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onDelete(product._id);
+                }}
+                disabled={isDeleting}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                title="Delete"
+              >
+                {isDeleting ? (
+                  <svg className="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                ) : (
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                )}
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -198,6 +276,7 @@ const MobileProductCard = ({
 const SubCategoryView = () => {
   const { categoryId, subCategoryId } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   
   const [category, setCategory] = useState(null);
   const [subCategory, setSubCategory] = useState(null);
@@ -206,27 +285,33 @@ const SubCategoryView = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [isLoadingMore, setIsLoadingMore] = useState(false);
   
-  const [searchText, setSearchText] = useState('');
-  const [qtyFilter, setQtyFilter] = useState('');
-  const [qtyMin, setQtyMin] = useState(null);
-  const [qtyMax, setQtyMax] = useState(null);
+  // Search and filters live in the URL so a filtered list can be shared
+  const searchText = searchParams.get('search') || '';
+  const query = filterQuery(searchParams);
+  const filters = useMemo(() => filtersFromQuery(query), [query]);
+  const [isFilterDrawerOpen, setIsFilterDrawerOpen] = useState(false);
+  const [filterLocations, setFilterLocations] = useState({ ghoda: null, sample: null });
   
   const [isProductModalOpen, setIsProductModalOpen] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
   const [isImageModalOpen, setIsImageModalOpen] = useState(false);
-  const [selectedImage, setSelectedImage] = useState({ url: '', name: '' });
+  const [selectedImage, setSelectedImage] = useState({ images: [], name: '' });
   const [deletingProductId, setDeletingProductId] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [priceListId, setPriceListId] = useState(getSelectedPriceList);
+  const [sort, setSort] = useState(getProductSort);
 
   // Selection mode state
   const [isSelectionMode, setIsSelectionMode] = useState(false);
   const [selectedProducts, setSelectedProducts] = useState(new Set());
   const [isSharing, setIsSharing] = useState(false);
+  const [isLabelsModalOpen, setIsLabelsModalOpen] = useState(false);
 
   // Clear selection when products change or filter is applied
   useEffect(() => {
     setSelectedProducts(new Set());
     setIsSelectionMode(false);
-  }, [searchText, qtyMin, qtyMax, subCategoryId]);
+  }, [searchText, filters, subCategoryId]);
 
   // Handle long press to enter selection mode
   const handleLongPress = useCallback((product) => {
@@ -269,7 +354,7 @@ const SubCategoryView = () => {
 
   // Share selected product images
   const shareSelectedImages = async () => {
-    const selectedProductsList = products.filter(p => selectedProducts.has(p._id) && p.image);
+    const selectedProductsList = products.filter(p => selectedProducts.has(p._id) && productImages(p).length > 0);
     
     if (selectedProductsList.length === 0) {
       toast.error('No images to share. Selected products have no images.');
@@ -278,20 +363,8 @@ const SubCategoryView = () => {
 
     setIsSharing(true);
     try {
-      // Fetch all images and convert to blobs
-      const imagePromises = selectedProductsList.map(async (product) => {
-        try {
-          const response = await fetch(product.image);
-          const blob = await response.blob();
-          const extension = blob.type.split('/')[1] || 'jpg';
-          return new File([blob], `${product.name}.${extension}`, { type: blob.type });
-        } catch (err) {
-          console.error(`Failed to fetch image for ${product.name}:`, err);
-          return null;
-        }
-      });
-
-      const files = (await Promise.all(imagePromises)).filter(f => f !== null);
+      // Fetch every image of each product and convert to files
+      const files = await productImageFiles(selectedProductsList);
 
       if (files.length === 0) {
         toast.error('Failed to load images for sharing');
@@ -341,6 +414,27 @@ const SubCategoryView = () => {
     fetchData();
   }, [categoryId, subCategoryId, navigate]);
 
+  // Areas are shown in the unit the category values by
+  const areaUnit = category?.areaUnit || 'sqft';
+  const chips = filterChips(filters, filterLocations);
+
+  // Products without their own reorder level use the subcategory's
+  const isLowStock = (product) => displayQty(product) <= (product.reorderLevel ?? subCategory?.reorderLevel ?? 0);
+
+  // Fetch stock valuation totals for this subcategory
+  const fetchSummary = useCallback(async () => {
+    try {
+      const response = await reportAPI.getSummary({ subCategoryId, ...godownParams(), priceListId: priceListId || undefined });
+      setSummary(response.data);
+    } catch (error) {
+      toast.error('Failed to load stock summary');
+    }
+  }, [subCategoryId, priceListId]);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary]);
+
   // Fetch products with debounce and filters
   const fetchProducts = useCallback(async (page = 1, append = false) => {
     if (append) {
@@ -352,13 +446,15 @@ const SubCategoryView = () => {
     try {
       const params = {
         subCategoryId,
+        ...godownParams(),
         page,
         limit: 20
       };
 
+      if (priceListId) params.priceListId = priceListId;
       if (searchText) params.search = searchText;
-      if (qtyMin !== null) params.qtyMin = qtyMin;
-      if (qtyMax !== null) params.qtyMax = qtyMax;
+      if (sort) params.sort = sort;
+      Object.assign(params, filterParams(filters));
 
       const response = await productAPI.getAll(params);
       
@@ -374,7 +470,7 @@ const SubCategoryView = () => {
       setIsLoading(false);
       setIsLoadingMore(false);
     }
-  }, [subCategoryId, searchText, qtyMin, qtyMax]);
+  }, [subCategoryId, searchText, filters, priceListId, sort]);
 
   // Debounced fetch when filters change
   useEffect(() => {
@@ -385,12 +481,86 @@ const SubCategoryView = () => {
     return () => clearTimeout(timer);
   }, [fetchProducts]);
 
-  const handleQuantityFilterChange = (value, min, max) => {
-    setQtyFilter(value);
-    setQtyMin(min);
-    setQtyMax(max);
+  const handlePriceListChange = useCallback((id) => {
+    setSelectedPriceList(id);
+    setPriceListId(id);
+  }, []);
+
+  // The chosen order is saved with the user's account, so it follows them to other devices
+  const handleSortChange = async (value) => {
+    setSort(value);
+    storeProductSort(value);
+    try {
+      await authAPI.updatePreferences({ productSort: value });
+    } catch (error) {
+      toast.error('Failed to save sort order');
+    }
+  };
+
+  const handleSearchChange = useCallback((value) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (value) {
+        next.set('search', value);
+      } else {
+        next.delete('search');
+      }
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  const applyFilters = (nextFilters, locations) => {
+    if (locations) setFilterLocations(locations);
+    setSearchParams(prev => withFilters(prev, nextFilters), { replace: true });
+  };
+
+  const removeFilter = (keys) => {
+    applyFilters({ ...filters, ...Object.fromEntries(keys.map(key => [key, ''])) });
+  };
+
+  const clearFilters = () => {
+    setSearchParams((prev) => {
+      const next = withFilters(prev, emptyFilters);
+      next.delete('search');
+      return next;
+    }, { replace: true });
   };
 
+  // Look up the locations filtered by, for their codes, when they come from a shared link
+  // rather than the drawer, and forget those no longer filtered by. All lookups land in one
+  // update, and a failed one changes nothing, so this doesn't run again until the filters do.
+  useEffect(() => {
+    const types = Object.keys(locationTypes);
+    const idOf = type => filters[`${type}LocationId`];
+    const missing = types.filter(type => idOf(type) && filterLocations[type]?._id !== idOf(type));
+    const cleared = Object.fromEntries(types.filter(type => !idOf(type) && filterLocations[type]).map(type => [type, null]));
+
+    if (missing.length === 0) {
+      if (Object.keys(cleared).length > 0) setFilterLocations(prev => ({ ...prev, ...cleared }));
+      return undefined;
+    }
+
+    let isCancelled = false;
+    Promise.allSettled(missing.map(type => locationAPI.getById(idOf(type)))).then((results) => {
+      if (isCancelled) return;
+      const found = {};
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+          found[missing[i]] = result.value.data;
+        } else {
+          toast.error(`${locationTypes[missing[i]].short} location not found`);
+        }
+      });
+      if (Object.keys(found).length + Object.keys(cleared).length > 0) {
+        setFilterLocations(prev => ({ ...prev, ...cleared, ...found }));
+      }
+    });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [filters, filterLocations]);
+
   const handleLoadMore = () => {
     if (pagination.page < pagination.pages && !isLoadingMore) {
       fetchProducts(pagination.page + 1, true);
@@ -406,6 +576,7 @@ const SubCategoryView = () => {
       await productAPI.create(productData);
     }
     fetchProducts(1, false);
+    fetchSummary();
   };
 
   const handleDeleteProduct = async (productId) => {
@@ -418,6 +589,7 @@ const SubCategoryView = () => {
       await productAPI.delete(productId);
       toast.success('Product deleted');
       fetchProducts(1, false);
+      fetchSummary();
     } catch (error) {
       toast.error('Failed to delete product');
     } finally {
@@ -430,8 +602,31 @@ const SubCategoryView = () => {
     setIsProductModalOpen(true);
   };
 
-  const handleViewImage = (imageUrl, productName) => {
-    setSelectedImage({ url: imageUrl, name: productName });
+  // Open a product from a deep link (/product/:id redirects here with ?product=)
+  useEffect(() => {
+    const productId = searchParams.get('product');
+    if (!productId) return;
+
+    const openProduct = async () => {
+      try {
+        const response = await productAPI.getById(productId);
+        setEditingProduct(response.data);
+        setIsProductModalOpen(true);
+      } catch (error) {
+        toast.error('Product not found');
+      }
+      setSearchParams((prev) => {
+        const next = new URLSearchParams(prev);
+        next.delete('product');
+        return next;
+      }, { replace: true });
+    };
+
+    openProduct();
+  }, [searchParams, setSearchParams]);
+
+  const handleViewImage = (product) => {
+    setSelectedImage({ images: productImages(product), name: product.name });
     setIsImageModalOpen(true);
   };
 
@@ -466,38 +661,84 @@ const SubCategoryView = () => {
           <div className="flex gap-2">
             <SearchFilter
               value={searchText}
-              onChange={setSearchText}
+              onChange={handleSearchChange}
               placeholder="Search products..."
               results={[]}
               onResultClick={() => {}}
             />
-            <QuantityFilter
-              value={qtyFilter}
-              onChange={handleQuantityFilterChange}
+            <button
+              onClick={() => setIsFilterDrawerOpen(true)}
+              className={`flex items-center gap-2 px-4 py-3 bg-white border rounded-lg hover:border-gray-400 transition-colors ${
+                chips.length > 0 ? 'border-primary-400' : 'border-gray-300'
+              }`}
+            >
+              <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z" />
+              </svg>
+              <span className="text-sm font-medium text-gray-700">
+                Filters{chips.length > 0 && ` (${chips.length})`}
+              </span>
+            </button>
+            <ExportMenu
+              params={{ subCategoryId, ...godownParams(), priceListId: priceListId || undefined, ...filterParams(filters), search: searchText || undefined }}
             />
           </div>
+
+          {/* Active filters */}
+          {chips.length > 0 && (
+            <div className="flex gap-2 mt-3 overflow-x-auto hide-scrollbar">
+              {chips.map(chip => (
+                <span
+                  key={chip.keys.join()}
+                  className="flex items-center gap-1 pl-3 pr-1 py-1 bg-primary-50 text-primary-700 text-sm rounded-full whitespace-nowrap"
+                >
+                  {chip.label}
+                  <button
+                    onClick={() => removeFilter(chip.keys)}
+                    className="w-5 h-5 flex items-center justify-center rounded-full hover:bg-primary-100"
+                    title={`Remove ${chip.label} filter`}
+                  >
+                    <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
         </div>
       </header>
 
       {/* Main Content */}
       <main className="p-4">
-        <div className="flex items-center justify-between mb-4">
+        <SummaryCards totals={summary?.overall} isLoading={!summary} />
+
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
           <h2 className="text-lg font-semibold text-gray-800">
             Products ({pagination.total})
           </h2>
-          {(searchText || qtyFilter) && (
-            <button
-              onClick={() => {
-                setSearchText('');
-                setQtyFilter('');
-                setQtyMin(null);
-                setQtyMax(null);
-              }}
-              className="text-sm text-primary-600 hover:text-primary-700"
+          <div className="flex items-center gap-3">
+            {(searchText || chips.length > 0) && (
+              <button
+                onClick={clearFilters}
+                className="text-sm text-primary-600 hover:text-primary-700"
+              >
+                Clear filters
+              </button>
+            )}
+            <select
+              value={sort}
+              onChange={(e) => handleSortChange(e.target.value)}
+              className="input-field py-2 text-sm w-auto"
+              aria-label="Sort products"
             >
-              Clear filters
-            </button>
-          )}
+              {productSorts.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {/* Price list the prices and rakam are shown at */}
+            <PriceListSwitcher value={priceListId} onChange={handlePriceListChange} />
+          </div>
         </div>
 
         {isLoading && products.length === 0 ? (
@@ -530,6 +771,17 @@ const SubCategoryView = () => {
                     >
                       {selectedProducts.size === products.length ? 'Deselect All' : 'Select All'}
                     </button>
+                    <button
+                      onClick={() => setIsLabelsModalOpen(true)}
+                      disabled={selectedProducts.size === 0}
+                      title="Print QR labels"
+                      className="px-3 py-1.5 text-sm bg-white text-primary-600 hover:bg-gray-100 rounded-lg transition-colors flex items-center gap-2 disabled:opacity-50"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v1m6 11h2m-6 0h-2v4m0-11v3m0 0h.01M12 12h4.01M16 20h4M4 12h4m12 0h.01M5 8h2a1 1 0 001-1V5a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1zm12 0h2a1 1 0 001-1V5a1 1 0 00-1-1h-2a1 1 0 00-1 1v2a1 1 0 001 1zM5 20h2a1 1 0 001-1v-2a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1z" />
+                      </svg>
+                      <span className="hidden sm:inline">Labels</span>
+                    </button>
                     <button
                       onClick={shareSelectedImages}
                       disabled={isSharing || selectedProducts.size === 0}
@@ -573,6 +825,9 @@ const SubCategoryView = () => {
                     onEdit={handleEditProduct}
                     onDelete={handleDeleteProduct}
                     isDeleting={deletingProductId === product._id}
+                    canDelete={can('deleteProducts')}
+                    isLowStock={isLowStock(product)}
+                    areaUnit={areaUnit}
                   />
                 );
               })}
@@ -594,13 +849,15 @@ const SubCategoryView = () => {
                       </th>
                     )}
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Image</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Qty</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Price</th>
+                    <SortableHeader field="name" sort={sort} onSort={handleSortChange}>Name</SortableHeader>
+                    <SortableHeader field="qty" sort={sort} onSort={handleSortChange}>Qty</SortableHeader>
+                    <SortableHeader field="price" sort={sort} onSort={handleSortChange}>Price</SortableHeader>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Billing</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rakam</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Size</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Area</th>
+                    <SortableHeader field="rakam" sort={sort} onSort={handleSortChange}>Rakam</SortableHeader>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Sample Loc</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Ghoda Loc</th>
+                    <SortableHeader field="location" sort={sort} onSort={handleSortChange}>Ghoda Loc</SortableHeader>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
                   </tr>
                 </thead>
@@ -639,20 +896,27 @@ const SubCategoryView = () => {
                           onClick={(e) => {
                             if (!isSelectionMode && product.image) {
                               e.stopPropagation();
-                              handleViewImage(product.image, product.name);
+                              handleViewImage(product);
                             }
                           }}
-                          className={`w-12 h-12 rounded-lg overflow-hidden ${
+                          className={`relative w-12 h-12 rounded-lg overflow-hidden ${
                             !isSelectionMode && product.image ? 'cursor-pointer' : ''
                           }`}
                         >
                           {product.image ? (
-                            <img
-                              src={product.image}
-                              alt={product.name}
-                              className="w-full h-full object-cover"
-                              loading="lazy"
-                            />
+                            <>
+                              <img
+                                src={product.thumbnail || product.image}
+                                alt={product.name}
+                                className="w-full h-full object-cover"
+                                loading="lazy"
+                              />
+                              {product.images?.length > 1 && (
+                                <span className="absolute bottom-0.5 right-0.5 px-1 text-[10px] leading-4 rounded bg-black/60 text-white">
+                                  {product.images.length}
+                                </span>
+                              )}
+                            </>
                           ) : (
                             <div className="w-full h-full bg-gray-100 flex items-center justify-center">
                               <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -662,13 +926,54 @@ const SubCategoryView = () => {
                           )}
                         </div>
                       </td>
-                      <td className="px-4 py-3 font-medium text-gray-800">{product.name}</td>
-                      <td className="px-4 py-3 text-gray-600">{product.qty}</td>
-                      <td className="px-4 py-3 text-gray-600">₹{product.price}</td>
+                      <td className="px-4 py-3 font-medium text-gray-800">
+                        {product.name}
+                        {product.matchedBundles?.length > 0 && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-normal rounded-full bg-primary-50 text-primary-700">
+                            Bundle {product.matchedBundles.join(', ')}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-gray-600">
+                        {displayQty(product)}
+                        {isLowStock(product) && (
+                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">Low</span>
+                        )}
+                        {product.heldQty > 0 && (
+                          <span
+                            className="ml-2 px-2 py-0.5 text-xs rounded-full bg-amber-100 text-amber-700"
+                            title={`${product.availableQty} available`}
+                          >
+                            {product.heldQty} held
+                          </span>
+                        )}
+                      </td>
+                      <td
+                        className={`px-4 py-3 ${product.usesBasePrice ? 'text-gray-400' : 'text-gray-600'}`}
+                        title={product.usesBasePrice ? 'Not in this price list; base price' : undefined}
+                      >
+                        ₹{displayPrice(product)}
+                      </td>
                       <td className="px-4 py-3 text-gray-600">{product.billing}</td>
-                      <td className="px-4 py-3 font-medium text-green-600">₹{product.rakam?.toLocaleString('en-IN')}</td>
-                      <td className="px-4 py-3 text-gray-600">{product.sampleLocation || '-'}</td>
-                      <td className="px-4 py-3 text-gray-600">{product.ghodaLocation || '-'}</td>
+                      <td className="px-4 py-3 text-gray-600 whitespace-nowrap">
+                        {formatSize(product) || '-'}
+                        {product.leafCount && <span className="block text-xs text-gray-400">{product.leafCount} leaves</span>}
+                      </td>
+                      <td className="px-4 py-3 text-gray-600 whitespace-nowrap">{formatArea(product, areaUnit) || '-'}</td>
+                      <td className="px-4 py-3 font-medium text-green-600">₹{displayRakam(product)?.toLocaleString('en-IN')}</td>
+                      {['sampleLocationId', 'ghodaLocationId'].map((field) => (
+                        <td key={field} className="px-4 py-3 text-gray-600">
+                          {product[field] ? (
+                            <Link
+                              to={locationPath(product[field])}
+                              onClick={(e) => e.stopPropagation()}
+                              className="text-primary-600 hover:text-primary-700"
+                            >
+                              {product[field].code}
+                            </Link>
+                          ) : '-'}
+                        </td>
+                      ))}
                       <td className="px-4 py-3">
                         {!isSelectionMode && (
                         <div className="flex gap-2">
@@ -678,32 +983,34 @@ const SubCategoryView = () => {
                               handleEditProduct(product);
                             }}
                             className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
-                            title="Edit"
+                            title={can('manageProducts') ? 'Edit' : 'View'}
                           >
                             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
                             </svg>
                           </button>
-                          <button
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              handleDeleteProduct(product._id);
-                            }}
-                            disabled={deletingProductId === product._id}
-                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
-                            title="Delete"
-                          >
-                            {deletingProductId === product._id ? (
-                              <svg className="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24">
-                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                              </svg>
-                            ) : (
-                              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                              </svg>
-                            )}
-                          </button>
+                          {can('deleteProducts') && (
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleDeleteProduct(product._id);
+                              }}
+                              disabled={deletingProductId === product._id}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                              title="Delete"
+                            >
+                              {deletingProductId === product._id ? (
+                                <svg className="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24">
+                                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                </svg>
+                              ) : (
+                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                </svg>
+                              )}
+                            </button>
+                          )}
                         </div>
                         )}
                       </td>
@@ -743,9 +1050,9 @@ const SubCategoryView = () => {
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" />
             </svg>
             <p className="text-gray-500 mb-4">
-              {searchText || qtyFilter ? 'No products match your filters' : 'No products yet'}
+              {searchText || chips.length > 0 ? 'No products match your filters' : 'No products yet'}
             </p>
-            {!searchText && !qtyFilter && (
+            {!searchText && chips.length === 0 && can('manageProducts') && (
               <button
                 onClick={() => setIsProductModalOpen(true)}
                 className="btn-primary"
@@ -758,18 +1065,20 @@ const SubCategoryView = () => {
       </main>
 
       {/* Floating Action Button */}
-      <button
-        onClick={() => {
-          setEditingProduct(null);
-          setIsProductModalOpen(true);
-        }}
-        className="fab fixed bottom-6 right-6 w-14 h-14 bg-primary-500 hover:bg-primary-600 text-white rounded-full shadow-lg flex items-center justify-center transition-colors z-30"
-        title="Add Product"
-      >
-        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
-        </svg>
-      </button>
+      {can('manageProducts') && (
+        <button
+          onClick={() => {
+            setEditingProduct(null);
+            setIsProductModalOpen(true);
+          }}
+          className="fab fixed bottom-6 right-6 w-14 h-14 bg-primary-500 hover:bg-primary-600 text-white rounded-full shadow-lg flex items-center justify-center transition-colors z-30"
+          title="Add Product"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
+          </svg>
+        </button>
+      )}
 
       {/* Product Modal */}
       <ProductModal
@@ -779,15 +1088,37 @@ const SubCategoryView = () => {
           setEditingProduct(null);
         }}
         onSave={handleSaveProduct}
+        onStockChange={() => {
+          fetchProducts(1, false);
+          fetchSummary();
+        }}
         product={editingProduct}
         subCategoryId={subCategoryId}
+        category={category}
+        defaultReorderLevel={subCategory?.reorderLevel ?? 0}
+      />
+
+      {/* Labels Modal */}
+      <LabelsModal
+        isOpen={isLabelsModalOpen}
+        onClose={() => setIsLabelsModalOpen(false)}
+        productIds={[...selectedProducts]}
+      />
+
+      {/* Filter Drawer */}
+      <FilterDrawer
+        isOpen={isFilterDrawerOpen}
+        onClose={() => setIsFilterDrawerOpen(false)}
+        filters={filters}
+        locations={filterLocations}
+        onApply={applyFilters}
       />
 
       {/* Image Modal */}
       <ImageModal
         isOpen={isImageModalOpen}
         onClose={() => setIsImageModalOpen(false)}
-        imageUrl={selectedImage.url}
+        images={selectedImage.images}
         productName={selectedImage.name}
       />
     </div>
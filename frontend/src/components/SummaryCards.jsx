@@ -0,0 +1,32 @@
+const formatNumber = (value) => (value || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 });
+
+// Stock valuation totals for a scope (overall, a category or a subcategory)
+const SummaryCards = ({ totals, isLoading }) => {
+  const cards = [
+    { label: 'Stock Value', value: `₹${formatNumber(totals?.totalRakam)}`, className: 'text-primary-600' },
+    { label: 'Total Qty', value: formatNumber(totals?.totalQty), className: 'text-gray-800' },
+    { label: 'Products', value: formatNumber(totals?.productCount), className: 'text-gray-800' },
+    {
+      label: 'Out of Stock',
+      value: formatNumber(totals?.zeroStockCount),
+      className: totals?.zeroStockCount ? 'text-red-600' : 'text-gray-800',
+    },
+  ];
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-6">
+      {cards.map((card) => (
+        <div key={card.label} className="card p-3">
+          <p className="text-xs text-gray-500">{card.label}</p>
+          {isLoading ? (
+            <div className="h-6 mt-1 bg-gray-200 rounded w-2/3 animate-pulse"></div>
+          ) : (
+            <p className={`text-lg font-semibold truncate ${card.className}`}>{card.value}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SummaryCards;
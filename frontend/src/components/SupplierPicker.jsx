@@ -0,0 +1,137 @@
+import { useState, useEffect, useRef } from 'react';
+import SupplierModal from './SupplierModal';
+import { supplierAPI } from '../utils/api';
+import { can } from '../utils/permissions';
+
+// Searchable supplier picker. `value` is the selected supplier or null; users who manage
+// suppliers can add a new one from the search text.
+const SupplierPicker = ({ value, onChange, disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [search, setSearch] = useState('');
+  const [suppliers, setSuppliers] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isAddOpen, setIsAddOpen] = useState(false);
+  const wrapperRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  // Debounced search while the dropdown is open
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await supplierAPI.getAll({ search: search.trim() || undefined, limit: 20 });
+        setSuppliers(response.data.suppliers);
+      } catch (error) {
+        console.error('Supplier search error:', error);
+      } finally {
+        setIsSearching(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [isOpen, search]);
+
+  const select = (supplier) => {
+    onChange(supplier);
+    setIsOpen(false);
+  };
+
+  return (
+    <div ref={wrapperRef} className="relative">
+      {isOpen ? (
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+          }}
+          className="input-field"
+          placeholder="Search name or phone"
+          aria-label="Supplier"
+          autoFocus
+        />
+      ) : (
+        <button
+          type="button"
+          onClick={() => {
+            setSearch('');
+            setIsOpen(true);
+          }}
+          className="input-field text-left truncate"
+          aria-label="Supplier"
+          disabled={disabled}
+        >
+          {value ? (
+            <span className="text-gray-800">
+              {value.name}
+              {value.phone && <span className="text-gray-400"> · {value.phone}</span>}
+            </span>
+          ) : (
+            <span className="text-gray-400">Choose a supplier</span>
+          )}
+        </button>
+      )}
+
+      {/* Results Dropdown */}
+      {isOpen && (
+        <div className="absolute top-full left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg z-50 max-h-64 overflow-y-auto">
+          {suppliers.map((supplier) => (
+            <button
+              key={supplier._id}
+              type="button"
+              onClick={() => select(supplier)}
+              className={`w-full px-3 py-2 text-left hover:bg-gray-50 border-b border-gray-100 last:border-b-0 ${
+                value?._id === supplier._id ? 'bg-primary-50' : ''
+              }`}
+            >
+              <span className="block font-medium text-gray-800 truncate">{supplier.name}</span>
+              {(supplier.phone || supplier.address) && (
+                <span className="block text-xs text-gray-500 truncate">
+                  {[supplier.phone, supplier.address].filter(Boolean).join(' · ')}
+                </span>
+              )}
+            </button>
+          ))}
+          {!isSearching && suppliers.length === 0 && (
+            <p className="px-3 py-2 text-sm text-gray-500">No suppliers found</p>
+          )}
+          {can('manageSuppliers') && (
+            <button
+              type="button"
+              onClick={() => {
+                setIsOpen(false);
+                setIsAddOpen(true);
+              }}
+              className="w-full px-3 py-2 text-left text-sm text-primary-600 hover:bg-primary-50"
+            >
+              + Add {search.trim() ? `"${search.trim()}"` : 'supplier'}
+            </button>
+          )}
+        </div>
+      )}
+
+      <SupplierModal
+        isOpen={isAddOpen}
+        onClose={() => setIsAddOpen(false)}
+        onSave={onChange}
+        defaultName={search.trim()}
+      />
+    </div>
+  );
+};
+
+export default SupplierPicker;
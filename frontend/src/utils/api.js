@@ -41,15 +41,25 @@ export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
   verify: () => api.get('/auth/verify'),
   register: (userData) => api.post('/auth/register', userData),
+  getUsers: () => api.get('/auth/users'),
+  updateRole: (id, role) => api.put(`/auth/users/${id}/role`, { role }),
+  confirm: (pin) => api.post('/auth/confirm', { pin }),
+  updatePin: (data) => api.put('/auth/pin', data),
+  updatePreferences: (data) => api.put('/auth/preferences', data),
 };
 
+// Sensitive actions send the token returned by authAPI.confirm
+const withConfirmation = (confirmationToken) => ({
+  headers: { 'X-Confirmation-Token': confirmationToken },
+});
+
 // Category API
 export const categoryAPI = {
   getAll: (search = '') => api.get('/categories', { params: { search } }),
   getById: (id) => api.get(`/categories/${id}`),
   create: (data) => api.post('/categories', data),
   update: (id, data) => api.put(`/categories/${id}`, data),
-  delete: (id) => api.delete(`/categories/${id}`),
+  delete: (id, confirmationToken) => api.delete(`/categories/${id}`, withConfirmation(confirmationToken)),
 };
 
 // SubCategory API
@@ -58,17 +68,138 @@ export const subCategoryAPI = {
   getById: (id) => api.get(`/subcategories/${id}`),
   create: (data) => api.post('/subcategories', data),
   update: (id, data) => api.put(`/subcategories/${id}`, data),
-  delete: (id) => api.delete(`/subcategories/${id}`),
+  delete: (id, confirmationToken) => api.delete(`/subcategories/${id}`, withConfirmation(confirmationToken)),
 };
 
 // Product API
 export const productAPI = {
   getAll: (params = {}) => api.get('/products', { params }),
   search: (params = {}) => api.get('/products/search', { params }),
+  getLowStock: (params = {}) => api.get('/products/low-stock', { params }),
   getById: (id) => api.get(`/products/${id}`),
   create: (data) => api.post('/products', data),
   update: (id, data) => api.put(`/products/${id}`, data),
   delete: (id) => api.delete(`/products/${id}`),
+  getMovements: (id, params = {}) => api.get(`/products/${id}/movements`, { params }),
+  addMovement: (id, data) => api.post(`/products/${id}/movements`, data),
+  getPriceHistory: (id, params = {}) => api.get(`/products/${id}/price-history`, { params }),
+  export: (params = {}) => api.get('/products/export', { params, responseType: 'blob' }),
+  labels: (data) => api.post('/products/labels', data, { responseType: 'blob' }),
+  import: (file, dryRun) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', String(dryRun));
+    return api.post('/products/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+};
+
+// Godown API
+export const godownAPI = {
+  getAll: () => api.get('/godowns'),
+  create: (data) => api.post('/godowns', data),
+  update: (id, data) => api.put(`/godowns/${id}`, data),
+  delete: (id) => api.delete(`/godowns/${id}`),
+};
+
+// Price list API
+export const priceListAPI = {
+  getAll: () => api.get('/price-lists'),
+  create: (data) => api.post('/price-lists', data),
+  update: (id, data) => api.put(`/price-lists/${id}`, data),
+  delete: (id) => api.delete(`/price-lists/${id}`),
+};
+
+// Bundle API
+export const bundleAPI = {
+  getAll: (params) => api.get('/bundles', { params }),
+  getById: (id) => api.get(`/bundles/${id}`),
+  create: (data) => api.post('/bundles', data),
+  update: (id, data) => api.put(`/bundles/${id}`, data),
+  move: (id, data) => api.post(`/bundles/${id}/move`, data),
+};
+
+// Customer API
+export const customerAPI = {
+  getAll: (params) => api.get('/customers', { params }),
+  getById: (id) => api.get(`/customers/${id}`),
+  create: (data) => api.post('/customers', data),
+  update: (id, data) => api.put(`/customers/${id}`, data),
+  delete: (id) => api.delete(`/customers/${id}`),
+};
+
+// Sales challan API
+export const challanAPI = {
+  getAll: (params) => api.get('/challans', { params }),
+  getById: (id) => api.get(`/challans/${id}`),
+  create: (data) => api.post('/challans', data),
+  cancel: (id, data, confirmationToken) => api.post(`/challans/${id}/cancel`, data, withConfirmation(confirmationToken)),
+};
+
+// Reservation (hold) API
+export const reservationAPI = {
+  getAll: (params) => api.get('/reservations', { params }),
+  create: (data) => api.post('/reservations', data),
+  release: (id) => api.post(`/reservations/${id}/release`),
+};
+
+// Supplier API
+export const supplierAPI = {
+  getAll: (params) => api.get('/suppliers', { params }),
+  getById: (id) => api.get(`/suppliers/${id}`),
+  create: (data) => api.post('/suppliers', data),
+  update: (id, data) => api.put(`/suppliers/${id}`, data),
+  delete: (id) => api.delete(`/suppliers/${id}`),
+};
+
+// Purchase inward API
+export const purchaseAPI = {
+  getAll: (params) => api.get('/purchases', { params }),
+  getById: (id) => api.get(`/purchases/${id}`),
+  create: (data) => api.post('/purchases', data),
+};
+
+// Location API
+export const locationAPI = {
+  getAll: (params) => api.get('/locations', { params }),
+  getById: (id) => api.get(`/locations/${id}`),
+  create: (data) => api.post('/locations', data),
+  update: (id, data) => api.put(`/locations/${id}`, data),
+  delete: (id) => api.delete(`/locations/${id}`),
+};
+
+// Uploads API
+export const uploadAPI = {
+  image: (file) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    return api.post('/uploads/images', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+};
+
+// Search API
+export const searchAPI = {
+  query: (params) => api.get('/search', { params }),
+};
+
+// Reports API
+export const reportAPI = {
+  getSummary: (params = {}) => api.get('/reports/summary', { params }),
+};
+
+// Audit API
+export const auditAPI = {
+  getAll: (params = {}) => api.get('/audit', { params }),
+};
+
+// Recycle Bin API
+export const recycleBinAPI = {
+  getAll: () => api.get('/recycle-bin'),
+  restore: (type, id) => api.post(`/recycle-bin/${type}/${id}/restore`),
+  purge: (type, id, confirmationToken) => api.delete(`/recycle-bin/${type}/${id}`, withConfirmation(confirmationToken)),
 };
 
 export default api;
@@ -0,0 +1,38 @@
+// Leaf sizes are stored in millimetres; area comes from the API in sq ft and sq m
+
+export const areaUnits = {
+  sqft: 'sq ft',
+  sqm: 'sq m',
+};
+
+// "2440 × 1220 × 0.6 mm", or '' when the size isn't recorded
+export const formatSize = (product) => {
+  const parts = [product.length, product.width, product.thickness].filter(value => value);
+  return parts.length > 0 ? `${parts.join(' × ')} mm` : '';
+};
+
+// "320.42 sq ft", or '' when the area can't be worked out
+export const formatArea = (product, unit = 'sqft') => (
+  product.area ? `${product.area[unit].toLocaleString('en-IN')} ${areaUnits[unit]}` : ''
+);
+
+// The product's category, when the API returns it populated
+export const productCategory = (product) => product?.subCategoryId?.categoryId || null;
+
+// How rakam is worked out for a category, for labels and previews
+export const rakamBasisLabel = (category) => (
+  category?.rakamBasis === 'area' ? `area × rate per ${areaUnits[category.areaUnit || 'sqft']}` : 'billing × price'
+);
+
+// Size filter values as product list query params
+export const sizeParams = ({ thickness, lengthMin, widthMin, leafCountMin }) => {
+  const params = {};
+  if (thickness !== '') {
+    params.thicknessMin = thickness;
+    params.thicknessMax = thickness;
+  }
+  if (lengthMin !== '') params.lengthMin = lengthMin;
+  if (widthMin !== '') params.widthMin = widthMin;
+  if (leafCountMin !== '') params.leafCountMin = leafCountMin;
+  return params;
+};
@@ -0,0 +1,120 @@
+import { sizeParams } from './dimensions';
+import { locationTypes } from './locations';
+
+// Product list filters. They are kept in the URL query string so that a filtered list can
+// be bookmarked or shared; every value is a string and '' means the filter isn't set.
+export const emptyFilters = {
+  qtyMin: '',
+  qtyMax: '',
+  zeroStock: '',
+  priceMin: '',
+  priceMax: '',
+  rakamMin: '',
+  rakamMax: '',
+  ghodaLocationId: '',
+  sampleLocationId: '',
+  updatedSince: '',
+  updatedBefore: '',
+  hasImage: '',
+  thickness: '',
+  lengthMin: '',
+  widthMin: '',
+  leafCountMin: '',
+};
+
+const filterKeys = Object.keys(emptyFilters);
+
+// The filters set in URL query params, as a query string in a fixed order. Stable while the
+// filters don't change, so it can be used as a dependency.
+export const filterQuery = (searchParams) => {
+  const params = new URLSearchParams();
+  filterKeys.forEach((key) => {
+    if (searchParams.get(key)) params.set(key, searchParams.get(key));
+  });
+  return params.toString();
+};
+
+export const filtersFromQuery = (query) => {
+  const params = new URLSearchParams(query);
+  return Object.fromEntries(filterKeys.map(key => [key, params.get(key) ?? '']));
+};
+
+// URL query params with the filters set, keeping any other params
+export const withFilters = (searchParams, filters) => {
+  const next = new URLSearchParams(searchParams);
+  filterKeys.forEach((key) => {
+    if (filters[key]) {
+      next.set(key, filters[key]);
+    } else {
+      next.delete(key);
+    }
+  });
+  return next;
+};
+
+// Filters as product list query params. Out of stock overrides the quantity range.
+export const filterParams = (filters) => {
+  const { thickness, lengthMin, widthMin, leafCountMin, ...rest } = filters;
+  const params = sizeParams({ thickness, lengthMin, widthMin, leafCountMin });
+  Object.entries(rest).forEach(([key, value]) => {
+    if (value !== '') params[key] = value;
+  });
+  if (params.zeroStock === 'true') {
+    delete params.qtyMin;
+    delete params.qtyMax;
+  }
+  return params;
+};
+
+// "10–20", "≥ 10" or "≤ 20"
+const rangeText = (min, max, format = value => value) => {
+  if (min !== '' && max !== '') return `${format(min)}–${format(max)}`;
+  return min !== '' ? `≥ ${format(min)}` : `≤ ${format(max)}`;
+};
+
+const rupees = value => `₹${Number(value).toLocaleString('en-IN')}`;
+
+const formatDate = value => new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+// The active filters as chips, each with a label and the filter keys that removing it
+// clears. `locations` holds the selected ghoda and sample locations, by type, for their codes.
+export const filterChips = (filters, locations = {}) => {
+  const chips = [];
+  const range = (label, min, max, format) => {
+    if (filters[min] !== '' || filters[max] !== '') {
+      chips.push({ keys: [min, max], label: `${label} ${rangeText(filters[min], filters[max], format)}` });
+    }
+  };
+
+  if (filters.zeroStock === 'true') {
+    chips.push({ keys: ['zeroStock'], label: 'Out of stock' });
+  } else {
+    range('Qty', 'qtyMin', 'qtyMax');
+  }
+  range('Price', 'priceMin', 'priceMax', rupees);
+  range('Rakam', 'rakamMin', 'rakamMax', rupees);
+
+  Object.entries(locationTypes).forEach(([type, { short }]) => {
+    const key = `${type}LocationId`;
+    if (filters[key]) {
+      chips.push({ keys: [key], label: `${short} ${locations[type]?.code || '…'}` });
+    }
+  });
+
+  if (filters.updatedSince) {
+    chips.push({ keys: ['updatedSince'], label: `Updated since ${formatDate(filters.updatedSince)}` });
+  }
+  if (filters.updatedBefore) {
+    chips.push({ keys: ['updatedBefore'], label: `Updated before ${formatDate(filters.updatedBefore)}` });
+  }
+  if (filters.hasImage) {
+    chips.push({ keys: ['hasImage'], label: filters.hasImage === 'true' ? 'With image' : 'Without image' });
+  }
+
+  if (filters.thickness) chips.push({ keys: ['thickness'], label: `${filters.thickness} mm thick` });
+  if (filters.lengthMin) chips.push({ keys: ['lengthMin'], label: `Length ≥ ${filters.lengthMin} mm` });
+  if (filters.widthMin) chips.push({ keys: ['widthMin'], label: `Width ≥ ${filters.widthMin} mm` });
+  if (filters.leafCountMin) chips.push({ keys: ['leafCountMin'], label: `≥ ${filters.leafCountMin} leaves` });
+
+  return chips;
+};
@@ -0,0 +1,28 @@
+// The godown picked in the Dashboard switcher, remembered in this browser.
+// An empty value means all godowns.
+const STORAGE_KEY = 'godownId';
+
+export const getSelectedGodown = () => localStorage.getItem(STORAGE_KEY) || '';
+
+export const setSelectedGodown = (godownId) => {
+  if (godownId) {
+    localStorage.setItem(STORAGE_KEY, godownId);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+};
+
+// Query params that scope product lists and totals to the selected godown
+export const godownParams = () => {
+  const godownId = getSelectedGodown();
+  return godownId ? { godownId } : {};
+};
+
+// Quantity to show for a product: what the selected godown holds, or the total across godowns.
+// Lists filtered by godown return it as godownQty.
+export const displayQty = (product) => product.godownQty ?? product.qty;
+
+// A product's quantity in one godown
+export const qtyInGodown = (product, godownId) => (
+  (product?.stock || []).find(item => item.godownId === godownId)?.qty || 0
+);
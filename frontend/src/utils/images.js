@@ -0,0 +1,27 @@
+// Ordered images of a product, cover first. Products saved before galleries only have `image`.
+export const productImages = (product) => {
+  if (product?.images?.length) return product.images;
+  return product?.image ? [{ url: product.image, thumbnail: product.thumbnail || '' }] : [];
+};
+
+// Download every image of the given products as Files for the Web Share API.
+// Images that fail to load are skipped.
+export const productImageFiles = async (products) => {
+  const requests = products.flatMap((product) => {
+    const images = productImages(product);
+    return images.map(async (image, index) => {
+      try {
+        const response = await fetch(image.url);
+        const blob = await response.blob();
+        const extension = blob.type.split('/')[1] || 'jpg';
+        const suffix = images.length > 1 ? ` (${index + 1})` : '';
+        return new File([blob], `${product.name}${suffix}.${extension}`, { type: blob.type });
+      } catch (err) {
+        console.error(`Failed to fetch image for ${product.name}:`, err);
+        return null;
+      }
+    });
+  });
+
+  return (await Promise.all(requests)).filter(file => file !== null);
+};
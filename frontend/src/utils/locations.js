@@ -0,0 +1,17 @@
+// Location types, as stored on Location.type, with their labels
+export const locationTypes = {
+  sample: { label: 'Sample Location', short: 'Sample', placeholder: 'e.g., A1' },
+  ghoda: { label: 'Ghoda Location', short: 'Ghoda', placeholder: 'e.g., G1' },
+};
+
+// "3 products" or "3 / 4 products" when the location has a capacity
+export const usageText = (location) => {
+  const count = location.productCount ?? 0;
+  const noun = count === 1 && location.capacity == null ? 'product' : 'products';
+  return location.capacity != null ? `${count} / ${location.capacity} ${noun}` : `${count} ${noun}`;
+};
+
+export const isFull = (location) => location.capacity != null && (location.productCount ?? 0) >= location.capacity;
+
+// Link to a location's product list; the same path is printed in location QR labels
+export const locationPath = (location) => `/location/${location.type}/${encodeURIComponent(location.code)}`;
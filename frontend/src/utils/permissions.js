@@ -0,0 +1,31 @@
+// Mirrors the authorize(...) checks on the API routes so the UI only
+// offers actions the current user's role can perform
+const permissions = {
+  manageCategories: ['admin', 'manager'],
+  deleteCategories: ['admin'],
+  manageProducts: ['admin', 'manager'],
+  deleteProducts: ['admin', 'manager'],
+  recordMovements: ['admin', 'manager', 'staff'],
+  manageBundles: ['admin', 'manager'],
+  manageGodowns: ['admin', 'manager'],
+  deleteGodowns: ['admin'],
+  managePriceLists: ['admin', 'manager'],
+  deletePriceLists: ['admin'],
+  manageLocations: ['admin', 'manager'],
+  manageCustomers: ['admin', 'manager', 'staff'],
+  createChallans: ['admin', 'manager', 'staff'],
+  cancelChallans: ['admin', 'manager'],
+  manageHolds: ['admin', 'manager', 'staff'],
+  manageSuppliers: ['admin', 'manager', 'staff'],
+  createPurchases: ['admin', 'manager', 'staff'],
+  viewActivity: ['admin'],
+  viewRecycleBin: ['admin', 'manager'],
+  purgeRecycleBin: ['admin'],
+};
+
+export const getCurrentUser = () => JSON.parse(localStorage.getItem('user') || '{}');
+
+export const can = (action) => {
+  const allowedRoles = permissions[action] || [];
+  return allowedRoles.includes(getCurrentUser().role);
+};
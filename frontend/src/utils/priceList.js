@@ -0,0 +1,25 @@
+// The price list picked in a product list, remembered in this browser.
+// An empty value means base prices.
+const STORAGE_KEY = 'priceListId';
+
+export const getSelectedPriceList = () => localStorage.getItem(STORAGE_KEY) || '';
+
+export const setSelectedPriceList = (priceListId) => {
+  if (priceListId) {
+    localStorage.setItem(STORAGE_KEY, priceListId);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+};
+
+// Query params that price product lists and totals at the selected price list
+export const priceListParams = () => {
+  const priceListId = getSelectedPriceList();
+  return priceListId ? { priceListId } : {};
+};
+
+// Price and rakam to show for a product: the selected list's, or the base ones.
+// Lists priced at a price list return them as listPrice and listRakam.
+export const displayPrice = (product) => product.listPrice ?? product.price;
+
+export const displayRakam = (product) => product.listRakam ?? product.rakam;
@@ -0,0 +1,35 @@
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+
+// Work out what a scanned code points at. Label QR codes hold deep links
+// (/product/:id, /location/:type/:value); location barcodes hold the bare location.
+export const parseScan = (text) => {
+  const code = text.trim();
+  if (!code) return null;
+
+  let url = null;
+  try {
+    url = new URL(code);
+  } catch (error) {
+    // Not a URL
+  }
+
+  if (url) {
+    const [kind, first, second] = url.pathname.split('/').filter(Boolean);
+    if (kind === 'product' && first && OBJECT_ID.test(first)) {
+      return { type: 'product', id: first };
+    }
+    if (kind === 'location' && first && second) {
+      try {
+        return { type: 'location', kind: first, value: decodeURIComponent(second) };
+      } catch (error) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  if (OBJECT_ID.test(code)) {
+    return { type: 'product', id: code };
+  }
+  return { type: 'location', kind: 'any', value: code };
+};
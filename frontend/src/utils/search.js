@@ -0,0 +1,29 @@
+import { qtyInGodown } from './godown';
+
+// Groups of GET /api/search in the order SearchFilter shows them
+const GROUPS = [
+  { key: 'categories', label: 'Categories' },
+  { key: 'subCategories', label: 'Sub-categories' },
+  { key: 'products', label: 'Products' },
+];
+
+// SearchFilter groups from a search response. Products are labelled with their qty, in the
+// godown the search was scoped to when there is one.
+export const searchGroups = (data, godownId) => GROUPS.map(({ key, label }) => ({
+  key,
+  label,
+  total: data[key].total,
+  results: data[key].items.map(item => ({
+    ...item,
+    id: item._id,
+    ...(item.type === 'product' && { label: `Qty ${godownId ? qtyInGodown(item, godownId) : item.qty}` }),
+  })),
+}));
+
+// Where a search hit opens, from the ids on its path. A product opens in its subcategory.
+export const searchResultPath = (result) => {
+  const ids = Object.fromEntries(result.path.map(crumb => [crumb.type, crumb._id]));
+  if (result.type === 'category') return `/category/${ids.category}`;
+  if (result.type === 'subcategory') return `/category/${ids.category}/subcategory/${ids.subcategory}`;
+  return `/category/${ids.category}/subcategory/${ids.subcategory}?product=${ids.product}`;
+};
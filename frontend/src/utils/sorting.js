@@ -0,0 +1,44 @@
+import { getCurrentUser } from './permissions';
+
+// Product list orders, as sort params. '' is the default: most relevant first when
+// searching, otherwise most recently updated first.
+export const productSorts = [
+  { value: '', label: 'Recently updated' },
+  { value: 'name', label: 'Name (A–Z)' },
+  { value: '-name', label: 'Name (Z–A)' },
+  { value: '-qty', label: 'Qty (high–low)' },
+  { value: 'qty', label: 'Qty (low–high)' },
+  { value: '-price', label: 'Price (high–low)' },
+  { value: 'price', label: 'Price (low–high)' },
+  { value: '-rakam', label: 'Rakam (high–low)' },
+  { value: 'rakam', label: 'Rakam (low–high)' },
+  { value: '-createdAt', label: 'Newest first' },
+  { value: 'createdAt', label: 'Oldest first' },
+  { value: 'location', label: 'Location' },
+];
+
+// The sort the signed-in user last picked; it is saved with their account
+export const getProductSort = () => getCurrentUser().preferences?.productSort || '';
+
+// Remember a sort for this session until the account's preferences are next loaded
+export const storeProductSort = (productSort) => {
+  const user = getCurrentUser();
+  localStorage.setItem('user', JSON.stringify({ ...user, preferences: { ...user.preferences, productSort } }));
+};
+
+// Sort for a column header click. Names and locations start A–Z and numbers largest
+// first; the next click reverses it and a third goes back to the default.
+export const nextColumnSort = (current, field) => {
+  const first = ['name', 'location'].includes(field) ? field : `-${field}`;
+  const second = first.startsWith('-') ? field : `-${field}`;
+  if (current === first) return second;
+  if (current === second) return '';
+  return first;
+};
+
+// 'asc', 'desc' or null for a column's sort indicator
+export const columnSortDirection = (current, field) => {
+  if (current === field) return 'asc';
+  if (current === `-${field}`) return 'desc';
+  return null;
+};